@@ -0,0 +1,342 @@
+const { isna } = require("./missing");
+const { valueKey } = require("./hash");
+
+// Returns the non-missing values, or null when missing values must propagate.
+// Typed arrays never hold missing values, see packColumn.
+function present(values, skipna) {
+  if (ArrayBuffer.isView(values)) {
+    return values;
+  }
+  if (skipna) {
+    return values.filter((value) => !isna(value));
+  }
+
+  return values.some(isna) ? null : values;
+}
+
+/**
+ * Calculates the sum of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {number} The sum of the values, or NaN if a missing value is not skipped.
+ */
+function sum(values, { skipna = true } = {}) {
+  const data = present(values, skipna);
+  if (data === null) {
+    return NaN;
+  }
+
+  return data.reduce((acc, val) => acc + val, 0);
+}
+
+/**
+ * Calculates the arithmetic mean of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {number} The mean of the values, or NaN if a missing value is not skipped.
+ */
+function mean(values, { skipna = true } = {}) {
+  const data = present(values, skipna);
+  if (data === null) {
+    return NaN;
+  }
+
+  return sum(data) / data.length;
+}
+
+/**
+ * Calculates the median of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {number} The median of the values, or NaN if a missing value is not skipped.
+ */
+function median(values, { skipna = true } = {}) {
+  const data = present(values, skipna);
+  if (data === null) {
+    return NaN;
+  }
+
+  const sortedData = ArrayBuffer.isView(data)
+    ? Float64Array.from(data).sort()
+    : [...data].sort((a, b) => a - b);
+  const mid = Math.floor(sortedData.length / 2);
+  if (sortedData.length % 2 === 0) {
+    return (sortedData[mid - 1] + sortedData[mid]) / 2;
+  } else {
+    return sortedData[mid];
+  }
+}
+
+// Sums the k-th powers of the deviations from the mean.
+function centralMoment(data, avg, k) {
+  return data.reduce((acc, val) => acc + Math.pow(val - avg, k), 0);
+}
+
+/**
+ * Calculates the variance of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @param {number} [options.ddof=0] - The delta degrees of freedom: the sum of
+ * squared deviations is divided by the number of values minus ddof. 0 gives
+ * the population variance and 1 the sample variance.
+ * @returns {number} The variance of the values, or NaN if a missing value is
+ * not skipped or there are no more values than ddof.
+ */
+function variance(values, { skipna = true, ddof = 0 } = {}) {
+  const data = present(values, skipna);
+  if (data === null || data.length <= ddof) {
+    return NaN;
+  }
+
+  return centralMoment(data, mean(data), 2) / (data.length - ddof);
+}
+
+/**
+ * Calculates the standard deviation of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @param {number} [options.ddof=0] - The delta degrees of freedom, see
+ * `variance`. The default gives the population standard deviation.
+ * @returns {number} The standard deviation of the values, or NaN if a missing
+ * value is not skipped.
+ */
+function std(values, options) {
+  return Math.sqrt(variance(values, options));
+}
+
+/**
+ * Calculates the sample skewness of the values, adjusted for bias.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {number} The skewness, 0 for constant values, or NaN with fewer
+ * than three values.
+ */
+function skew(values, { skipna = true } = {}) {
+  const data = present(values, skipna);
+  if (data === null || data.length < 3) {
+    return NaN;
+  }
+
+  const n = data.length;
+  const avg = mean(data);
+  const m2 = centralMoment(data, avg, 2) / n;
+  if (m2 === 0) {
+    return 0;
+  }
+  const m3 = centralMoment(data, avg, 3) / n;
+
+  return ((Math.sqrt(n * (n - 1)) / (n - 2)) * m3) / Math.pow(m2, 1.5);
+}
+
+/**
+ * Calculates the sample excess kurtosis of the values, adjusted for bias.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {number} The excess kurtosis, 0 for constant values, or NaN with
+ * fewer than four values.
+ */
+function kurtosis(values, { skipna = true } = {}) {
+  const data = present(values, skipna);
+  if (data === null || data.length < 4) {
+    return NaN;
+  }
+
+  const n = data.length;
+  const avg = mean(data);
+  const m2 = centralMoment(data, avg, 2) / n;
+  if (m2 === 0) {
+    return 0;
+  }
+  const g2 = centralMoment(data, avg, 4) / n / (m2 * m2) - 3;
+
+  return (((n + 1) * g2 + 6) * (n - 1)) / ((n - 2) * (n - 3));
+}
+
+/**
+ * Finds the smallest of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {*} The minimum value, undefined if there are no values, or NaN if
+ * a missing value is not skipped.
+ */
+function min(values, { skipna = true } = {}) {
+  const data = present(values, skipna);
+  if (data === null) {
+    return NaN;
+  }
+
+  let result;
+  for (const value of data) {
+    if (result === undefined || value < result) {
+      result = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Finds the largest of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {*} The maximum value, undefined if there are no values, or NaN if
+ * a missing value is not skipped.
+ */
+function max(values, { skipna = true } = {}) {
+  const data = present(values, skipna);
+  if (data === null) {
+    return NaN;
+  }
+
+  let result;
+  for (const value of data) {
+    if (result === undefined || value > result) {
+      result = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Finds the most frequent values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {Array} The mode(s) of the values.
+ */
+function mode(values, { skipna = true } = {}) {
+  const data = skipna ? present(values, true) : values;
+  const frequencyMap = {};
+  let maxFrequency = 0;
+  let modes = [];
+
+  for (const value of data) {
+    frequencyMap[value] = frequencyMap[value] + 1 || 1;
+    if (frequencyMap[value] > maxFrequency) {
+      maxFrequency = frequencyMap[value];
+      modes = [value];
+    } else if (frequencyMap[value] === maxFrequency) {
+      modes.push(value);
+    }
+  }
+
+  return modes;
+}
+
+/**
+ * Counts the non-missing values.
+ * @param {Array} values - The values to reduce.
+ * @returns {number} The number of non-missing values.
+ */
+function count(values) {
+  return present(values, true).length;
+}
+
+/**
+ * Counts the distinct values, keyed as by `valueKey`: dates are compared by
+ * time, and kept missing values count as one value.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to leave missing values uncounted.
+ * @returns {number} The number of distinct values.
+ */
+function nunique(values, { skipna = true } = {}) {
+  const keys = new Set();
+  for (const value of skipna ? present(values, true) : values) {
+    keys.add(valueKey(value));
+  }
+
+  return keys.size;
+}
+
+/**
+ * Returns the first of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {*} The first value.
+ */
+function first(values, { skipna = true } = {}) {
+  return (skipna ? present(values, true) : values)[0];
+}
+
+/**
+ * Returns the last of the values.
+ * @param {Array} values - The values to reduce.
+ * @param {Object} [options] - The aggregation options.
+ * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+ * @returns {*} The last value.
+ */
+function last(values, { skipna = true } = {}) {
+  const data = skipna ? present(values, true) : values;
+
+  return data[data.length - 1];
+}
+
+const aggregations = {
+  sum,
+  mean,
+  median,
+  var: variance,
+  std,
+  skew,
+  kurtosis,
+  min,
+  max,
+  mode,
+  count,
+  nunique,
+  first,
+  last,
+};
+
+/**
+ * Resolves an aggregation given by name or as a function.
+ * @param {string|Function} aggregation - The aggregation name or function.
+ * @returns {Function} The aggregation function.
+ * @throws {Error} Unknown aggregation.
+ */
+function getAggregation(aggregation) {
+  if (typeof aggregation === "function") {
+    return aggregation;
+  }
+  if (Object.prototype.hasOwnProperty.call(aggregations, aggregation)) {
+    const aggregationFn = aggregations[aggregation];
+
+    return (values) => aggregationFn(values);
+  }
+
+  throw new Error(`Unknown aggregation '${aggregation}'`);
+}
+
+/**
+ * Names an aggregation given in an array, for the output column named
+ * `column_name`: the aggregation name, the name of a function, or the
+ * position of an anonymous function, so that two of them do not collide.
+ * @param {string|Function} aggregation - The aggregation name or function.
+ * @param {number} position - The position of the aggregation in the array.
+ * @returns {string} The name of the aggregation.
+ */
+function aggregationName(aggregation, position) {
+  if (typeof aggregation !== "function") {
+    return aggregation;
+  }
+
+  return aggregation.name === "" ? String(position) : aggregation.name;
+}
+
+module.exports = {
+  ...aggregations,
+  getAggregation,
+  aggregationName,
+};
@@ -0,0 +1,265 @@
+const { Categorical } = require("./categorical");
+
+const MAGIC = "PJDF";
+const VERSION = 1;
+const ALIGNMENT = 8;
+const NULL_BOOLEAN = 255;
+
+function padding(length) {
+  return (ALIGNMENT - (length % ALIGNMENT)) % ALIGNMENT;
+}
+
+function allOf(values, check) {
+  for (const value of values) {
+    if (value !== null && value !== undefined && !check(value)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Fixed-width encodings: the size of each value in bytes, the DataView
+// methods that write and read it, and the typed array that holds it.
+const WIDTHS = {
+  int32: { size: 4, set: "setInt32", get: "getInt32", Type: Int32Array },
+  float64: {
+    size: 8,
+    set: "setFloat64",
+    get: "getFloat64",
+    Type: Float64Array,
+  },
+  datetime: {
+    size: 8,
+    set: "setFloat64",
+    get: "getFloat64",
+    Type: Float64Array,
+  },
+  boolean: { size: 1, set: "setUint8", get: "getUint8", Type: Uint8Array },
+};
+
+// Writes numbers in little-endian order, whatever the order of the host.
+function writeNumbers(encoding, numbers) {
+  const { size, set } = WIDTHS[encoding];
+  const bytes = Buffer.alloc(numbers.length * size);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let i = 0; i < numbers.length; i++) {
+    view[set](i * size, numbers[i], true);
+  }
+
+  return bytes;
+}
+
+function readNumbers(encoding, bytes, length) {
+  const { size, get, Type } = WIDTHS[encoding];
+  if (bytes.length !== length * size) {
+    throw new Error("Invalid binary data");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const numbers = new Type(length);
+  for (let i = 0; i < length; i++) {
+    numbers[i] = view[get](i * size, true);
+  }
+
+  return numbers;
+}
+
+// Picks the most compact encoding that keeps the values, with JSON as the
+// fallback. Categoricals are encoded as their codes, and their categories
+// are returned to be encoded as a block of their own.
+function encodeValues(values) {
+  if (values instanceof Categorical) {
+    return {
+      encoding: "category",
+      bytes: writeNumbers("int32", values.codes),
+      categories: values.categories,
+      ordered: values.ordered,
+    };
+  }
+  if (values instanceof Int32Array) {
+    return { encoding: "int32", bytes: writeNumbers("int32", values) };
+  }
+  if (values instanceof Float64Array) {
+    return { encoding: "float64", bytes: writeNumbers("float64", values) };
+  }
+  if (values.length > 0 && allOf(values, (value) => value instanceof Date)) {
+    const times = Array.from(values, (value) =>
+      value instanceof Date ? value.getTime() : NaN
+    );
+
+    return { encoding: "datetime", bytes: writeNumbers("datetime", times) };
+  }
+  if (
+    values.length > 0 &&
+    allOf(values, (value) => typeof value === "boolean")
+  ) {
+    const flags = Array.from(values, (value) =>
+      typeof value === "boolean" ? Number(value) : NULL_BOOLEAN
+    );
+
+    return { encoding: "boolean", bytes: writeNumbers("boolean", flags) };
+  }
+
+  return {
+    encoding: "json",
+    bytes: Buffer.from(JSON.stringify(Array.from(values)), "utf8"),
+  };
+}
+
+function decodeValues(encoding, bytes, length) {
+  switch (encoding) {
+    case "category":
+      return readNumbers("int32", bytes, length);
+    case "int32":
+    case "float64":
+      return readNumbers(encoding, bytes, length);
+    case "datetime":
+      return Array.from(readNumbers(encoding, bytes, length), (time) =>
+        Number.isNaN(time) ? null : new Date(time)
+      );
+    case "boolean":
+      return Array.from(readNumbers(encoding, bytes, length), (flag) =>
+        flag === NULL_BOOLEAN ? null : flag === 1
+      );
+    case "json": {
+      const values = JSON.parse(Buffer.from(bytes).toString("utf8"));
+      if (!Array.isArray(values) || values.length !== length) {
+        throw new Error("Invalid binary data");
+      }
+
+      return values;
+    }
+    default:
+      throw new Error(`Unknown encoding '${encoding}'`);
+  }
+}
+
+/**
+ * Encodes a table in a compact, self-describing binary layout:
+ * - the magic bytes "PJDF" and the format version, as a uint32;
+ * - the byte length of the header, as a uint32, and the header itself, a
+ *   UTF-8 JSON object describing the row count, the columns, their dtypes
+ *   and encodings, and the index;
+ * - the data of each column, then of the index, each aligned to 8 bytes.
+ *
+ * Int32Array and Float64Array columns are stored as int32 and float64
+ * values, datetime columns as float64 milliseconds (NaN for null), boolean
+ * columns as one byte per value (255 for null), categorical columns as int32
+ * codes followed by a block of their categories, with the `ordered` flag in
+ * the header, and other columns as JSON.
+ * Numbers are little-endian, whatever the byte order of the host.
+ * @param {Object} table - The table to encode.
+ * @param {number} table.length - The number of rows.
+ * @param {string[]} table.columns - The column names.
+ * @param {Function} table.values - Returns the values of a column: an array,
+ * a typed array or a Categorical.
+ * @param {Object} table.dtypes - The declared dtypes to keep.
+ * @param {Array|null} table.index - The row labels.
+ * @param {string|null} table.indexName - The name of the index.
+ * @returns {Buffer} The encoded table.
+ */
+function encodeTable(table) {
+  const blocks = [];
+  const describe = (values) => {
+    const { encoding, bytes, categories, ordered } = encodeValues(values);
+    blocks.push(bytes);
+    if (encoding !== "category") {
+      return { encoding, byteLength: bytes.length };
+    }
+
+    return {
+      encoding,
+      byteLength: bytes.length,
+      ordered,
+      categories: { length: categories.length, ...describe(categories) },
+    };
+  };
+
+  const header = {
+    length: table.length,
+    columns: table.columns.map((name) => ({
+      name,
+      ...describe(table.values(name)),
+    })),
+    dtypes: table.dtypes,
+    index: table.index === null ? null : describe(table.index),
+    indexName: table.indexName,
+  };
+  const headerBytes = Buffer.from(JSON.stringify(header), "utf8");
+  const prefix = Buffer.alloc(12);
+  prefix.write(MAGIC, 0, "latin1");
+  prefix.writeUInt32LE(VERSION, 4);
+  prefix.writeUInt32LE(headerBytes.length, 8);
+
+  const parts = [prefix, headerBytes];
+  let offset = prefix.length + headerBytes.length;
+  for (const bytes of blocks) {
+    const pad = padding(offset);
+    parts.push(Buffer.alloc(pad), bytes);
+    offset += pad + bytes.length;
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decodes a table encoded by `encodeTable`.
+ * @param {Buffer} buffer - The encoded table.
+ * @returns {{columns: string[], data: Object, dtypes: Object, index:
+ * Array|null, indexName: string|null}} The column names, an object mapping
+ * them to their values, the declared dtypes and the index.
+ * @throws {Error} Invalid binary data.
+ * @throws {Error} Unsupported binary version.
+ */
+function decodeTable(buffer) {
+  if (buffer.length < 12 || buffer.toString("latin1", 0, 4) !== MAGIC) {
+    throw new Error("Invalid binary data");
+  }
+  const version = buffer.readUInt32LE(4);
+  if (version !== VERSION) {
+    throw new Error(`Unsupported binary version '${version}'`);
+  }
+  const headerLength = buffer.readUInt32LE(8);
+  const header = JSON.parse(buffer.toString("utf8", 12, 12 + headerLength));
+
+  let offset = 12 + headerLength;
+  const read = (block, length = header.length) => {
+    const { encoding, byteLength } = block;
+    offset += padding(offset);
+    if (offset + byteLength > buffer.length) {
+      throw new Error("Invalid binary data");
+    }
+    const values = decodeValues(
+      encoding,
+      buffer.subarray(offset, offset + byteLength),
+      length
+    );
+    offset += byteLength;
+    if (encoding !== "category") {
+      return values;
+    }
+    const categories = read(block.categories, block.categories.length);
+
+    return new Categorical(values, Array.from(categories), {
+      ordered: block.ordered,
+    });
+  };
+
+  const data = {};
+  for (const column of header.columns) {
+    data[column.name] = read(column);
+  }
+
+  return {
+    columns: header.columns.map(({ name }) => name),
+    data,
+    dtypes: header.dtypes,
+    index: header.index === null ? null : read(header.index),
+    indexName: header.indexName,
+  };
+}
+
+module.exports = {
+  encodeTable,
+  decodeTable,
+};
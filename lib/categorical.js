@@ -0,0 +1,414 @@
+const { isna, fillValues } = require("./missing");
+const { valueKey } = require("./hash");
+const { numericStrings, valueComparator } = require("./sort");
+
+// Maps the keys of categories to their codes.
+function codeLookup(categories) {
+  const lookup = new Map();
+  categories.forEach((category, code) => {
+    const key = valueKey(category);
+    if (isna(category) || lookup.has(key)) {
+      throw new Error("Categories must be unique and not missing");
+    }
+    lookup.set(key, code);
+  });
+
+  return lookup;
+}
+
+/**
+ * Holds the values of a categorical column with dictionary encoding: each
+ * distinct value, or category, is stored once, and each row holds the code
+ * of its category, or -1 for a missing value. Categoricals are never
+ * modified in place.
+ * @class
+ */
+class Categorical {
+  #lookup;
+
+  /**
+   * Creates an instance of Categorical.
+   * @constructor
+   * @param {Int32Array} codes - The code of each value: the position of its
+   * category, or -1 for a missing value.
+   * @param {Array} categories - The distinct values.
+   * @param {Object} [options] - The categorical options.
+   * @param {boolean} [options.ordered=false] - Whether the order of the
+   * categories is meaningful, allowing comparisons.
+   * @throws {Error} Categories must be unique and not missing.
+   * @throws {Error} Invalid code.
+   */
+  constructor(codes, categories, { ordered = false } = {}) {
+    this.#lookup = codeLookup(categories);
+    for (const code of codes) {
+      if (code < -1 || code >= categories.length) {
+        throw new Error("Invalid code");
+      }
+    }
+    this.codes = codes;
+    this.categories = categories;
+    this.ordered = ordered;
+  }
+
+  /**
+   * Encodes values. Values that are not among the categories become missing.
+   * @param {Array|TypedArray} values - The values to encode.
+   * @param {Object} [options] - The encoding options.
+   * @param {Array} [options.categories] - The categories. Defaults to the
+   * distinct non-missing values, sorted.
+   * @param {boolean} [options.ordered=false] - Whether the categories are ordered.
+   * @returns {Categorical} The encoded values.
+   * @throws {Error} Categories must be unique and not missing.
+   */
+  static from(values, { categories, ordered = false } = {}) {
+    if (categories === undefined) {
+      const distinct = new Map();
+      for (let i = 0; i < values.length; i++) {
+        if (!isna(values[i])) {
+          distinct.set(valueKey(values[i]), values[i]);
+        }
+      }
+      categories = Array.from(distinct.values());
+      categories.sort(valueComparator({ numeric: numericStrings(categories) }));
+    }
+    const lookup = codeLookup(categories);
+    const codes = new Int32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      const code = isna(values[i])
+        ? undefined
+        : lookup.get(valueKey(values[i]));
+      codes[i] = code === undefined ? -1 : code;
+    }
+
+    return new Categorical(codes, categories, { ordered });
+  }
+
+  /**
+   * Gets the number of values.
+   * @type {number}
+   * @readonly
+   */
+  get length() {
+    return this.codes.length;
+  }
+
+  /**
+   * Finds the code of a category.
+   * @param {*} category - The category to look for.
+   * @returns {number} The code of the category, or -1 when it is missing or
+   * not a category.
+   */
+  codeOf(category) {
+    if (isna(category)) {
+      return -1;
+    }
+    const code = this.#lookup.get(valueKey(category));
+
+    return code === undefined ? -1 : code;
+  }
+
+  /**
+   * Gets the value at a position.
+   * @param {number} position - The position of the value.
+   * @returns {*} The category of the value, or null when it is missing.
+   */
+  valueAt(position) {
+    const code = this.codes[position];
+
+    return code === -1 ? null : this.categories[code];
+  }
+
+  /**
+   * Gathers the values at the given positions, keeping the categories.
+   * @param {number[]} positions - The positions to gather.
+   * @returns {Categorical} The gathered values.
+   */
+  take(positions) {
+    const codes = new Int32Array(positions.length);
+    for (let i = 0; i < positions.length; i++) {
+      codes[i] = this.codes[positions[i]];
+    }
+
+    return new Categorical(codes, this.categories, { ordered: this.ordered });
+  }
+
+  /**
+   * Keeps the codes with other categories or another order.
+   * @param {Array} categories - The new categories, one for each code.
+   * @param {boolean} [ordered] - Whether the categories are ordered. Defaults
+   * to the current setting.
+   * @returns {Categorical} The recategorized values.
+   * @throws {Error} Categories must be unique and not missing.
+   */
+  withCategories(categories, ordered = this.ordered) {
+    return new Categorical(this.codes, categories, { ordered });
+  }
+
+  /**
+   * Fills the missing values, keeping the codes of the others.
+   * @param {*} value - The replacement value, added as a category when it is
+   * not one, or 'ffill' / 'bfill' to propagate the previous or next
+   * non-missing value.
+   * @returns {Categorical} The filled values.
+   */
+  fillna(value) {
+    if (value === "ffill" || value === "bfill") {
+      const filled = fillValues(
+        Array.from(this.codes, (code) => (code === -1 ? null : code)),
+        value
+      );
+
+      return new Categorical(
+        Int32Array.from(filled, (code) => (code === null ? -1 : code)),
+        this.categories,
+        { ordered: this.ordered }
+      );
+    }
+    if (isna(value)) {
+      return this;
+    }
+    let code = this.codeOf(value);
+    let categories = this.categories;
+    if (code === -1) {
+      code = categories.length;
+      categories = [...categories, value];
+    }
+
+    return new Categorical(
+      this.codes.map((current) => (current === -1 ? code : current)),
+      categories,
+      { ordered: this.ordered }
+    );
+  }
+
+  /**
+   * Decodes the values into a plain array.
+   * @returns {Array} A new array with the values, null where missing.
+   */
+  toArray() {
+    const array = new Array(this.codes.length);
+    for (let i = 0; i < this.codes.length; i++) {
+      array[i] = this.valueAt(i);
+    }
+
+    return array;
+  }
+
+  /**
+   * Iterates over the decoded values.
+   * @yields {*} The values, null where missing.
+   */
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.codes.length; i++) {
+      yield this.valueAt(i);
+    }
+  }
+}
+
+/**
+ * Combines the categories of categoricals joined into one column, as by
+ * `concat` or `merge`: every category, in order of first appearance. The
+ * result is ordered only when they all have the same ordered categories.
+ * @param {Array<{categories: Array, ordered: boolean}>} categoricals - The
+ * categoricals, or the `cat` accessors of categorical Series.
+ * @returns {{categories: Array, ordered: boolean}} The combined categories.
+ */
+function unionCategories(categoricals) {
+  const lookup = new Map();
+  for (const { categories } of categoricals) {
+    for (const category of categories) {
+      const key = valueKey(category);
+      if (!lookup.has(key)) {
+        lookup.set(key, category);
+      }
+    }
+  }
+  const categories = Array.from(lookup.values());
+  const ordered = categoricals.every(
+    (categorical) =>
+      categorical.ordered &&
+      categorical.categories.length === categories.length &&
+      categorical.categories.every(
+        (category, code) => valueKey(category) === valueKey(categories[code])
+      )
+  );
+
+  return { categories, ordered };
+}
+
+/**
+ * Gives access to the categories and codes of a categorical Series. Methods
+ * return new Series. Returned by `Series.cat`.
+ * @class
+ */
+class CategoricalAccessor {
+  #series;
+  #categorical;
+
+  /**
+   * Creates an instance of CategoricalAccessor.
+   * @constructor
+   * @param {Series} series - The categorical Series.
+   * @param {Categorical|null} categorical - The values of the Series.
+   * @throws {Error} Values must be categorical.
+   */
+  constructor(series, categorical) {
+    if (!(categorical instanceof Categorical)) {
+      throw new Error("Values must be categorical");
+    }
+    this.#series = series;
+    this.#categorical = categorical;
+  }
+
+  #derive(categorical) {
+    const Series = this.#series.constructor;
+
+    return new Series(categorical, {
+      name: this.#series.name,
+      index: this.#series.index,
+    });
+  }
+
+  /**
+   * Gets the categories, in order.
+   * @type {Array}
+   * @readonly
+   */
+  get categories() {
+    return [...this.#categorical.categories];
+  }
+
+  /**
+   * Gets the code of each value: the position of its category, or -1 for a
+   * missing value.
+   * @type {Series}
+   * @readonly
+   */
+  get codes() {
+    const Series = this.#series.constructor;
+
+    return new Series(Array.from(this.#categorical.codes), {
+      name: this.#series.name,
+      index: this.#series.index,
+    });
+  }
+
+  /**
+   * Checks whether the categories are ordered.
+   * @type {boolean}
+   * @readonly
+   */
+  get ordered() {
+    return this.#categorical.ordered;
+  }
+
+  /**
+   * Renames the categories, keeping the codes.
+   * @param {Array|Object|Function} categories - The new categories in order,
+   * an object mapping categories to new names, or a function called with
+   * each category and its code. Categories missing from an object keep their
+   * names.
+   * @returns {Series} A new Series with the renamed categories.
+   * @throws {Error} Categories length mismatch.
+   * @throws {Error} Categories must be unique and not missing.
+   */
+  renameCategories(categories) {
+    const current = this.#categorical.categories;
+    let renamed;
+    if (Array.isArray(categories)) {
+      if (categories.length !== current.length) {
+        throw new Error("Categories length mismatch");
+      }
+      renamed = categories;
+    } else if (typeof categories === "function") {
+      renamed = current.map((category, code) => categories(category, code));
+    } else {
+      renamed = current.map((category) =>
+        category in categories ? categories[category] : category
+      );
+    }
+
+    return this.#derive(this.#categorical.withCategories(renamed));
+  }
+
+  /**
+   * Adds categories after the existing ones. No value uses them yet.
+   * @param {*|Array} categories - The category, or categories, to add.
+   * @returns {Series} A new Series with the added categories.
+   * @throws {Error} Category already exists.
+   */
+  addCategories(categories) {
+    const added = Array.isArray(categories) ? categories : [categories];
+    for (const category of added) {
+      if (this.#categorical.codeOf(category) !== -1) {
+        throw new Error(`Category '${category}' already exists`);
+      }
+    }
+
+    return this.#derive(
+      this.#categorical.withCategories([
+        ...this.#categorical.categories,
+        ...added,
+      ])
+    );
+  }
+
+  /**
+   * Puts the categories in another order.
+   * @param {Array} categories - The existing categories in their new order.
+   * @param {Object} [options] - The order options.
+   * @param {boolean} [options.ordered] - Whether the categories are ordered.
+   * Defaults to the current setting.
+   * @returns {Series} A new Series with the reordered categories.
+   * @throws {Error} Categories do not match.
+   */
+  reorderCategories(categories, { ordered = this.ordered } = {}) {
+    const current = this.#categorical;
+    const codes = categories.map((category) => current.codeOf(category));
+    if (
+      categories.length !== current.categories.length ||
+      new Set(codes).size !== codes.length ||
+      codes.includes(-1)
+    ) {
+      throw new Error("Categories do not match");
+    }
+    const recode = new Int32Array(codes.length);
+    codes.forEach((code, position) => {
+      recode[code] = position;
+    });
+
+    return this.#derive(
+      new Categorical(
+        current.codes.map((code) => (code === -1 ? -1 : recode[code])),
+        categories,
+        { ordered }
+      )
+    );
+  }
+
+  /**
+   * Marks the categories as ordered, so values can be compared.
+   * @returns {Series} A new Series with ordered categories.
+   */
+  asOrdered() {
+    return this.#derive(
+      this.#categorical.withCategories(this.#categorical.categories, true)
+    );
+  }
+
+  /**
+   * Marks the categories as unordered.
+   * @returns {Series} A new Series with unordered categories.
+   */
+  asUnordered() {
+    return this.#derive(
+      this.#categorical.withCategories(this.#categorical.categories, false)
+    );
+  }
+}
+
+module.exports = {
+  Categorical,
+  CategoricalAccessor,
+  unionCategories,
+};
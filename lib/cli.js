@@ -0,0 +1,295 @@
+const path = require("path");
+const { parseArgs } = require("util");
+const { DataFrame } = require("./dataframe");
+
+const USAGE = `Usage: pandas-js <command> [file] [options]
+
+Reads CSV, JSON or NDJSON files, or standard input when the file is omitted
+or "-", and writes the result to standard output.
+
+Commands:
+  head [file]               The first rows (-n, 5 by default)
+  describe [file]           Summary statistics of the numeric columns
+  select [file]             Some of the columns (--columns)
+  filter [file]             The rows matching a query (--query)
+  sort [file]               The rows sorted by columns (--by, --desc)
+  groupby [file]            Aggregates by group (--by, --agg), or group sizes
+  join <left> <right>       The rows of two files joined on keys (--on, --how)
+  convert <input> [output]  The input in another format, written to a file
+
+Options:
+  -n, --rows <count>        The number of rows for head
+  -c, --columns <a,b>       The columns to select
+  -q, --query <expression>  The query, such as "Age > 30 and Name != 'Bob'"
+  --by <a,b>                The columns to sort or group by
+  --desc                    Sort in descending order
+  --agg <column:fn,...>     The aggregations, such as amount:sum (repeatable)
+  --on <a,b>                The key columns to join on
+  --how <how>               The join type: inner, left, right or outer
+  -f, --format <format>     The output format: table, csv, json or ndjson
+                            (table by default, or from the output file)
+  --input-format <format>   The input format: csv, json or ndjson
+                            (from the file extension, csv for standard input)
+  -d, --delimiter <char>    The field delimiter of CSV input
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+  rows: { type: "string", short: "n" },
+  columns: { type: "string", short: "c" },
+  query: { type: "string", short: "q" },
+  by: { type: "string" },
+  desc: { type: "boolean" },
+  agg: { type: "string", multiple: true },
+  on: { type: "string" },
+  how: { type: "string" },
+  format: { type: "string", short: "f" },
+  "input-format": { type: "string" },
+  delimiter: { type: "string", short: "d" },
+  help: { type: "boolean", short: "h" },
+};
+
+const INPUT_FORMATS = ["csv", "json", "ndjson"];
+const OUTPUT_FORMATS = ["table", ...INPUT_FORMATS];
+
+const EXTENSIONS = {
+  ".csv": "csv",
+  ".tsv": "csv",
+  ".json": "json",
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+};
+
+function formatOf(file) {
+  return EXTENSIONS[path.extname(file).toLowerCase()];
+}
+
+function assertFormat(format, formats) {
+  if (!formats.includes(format)) {
+    throw new Error(`Invalid format '${format}'`);
+  }
+
+  return format;
+}
+
+function list(text) {
+  return text
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function required(options, name) {
+  if (options[name] === undefined) {
+    throw new Error(`Missing option '--${name}'`);
+  }
+
+  return options[name];
+}
+
+/**
+ * Reads a DataFrame from a file, or from standard input.
+ * @param {string} [file] - The path to the file, or "-" or undefined for
+ * standard input.
+ * @param {Object} options - The parsed command-line options.
+ * @param {Readable} stdin - The standard input stream.
+ * @returns {Promise<DataFrame>} A Promise that resolves to the DataFrame.
+ * @throws {Error} Invalid format.
+ */
+function readFrame(file, options, stdin) {
+  const piped = file === undefined || file === "-";
+  const format = assertFormat(
+    options["input-format"] || (!piped && formatOf(file)) || "csv",
+    INPUT_FORMATS
+  );
+  const source = piped ? stdin : file;
+  if (format === "json") {
+    return DataFrame.fromJSON(source);
+  }
+  if (format === "ndjson") {
+    return DataFrame.fromNDJSON(source);
+  }
+  const tabs = !piped && path.extname(file).toLowerCase() === ".tsv";
+
+  return DataFrame.fromCSV(source, {
+    delimiter: options.delimiter || (tabs ? "\t" : ","),
+  });
+}
+
+/**
+ * Writes a DataFrame as a text table, CSV, JSON or NDJSON. Row labels are
+ * written as columns, except in tables where they label the rows.
+ * @param {DataFrame} frame - The DataFrame to write.
+ * @param {string} format - The output format.
+ * @param {string|Writable} target - The path to the output file, or a
+ * Writable stream, which is left open.
+ * @param {Object} [options] - The render options of tables, as for
+ * `DataFrame.toString`.
+ * @returns {Promise<void>} A Promise that resolves once the data is written.
+ */
+async function writeFrame(frame, format, target, options) {
+  if (format === "table") {
+    target.write(`${frame.toString(options)}\n`);
+
+    return;
+  }
+  const labelled = frame.index === null ? frame : frame.resetIndex();
+  if (format === "csv") {
+    await labelled.toCSV(target);
+  } else if (format === "json") {
+    await labelled.toJSON(target);
+  } else {
+    await labelled.toNDJSON(target);
+  }
+}
+
+// Parses aggregations such as "amount:sum,qty:mean". A column aggregated
+// several times gets an array, giving one output column per aggregation.
+function parseAggregations(specs) {
+  const aggregations = {};
+  for (const spec of specs.flatMap(list)) {
+    const separator = spec.lastIndexOf(":");
+    if (separator <= 0 || separator === spec.length - 1) {
+      throw new Error(`Invalid aggregation '${spec}'`);
+    }
+    const column = spec.slice(0, separator);
+    const aggregation = spec.slice(separator + 1);
+    if (column in aggregations) {
+      aggregations[column] = [aggregations[column], aggregation].flat();
+    } else {
+      aggregations[column] = aggregation;
+    }
+  }
+
+  return aggregations;
+}
+
+function parseRows(text) {
+  const rows = Number(text);
+  if (!Number.isInteger(rows) || rows < 0) {
+    throw new Error(`Invalid number of rows '${text}'`);
+  }
+
+  return rows;
+}
+
+const COMMANDS = {
+  head: (frame, options) =>
+    frame.head(options.rows === undefined ? 5 : parseRows(options.rows)),
+  describe: (frame) => frame.describe(),
+  select: (frame, options) => frame.select(list(required(options, "columns"))),
+  filter: (frame, options) => frame.query(required(options, "query")),
+  sort: (frame, options) =>
+    frame.sortValues({
+      by: list(required(options, "by")),
+      ascending: !options.desc,
+    }),
+  groupby: (frame, options) => {
+    const groups = frame.groupBy(list(required(options, "by")));
+
+    return options.agg === undefined
+      ? groups.size()
+      : groups.agg(parseAggregations(options.agg));
+  },
+};
+
+async function execute(args, { stdin, stdout }) {
+  const { values: options, positionals } = parseArgs({
+    args,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, ...files] = positionals;
+  if (options.help) {
+    stdout.write(USAGE);
+
+    return;
+  }
+  if (command === undefined) {
+    throw new Error("Missing command");
+  }
+
+  let format = options.format;
+  let frame;
+  let target = stdout;
+  if (command === "join") {
+    if (files.length !== 2) {
+      throw new Error("Expected two files to join");
+    }
+    const [left, right] = await Promise.all(
+      files.map((file) => readFrame(file, options, stdin))
+    );
+    frame = left.merge(right, {
+      on: list(required(options, "on")),
+      how: options.how,
+    });
+  } else if (command === "convert") {
+    if (files.length === 0 || files.length > 2) {
+      throw new Error("Expected an input file and an output file");
+    }
+    frame = await readFrame(files[0], options, stdin);
+    if (files.length === 2 && files[1] !== "-") {
+      target = files[1];
+      format = format || formatOf(target) || "csv";
+    }
+    format = format || "csv";
+  } else if (command in COMMANDS) {
+    if (files.length > 1) {
+      throw new Error("Expected a single file");
+    }
+    frame = COMMANDS[command](
+      await readFrame(files[0], options, stdin),
+      options
+    );
+  } else {
+    throw new Error(`Unknown command '${command}'`);
+  }
+
+  // The rows asked for with head are all shown, not only the first and last.
+  await writeFrame(
+    frame,
+    assertFormat(format || "table", OUTPUT_FORMATS),
+    target,
+    command === "head" ? { maxRows: Infinity } : {}
+  );
+}
+
+/**
+ * Runs the `pandas-js` command line. Errors are reported on the error
+ * stream rather than thrown.
+ * @param {string[]} args - The command-line arguments, after the program name.
+ * @param {Object} [streams] - The streams to use instead of those of the process.
+ * @param {Readable} [streams.stdin=process.stdin] - The standard input.
+ * @param {Writable} [streams.stdout=process.stdout] - The standard output.
+ * @param {Writable} [streams.stderr=process.stderr] - The standard error.
+ * @returns {Promise<number>} A Promise that resolves to the exit code: 0 on
+ * success, 1 on error.
+ */
+async function run(
+  args,
+  {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = {}
+) {
+  try {
+    await execute(args, { stdin, stdout });
+
+    return 0;
+  } catch (error) {
+    stderr.write(`pandas-js: ${error.message}\n`);
+    const usage =
+      error.message === "Missing command" ||
+      String(error.code).startsWith("ERR_PARSE_ARGS");
+    if (usage) {
+      stderr.write(`\n${USAGE}`);
+    }
+
+    return 1;
+  }
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,172 @@
+const { MultiIndex, labelAt } = require("./multiindex");
+const { DTYPES } = require("./dtypes");
+const { Categorical, unionCategories } = require("./categorical");
+
+/**
+ * Gives the columns of a combined DataFrame the dtype of the columns they
+ * were built from, when those agree, as for `concat` and `merge`.
+ * Categorical columns keep the categories of every source, in order of
+ * first appearance.
+ * @param {DataFrame} frame - The combined DataFrame.
+ * @param {Map<string, Array<{frame: DataFrame, column: string}>>} sources -
+ * The source columns of each column of the combined DataFrame.
+ * @returns {DataFrame} The DataFrame with the dtypes of its sources.
+ */
+function keepTypes(frame, sources) {
+  const dtypes = {};
+  const categoricals = {};
+  for (const [name, columns] of sources) {
+    const types = columns.map(
+      ({ frame: source, column }) => source.dtypes[column]
+    );
+    if (!types.every((dtype) => dtype === types[0])) {
+      continue;
+    }
+    if (types[0] === "category") {
+      categoricals[name] = Categorical.from(
+        frame.get(name).values,
+        unionCategories(
+          columns.map(({ frame: source, column }) => source.get(column).cat)
+        )
+      );
+    } else if (DTYPES.includes(types[0])) {
+      dtypes[name] = types[0];
+    }
+  }
+
+  return frame.astype(dtypes).assign(categoricals);
+}
+
+function combineColumns(frames, join) {
+  if (join === "inner") {
+    return frames[0].columns.filter((column) =>
+      frames.every((frame) => frame.columns.includes(column))
+    );
+  }
+
+  const columns = [];
+  for (const frame of frames) {
+    for (const column of frame.columns) {
+      if (!columns.includes(column)) {
+        columns.push(column);
+      }
+    }
+  }
+
+  return columns;
+}
+
+function concatRows(frames, join, ignoreIndex) {
+  const columns = combineColumns(frames, join);
+  const labelled = !ignoreIndex && frames.some((frame) => frame.index !== null);
+  const index = labelled ? [] : null;
+  const data = [];
+  for (const frame of frames) {
+    frame.getDataFrame().forEach((row, position) => {
+      if (labelled) {
+        index.push(labelAt(frame.index, position));
+      }
+      const newRow = {};
+      for (const column of columns) {
+        newRow[column] = column in row ? row[column] : null;
+      }
+      data.push(newRow);
+    });
+  }
+  if (labelled && frames.every((frame) => frame.index instanceof MultiIndex)) {
+    return {
+      data,
+      columns,
+      index: new MultiIndex(index, { names: frames[0].index.names }),
+    };
+  }
+
+  return { data, columns, index };
+}
+
+function concatColumns(frames, join, ignoreIndex) {
+  const lengths = frames.map((frame) => frame.getDataFrame().length);
+  const length = join === "inner" ? Math.min(...lengths) : Math.max(...lengths);
+  const sources = [];
+  for (const frame of frames) {
+    for (const column of frame.columns) {
+      sources.push({ frame, column });
+    }
+  }
+
+  const columns = ignoreIndex
+    ? sources.map((_, i) => `column${i + 1}`)
+    : sources.map(({ column }) => column);
+  if (new Set(columns).size !== columns.length) {
+    throw new Error("Duplicate column names");
+  }
+
+  const data = Array.from({ length }, (_, index) => {
+    const newRow = {};
+    sources.forEach(({ frame, column }, i) => {
+      const row = frame.getDataFrame()[index];
+      newRow[columns[i]] = row === undefined ? null : row[column];
+    });
+
+    return newRow;
+  });
+
+  return { data, columns, index: null, sources };
+}
+
+/**
+ * Concatenates DataFrames along rows or columns.
+ * @param {DataFrame[]} frames - The DataFrames to concatenate.
+ * @param {Object} [options] - The concatenation options.
+ * @param {number} [options.axis=0] - 0 to stack the frames vertically, 1 to
+ * place them side by side by row position.
+ * @param {string} [options.join='outer'] - 'outer' keeps the union of the
+ * columns (axis 0) or the longest frame's rows (axis 1) and fills missing
+ * cells with null; 'inner' keeps only the shared columns or rows.
+ * @param {boolean} [options.ignoreIndex=false] - Along axis 0, discards the
+ * row labels of the frames; along axis 1, relabels the result columns as
+ * column1..columnN instead of keeping the original names.
+ * @returns {DataFrame} A new DataFrame with the concatenated data. Columns
+ * keep the dtype of the columns they are built from when those agree.
+ * @throws {Error} No frames to concatenate.
+ */
+function concat(frames, options = {}) {
+  const { axis = 0, join = "outer", ignoreIndex = false } = options;
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error("No frames to concatenate");
+  }
+  if (join !== "outer" && join !== "inner") {
+    throw new Error(`Invalid join type '${join}'`);
+  }
+
+  let result;
+  if (axis === 0) {
+    result = concatRows(frames, join, ignoreIndex);
+  } else if (axis === 1) {
+    result = concatColumns(frames, join, ignoreIndex);
+  } else {
+    throw new Error(`Invalid axis '${axis}'`);
+  }
+
+  const DataFrame = frames[0].constructor;
+  const frame = new DataFrame(result.data, result.columns, {
+    index: result.index,
+  });
+  const sources = new Map(
+    result.columns.map((name, i) => [
+      name,
+      axis === 0
+        ? frames
+            .filter((source) => source.columns.includes(name))
+            .map((source) => ({ frame: source, column: name }))
+        : [result.sources[i]],
+    ])
+  );
+
+  return keepTypes(frame, sources);
+}
+
+module.exports = {
+  concat,
+  keepTypes,
+};
@@ -0,0 +1,243 @@
+const { pipeline } = require("stream");
+const csv = require("csv-parser");
+const { openSource } = require("./io");
+const { formatValue } = require("./format");
+const { formatDate } = require("./datetime");
+const { isna } = require("./missing");
+
+// The number of rows joined into each chunk of CSV text.
+const FORMAT_CHUNK_ROWS = 1000;
+
+const QUOTING = ["minimal", "all", "nonnumeric", "none"];
+
+function selectPositions(columns, usecols) {
+  if (!usecols) {
+    return columns.map((_, position) => position);
+  }
+  if (typeof usecols === "function") {
+    return columns
+      .map((column, position) => (usecols(column) ? position : -1))
+      .filter((position) => position >= 0);
+  }
+  for (const column of usecols) {
+    if (!columns.includes(column)) {
+      throw new Error("Column does not exist");
+    }
+  }
+
+  return columns
+    .map((column, position) => (usecols.includes(column) ? position : -1))
+    .filter((position) => position >= 0);
+}
+
+/**
+ * Reads the rows of a CSV file in chunks, so that only one chunk is held in
+ * memory at a time. Empty fields are read as null. At least one chunk is
+ * yielded, even when the file has no rows.
+ * @param {string|Buffer|Readable} source - The path to the CSV file, a
+ * Buffer holding it, or a Readable stream of it.
+ * @param {Object} [options] - The read options.
+ * @param {string[]|Function} [options.usecols] - The columns to read, kept
+ * in file order, or a function called with each column name that returns
+ * whether to read it.
+ * @param {number} [options.nrows] - The maximum number of rows to read.
+ * @param {number} [options.skiprows=0] - The number of lines to skip at the
+ * start of the file, before the header.
+ * @param {string} [options.delimiter=","] - The field delimiter.
+ * @param {string} [options.quote='"'] - The quote character.
+ * @param {string} [options.encoding="utf8"] - The file encoding.
+ * @param {boolean} [options.header=true] - Whether the first line holds the
+ * column names. Columns are named column1..N otherwise.
+ * @param {string[]} [options.names] - The column names to use instead.
+ * @param {number} [chunkSize=Infinity] - The number of rows in each chunk.
+ * @yields {{columns: string[], rows: Array[]}} The column names and the rows
+ * of each chunk.
+ * @throws {Error} Names length does not match data.
+ * @throws {Error} Column does not exist.
+ * @throws {Error} Invalid source.
+ */
+async function* readCSV(source, options = {}, chunkSize = Infinity) {
+  const {
+    usecols,
+    nrows = Infinity,
+    skiprows = 0,
+    delimiter = ",",
+    quote = '"',
+    encoding = "utf8",
+    header = true,
+    names,
+  } = options;
+  // The header is handled here, so that it can be skipped or renamed.
+  const parser = pipeline(
+    openSource(source, encoding),
+    csv({ headers: false, separator: delimiter, quote, skipLines: skiprows }),
+    () => {}
+  );
+
+  let columns = null;
+  let positions = [];
+  let rows = [];
+  let count = 0;
+  let yielded = false;
+  for await (const record of parser) {
+    const cells = Object.values(record);
+    if (columns === null) {
+      let fileColumns = header
+        ? cells
+        : cells.map((_, position) => `column${position + 1}`);
+      if (names) {
+        if (names.length !== cells.length) {
+          throw new Error("Names length does not match data");
+        }
+        fileColumns = names;
+      }
+      positions = selectPositions(fileColumns, usecols);
+      columns = positions.map((position) => fileColumns[position]);
+      if (header) {
+        continue;
+      }
+    }
+    if (count >= nrows) {
+      break;
+    }
+
+    rows.push(
+      positions.map((position) => {
+        const value = cells[position];
+
+        return value === undefined || value === "" ? null : value;
+      })
+    );
+    count++;
+    if (rows.length >= chunkSize) {
+      yield { columns, rows };
+      yielded = true;
+      rows = [];
+    }
+  }
+
+  if (rows.length > 0 || !yielded) {
+    yield { columns: columns || [], rows };
+  }
+}
+
+/**
+ * Formats a table as CSV text, in chunks of rows.
+ * @param {Object} table - The table to format.
+ * @param {number} table.length - The number of rows.
+ * @param {string[]} table.columns - The column names.
+ * @param {Object} table.dtypes - An object mapping column names to dtypes.
+ * @param {Function} table.value - Returns the value at a row position and column.
+ * @param {Object} [options] - The format options.
+ * @param {string[]} [options.columns] - The columns to write, in order.
+ * @param {boolean|string[]} [options.header=true] - Whether to write the
+ * column names, or the names to write instead.
+ * @param {string} [options.delimiter=","] - The field delimiter.
+ * @param {string} [options.quoting="minimal"] - Which fields are quoted:
+ * - `minimal`: those holding the delimiter, a quote or a line break;
+ * - `all`: every field;
+ * - `nonnumeric`: every field but numbers;
+ * - `none`: no field.
+ * @param {string} [options.naRep=""] - The text of missing values.
+ * @param {Function} [options.floatFormat] - Formats the numbers of float
+ * columns.
+ * @param {string} [options.dateFormat] - A pattern such as "YYYY-MM-DD" for
+ * dates, as for `formatDate`. Dates are written in ISO format otherwise,
+ * without the time at midnight UTC.
+ * @returns {Generator<string>} The CSV text, one chunk of lines at a time.
+ * The options are checked before the first chunk is asked for, so that a
+ * file is not opened for invalid ones.
+ * @throws {Error} Column does not exist.
+ * @throws {Error} Header length does not match columns.
+ * @throws {Error} Invalid quoting.
+ * @throws {Error} Field needs quoting.
+ */
+function formatCSV(table, options = {}) {
+  const {
+    columns = table.columns,
+    header = true,
+    quoting = "minimal",
+  } = options;
+  for (const column of columns) {
+    if (!table.columns.includes(column)) {
+      throw new Error("Column does not exist");
+    }
+  }
+  if (Array.isArray(header) && header.length !== columns.length) {
+    throw new Error("Header length does not match columns");
+  }
+  if (!QUOTING.includes(quoting)) {
+    throw new Error(`Invalid quoting '${quoting}'`);
+  }
+
+  return formatLines(table, { ...options, columns, header, quoting });
+}
+
+function* formatLines(table, options) {
+  const {
+    columns,
+    header,
+    delimiter = ",",
+    quoting,
+    naRep = "",
+    floatFormat,
+    dateFormat,
+  } = options;
+  const quote = (text, numeric) => {
+    const special =
+      text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text);
+    if (quoting === "none") {
+      if (special) {
+        throw new Error(`Field needs quoting '${text}'`);
+      }
+
+      return text;
+    }
+    if (
+      quoting === "all" ||
+      (quoting === "nonnumeric" && !numeric) ||
+      special
+    ) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  };
+  const field = (value, column) => {
+    if (isna(value)) {
+      return quote(naRep, false);
+    }
+    if (value instanceof Date && dateFormat) {
+      return quote(formatDate(value, dateFormat), false);
+    }
+    const text = formatValue(value, {
+      floatFormat: table.dtypes[column] === "float" ? floatFormat : undefined,
+    });
+
+    return quote(text, typeof value === "number");
+  };
+  const line = (fields) => `${fields.join(delimiter)}\n`;
+
+  let chunk = "";
+  if (header) {
+    const names = Array.isArray(header) ? header : columns;
+    chunk = line(names.map((name) => quote(String(name), false)));
+  }
+  for (let position = 0; position < table.length; position++) {
+    chunk += line(
+      columns.map((column) => field(table.value(position, column), column))
+    );
+    if ((position + 1) % FORMAT_CHUNK_ROWS === 0) {
+      yield chunk;
+      chunk = "";
+    }
+  }
+  if (chunk !== "") {
+    yield chunk;
+  }
+}
+
+module.exports = {
+  readCSV,
+  formatCSV,
+};
@@ -1,22 +1,120 @@
-const csv = require("csv-parser");
-const csvWriter = require("csv-write-stream");
-const jsonfile = require("jsonfile");
-const fs = require("fs");
+const util = require("util");
+const readline = require("readline");
+const aggregations = require("./aggregations");
+const { GroupBy } = require("./groupby");
+const { merge } = require("./merge");
+const { concat } = require("./concat");
+const { readCSV, formatCSV } = require("./csv");
+const { openSource, readSource, writeTarget } = require("./io");
+const { recordsToColumns, parseOrient, formatOrient } = require("./json");
+const { parseFixedWidth } = require("./fixedwidth");
+const { encodeTable, decodeTable } = require("./binary");
+const { pivotTable, pivot, melt, stack, unstack } = require("./reshape");
+const { LazyFrame } = require("./lazy");
+const { Resampler } = require("./resample");
+const { Rolling, Expanding, EWM } = require("./window");
+const { renderText, renderMarkdown, renderHTML } = require("./format");
+const { Parser, evaluate } = require("./expression");
+const { Schema, schemaError } = require("./schema");
+const { valueKey, rowKey } = require("./hash");
+const {
+  quantile,
+  cumsum,
+  cumprod,
+  rankValues,
+  correlation,
+  covariance,
+  percentLabel,
+  describeNumeric,
+  describeOther,
+} = require("./stats");
+const { isSlice, normalizePosition, slicePositions } = require("./indexing");
+const {
+  positionComparator,
+  sortPositions,
+  selectPositions,
+} = require("./sort");
+const {
+  detectType,
+  inferType,
+  assertType,
+  convertValues,
+  conversionError,
+} = require("./dtypes");
+const { Series } = require("./series");
+const { isna, fillValues, interpolateLinear } = require("./missing");
+const {
+  isTyped,
+  packColumn,
+  takeColumn,
+  toArray,
+  readColumn,
+  valueAt,
+} = require("./storage");
+const { Categorical } = require("./categorical");
+const {
+  MultiIndex,
+  levelPosition,
+  labelAt,
+  takeLabels,
+  indexLevels,
+  fromLevels,
+  labelColumns,
+} = require("./multiindex");
+
+// Gets the values of a Series to store in a column, keeping the categories
+// of categorical Series.
+function seriesValues(series) {
+  if (series.dtype !== "category") {
+    return series.values;
+  }
+  const { cat } = series;
+
+  return new Categorical(Int32Array.from(cat.codes.values), cat.categories, {
+    ordered: cat.ordered,
+  });
+}
 
 /**
- * Represents a DataFrame.
+ * Represents a DataFrame. Values are stored column by column: numeric columns
+ * without missing values are packed into typed arrays, categorical columns
+ * hold codes into their categories, and other columns are kept in plain
+ * arrays.
  * @class
  */
 class DataFrame {
+  #store = new Map();
+  #length = 0;
+  #rows = null;
+  #labelPositions = null;
+  #labelPositionsSource = null;
+  #declaredTypes = {};
+
   /**
    * Creates an instance of DataFrame.
    * @constructor
-   * @param {Array|Array[]} data - The data for the DataFrame.
+   * @param {Array|Array[]|Object} data - The data for the DataFrame: an array
+   * of rows given as arrays or objects, or an object mapping column names to
+   * arrays (or typed arrays, or categoricals) of values.
    * @param {string[]} [columns] - The column names for the DataFrame.
+   * @param {Object} [options] - The DataFrame options.
+   * @param {Array|MultiIndex} [options.index] - The row labels. Rows are
+   * labelled by position when omitted.
+   * @param {string} [options.indexName] - The name of the index. The levels
+   * of a MultiIndex carry their own names.
+   * @param {MultiIndex} [options.columnIndex] - The hierarchical labels of
+   * the columns, one tuple per column.
+   * @param {Object} [options.dtypes] - An object mapping column names to
+   * declared dtypes that take precedence over the detected ones. Columns
+   * declared as 'category' are stored as categoricals.
    * @throws {Error} Invalid input data format.
+   * @throws {Error} Column length mismatch.
+   * @throws {Error} Index length does not match data.
+   * @throws {Error} Column index length does not match columns.
    */
-  constructor(data, columns) {
-    if (Array.isArray(data[0])) {
+  constructor(data, columns, options = {}) {
+    let columnValues;
+    if (Array.isArray(data) && Array.isArray(data[0])) {
       if (
         columns &&
         Array.isArray(columns) &&
@@ -30,69 +128,550 @@ class DataFrame {
         );
       }
 
-      this.data = data.map((row) => {
-        const obj = {};
-        this.columns.forEach((column, index) => {
-          obj[column] = row[index];
-        });
+      columnValues = this.columns.map((_, index) =>
+        data.map((row) => row[index])
+      );
+      this.#length = data.length;
+    } else if (Array.isArray(data)) {
+      this.columns = data[0] ? Object.keys(data[0]) : columns || [];
+      columnValues = this.columns.map((column) =>
+        data.map((row) => row[column])
+      );
+      this.#length = data.length;
+    } else if (data !== null && typeof data === "object") {
+      this.columns = columns || Object.keys(data);
+      columnValues = this.columns.map((column) => {
+        const values = data[column];
+        if (
+          !Array.isArray(values) &&
+          !isTyped(values) &&
+          !(values instanceof Categorical)
+        ) {
+          throw new Error("Invalid input data format");
+        }
 
-        return obj;
+        return values;
       });
-    } else if (Array.isArray(data)) {
-      this.columns = data[0] ? Object.keys(data[0]) : columns;
-      this.data = data;
+      this.#length = columnValues.length > 0 ? columnValues[0].length : 0;
+      if (columnValues.some((values) => values.length !== this.#length)) {
+        throw new Error("Column length mismatch");
+      }
     } else {
       throw new Error("Invalid input data format");
     }
 
+    this.columns.forEach((column, i) => {
+      this.#store.set(column, packColumn(columnValues[i]));
+    });
+
+    const {
+      index = null,
+      indexName = null,
+      columnIndex = null,
+      dtypes = {},
+    } = options;
+    if (index !== null && index.length !== this.#length) {
+      throw new Error("Index length does not match data");
+    }
+    if (columnIndex !== null && columnIndex.length !== this.columns.length) {
+      throw new Error("Column index length does not match columns");
+    }
+    this.index = index;
+    this.indexName = indexName;
+    this.columnIndex = columnIndex;
+    for (const column in dtypes) {
+      if (this.columns.includes(column)) {
+        assertType(dtypes[column]);
+        this.#declaredTypes[column] = dtypes[column];
+        const values = this.#store.get(column);
+        if (dtypes[column] === "category" && !(values instanceof Categorical)) {
+          this.#store.set(column, Categorical.from(values));
+        }
+      }
+    }
     this.dtypes = this.#detectColumnTypes();
   }
 
+  #options(positions) {
+    return {
+      index: positions ? takeLabels(this.index, positions) : this.index,
+      indexName: this.indexName,
+      dtypes: this.#declaredTypes,
+    };
+  }
+
+  #mapColumns(transform, dtypes = {}) {
+    const data = {};
+    for (const column of this.columns) {
+      const values = this.#getColumn(column);
+      const result = transform(values, column);
+      // Columns returned unchanged keep their storage.
+      data[column] = result === values ? this.#store.get(column) : result;
+    }
+
+    return new DataFrame(data, this.columns, {
+      index: this.index,
+      indexName: this.indexName,
+      columnIndex: this.columnIndex,
+      dtypes,
+    });
+  }
+
+  #series(columnName) {
+    const values = this.#getColumnData(columnName);
+
+    return new Series(
+      values instanceof Categorical ? values : toArray(values),
+      {
+        name: columnName,
+        index: this.index,
+      }
+    );
+  }
+
+  #take(positions) {
+    const data = {};
+    for (const column of this.columns) {
+      data[column] = takeColumn(this.#store.get(column), positions);
+    }
+
+    return new DataFrame(data, this.columns, {
+      ...this.#options(positions),
+      columnIndex: this.columnIndex,
+    });
+  }
+
+  // Builds a DataFrame from some of the columns, which keep their labels in
+  // the column index.
+  #columnsFrame(columns, options) {
+    const data = {};
+    for (const column of columns) {
+      data[column] = this.#store.get(column);
+    }
+    const columnIndex =
+      this.columnIndex &&
+      this.columnIndex.take(
+        columns.map((column) => this.columns.indexOf(column))
+      );
+
+    return new DataFrame(data, columns, { columnIndex, ...options });
+  }
+
+  #row(position) {
+    const row = {};
+    for (const column of this.columns) {
+      row[column] = valueAt(this.#store.get(column), position);
+    }
+
+    return row;
+  }
+
+  #findLabel(label) {
+    if (this.index === null) {
+      return Number.isInteger(label) && label >= 0 && label < this.#length
+        ? [label]
+        : [];
+    }
+    if (this.index instanceof MultiIndex) {
+      return this.index.positionsOf(label);
+    }
+    if (this.#labelPositionsSource !== this.index) {
+      this.#labelPositions = new Map();
+      this.index.forEach((value, position) => {
+        if (!this.#labelPositions.has(value)) {
+          this.#labelPositions.set(value, []);
+        }
+        this.#labelPositions.get(value).push(position);
+      });
+      this.#labelPositionsSource = this.index;
+    }
+
+    return this.#labelPositions.get(label) || [];
+  }
+
+  #requireLabel(label) {
+    const positions = this.#findLabel(label);
+    if (positions.length === 0) {
+      throw new Error(`Label '${label}' not found`);
+    }
+
+    return positions;
+  }
+
+  #locate(positions, columns, single) {
+    if (columns !== undefined) {
+      for (const column of Array.isArray(columns) ? columns : [columns]) {
+        if (!this.columns.includes(column)) {
+          throw new Error("Column does not exist");
+        }
+      }
+    }
+
+    if (single) {
+      const row = this.#row(positions[0]);
+      if (columns === undefined) {
+        return row;
+      }
+      if (!Array.isArray(columns)) {
+        return row[columns];
+      }
+      const newRow = {};
+      for (const column of columns) {
+        newRow[column] = row[column];
+      }
+
+      return newRow;
+    }
+
+    if (columns !== undefined && !Array.isArray(columns)) {
+      return new Series(
+        toArray(takeColumn(this.#store.get(columns), positions)),
+        { name: columns, index: this.#options(positions).index }
+      );
+    }
+    const frame = this.#take(positions);
+
+    return columns === undefined ? frame : frame.select(columns);
+  }
+
   #getColumn(columnName) {
-    return this.data.map((row) => row[columnName]);
+    const values = this.#store.get(columnName);
+
+    return Array.isArray(values) ? values : toArray(values);
   }
 
   /**
-   * Returns the underlying data of the DataFrame.
+   * Returns the underlying data of the DataFrame as an array of row objects.
+   * The rows are materialized from the column storage on first access and
+   * cached; changes made to them are not reflected in the DataFrame.
    * @returns {Array} The data of the DataFrame.
    */
   getDataFrame() {
-    return this.data;
+    if (this.#rows === null) {
+      const columnValues = this.columns.map((column) =>
+        readColumn(this.#store.get(column))
+      );
+      this.#rows = Array.from({ length: this.#length }, (_, position) => {
+        const row = {};
+        this.columns.forEach((column, i) => {
+          row[column] = columnValues[i][position];
+        });
+
+        return row;
+      });
+    }
+
+    return this.#rows;
+  }
+
+  /**
+   * The rows of the DataFrame. Same as `getDataFrame()`.
+   * @type {Array}
+   * @readonly
+   */
+  get data() {
+    return this.getDataFrame();
   }
 
   /**
    * Returns a specific row of the DataFrame.
-   * @param {number} index - The index of the row.
-   * @returns {Object} The row at the specified index.
+   * @param {number} index - The position of the row.
+   * @returns {Object} The row at the specified position.
    */
   getRow(index) {
-    if (index > this.data.length) {
+    if (index < 0 || index >= this.#length) {
       throw new Error("Index out of range");
     }
 
-    return this.data[index];
+    return this.#row(index);
+  }
+
+  /**
+   * Selects rows, and optionally columns, by label. Rows are labelled by
+   * position unless an index has been set with `setIndex`. With a
+   * MultiIndex, a label is a tuple of values for the first levels, or a
+   * value of the first level, and matches every row starting with it.
+   * @param {*|Array|Object} rows - A single label, an array of labels, or a
+   * slice object `{ start, stop }` of labels where both ends are included.
+   * An array of values that are not arrays is a single tuple with a
+   * MultiIndex.
+   * @param {string|string[]} [columns] - The column(s) to select.
+   * @returns {Object|DataFrame|Array|*} A row (or a value when a single column is
+   * given) for a unique label, otherwise a DataFrame (or the column values).
+   * @throws {Error} Label not found.
+   */
+  loc(rows, columns) {
+    if (isSlice(rows)) {
+      const start =
+        rows.start === undefined ? 0 : this.#requireLabel(rows.start)[0];
+      const stopPositions =
+        rows.stop === undefined
+          ? [this.#length - 1]
+          : this.#requireLabel(rows.stop);
+      const stop = stopPositions[stopPositions.length - 1];
+
+      return this.#locate(
+        slicePositions({ start, stop: stop + 1 }, this.#length),
+        columns,
+        false
+      );
+    }
+    const tuple =
+      this.index instanceof MultiIndex &&
+      Array.isArray(rows) &&
+      !rows.every(Array.isArray);
+    if (Array.isArray(rows) && !tuple) {
+      const positions = [];
+      for (const label of rows) {
+        positions.push(...this.#requireLabel(label));
+      }
+
+      return this.#locate(positions, columns, false);
+    }
+    const positions = this.#requireLabel(rows);
+
+    return this.#locate(positions, columns, positions.length === 1);
+  }
+
+  /**
+   * Selects rows, and optionally columns, by position.
+   * @param {number|number[]|Object} rows - A position, an array of positions,
+   * or a slice object `{ start, stop, step }` where stop is excluded. Negative
+   * positions count from the end.
+   * @param {number|number[]|Object} [columns] - The column position(s) or slice.
+   * @returns {Object|DataFrame|Array|*} A row (or a value when a single column is
+   * given) for a single position, otherwise a DataFrame (or the column values).
+   * @throws {Error} Index out of range.
+   */
+  iloc(rows, columns) {
+    let columnNames;
+    if (isSlice(columns)) {
+      columnNames = slicePositions(columns, this.columns.length).map(
+        (position) => this.columns[position]
+      );
+    } else if (Array.isArray(columns)) {
+      columnNames = columns.map(
+        (position) =>
+          this.columns[normalizePosition(position, this.columns.length)]
+      );
+    } else if (columns !== undefined) {
+      columnNames =
+        this.columns[normalizePosition(columns, this.columns.length)];
+    }
+
+    if (isSlice(rows)) {
+      return this.#locate(
+        slicePositions(rows, this.#length),
+        columnNames,
+        false
+      );
+    }
+    if (Array.isArray(rows)) {
+      return this.#locate(
+        rows.map((position) => normalizePosition(position, this.#length)),
+        columnNames,
+        false
+      );
+    }
+
+    return this.#locate(
+      [normalizePosition(rows, this.#length)],
+      columnNames,
+      true
+    );
+  }
+
+  /**
+   * Uses columns as the row labels of the DataFrame. Several columns make a
+   * MultiIndex, with one level named after each column.
+   * @param {string|string[]} column - The column(s) to use as the index.
+   * @param {Object} [options] - The index options.
+   * @param {boolean} [options.drop=true] - Whether to remove the columns from the columns.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame labelled by the column
+   * values, or undefined in place.
+   * @throws {Error} Column does not exist.
+   */
+  setIndex(column, { drop = true, inplace = false } = {}) {
+    const keys = Array.isArray(column) ? column : [column];
+    const { index, indexName } = fromLevels(
+      keys.map((key) => toArray(this.#getColumnData(key))),
+      keys
+    );
+    const columns = drop
+      ? this.columns.filter((name) => !keys.includes(name))
+      : this.columns;
+
+    const frame = this.#columnsFrame(columns, {
+      index,
+      indexName,
+      dtypes: this.#declaredTypes,
+    });
+
+    return this.#result(frame, inplace);
+  }
+
+  /**
+   * Restores positional row labels, moving the current labels into a column,
+   * or one column per level of a MultiIndex, named after the level or
+   * `level_0`, `level_1` and so on.
+   * @param {Object} [options] - The index options.
+   * @param {boolean} [options.drop=false] - Whether to discard the labels
+   * instead of inserting them as the first columns.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame labelled by position, or
+   * undefined in place.
+   * @throws {Error} Column already exists.
+   */
+  resetIndex({ drop = false, inplace = false } = {}) {
+    if (drop) {
+      return this.#result(
+        this.#columnsFrame(this.columns, { dtypes: this.#declaredTypes }),
+        inplace
+      );
+    }
+
+    const { arrays, names } = indexLevels(
+      this.index,
+      this.indexName,
+      this.#length
+    );
+    const multi = this.index instanceof MultiIndex;
+    const data = {};
+    const levelColumns = names.map(
+      (name, level) => name || (multi ? `level_${level}` : "index")
+    );
+    levelColumns.forEach((name, level) => {
+      if (this.columns.includes(name) || name in data) {
+        throw new Error("Column already exists");
+      }
+      data[name] = arrays[level];
+    });
+    for (const column of this.columns) {
+      data[column] = this.#store.get(column);
+    }
+
+    const frame = new DataFrame(data, [...levelColumns, ...this.columns], {
+      dtypes: this.#declaredTypes,
+    });
+
+    return this.#result(frame, inplace);
+  }
+
+  /**
+   * Returns the first n rows of the DataFrame.
+   * @param {number} [n=5] - The number of rows to return.
+   * @param {Object} [options] - The head options.
+   * @param {boolean} [options.print=false] - Whether to also print the rows
+   * as a table.
+   * @returns {DataFrame} A new DataFrame with the first n rows.
+   */
+  head(n = 5, { print = false } = {}) {
+    const head = this.#take(slicePositions({ stop: n }, this.#length));
+    if (print) {
+      console.log(head.toString());
+    }
+
+    return head;
+  }
+
+  /**
+   * Returns the last n rows of the DataFrame.
+   * @param {number} [n=5] - The number of rows to return. No row is returned
+   * when it is 0 or less.
+   * @param {Object} [options] - The tail options.
+   * @param {boolean} [options.print=false] - Whether to also print the rows
+   * as a table.
+   * @returns {DataFrame} A new DataFrame with the last n rows.
+   */
+  tail(n = 5, { print = false } = {}) {
+    // A start of -0 would be the first row.
+    const tail = this.#take(
+      n > 0 ? slicePositions({ start: -n }, this.#length) : []
+    );
+    if (print) {
+      console.log(tail.toString());
+    }
+
+    return tail;
+  }
+
+  #table() {
+    return {
+      length: this.#length,
+      columns: this.columns,
+      dtypes: this.dtypes,
+      indexName:
+        this.index instanceof MultiIndex ? this.index.names : this.indexName,
+      label: (position) => labelAt(this.index, position),
+      value: (position, column) => valueAt(this.#store.get(column), position),
+    };
   }
 
   /**
-   * Prints the first n rows of the DataFrame.
-   * @param {number} [n=5] - The number of rows to display.
+   * Renders the DataFrame as an aligned text table, with a header line, a
+   * dtype line and one line per row. Large frames show their first and last
+   * rows and columns around "..." and end with their size.
+   * @param {Object} [options] - The render options.
+   * @param {number} [options.maxRows=60] - The number of rows to show at most.
+   * @param {number} [options.maxColumns=20] - The number of columns to show at most.
+   * @param {number} [options.maxWidth=80] - The width of a line at most.
+   * @param {number} [options.maxColWidth=50] - The width of a value at most.
+   * @param {number} [options.precision=6] - The number of decimals at most for
+   * the numbers of float columns.
+   * @param {Function} [options.floatFormat] - Formats the numbers of float
+   * columns, such as `(x) => x.toFixed(2)`.
+   * @param {boolean} [options.showDtypes=true] - Whether to show the dtype line.
+   * @returns {string} The rendered table.
    */
-  head(n = 5) {
-    const headData = this.data.slice(0, n);
-    console.log(headData);
+  toString(options) {
+    return renderText(this.#table(), options);
+  }
+
+  [util.inspect.custom]() {
+    return this.toString();
+  }
 
-    return headData;
+  /**
+   * Renders the DataFrame as a Markdown table. Every row is included.
+   * @param {Object} [options] - The render options.
+   * @param {boolean} [options.index=true] - Whether to include the row labels.
+   * @param {number} [options.precision=6] - The number of decimals at most for
+   * the numbers of float columns.
+   * @param {Function} [options.floatFormat] - Formats the numbers of float
+   * columns.
+   * @returns {string} The rendered table.
+   */
+  toMarkdown(options) {
+    return renderMarkdown(this.#table(), options);
   }
 
   /**
-   * Prints the last n rows of the DataFrame.
-   * @param {number} [n=5] - The number of rows to display.
+   * Renders the DataFrame as an HTML table. Every row is included and values
+   * are escaped.
+   * @param {Object} [options] - The render options.
+   * @param {string|string[]} [options.classes] - Extra classes for the
+   * `<table>` element, which always has the `dataframe` class.
+   * @param {boolean} [options.index=true] - Whether to include the row labels.
+   * @param {number} [options.precision=6] - The number of decimals at most for
+   * the numbers of float columns.
+   * @param {Function} [options.floatFormat] - Formats the numbers of float
+   * columns.
+   * @returns {string} The rendered table.
    */
-  tail(n = 5) {
-    const tailData = this.data.slice(-n);
-    console.log(tailData);
+  toHTML(options) {
+    return renderHTML(this.#table(), options);
+  }
 
-    return tailData;
+  /**
+   * Gets the number of rows in the DataFrame.
+   * @type {number}
+   * @readonly
+   */
+  get length() {
+    return this.#length;
   }
 
   /**
@@ -101,7 +680,7 @@ class DataFrame {
    * @readonly
    */
   get shape() {
-    const rows = this.data.length;
+    const rows = this.#length;
     const columns = this.columns.length;
 
     return `(${rows}, ${columns})`;
@@ -112,318 +691,2147 @@ class DataFrame {
       throw new Error("Column does not exist");
     }
 
-    return this.data.map((row) => row[columnName]);
+    return this.#store.get(columnName);
+  }
+
+  // The values of a column that can be read by position.
+  #values(columnName) {
+    return readColumn(this.#getColumnData(columnName));
   }
 
   /**
    * Gets the values of a specific column.
    * @param {string} columnName - The name of the column.
-   * @returns {Array} The values of the specified column.
+   * @returns {Series} The values of the specified column.
    */
   get(columnName) {
-    return this.#getColumnData(columnName);
+    return this.#series(columnName);
   }
 
-  #detectColumnType(columnName) {
-    const columnData = this.#getColumn(columnName);
-    const types = Array.from(new Set(columnData.map((value) => typeof value)));
+  /**
+   * Gets the values of a specific column. Alias of `get`.
+   * @param {string} columnName - The name of the column.
+   * @returns {Series} The values of the specified column.
+   */
+  col(columnName) {
+    return this.#series(columnName);
+  }
 
-    return types.length === 1 ? types[0] : "mixed";
+  #detectColumnType(columnName) {
+    return detectType(this.#store.get(columnName));
   }
 
   #detectColumnTypes() {
     const dtypes = {};
     for (const columnName of this.columns) {
-      dtypes[columnName] = this.#detectColumnType(columnName);
+      dtypes[columnName] =
+        this.#declaredTypes[columnName] || this.#detectColumnType(columnName);
     }
 
     return dtypes;
   }
 
   /**
-   * Renames the columns of the DataFrame.
-   * @param {Object} columns - An object mapping old column names to new column names.
+   * Converts columns to other dtypes and updates `dtypes`.
+   * @param {Object} types - An object mapping column names to dtypes: 'int',
+   * 'float', 'boolean', 'datetime', 'string', 'category' or 'object'.
+   * @param {Object} [options] - The conversion options.
+   * @param {string} [options.errors='raise'] - 'raise' throws when a value
+   * cannot be converted, 'coerce' replaces it with null.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with the converted
+   * columns, or undefined in place.
+   * @throws {Error} Failed to convert values. The error's `failures` property
+   * lists the `{ row, column, value, dtype }` of each value that failed.
    */
-  renameColumns(columns) {
-    const newColumns = [];
-    const newData = [];
-    for (const oldColumn of this.columns) {
-      const newColumn = columns[oldColumn] || oldColumn;
-      newColumns.push(newColumn);
+  astype(types, { errors = "raise", inplace = false } = {}) {
+    const { frame, failures } = this.#convert(types);
+    if (failures.length > 0 && errors === "raise") {
+      throw conversionError(failures);
     }
-    for (const row of this.data) {
-      const newRow = {};
-      for (const oldColumn of this.columns) {
-        const newColumn = columns[oldColumn] || oldColumn;
-        newRow[newColumn] = row[oldColumn];
+
+    return this.#result(frame, inplace);
+  }
+
+  #convert(types) {
+    for (const column in types) {
+      if (!this.columns.includes(column)) {
+        throw new Error("Column does not exist");
       }
-      newData.push(newRow);
+      assertType(types[column]);
     }
-    this.columns = newColumns;
-    this.data = newData;
-    this.dtypes = this.#detectColumnTypes();
-  }
 
-  /**
-   * Drops specified columns from the DataFrame.
-   * @param {string|string[]} columns - The column(s) to drop.
-   */
-  dropColumns(columns) {
-    const columnsToDrop = Array.isArray(columns) ? columns : [columns];
-    const newColumns = this.columns.filter(
-      (column) => !columnsToDrop.includes(column)
+    const failures = [];
+    const frame = this.#mapColumns(
+      (values, column) => {
+        const categorical = this.#store.get(column) instanceof Categorical;
+        if (
+          !(column in types) ||
+          (types[column] === "category" && categorical)
+        ) {
+          return values;
+        }
+        const result = convertValues(values, types[column], column);
+        for (const failure of result.failures) {
+          failures.push(failure);
+        }
+
+        return result.values;
+      },
+      { ...this.#declaredTypes, ...types }
     );
-    const newData = this.data.map((row) => {
-      const newRow = {};
-      for (const column of newColumns) {
-        newRow[column] = row[column];
-      }
 
-      return newRow;
-    });
-    this.columns = newColumns;
-    this.data = newData;
-    this.dtypes = this.#detectColumnTypes();
+    return { frame, failures };
   }
 
   /**
-   * Selects specified columns from the DataFrame.
-   * @param {string|string[]} columns - The column(s) to select.
-   * @returns {DataFrame} A new DataFrame with the selected columns.
+   * Checks the DataFrame against a schema.
+   * @param {Schema|Object} schema - The schema, or the fields to create one
+   * from, such as `{ Age: { type: "int", min: 0 } }`.
+   * @param {Object} [options] - The validation options.
+   * @param {boolean} [options.strict=false] - Whether to throw when the
+   * DataFrame does not match the schema.
+   * @returns {{valid: boolean, violations: Object[]}} Whether the DataFrame
+   * matches the schema, and a `{ row, column, rule, value }` entry for each
+   * violation.
+   * @throws {Error} Schema validation failed, in strict mode. The error's
+   * `violations` property holds the violations.
    */
-  select(columns) {
-    const columnsToSelect = Array.isArray(columns) ? columns : [columns];
-    const newColumns = columnsToSelect.filter((column) =>
-      this.columns.includes(column)
-    );
-    const newData = this.data.map((row) => {
-      const newRow = {};
-      for (const column of newColumns) {
-        newRow[column] = row[column];
-      }
+  validate(schema, { strict = false } = {}) {
+    const report = (
+      schema instanceof Schema ? schema : new Schema(schema)
+    ).validate(this);
+    if (strict && !report.valid) {
+      throw schemaError(report.violations);
+    }
 
-      return newRow;
-    });
+    return report;
+  }
 
-    return new DataFrame(newData, newColumns);
+  // Makes the DataFrame take the state of another one, for `inplace` updates.
+  // Both then share the column storage, which is never modified in place.
+  #replaceWith(frame) {
+    this.columns = frame.columns;
+    this.#store = frame.#store;
+    this.#length = frame.#length;
+    this.#rows = null;
+    this.#declaredTypes = frame.#declaredTypes;
+    this.index = frame.index;
+    this.indexName = frame.indexName;
+    this.columnIndex = frame.columnIndex;
+    this.dtypes = frame.dtypes;
   }
 
-  /**
-   * Filters the DataFrame based on a condition.
-   * @param {Function} condition - The condition to filter rows.
-   * @returns {DataFrame} A new DataFrame with filtered rows.
-   */
-  filter(condition) {
-    const filteredData = this.data.filter((row) => condition(row));
+  #result(frame, inplace) {
+    if (!inplace) {
+      return frame;
+    }
+    this.#replaceWith(frame);
 
-    return new DataFrame(filteredData, this.columns);
+    return undefined;
   }
 
   /**
-   * Sorts the DataFrame based on columns.
-   * @param {string[]} columns - The column(s) to sort by.
-   * @param {boolean} [ascending=true] - Whether to sort in ascending order.
-   * @returns {DataFrame} A new DataFrame with sorted rows.
+   * Renames columns. Unchanged columns share their storage with this DataFrame.
+   * @param {Object} options - The rename options.
+   * @param {Object} [options.columns] - An object mapping old column names to
+   * new column names.
+   * @param {Function} [options.mapper] - Maps each column name, after
+   * `columns` is applied, to its new name.
+   * @param {boolean} [options.inplace=false] - Whether to rename the columns
+   * of this DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with the renamed columns,
+   * or undefined in place.
+   * @throws {Error} Duplicate column names.
    */
-  sortBy(columns, ascending = true) {
-    const sortData = [...this.data];
-    sortData.sort((row1, row2) => {
-      for (const column of columns) {
-        const value1 = row1[column];
-        const value2 = row2[column];
-        if (value1 < value2) {
-          return ascending ? -1 : 1;
-        } else if (value1 > value2) {
-          return ascending ? 1 : -1;
-        }
-      }
+  rename({ columns = {}, mapper = (column) => column, inplace = false } = {}) {
+    const names = new Map();
+    for (const column of this.columns) {
+      const name = Object.prototype.hasOwnProperty.call(columns, column)
+        ? columns[column]
+        : column;
+      names.set(column, mapper(name));
+    }
+    if (new Set(names.values()).size !== names.size) {
+      throw new Error("Duplicate column names");
+    }
 
-      return 0;
+    const data = {};
+    const dtypes = {};
+    for (const [column, name] of names) {
+      data[name] = this.#store.get(column);
+      if (column in this.#declaredTypes) {
+        dtypes[name] = this.#declaredTypes[column];
+      }
+    }
+    const frame = new DataFrame(data, Array.from(names.values()), {
+      ...this.#options(),
+      dtypes,
     });
 
-    return new DataFrame(sortData, this.columns);
+    return this.#result(frame, inplace);
   }
 
   /**
-   * Groups the DataFrame by columns.
-   * @param {string[]} columns - The column(s) to group by.
-   * @returns {DataFrame} A new DataFrame with grouped rows.
+   * Renames the columns of the DataFrame.
+   * @param {Object} columns - An object mapping old column names to new column names.
+   * @param {Object} [options] - The rename options.
+   * @param {boolean} [options.inplace=false] - Whether to rename the columns
+   * of this DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with the renamed columns,
+   * or undefined in place.
+   * @throws {Error} Duplicate column names.
    */
-  groupBy(columns) {
-    const groups = new Map();
-    for (const row of this.data) {
-      const key = JSON.stringify(columns.map((column) => row[column]));
-      if (!groups.has(key)) {
-        groups.set(key, []);
-      }
-      groups.get(key).push(row);
-    }
-    const groupData = Array.from(groups.values());
-
-    return new DataFrame(groupData, this.columns);
+  renameColumns(columns, { inplace = false } = {}) {
+    return this.rename({ columns, inplace });
   }
 
   /**
-   * Aggregates column values using specified functions.
-   * @param {Object} aggregations - An object mapping column names to aggregation functions.
-   * @returns {Object} The aggregated values for each column.
+   * Drops columns and rows. The remaining columns share their storage with
+   * this DataFrame when no rows are dropped.
+   * @param {Object} options - The drop options.
+   * @param {string|string[]} [options.columns] - The column(s) to drop.
+   * @param {*|Array} [options.rows] - The label(s) of the rows to drop, or
+   * their positions when rows are labelled by position.
+   * @param {boolean} [options.inplace=false] - Whether to drop from this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame without the dropped columns
+   * and rows, or undefined in place.
+   * @throws {Error} Column does not exist.
+   * @throws {Error} Label not found.
    */
-  aggregate(aggregations) {
-    const aggregatedData = {};
-    for (const columnName in aggregations) {
-      const aggregationFn = aggregations[columnName];
-      if (typeof aggregationFn === "function") {
-        const columnData = this.#getColumn(columnName);
-        aggregatedData[columnName] = aggregationFn(columnData);
-      } else {
-        throw new Error(
-          `Invalid aggregation function for column '${columnName}'`
-        );
+  drop({ columns = [], rows = [], inplace = false } = {}) {
+    const columnsToDrop = Array.isArray(columns) ? columns : [columns];
+    for (const column of columnsToDrop) {
+      if (!this.columns.includes(column)) {
+        throw new Error("Column does not exist");
+      }
+    }
+    const rowsToDrop = Array.isArray(rows) ? rows : [rows];
+    const dropped = new Set();
+    for (const label of rowsToDrop) {
+      for (const position of this.#requireLabel(label)) {
+        dropped.add(position);
       }
     }
 
-    return aggregatedData;
-  }
-
-  /**
-   * Calculates the mean of a numeric column.
-   * @param {string} columnName - The name of the column.
-   * @returns {number} The mean value of the column.
-   */
-  mean(columnName) {
-    const columnData = this.#getColumn(columnName);
-    const sum = columnData.reduce((acc, val) => acc + val, 0);
+    let frame = this.#columnsFrame(
+      this.columns.filter((column) => !columnsToDrop.includes(column)),
+      this.#options()
+    );
+    if (dropped.size > 0) {
+      frame = frame.#take(
+        Array.from({ length: this.#length }, (_, position) => position).filter(
+          (position) => !dropped.has(position)
+        )
+      );
+    }
 
-    return sum / columnData.length;
+    return this.#result(frame, inplace);
   }
 
   /**
-   * Calculates the median of a numeric column.
-   * @param {string} columnName - The name of the column.
-   * @returns {number} The median value of the column.
-   */
-  median(columnName) {
-    const columnData = this.#getColumn(columnName);
-    const sortedData = columnData.sort((a, b) => a - b);
-    const mid = Math.floor(sortedData.length / 2);
-    if (sortedData.length % 2 === 0) {
-      return (sortedData[mid - 1] + sortedData[mid]) / 2;
-    } else {
-      return sortedData[mid];
-    }
+   * Drops specified columns from the DataFrame.
+   * @param {string|string[]} columns - The column(s) to drop.
+   * @param {Object} [options] - The drop options.
+   * @param {boolean} [options.inplace=false] - Whether to drop from this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame without the dropped
+   * columns, or undefined in place.
+   * @throws {Error} Column does not exist.
+   */
+  dropColumns(columns, { inplace = false } = {}) {
+    return this.drop({ columns, inplace });
   }
 
   /**
-   * Calculates the mode of a column.
-   * @param {string} columnName - The name of the column.
-   * @returns {Array} The mode(s) of the column.
+   * Adds or replaces columns. Each new column can use the columns assigned
+   * before it, and the other columns share their storage with this DataFrame.
+   * @param {Object} columns - An object mapping column names to their values:
+   * a function called with each row and its position, an array, Series or
+   * categorical with one value per row, or a single value for every row.
+   * Categorical Series keep their categories.
+   * @param {Object} [options] - The assign options.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with the assigned
+   * columns, or undefined in place.
+   * @throws {Error} Length mismatch.
    */
-  mode(columnName) {
-    const columnData = this.#getColumn(columnName);
-    const frequencyMap = {};
-    let maxFrequency = 0;
-    let modes = [];
-
-    for (const value of columnData) {
-      frequencyMap[value] = frequencyMap[value] + 1 || 1;
-      if (frequencyMap[value] > maxFrequency) {
-        maxFrequency = frequencyMap[value];
-        modes = [value];
-      } else if (frequencyMap[value] === maxFrequency) {
-        modes.push(value);
+  assign(columns, { inplace = false } = {}) {
+    let frame = this;
+    for (const column in columns) {
+      const value = columns[column];
+      let values;
+      if (typeof value === "function") {
+        values = Array.from({ length: frame.#length }, (_, position) =>
+          value(frame.#row(position), position)
+        );
+      } else if (
+        value instanceof Series ||
+        value instanceof Categorical ||
+        Array.isArray(value) ||
+        isTyped(value)
+      ) {
+        values = value instanceof Series ? seriesValues(value) : value;
+        if (values.length !== frame.#length) {
+          throw new Error("Length mismatch");
+        }
+      } else {
+        values = new Array(frame.#length).fill(value);
       }
+      frame = frame.#withColumn(column, values);
     }
 
-    return modes;
+    return this.#result(frame, inplace);
   }
 
   /**
-   * Calculates the standard deviation of a numeric column.
-   * @param {string} columnName - The name of the column.
-   * @returns {number} The standard deviation of the column.
-   */
-  std(columnName) {
-    const columnData = this.#getColumn(columnName);
-    const mean = this.mean(columnName);
-    const sumSquaredDiff = columnData.reduce(
-      (acc, val) => acc + Math.pow(val - mean, 2),
-      0
-    );
-    const variance = sumSquaredDiff / columnData.length;
-
-    return Math.sqrt(variance);
+   * Calls a function with the DataFrame, so that functions taking a
+   * DataFrame can be chained like methods.
+   * @param {Function} fn - The function, called with the DataFrame and `args`.
+   * @param {...*} args - The other arguments of the function.
+   * @returns {*} The result of the function.
+   */
+  pipe(fn, ...args) {
+    return fn(this, ...args);
   }
 
   /**
-   * Creates a DataFrame from a CSV file.
-   * @static
-   * @param {string} file - The path to the CSV file.
-   * @returns {Promise<DataFrame>} A Promise that resolves to a DataFrame.
+   * Starts a lazy plan over the DataFrame. Operations on the returned
+   * LazyFrame are recorded rather than run, then optimized and run together
+   * by its `collect` method.
+   * @returns {LazyFrame} A LazyFrame reading this DataFrame.
+   */
+  lazy() {
+    return LazyFrame.fromDataFrame(this);
+  }
+
+  /**
+   * Selects specified columns from the DataFrame.
+   * @param {string|string[]} columns - The column(s) to select.
+   * @param {Object} [options] - The select options.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with the selected
+   * columns, or undefined in place.
+   */
+  select(columns, { inplace = false } = {}) {
+    const columnsToSelect = Array.isArray(columns) ? columns : [columns];
+    const newColumns = columnsToSelect.filter((column) =>
+      this.columns.includes(column)
+    );
+
+    return this.#result(
+      this.#columnsFrame(newColumns, this.#options()),
+      inplace
+    );
+  }
+
+  /**
+   * Filters the DataFrame based on a condition.
+   * @param {Function|Series|boolean[]} condition - The condition to filter
+   * rows, or a boolean mask with one value per row.
+   * @param {Object} [options] - The filter options.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with filtered rows, or
+   * undefined in place.
+   * @throws {Error} Length mismatch.
+   */
+  filter(condition, { inplace = false } = {}) {
+    const positions = [];
+    if (condition instanceof Series || Array.isArray(condition)) {
+      const mask = condition instanceof Series ? condition.values : condition;
+      if (mask.length !== this.#length) {
+        throw new Error("Length mismatch");
+      }
+      for (let position = 0; position < this.#length; position++) {
+        if (mask[position]) {
+          positions.push(position);
+        }
+      }
+    } else {
+      this.getDataFrame().forEach((row, position) => {
+        if (condition(row, position)) {
+          positions.push(position);
+        }
+      });
+    }
+
+    return this.#result(this.#take(positions), inplace);
+  }
+
+  #scope(variables) {
+    return {
+      length: this.#length,
+      column: (name) => this.#values(name),
+      variables,
+    };
+  }
+
+  #withColumn(column, values) {
+    const columns = this.columns.includes(column)
+      ? this.columns
+      : [...this.columns, column];
+    const data = {};
+    for (const name of columns) {
+      data[name] = name === column ? values : this.#store.get(name);
+    }
+    const dtypes = { ...this.#declaredTypes };
+    delete dtypes[column];
+
+    return new DataFrame(data, columns, {
+      index: this.index,
+      indexName: this.indexName,
+      dtypes,
+    });
+  }
+
+  /**
+   * Filters rows with a boolean expression, such as
+   * `"Age > 30 and Name in ['Jane', 'Bob']"`. Expressions are parsed and
+   * evaluated without running JavaScript, so they can come from user input.
+   * They may use:
+   * - column names, in backticks when they are not plain identifiers;
+   * - numbers, quoted strings, `true`, `false` and `null`;
+   * - `@name` references to the `variables` option;
+   * - arithmetic (`+ - * / % **`) and comparisons (`== != < <= > >=`);
+   * - `and`, `or` and `not` (or `&&`, `||` and `!`);
+   * - `in` and `not in` with a list such as `[1, 2]` or a variable;
+   * - `is null` and `is not null`;
+   * - the string methods `lower()`, `upper()`, `strip()`, `len()`,
+   *   `startswith(s)`, `endswith(s)` and `contains(s)`, as in
+   *   `Name.startswith('J')` or `Name.str.startswith('J')`.
+   *
+   * Arithmetic on missing values gives null, and comparisons with them are
+   * false. Dates compare with each other and with date strings.
+   * @param {string} expression - The expression.
+   * @param {Object} [options] - The query options.
+   * @param {Object} [options.variables] - The values of `@name` references.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with the rows where the
+   * expression is true, or undefined in place.
+   * @throws {Error} Syntax errors, unknown columns and unknown variables, with
+   * their position in the expression stored in the `position` property.
+   */
+  query(expression, { variables, inplace = false } = {}) {
+    const node = new Parser(expression).parseExpression();
+
+    return this.#result(
+      this.filter(evaluate(node, this.#scope(variables))),
+      inplace
+    );
+  }
+
+  /**
+   * Evaluates an expression for every row, in the language of `query`. An
+   * expression such as `"Price * Qty"` gives a Series. Assignments such as
+   * `"Total = Price * Qty"`, separated by semicolons or newlines, give a new
+   * DataFrame with the assigned columns added or replaced; each assignment
+   * can use the columns assigned before it.
+   * @param {string} expression - The expression or assignments.
+   * @param {Object} [options] - The evaluation options.
+   * @param {Object} [options.variables] - The values of `@name` references.
+   * @param {boolean} [options.inplace=false] - Whether to add the assigned
+   * columns to this DataFrame instead of returning a new one.
+   * @returns {Series|DataFrame|undefined} The values of the expression, or a
+   * new DataFrame with the assigned columns, or undefined in place.
+   * @throws {Error} Syntax errors, unknown columns and unknown variables, with
+   * their position in the expression stored in the `position` property.
+   */
+  eval(expression, { variables, inplace = false } = {}) {
+    const node = new Parser(expression).parseStatements();
+    if (node.type !== "statements") {
+      return new Series(evaluate(node, this.#scope(variables)), {
+        index: this.index,
+      });
+    }
+
+    let frame = this;
+    for (const { target, value } of node.assignments) {
+      frame = frame.#withColumn(
+        target,
+        evaluate(value, frame.#scope(variables))
+      );
+    }
+
+    return this.#result(frame, inplace);
+  }
+
+  /**
+   * Detects missing values: null, undefined, NaN and the sentinels set with `setNaValues`.
+   * @returns {DataFrame} A new DataFrame of booleans, true where a value is missing.
+   */
+  isna() {
+    return this.#mapColumns((values) => values.map((value) => isna(value)));
+  }
+
+  /**
+   * Detects non-missing values.
+   * @returns {DataFrame} A new DataFrame of booleans, true where a value is present.
+   */
+  notna() {
+    return this.#mapColumns((values) => values.map((value) => !isna(value)));
+  }
+
+  /**
+   * Drops the rows with missing values.
+   * @param {Object} [options] - The drop options.
+   * @param {string[]} [options.subset] - The columns to inspect. Defaults to all columns.
+   * @param {string} [options.how='any'] - 'any' drops rows with a missing
+   * value, 'all' drops rows where every value is missing.
+   * @param {number} [options.thresh] - Keeps rows with at least this many
+   * non-missing values, overriding `how`.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame without the dropped rows,
+   * or undefined in place.
+   * @throws {Error} Column does not exist.
+   */
+  dropna({ subset = this.columns, how = "any", thresh, inplace = false } = {}) {
+    if (how !== "any" && how !== "all") {
+      throw new Error(`Invalid how '${how}'`);
+    }
+    for (const column of subset) {
+      if (!this.columns.includes(column)) {
+        throw new Error("Column does not exist");
+      }
+    }
+
+    const subsetValues = subset.map((column) => this.#values(column));
+    const positions = [];
+    for (let position = 0; position < this.#length; position++) {
+      const present = subsetValues.filter(
+        (values) => !isna(values[position])
+      ).length;
+      let keep;
+      if (thresh !== undefined) {
+        keep = present >= thresh;
+      } else if (how === "all") {
+        keep = present > 0;
+      } else {
+        keep = present === subset.length;
+      }
+      if (keep) {
+        positions.push(position);
+      }
+    }
+
+    return this.#result(this.#take(positions), inplace);
+  }
+
+  /**
+   * Fills missing values. Categorical columns stay categorical, with a new
+   * replacement value added as a category.
+   * @param {*|Object|string} value - The replacement value, an object mapping
+   * column names to replacement values, or 'ffill' / 'bfill' to propagate the
+   * previous or next non-missing value.
+   * @param {Object} [options] - The fill options.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with the missing values
+   * filled, or undefined in place.
+   */
+  fillna(value, { inplace = false } = {}) {
+    const perColumn =
+      value !== null &&
+      typeof value === "object" &&
+      Object.getPrototypeOf(value) === Object.prototype;
+
+    // Categorical columns are filled through their codes.
+    const fill = (values, column, fillValue) => {
+      const stored = this.#store.get(column);
+
+      return stored instanceof Categorical
+        ? stored.fillna(fillValue)
+        : fillValues(values, fillValue);
+    };
+    const frame = this.#mapColumns((values, column) => {
+      if (!perColumn) {
+        return fill(values, column, value);
+      }
+
+      return column in value ? fill(values, column, value[column]) : values;
+    });
+
+    return this.#result(frame, inplace);
+  }
+
+  /**
+   * Fills missing values of the numeric columns by linear interpolation.
+   * Trailing missing values take the last non-missing value and leading
+   * missing values are kept.
+   * @param {Object} [options] - The interpolation options.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with the missing values
+   * interpolated, or undefined in place.
+   */
+  interpolate({ inplace = false } = {}) {
+    const frame = this.#mapColumns((values) => {
+      const numeric = values.every(
+        (value) => isna(value) || typeof value === "number"
+      );
+
+      return numeric ? interpolateLinear(values) : values;
+    });
+
+    return this.#result(frame, inplace);
+  }
+
+  #rowKeys(columns) {
+    const keys = columns.map((column) => this.#values(column));
+
+    return Array.from({ length: this.#length }, (_, position) =>
+      rowKey(keys.map((values) => values[position]))
+    );
+  }
+
+  /**
+   * Marks the rows that repeat another row. Values are compared as by
+   * `valueKey`: dates by time, numbers whatever their storage, and missing
+   * values equal to each other.
+   * @param {Object} [options] - The duplicate options.
+   * @param {string|string[]} [options.subset] - The columns to compare.
+   * Defaults to all columns.
+   * @param {string|boolean} [options.keep="first"] - Which of the repeated
+   * rows is not marked: "first", "last", or false to mark them all.
+   * @returns {Series} A boolean Series, true for the duplicate rows.
+   * @throws {Error} Column does not exist.
+   * @throws {Error} Invalid keep.
+   */
+  duplicated({ subset = this.columns, keep = "first" } = {}) {
+    if (keep !== "first" && keep !== "last" && keep !== false) {
+      throw new Error(`Invalid keep '${keep}'`);
+    }
+    const keys = this.#rowKeys(Array.isArray(subset) ? subset : [subset]);
+    const mask = new Array(this.#length).fill(false);
+    if (keep === false) {
+      const counts = new Map();
+      for (const key of keys) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      keys.forEach((key, position) => {
+        mask[position] = counts.get(key) > 1;
+      });
+    } else {
+      const seen = new Set();
+      for (let i = 0; i < this.#length; i++) {
+        const position = keep === "first" ? i : this.#length - 1 - i;
+        mask[position] = seen.has(keys[position]);
+        seen.add(keys[position]);
+      }
+    }
+
+    return new Series(mask, { index: this.index });
+  }
+
+  /**
+   * Drops the rows that repeat another row, compared as by `duplicated`.
+   * @param {Object} [options] - The duplicate options.
+   * @param {string|string[]} [options.subset] - The columns to compare.
+   * Defaults to all columns.
+   * @param {string|boolean} [options.keep="first"] - Which of the repeated
+   * rows to keep: "first", "last", or false to drop them all.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame without the duplicate
+   * rows, or undefined in place.
+   * @throws {Error} Column does not exist.
+   * @throws {Error} Invalid keep.
+   */
+  dropDuplicates({ subset, keep, inplace = false } = {}) {
+    const mask = this.duplicated({ subset, keep }).values;
+    const positions = [];
+    for (let position = 0; position < this.#length; position++) {
+      if (!mask[position]) {
+        positions.push(position);
+      }
+    }
+
+    return this.#result(this.#take(positions), inplace);
+  }
+
+  /**
+   * Returns the distinct values of a column in order of appearance, compared
+   * as by `duplicated`.
+   * @param {string} columnName - The name of the column.
+   * @returns {Array} The distinct values.
+   * @throws {Error} Column does not exist.
+   */
+  unique(columnName) {
+    return this.#series(columnName).unique();
+  }
+
+  /**
+   * Counts the distinct values of a column, or of each column.
+   * @param {string} [columnName] - The name of the column. When omitted, the
+   * options may be passed first.
+   * @param {Object} [options] - The count options.
+   * @param {boolean} [options.skipna=true] - Whether to leave missing values
+   * uncounted.
+   * @returns {number|Series} The number of distinct values of the column, or
+   * a Series of numbers labelled by the column names.
+   * @throws {Error} Column does not exist.
+   */
+  nunique(columnName, options) {
+    if (typeof columnName === "string") {
+      return aggregations.nunique(this.#values(columnName), options);
+    }
+
+    return new Series(
+      this.columns.map((column) =>
+        aggregations.nunique(this.#values(column), columnName || options)
+      ),
+      { index: this.columns }
+    );
+  }
+
+  /**
+   * Sorts the DataFrame based on columns.
+   * @param {string[]} columns - The column(s) to sort by.
+   * @param {boolean} [ascending=true] - Whether to sort in ascending order.
+   * @param {Object} [options] - The sort options.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with sorted rows, or
+   * undefined in place.
+   */
+  sortBy(columns, ascending = true, { inplace = false } = {}) {
+    return this.sortValues({ by: columns, ascending, inplace });
+  }
+
+  #sortKeys(values, key, column) {
+    return key ? Array.from(values, (value) => key(value, column)) : values;
+  }
+
+  /**
+   * Sorts the rows by the values of columns, compared as follows: numbers,
+   * dates and booleans by value, strings as numbers when every string of
+   * the column holds one, by code point or with the collation of `locale`
+   * otherwise, values of different types by type, and categorical values in
+   * the order of their categories. The sort is stable, so rows with equal
+   * keys keep their order.
+   * @param {Object} options - The sort options.
+   * @param {string|string[]} options.by - The column(s) to sort by, in order
+   * of priority.
+   * @param {boolean|boolean[]} [options.ascending=true] - The direction of
+   * all columns, or of each one.
+   * @param {string} [options.naPosition="last"] - Where missing values go,
+   * "first" or "last", whatever the direction.
+   * @param {Function} [options.key] - Maps each value, called with the value
+   * and its column name, to the value to sort by.
+   * @param {string} [options.locale] - The locale whose collation orders strings.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with sorted rows, or
+   * undefined in place.
+   * @throws {Error} Column does not exist.
+   * @throws {Error} Ascending length does not match by.
+   * @throws {Error} Invalid naPosition.
+   */
+  sortValues(options) {
+    const { by, ascending = true, naPosition, key, locale } = options;
+    const columns = Array.isArray(by) ? by : [by];
+    const directions = Array.isArray(ascending)
+      ? ascending
+      : columns.map(() => ascending);
+    if (directions.length !== columns.length) {
+      throw new Error("Ascending length does not match by");
+    }
+    const keys = columns.map((column) => {
+      const values = this.#getColumnData(column);
+      if (values instanceof Categorical && !key) {
+        return Array.from(values.codes, (code) => (code === -1 ? null : code));
+      }
+
+      return this.#sortKeys(readColumn(values), key, column);
+    });
+    const positions = sortPositions(keys, this.#length, {
+      ascending: directions,
+      naPosition,
+      locale,
+    });
+
+    return this.#result(this.#take(positions), options.inplace);
+  }
+
+  /**
+   * Sorts the rows by their labels, compared as by `sortValues`. The labels
+   * of a MultiIndex are sorted level by level.
+   * @param {Object} [options] - The sort options.
+   * @param {number|string|Array} [options.level] - The level(s) to sort by
+   * first, by name or position. The other levels break ties, in order.
+   * @param {boolean|boolean[]} [options.ascending=true] - The direction of
+   * every level, or of each level given in `level`.
+   * @param {string} [options.naPosition="last"] - Where missing labels go,
+   * "first" or "last".
+   * @param {Function} [options.key] - Maps each label, called with the label
+   * and the level name, to the value to sort by.
+   * @param {string} [options.locale] - The locale whose collation orders strings.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame with sorted rows, or
+   * undefined in place.
+   * @throws {Error} Level not found.
+   * @throws {Error} Invalid naPosition.
+   */
+  sortIndex(options = {}) {
+    const { level = [], ascending = true, naPosition, key, locale } = options;
+    const { arrays, names } = indexLevels(
+      this.index,
+      this.indexName,
+      this.#length
+    );
+    const first = (Array.isArray(level) ? level : [level]).map((name) =>
+      levelPosition(names, name)
+    );
+    const order = [
+      ...first,
+      ...names.map((_, i) => i).filter((i) => !first.includes(i)),
+    ];
+    const positions = sortPositions(
+      order.map((i) => this.#sortKeys(arrays[i], key, names[i])),
+      this.#length,
+      {
+        ascending: order.map((_, k) =>
+          Array.isArray(ascending) ? ascending[k] !== false : ascending
+        ),
+        naPosition,
+        locale,
+      }
+    );
+
+    return this.#result(this.#take(positions), options.inplace);
+  }
+
+  #select(n, columns, keep, ascending) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error(`Invalid n '${n}'`);
+    }
+    if (keep !== "first" && keep !== "last") {
+      throw new Error(`Invalid keep '${keep}'`);
+    }
+    const keys = (Array.isArray(columns) ? columns : [columns]).map((column) =>
+      this.#values(column)
+    );
+    const compareKeys = positionComparator(keys, {
+      ascending: keys.map(() => ascending),
+    });
+    const positions = [];
+    for (let position = 0; position < this.#length; position++) {
+      if (!keys.some((values) => isna(values[position]))) {
+        positions.push(position);
+      }
+    }
+    // Ties are broken by position, so that selection is deterministic.
+    const tieOrder = keep === "first" ? 1 : -1;
+
+    return this.#take(
+      selectPositions(
+        positions,
+        n,
+        (a, b) => compareKeys(a, b) || tieOrder * (a - b)
+      )
+    );
+  }
+
+  /**
+   * Returns the n rows with the largest values of columns, in descending
+   * order, without sorting every row. Rows with missing values are skipped.
+   * @param {number} n - The number of rows to return.
+   * @param {string|string[]} columns - The column(s) to order by, in order of
+   * priority.
+   * @param {Object} [options] - The selection options.
+   * @param {string} [options.keep="first"] - Which of tied rows to prefer:
+   * "first" or "last" in order of appearance.
+   * @returns {DataFrame} A new DataFrame with the selected rows.
+   * @throws {Error} Column does not exist.
+   */
+  nlargest(n, columns, { keep = "first" } = {}) {
+    return this.#select(n, columns, keep, false);
+  }
+
+  /**
+   * Returns the n rows with the smallest values of columns, in ascending
+   * order, without sorting every row. Rows with missing values are skipped.
+   * @param {number} n - The number of rows to return.
+   * @param {string|string[]} columns - The column(s) to order by, in order of
+   * priority.
+   * @param {Object} [options] - The selection options.
+   * @param {string} [options.keep="first"] - Which of tied rows to prefer:
+   * "first" or "last" in order of appearance.
+   * @returns {DataFrame} A new DataFrame with the selected rows.
+   * @throws {Error} Column does not exist.
+   */
+  nsmallest(n, columns, { keep = "first" } = {}) {
+    return this.#select(n, columns, keep, true);
+  }
+
+  /**
+   * Ranks the values of each column from 1, comparing them as `sortValues`
+   * does. Missing values get a null rank.
+   * @param {Object} [options] - The rank options.
+   * @param {string} [options.method="average"] - The rank of tied values:
+   * `average`, `min`, `max`, `dense` (like `min`, but ranks grow by 1 between
+   * groups of ties) or `first` (in order of appearance).
+   * @param {boolean} [options.ascending=true] - Whether the smallest value
+   * ranks first.
+   * @param {string} [options.locale] - The locale whose collation orders strings.
+   * @param {boolean} [options.inplace=false] - Whether to update this
+   * DataFrame instead of returning a new one.
+   * @returns {DataFrame|undefined} A new DataFrame of ranks, or undefined
+   * in place.
+   * @throws {Error} Invalid rank method.
+   */
+  rank(options = {}) {
+    return this.#result(
+      this.#mapColumns((values) => rankValues(values, options)),
+      options.inplace
+    );
+  }
+
+  /**
+   * Groups the DataFrame by columns.
+   * @param {string|string[]} columns - The column(s) to group by.
+   * @param {Object} [options] - The grouping options.
+   * @param {boolean} [options.observed=false] - Whether to leave out the
+   * empty groups of categories no row has, when grouping by categorical
+   * columns only.
+   * @param {boolean} [options.asIndex=false] - Whether aggregates use the
+   * group keys as their index, a MultiIndex for several keys.
+   * @returns {GroupBy} A GroupBy object for split-apply-combine operations.
+   */
+  groupBy(columns, options) {
+    return new GroupBy(this, columns, options);
+  }
+
+  /**
+   * Splits the DataFrame into consecutive time bins, labelled by their start
+   * in UTC. Empty bins between the first and last date are kept.
+   * @param {string} frequency - The bin frequency, such as "1D", "1W" (weeks
+   * starting on Monday) or "1M".
+   * @param {Object} [options] - The resample options.
+   * @param {string} [options.on] - The datetime column to bin by. The index
+   * is used when omitted.
+   * @returns {Resampler} The bins, with agg, sum, mean, min, max and count methods.
+   */
+  resample(frequency, options) {
+    return new Resampler(this, frequency, options);
+  }
+
+  /**
+   * Creates a moving window over the numeric columns.
+   * @param {number|string} window - The number of rows in each window, or a
+   * time span such as "7D" over the dates in the `on` column or the index.
+   * @param {Object} [options] - The window options.
+   * @param {number} [options.minPeriods] - The number of non-missing values
+   * a window needs to produce a result.
+   * @param {string} [options.on] - The datetime column for time windows.
+   * @returns {Rolling} The window, with mean, sum, min, max and std methods.
+   */
+  rolling(window, options) {
+    return new Rolling(this, window, options);
+  }
+
+  /**
+   * Creates a window over the numeric columns that grows from the first row
+   * to each row.
+   * @param {Object} [options] - The window options.
+   * @param {number} [options.minPeriods=1] - The number of non-missing values
+   * a window needs to produce a result.
+   * @returns {Expanding} The window, with mean, sum, min, max and std methods.
+   */
+  expanding(options) {
+    return new Expanding(this, options);
+  }
+
+  /**
+   * Creates an exponentially weighted window over the numeric columns.
+   * @param {number} alpha - The smoothing factor, between 0 (excluded) and 1.
+   * @returns {EWM} The window, with mean, sum and std methods.
+   */
+  ewm(alpha) {
+    return new EWM(this, alpha);
+  }
+
+  /**
+   * Merges the DataFrame with another DataFrame using a database-style join.
+   * @param {DataFrame} other - The DataFrame to join with.
+   * @param {Object} [options] - The merge options.
+   * @param {string|string[]} [options.on] - Key column(s) present in both frames.
+   * @param {string|string[]} [options.leftOn] - Key column(s) of this DataFrame.
+   * @param {string|string[]} [options.rightOn] - Key column(s) of the other DataFrame.
+   * @param {string} [options.how='inner'] - One of 'inner', 'left', 'right', 'outer' or 'cross'.
+   * @param {string[]} [options.suffixes=['_x', '_y']] - Suffixes for overlapping column names.
+   * @returns {DataFrame} A new DataFrame with the joined rows.
+   */
+  merge(other, options) {
+    return merge(this, other, options);
+  }
+
+  /**
+   * Appends the rows of other DataFrames to the DataFrame.
+   * @param {DataFrame|DataFrame[]} others - The DataFrame(s) to append.
+   * @param {Object} [options] - The concatenation options, see `DataFrame.concat`.
+   * @returns {DataFrame} A new DataFrame with the appended rows.
+   */
+  append(others, options = {}) {
+    const frames = Array.isArray(others) ? others : [others];
+
+    return DataFrame.concat([this, ...frames], { ...options, axis: 0 });
+  }
+
+  #assertSameColumns(other) {
+    if (
+      other.columns.length !== this.columns.length ||
+      !this.columns.every((column) => other.columns.includes(column))
+    ) {
+      throw new Error("Columns do not match");
+    }
+  }
+
+  // Keys the rows of another DataFrame with the same columns, in the column
+  // order of this one.
+  #otherRowKeys(other) {
+    this.#assertSameColumns(other);
+
+    return new Set(other.#rowKeys(this.columns));
+  }
+
+  #distinctPositions(test) {
+    const keys = this.#rowKeys(this.columns);
+    const seen = new Set();
+    const positions = [];
+    keys.forEach((key, position) => {
+      if (!seen.has(key) && test(key)) {
+        positions.push(position);
+      }
+      seen.add(key);
+    });
+
+    return positions;
+  }
+
+  /**
+   * Returns the distinct rows found in either DataFrame: the rows of this
+   * DataFrame, then those of the other one, without repeats. Rows are
+   * compared as by `duplicated`, whatever the order of the columns.
+   * @param {DataFrame} other - A DataFrame with the same columns.
+   * @returns {DataFrame} A new DataFrame with the columns of this one.
+   * @throws {Error} Columns do not match.
+   */
+  union(other) {
+    this.#assertSameColumns(other);
+
+    return this.append(other.select(this.columns)).dropDuplicates();
+  }
+
+  /**
+   * Returns the distinct rows of this DataFrame that are also in the other
+   * one. Rows are compared as by `duplicated`, whatever the order of the
+   * columns.
+   * @param {DataFrame} other - A DataFrame with the same columns.
+   * @returns {DataFrame} A new DataFrame with the rows in this order.
+   * @throws {Error} Columns do not match.
+   */
+  intersect(other) {
+    const otherKeys = this.#otherRowKeys(other);
+
+    return this.#take(this.#distinctPositions((key) => otherKeys.has(key)));
+  }
+
+  /**
+   * Returns the distinct rows of this DataFrame that are not in the other
+   * one. Rows are compared as by `duplicated`, whatever the order of the
+   * columns.
+   * @param {DataFrame} other - A DataFrame with the same columns.
+   * @returns {DataFrame} A new DataFrame with the rows in this order.
+   * @throws {Error} Columns do not match.
+   */
+  difference(other) {
+    const otherKeys = this.#otherRowKeys(other);
+
+    return this.#take(this.#distinctPositions((key) => !otherKeys.has(key)));
+  }
+
+  /**
+   * Summarizes the DataFrame in a spreadsheet-style pivot table. Rows with a
+   * missing key are left out, and rows and columns are sorted by their keys.
+   * @param {Object} options - The pivot options.
+   * @param {string|string[]} options.index - The column(s) whose values label
+   * the rows, with a MultiIndex for several.
+   * @param {string|string[]} [options.columns] - The column(s) whose values
+   * label the result columns.
+   * @param {string|string[]} [options.values] - The column(s) to aggregate.
+   * Defaults to every other column.
+   * @param {string|Function|Object} [options.aggfunc='mean'] - An aggregation
+   * name or function, or an object mapping value columns to one.
+   * @param {*} [options.fillValue=null] - The value of cells without rows.
+   * @param {boolean} [options.margins=false] - Whether to add an "All" row
+   * and column.
+   * @returns {DataFrame} A new DataFrame with one row per index key, and a
+   * column index when the columns have several levels.
+   */
+  pivotTable(options) {
+    return pivotTable(this, options);
+  }
+
+  /**
+   * Reshapes the DataFrame by the values of two columns, without aggregating.
+   * @param {string} index - The column whose values label the rows.
+   * @param {string} columns - The column whose values label the result columns.
+   * @param {string|string[]} [values] - The column(s) to place in the cells.
+   * @returns {DataFrame} A new DataFrame with one row per index value.
+   * @throws {Error} Index contains duplicate entries.
+   */
+  pivot(index, columns, values) {
+    return pivot(this, index, columns, values);
+  }
+
+  /**
+   * Unpivots the DataFrame from wide to long format.
+   * @param {Object} [options] - The melt options.
+   * @param {string|string[]} [options.idVars=[]] - The column(s) kept as identifiers.
+   * @param {string|string[]} [options.valueVars] - The column(s) to unpivot.
+   * @param {string} [options.varName='variable'] - The name of the column
+   * holding the unpivoted column names.
+   * @param {string} [options.valueName='value'] - The name of the column
+   * holding the values.
+   * @returns {DataFrame} A new DataFrame in long format.
+   */
+  melt(options) {
+    return melt(this, options);
+  }
+
+  /**
+   * Moves the last level of the column labels into the row labels, so each
+   * row becomes one row per value of that level. Columns without a column
+   * index form a single level, which leaves a single "value" column.
+   * @param {Object} [options] - The stack options.
+   * @param {boolean} [options.dropna=true] - Whether to leave out the rows
+   * whose values are all missing.
+   * @returns {DataFrame} A new DataFrame with one more level in its row labels.
+   */
+  stack(options) {
+    return stack(this, options);
+  }
+
+  /**
+   * Moves a level of a MultiIndex into the column labels, the reverse of
+   * `stack`. Each column becomes one column per value of the level, named
+   * after its labels joined with "_", and the levels are kept in
+   * `columnIndex`.
+   * @param {number|string} [level=-1] - The level name or position.
+   * @param {Object} [options] - The unstack options.
+   * @param {*} [options.fillValue=null] - The value of cells without rows.
+   * @returns {DataFrame} A new DataFrame with a column index.
+   * @throws {Error} Index must be a MultiIndex.
+   * @throws {Error} Level not found.
+   * @throws {Error} Index contains duplicate entries.
+   */
+  unstack(level, options) {
+    return unstack(this, level, options);
+  }
+
+  // Builds a DataFrame from some of the columns under new names.
+  #relabelColumns(columns, names, columnIndex) {
+    if (new Set(names).size !== names.length) {
+      throw new Error("Duplicate column names");
+    }
+    const data = {};
+    const dtypes = {};
+    columns.forEach((column, i) => {
+      data[names[i]] = this.#store.get(column);
+      if (column in this.#declaredTypes) {
+        dtypes[names[i]] = this.#declaredTypes[column];
+      }
+    });
+
+    return new DataFrame(data, names, {
+      ...this.#options(),
+      columnIndex,
+      dtypes,
+    });
+  }
+
+  // Gets the values and names of the levels of the row labels (axis 0) or
+  // of the column labels (axis 1).
+  #levels(axis) {
+    if (axis === 0) {
+      return indexLevels(this.index, this.indexName, this.#length);
+    }
+    if (this.columnIndex === null) {
+      return { arrays: [this.columns], names: [null] };
+    }
+    const { tuples, names } = this.columnIndex;
+
+    return {
+      arrays: names.map((_, i) => tuples.map((tuple) => tuple[i])),
+      names,
+    };
+  }
+
+  /**
+   * Selects a cross-section: the rows, or the columns, whose labels have
+   * given values at given levels. Labels that are not a MultiIndex form a
+   * single level.
+   * @param {*|Array} key - The value of the level, or an array of values for
+   * each of several levels.
+   * @param {Object} [options] - The cross-section options.
+   * @param {number|string|Array} [options.level] - The level(s) of the
+   * values, by name or position. Defaults to the first levels.
+   * @param {number} [options.axis=0] - 0 to select rows, 1 to select columns.
+   * @param {boolean} [options.dropLevel=true] - Whether to remove the
+   * matched levels from the labels. Columns keep their names when no level
+   * would remain.
+   * @returns {DataFrame} A new DataFrame with the matching rows or columns.
+   * @throws {Error} Key length does not match levels.
+   * @throws {Error} Level not found.
+   * @throws {Error} Label not found.
+   * @throws {Error} Invalid axis.
+   */
+  xs(key, { level, axis = 0, dropLevel = true } = {}) {
+    const keys = Array.isArray(key) ? key : [key];
+    let levels = level === undefined ? keys.map((_, i) => i) : level;
+    levels = Array.isArray(levels) ? levels : [levels];
+    if (levels.length !== keys.length) {
+      throw new Error("Key length does not match levels");
+    }
+    if (axis !== 0 && axis !== 1) {
+      throw new Error(`Invalid axis '${axis}'`);
+    }
+
+    const { arrays, names } = this.#levels(axis);
+    const matched = levels.map((name) => levelPosition(names, name));
+    const hashes = keys.map(valueKey);
+    const positions = [];
+    for (let position = 0; position < arrays[0].length; position++) {
+      if (
+        matched.every((i, k) => valueKey(arrays[i][position]) === hashes[k])
+      ) {
+        positions.push(position);
+      }
+    }
+    if (positions.length === 0) {
+      throw new Error(`Label '${key}' not found`);
+    }
+    const kept = names
+      .map((_, i) => i)
+      .filter((i) => !dropLevel || !matched.includes(i));
+
+    if (axis === 0) {
+      const frame = this.#take(positions);
+
+      return frame.#columnsFrame(frame.columns, {
+        ...fromLevels(
+          kept.map((i) => positions.map((position) => arrays[i][position])),
+          kept.map((i) => names[i])
+        ),
+        dtypes: this.#declaredTypes,
+      });
+    }
+
+    const columns = positions.map((position) => this.columns[position]);
+    if (kept.length === 0) {
+      return this.#relabelColumns(columns, columns, null);
+    }
+    const labels = labelColumns(
+      positions.map((position) => kept.map((i) => arrays[i][position])),
+      kept.map((i) => names[i])
+    );
+
+    return this.#relabelColumns(columns, labels.columns, labels.columnIndex);
+  }
+
+  /**
+   * Swaps two levels of the row labels, or of the column labels, which are
+   * then renamed after their new order.
+   * @param {number|string} [i=-2] - The first level name or position.
+   * @param {number|string} [j=-1] - The second level name or position.
+   * @param {Object} [options] - The swap options.
+   * @param {number} [options.axis=0] - 0 to swap row levels, 1 to swap
+   * column levels.
+   * @returns {DataFrame} A new DataFrame with the levels swapped.
+   * @throws {Error} Index must be a MultiIndex.
+   * @throws {Error} Level not found.
+   * @throws {Error} Invalid axis.
+   */
+  swaplevel(i = -2, j = -1, { axis = 0 } = {}) {
+    if (axis !== 0 && axis !== 1) {
+      throw new Error(`Invalid axis '${axis}'`);
+    }
+    const index = axis === 0 ? this.index : this.columnIndex;
+    if (!(index instanceof MultiIndex)) {
+      throw new Error("Index must be a MultiIndex");
+    }
+    const swapped = index.swaplevel(i, j);
+    if (axis === 0) {
+      return this.#columnsFrame(this.columns, {
+        ...this.#options(),
+        index: swapped,
+      });
+    }
+    const { columns, columnIndex } = labelColumns(
+      swapped.tuples,
+      swapped.names
+    );
+
+    return this.#relabelColumns(this.columns, columns, columnIndex);
+  }
+
+  /**
+   * Names the columns after their labels in the column index joined with a
+   * separator, and drops the column index, for instance before writing the
+   * DataFrame with `toCSV` or `toJSON`.
+   * @param {string} [separator="_"] - The text between the values of the levels.
+   * @returns {DataFrame} A new DataFrame with flat column names.
+   * @throws {Error} Duplicate column names.
+   */
+  flattenColumns(separator = "_") {
+    const names = this.columnIndex
+      ? this.columnIndex.flatten(separator)
+      : this.columns;
+
+    return this.#relabelColumns(this.columns, names, null);
+  }
+
+  /**
+   * Replaces a MultiIndex with its labels joined with a separator. The name
+   * of the index joins the names of the levels, when they have any.
+   * @param {string} [separator="_"] - The text between the values of the levels.
+   * @returns {DataFrame} A new DataFrame with flat row labels.
+   */
+  flattenIndex(separator = "_") {
+    if (!(this.index instanceof MultiIndex)) {
+      return this.#columnsFrame(this.columns, this.#options());
+    }
+    const { names } = this.index;
+
+    return this.#columnsFrame(this.columns, {
+      ...this.#options(),
+      index: this.index.flatten(separator),
+      indexName: names.some((name) => name !== null)
+        ? names.map((name) => (name === null ? "" : name)).join(separator)
+        : null,
+    });
+  }
+
+  /**
+   * Aggregates column values using specified functions.
+   * @param {Object} aggregations - An object mapping column names to aggregation functions.
+   * @returns {Object} The aggregated values for each column.
+   */
+  aggregate(aggregations) {
+    const aggregatedData = {};
+    for (const columnName in aggregations) {
+      const aggregationFn = aggregations[columnName];
+      if (typeof aggregationFn === "function") {
+        const columnData = toArray(this.#getColumnData(columnName));
+        aggregatedData[columnName] = aggregationFn(columnData);
+      } else {
+        throw new Error(
+          `Invalid aggregation function for column '${columnName}'`
+        );
+      }
+    }
+
+    return aggregatedData;
+  }
+
+  #numericColumns() {
+    return this.columns.filter((column) =>
+      ["int", "float"].includes(this.dtypes[column])
+    );
+  }
+
+  // Reduces one column, or each numeric column into a Series when no column
+  // name is given. The options may then be passed first.
+  #statistic(aggregation, columnName, options) {
+    if (typeof columnName === "string") {
+      return aggregation(this.#values(columnName), options);
+    }
+
+    const columns = this.#numericColumns();
+
+    return new Series(
+      columns.map((column) =>
+        aggregation(this.#values(column), columnName || options)
+      ),
+      { index: columns }
+    );
+  }
+
+  /**
+   * Calculates the mean of a numeric column, or of each numeric column.
+   * @param {string} [columnName] - The name of the column. When omitted, the
+   * options may be passed first.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number|Series} The mean value of the column, or a Series of
+   * means labelled by the numeric column names.
+   */
+  mean(columnName, options) {
+    return this.#statistic(aggregations.mean, columnName, options);
+  }
+
+  /**
+   * Calculates the median of a numeric column, or of each numeric column.
+   * @param {string} [columnName] - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number|Series} The median value of the column, or a Series of
+   * medians labelled by the numeric column names.
+   */
+  median(columnName, options) {
+    return this.#statistic(aggregations.median, columnName, options);
+  }
+
+  /**
+   * Calculates the mode of a column.
+   * @param {string} columnName - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {Array} The mode(s) of the column.
+   */
+  mode(columnName, options) {
+    return aggregations.mode(this.#values(columnName), options);
+  }
+
+  /**
+   * Calculates the variance of a numeric column, or of each numeric column.
+   * @param {string} [columnName] - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @param {number} [options.ddof=0] - The delta degrees of freedom. 0 gives
+   * the population variance and 1 the sample variance.
+   * @returns {number|Series} The variance of the column, or a Series of
+   * variances labelled by the numeric column names.
+   */
+  var(columnName, options) {
+    return this.#statistic(aggregations.var, columnName, options);
+  }
+
+  /**
+   * Calculates the standard deviation of a numeric column, or of each
+   * numeric column.
+   * @param {string} [columnName] - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @param {number} [options.ddof=0] - The delta degrees of freedom. 0 gives
+   * the population standard deviation and 1 the sample standard deviation.
+   * @returns {number|Series} The standard deviation of the column, or a
+   * Series of standard deviations labelled by the numeric column names.
+   */
+  std(columnName, options) {
+    return this.#statistic(aggregations.std, columnName, options);
+  }
+
+  /**
+   * Finds the smallest value of a column, or of each numeric column.
+   * @param {string} [columnName] - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {*|Series} The minimum value, or a Series of minimums labelled
+   * by the numeric column names.
+   */
+  min(columnName, options) {
+    return this.#statistic(aggregations.min, columnName, options);
+  }
+
+  /**
+   * Finds the largest value of a column, or of each numeric column.
+   * @param {string} [columnName] - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {*|Series} The maximum value, or a Series of maximums labelled
+   * by the numeric column names.
+   */
+  max(columnName, options) {
+    return this.#statistic(aggregations.max, columnName, options);
+  }
+
+  /**
+   * Calculates the sum of a numeric column, or of each numeric column.
+   * @param {string} [columnName] - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number|Series} The sum of the column, or a Series of sums
+   * labelled by the numeric column names.
+   */
+  sum(columnName, options) {
+    return this.#statistic(aggregations.sum, columnName, options);
+  }
+
+  /**
+   * Calculates the skewness of a numeric column, or of each numeric column,
+   * adjusted for bias.
+   * @param {string} [columnName] - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number|Series} The skewness of the column, or a Series of
+   * skewnesses labelled by the numeric column names.
+   */
+  skew(columnName, options) {
+    return this.#statistic(aggregations.skew, columnName, options);
+  }
+
+  /**
+   * Calculates the excess kurtosis of a numeric column, or of each numeric
+   * column, adjusted for bias.
+   * @param {string} [columnName] - The name of the column.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number|Series} The kurtosis of the column, or a Series of
+   * kurtoses labelled by the numeric column names.
+   */
+  kurtosis(columnName, options) {
+    return this.#statistic(aggregations.kurtosis, columnName, options);
+  }
+
+  /**
+   * Calculates quantiles of the numeric columns, ignoring missing values.
+   * @param {number|number[]} q - The quantile(s), between 0 and 1.
+   * @param {Object} [options] - The quantile options.
+   * @param {string} [options.interpolation='linear'] - 'linear', 'lower',
+   * 'higher', 'nearest' or 'midpoint'.
+   * @returns {Series|DataFrame} A Series labelled by the numeric column names
+   * for a single quantile, or a DataFrame with one row per quantile, labelled
+   * by the quantiles, for several.
+   * @throws {Error} Invalid quantile.
+   * @throws {Error} Invalid interpolation.
+   */
+  quantile(q, options) {
+    const columns = this.#numericColumns();
+    if (!Array.isArray(q)) {
+      return new Series(
+        columns.map((column) => quantile(this.#values(column), q, options)),
+        { name: q, index: columns }
+      );
+    }
+
+    const data = {};
+    for (const column of columns) {
+      data[column] = quantile(this.#values(column), q, options);
+    }
+
+    return new DataFrame(data, columns, { index: q });
+  }
+
+  /**
+   * Summarizes each column. Numeric columns get their count, mean, sample
+   * standard deviation (ddof 1, unlike `std`), minimum, percentiles and
+   * maximum; other columns get their count, number of distinct values, most
+   * frequent value (`top`) and its frequency (`freq`). Statistics that do not apply to a column are null.
+   * @param {Object} [options] - The summary options.
+   * @param {number[]} [options.percentiles=[0.25, 0.5, 0.75]] - The quantiles
+   * to include, labelled as percentages.
+   * @returns {DataFrame} A new DataFrame with one row per statistic, labelled
+   * by the statistic names.
+   */
+  describe({ percentiles = [0.25, 0.5, 0.75] } = {}) {
+    const numeric = this.#numericColumns();
+    const summaries = {};
+    for (const column of this.columns) {
+      summaries[column] = numeric.includes(column)
+        ? describeNumeric(this.#values(column), percentiles)
+        : describeOther(this.#values(column));
+    }
+
+    const statistics = [];
+    if (numeric.length < this.columns.length) {
+      statistics.push("count", "unique", "top", "freq");
+    }
+    if (numeric.length > 0) {
+      statistics.push(
+        "count",
+        "mean",
+        "std",
+        "min",
+        ...percentiles.map(percentLabel),
+        "max"
+      );
+    }
+    const index = Array.from(new Set(statistics));
+    const data = {};
+    for (const column of this.columns) {
+      data[column] = index.map((statistic) =>
+        statistic in summaries[column] ? summaries[column][statistic] : null
+      );
+    }
+
+    return new DataFrame(data, this.columns, { index });
+  }
+
+  /**
+   * Calculates the cumulative sums of the numeric columns. Missing values
+   * stay null and are skipped.
+   * @returns {DataFrame} A new DataFrame with the numeric columns.
+   */
+  cumsum() {
+    return this.select(this.#numericColumns()).#mapColumns(cumsum);
+  }
+
+  /**
+   * Calculates the cumulative products of the numeric columns. Missing
+   * values stay null and are skipped.
+   * @returns {DataFrame} A new DataFrame with the numeric columns.
+   */
+  cumprod() {
+    return this.select(this.#numericColumns()).#mapColumns(cumprod);
+  }
+
+  #pairwise(statistic, options) {
+    const columns = this.#numericColumns();
+    const data = {};
+    for (const column of columns) {
+      data[column] = columns.map((other) =>
+        statistic(this.#values(other), this.#values(column), options)
+      );
+    }
+
+    return new DataFrame(data, columns, { index: columns });
+  }
+
+  /**
+   * Calculates the correlation of each pair of numeric columns, over the rows
+   * where both values are present.
+   * @param {Object} [options] - The correlation options.
+   * @param {string} [options.method='pearson'] - 'pearson', 'spearman' or 'kendall'.
+   * @returns {DataFrame} A new DataFrame with one row and one column per
+   * numeric column, with the rows labelled by the column names.
+   * @throws {Error} Invalid correlation method.
+   */
+  corr(options) {
+    return this.#pairwise(correlation, options);
+  }
+
+  /**
+   * Calculates the covariance of each pair of numeric columns, over the rows
+   * where both values are present.
+   * @param {Object} [options] - The covariance options.
+   * @param {number} [options.ddof=0] - The delta degrees of freedom. 0 gives
+   * the population covariance and 1 the sample covariance.
+   * @returns {DataFrame} A new DataFrame with one row and one column per
+   * numeric column, with the rows labelled by the column names.
+   */
+  cov(options) {
+    return this.#pairwise(covariance, options);
+  }
+
+  /**
+   * Concatenates DataFrames along rows or columns.
+   * @static
+   * @param {DataFrame[]} frames - The DataFrames to concatenate.
+   * @param {Object} [options] - The concatenation options.
+   * @param {number} [options.axis=0] - 0 to stack vertically, 1 to place side by side.
+   * @param {string} [options.join='outer'] - 'outer' or 'inner'.
+   * @param {boolean} [options.ignoreIndex=false] - Discards the row labels along
+   * axis 0 and relabels the result columns along axis 1.
+   * @returns {DataFrame} A new DataFrame with the concatenated data.
+   */
+  static concat(frames, options) {
+    return concat(frames, options);
+  }
+
+  /**
+   * Counts how often each pair of values occurs in two Series. Pairs with a
+   * missing value are left out.
+   * @static
+   * @param {Series} rowSeries - The values that label the rows.
+   * @param {Series} colSeries - The values that label the columns.
+   * @param {Object} [options] - The crosstab options.
+   * @param {boolean} [options.margins=false] - Whether to add "All" totals.
+   * @returns {DataFrame} A new DataFrame with the rows labelled by the
+   * values of `rowSeries`, named after it (or "row_0"), and one count
+   * column per value of `colSeries`.
+   * @throws {Error} Length mismatch.
+   * @throws {Error} Duplicate column names.
    */
-  static fromCSV(file) {
-    return new Promise((resolve, reject) => {
-      const rows = [];
-      fs.createReadStream(file)
-        .pipe(csv())
-        .on("data", (row) => rows.push(row))
-        .on("end", () => {
-          const columns = Object.keys(rows[0]);
-          resolve(new DataFrame(rows, columns));
-        })
-        .on("error", reject);
+  static crosstab(rowSeries, colSeries, { margins = false } = {}) {
+    if (rowSeries.length !== colSeries.length) {
+      throw new Error("Length mismatch");
+    }
+    const rowName = rowSeries.name === null ? "row_0" : rowSeries.name;
+    const colName = colSeries.name === null ? "col_0" : colSeries.name;
+    if (rowName === colName) {
+      throw new Error("Duplicate column names");
+    }
+
+    const frame = new DataFrame(
+      { [rowName]: rowSeries.values, [colName]: colSeries.values },
+      [rowName, colName]
+    );
+
+    return frame.pivotTable({
+      index: rowName,
+      columns: colName,
+      values: colName,
+      aggfunc: "count",
+      fillValue: 0,
+      margins,
     });
   }
 
   /**
-   * Writes the DataFrame to a CSV file.
-   * @param {string} file - The path to the output CSV file.
-   * @returns {Promise<void>} A Promise that resolves when writing is complete.
+   * Infers and converts the dtypes of a freshly loaded DataFrame.
+   * @param {DataFrame} frame - The loaded DataFrame.
+   * @param {Object} options - The load options.
+   * @returns {DataFrame} A new DataFrame with converted columns.
+   */
+  static #applyDtypes(
+    frame,
+    { dtype = {}, parseDates = [], inferCategories = false, schema }
+  ) {
+    if (schema !== undefined && !(schema instanceof Schema)) {
+      schema = new Schema(schema);
+    }
+    const declared = schema ? schema.dtypes : {};
+    const types = {};
+    for (const column of frame.columns) {
+      const parseColumnDates =
+        parseDates === true ||
+        (Array.isArray(parseDates) && parseDates.includes(column));
+      types[column] =
+        dtype[column] ||
+        declared[column] ||
+        inferType(frame.#getColumn(column), parseColumnDates, inferCategories);
+    }
+    for (const column in dtype) {
+      if (!frame.columns.includes(column)) {
+        throw new Error("Column does not exist");
+      }
+    }
+    if (!schema) {
+      return frame.astype(types);
+    }
+
+    // Values that fail to convert are reported as type violations, and only
+    // as such, rather than as the missing values they become.
+    const { frame: converted, failures } = frame.#convert(types);
+    const failed = new Set(
+      failures.map(({ row, column }) => `${row}:${column}`)
+    );
+    const violations = [
+      ...failures.map(({ row, column, value }) => ({
+        row,
+        column,
+        rule: "type",
+        value,
+      })),
+      ...schema
+        .validate(converted)
+        .violations.filter(
+          ({ row, column }) => !failed.has(`${row}:${column}`)
+        ),
+    ];
+    if (violations.length > 0) {
+      const order = (violation) =>
+        violation.row === null ? -1 : violation.row;
+      violations.sort((a, b) => order(a) - order(b));
+      throw schemaError(violations);
+    }
+
+    return converted;
+  }
+
+  /**
+   * Creates a DataFrame from a CSV file. Empty fields are read as null and
+   * the dtype of each column is inferred from its values.
+   * @static
+   * @param {string|Buffer|Readable} file - The path to the CSV file, a Buffer
+   * holding it, or a Readable stream of it.
+   * @param {Object} [options] - The load options.
+   * @param {Object} [options.dtype] - An object mapping column names to
+   * dtypes that replace the inferred ones.
+   * @param {boolean|string[]} [options.parseDates=[]] - The columns whose
+   * values may be parsed as dates, or true for every column.
+   * @param {boolean} [options.inferCategories=false] - Whether text columns
+   * where at most half of the values are distinct are read as categories.
+   * @param {string[]|Function} [options.usecols] - The columns to read, kept
+   * in file order, or a function called with each column name that returns
+   * whether to read it.
+   * @param {number} [options.nrows] - The maximum number of rows to read.
+   * @param {number} [options.skiprows=0] - The number of lines to skip at the
+   * start of the file, before the header.
+   * @param {string} [options.delimiter=","] - The field delimiter.
+   * @param {string} [options.quote='"'] - The quote character.
+   * @param {string} [options.encoding="utf8"] - The file encoding.
+   * @param {boolean} [options.header=true] - Whether the first line holds the
+   * column names. Columns are named column1..N otherwise.
+   * @param {string[]} [options.names] - The column names to use instead.
+   * @param {Schema|Object} [options.schema] - A schema whose dtypes are used
+   * to convert the columns, after `dtype`, and whose rules the result must
+   * follow. Values that fail to convert are reported as `type` violations.
+   * @returns {Promise<DataFrame>} A Promise that resolves to a DataFrame. It
+   * rejects when a value cannot be converted to the requested dtype, or when
+   * the data does not match the schema, with the violations in the error's
+   * `violations` property.
+   */
+  static async fromCSV(file, options = {}) {
+    let frame;
+    for await (const { columns, rows } of readCSV(file, options)) {
+      frame = new DataFrame(rows, columns);
+    }
+
+    return DataFrame.#applyDtypes(frame, options);
+  }
+
+  /**
+   * Reads a CSV file in chunks of rows, holding only one chunk in memory at a
+   * time. It takes the same options as `fromCSV`. The dtypes are inferred
+   * from the first chunk, or taken from `dtype`, and every later chunk is
+   * converted to them, so that the chunks can be combined; a schema is
+   * checked for each chunk separately.
+   * @static
+   * @param {string|Buffer|Readable} file - The path to the CSV file, a Buffer
+   * holding it, or a Readable stream of it.
+   * @param {Object} [options] - The load options.
+   * @param {number} [options.chunkSize=10000] - The number of rows in each chunk.
+   * @returns {AsyncGenerator<DataFrame>} An async iterator of DataFrames. It
+   * throws when a value of a later chunk cannot be converted to the dtype of
+   * its column, with the failures, counted from the first row of the file,
+   * in the error's `failures` property.
+   * @throws {Error} Invalid chunk size.
+   */
+  static async *readCSVChunks(file, options = {}) {
+    const { chunkSize = 10000 } = options;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new Error(`Invalid chunk size '${chunkSize}'`);
+    }
+
+    let dtype = null;
+    let offset = 0;
+    for await (const { columns, rows } of readCSV(file, options, chunkSize)) {
+      const frame = new DataFrame(rows, columns);
+      let chunk;
+      if (dtype === null) {
+        chunk = DataFrame.#applyDtypes(frame, options);
+        dtype = chunk.dtypes;
+      } else {
+        try {
+          chunk = DataFrame.#applyDtypes(frame, { ...options, dtype });
+        } catch (error) {
+          if (!error.failures) {
+            throw error;
+          }
+          throw conversionError(
+            error.failures.map((failure) => ({
+              ...failure,
+              row: failure.row + offset,
+            }))
+          );
+        }
+      }
+      offset += rows.length;
+      yield chunk;
+    }
+  }
+
+  /**
+   * Starts a lazy plan over a CSV file. Nothing is read until the plan is
+   * collected; then only the columns the plan uses are read, and query
+   * expressions filter the rows a chunk at a time, as they are read. The
+   * dtypes of a filtered scan are inferred from the whole file, in a first
+   * read, and a schema is checked against the whole file.
+   * @static
+   * @param {string|Buffer} file - The path to the CSV file, or a Buffer
+   * holding it.
+   * @param {Object} [options] - The load options, as for `fromCSV`, and
+   * `chunkSize`, as for `readCSVChunks`.
+   * @returns {LazyFrame} A LazyFrame reading the file.
+   */
+  static scanCSV(file, options) {
+    return LazyFrame.scanCSV(file, options);
+  }
+
+  /**
+   * Writes the DataFrame as CSV, a chunk of rows at a time.
+   * @param {string|Writable} [file] - The path to the output CSV file, or a
+   * Writable stream, which is left open. The CSV is returned when omitted.
+   * @param {Object} [options] - The write options.
+   * @param {string[]} [options.columns] - The columns to write, in order.
+   * @param {boolean|string[]} [options.header=true] - Whether to write the
+   * column names, or the names to write instead.
+   * @param {string} [options.delimiter=","] - The field delimiter.
+   * @param {string} [options.quoting="minimal"] - Which fields are quoted:
+   * `minimal` (those that need it), `all`, `nonnumeric` or `none`.
+   * @param {string} [options.naRep=""] - The text of missing values.
+   * @param {Function} [options.floatFormat] - Formats the numbers of float
+   * columns.
+   * @param {string} [options.dateFormat] - A pattern such as "YYYY-MM-DD" for
+   * dates. Dates are written in ISO format otherwise, without the time at
+   * midnight UTC.
+   * @param {boolean} [options.index] - Whether to write the row labels as
+   * leading columns, one per level, named as by `resetIndex`. Defaults to
+   * true when the DataFrame has row labels, and false for positions.
+   * @param {boolean} [options.append=false] - Whether to append to the file
+   * instead of replacing it.
+   * @param {boolean} [options.gzip=false] - Whether to compress the CSV with gzip.
+   * @returns {Promise<string|Buffer|void>} A Promise that resolves once the
+   * CSV is written and flushed, or to the CSV when `file` is omitted, as a
+   * Buffer when compressed. It rejects on invalid options and stream errors,
+   * and an existing file is left untouched when the options are invalid.
    */
-  toCSV(file) {
-    return new Promise((resolve, reject) => {
-      const writer = csvWriter({ headers: this.columns });
-      const rows = this.data.map((row) => this.columns.map((col) => row[col]));
-      writer.pipe(fs.createWriteStream(file));
-      rows.forEach((row) => writer.write(row));
-      writer.end();
-      resolve();
+  async toCSV(file, options = {}) {
+    const { append, gzip, index = this.index !== null } = options;
+    let table = this.#table();
+    let formatOptions = options;
+    if (index) {
+      const labelled = this.resetIndex();
+      const levels = labelled.columns.slice(
+        0,
+        labelled.columns.length - this.columns.length
+      );
+      const { columns = this.columns, header = true } = options;
+      table = labelled.#table();
+      formatOptions = {
+        ...options,
+        columns: [...levels, ...columns],
+        header: Array.isArray(header) ? [...levels, ...header] : header,
+      };
+    }
+
+    return writeTarget(file, formatCSV(table, formatOptions), {
+      append,
+      gzip,
     });
   }
 
   /**
    * Creates a DataFrame from a JSON file.
    * @static
-   * @param {string} file - The path to the JSON file.
-   * @returns {Promise<DataFrame>} A Promise that resolves to a DataFrame.
+   * @param {string|Buffer|Readable} file - The path to the JSON file, a
+   * Buffer holding it, or a Readable stream of it.
+   * @param {Object} [options] - The load options.
+   * @param {string} [options.orient="records"] - The layout of the JSON:
+   * - `records`: `[{column: value}, ...]`;
+   * - `columns`: `{column: {label: value}}`;
+   * - `split`: `{columns: [...], index: [...], data: [[...], ...]}`;
+   * - `index`: `{label: {column: value}}`;
+   * - `values`: `[[...], ...]`, with columns named column1..N.
+   *
+   * Labels that count from "0" are read as positional labels.
+   * @param {Object} [options.dtype] - An object mapping column names to
+   * dtypes that replace the inferred ones.
+   * @param {boolean|string[]} [options.parseDates=[]] - The columns whose
+   * values may be parsed as dates, or true for every column.
+   * @param {boolean} [options.inferCategories=false] - Whether text columns
+   * where at most half of the values are distinct are read as categories.
+   * @param {Schema|Object} [options.schema] - A schema that drives the
+   * conversion and validation of the columns, as for `fromCSV`.
+   * @returns {Promise<DataFrame>} A Promise that resolves to a DataFrame. It
+   * rejects when a value cannot be converted to the requested dtype, or when
+   * the data does not match the schema.
    */
-  static fromJSON(file) {
-    return new Promise((resolve, reject) => {
-      jsonfile.readFile(file, (err, data) => {
-        if (err) {
-          reject(err);
-        } else {
-          const columns = Object.keys(data[0]);
-          resolve(new DataFrame(data, columns));
-        }
-      });
+  static async fromJSON(file, options = {}) {
+    const { orient = "records" } = options;
+    const { columns, data, index } = parseOrient(
+      JSON.parse(await readSource(file)),
+      orient
+    );
+
+    return DataFrame.#applyDtypes(
+      new DataFrame(data, columns, { index }),
+      options
+    );
+  }
+
+  #labels() {
+    if (this.index instanceof MultiIndex) {
+      return this.index.toArray();
+    }
+
+    return this.index === null
+      ? Array.from({ length: this.#length }, (_, position) => position)
+      : this.index;
+  }
+
+  /**
+   * Writes the DataFrame as JSON.
+   * @param {string|Writable} [file] - The path to the output JSON file, or a
+   * Writable stream, which is left open. The JSON is returned when omitted.
+   * @param {Object} [options] - The write options.
+   * @param {string} [options.orient="records"] - The layout of the JSON, as
+   * for `fromJSON`.
+   * @param {boolean} [options.gzip=false] - Whether to compress the JSON with
+   * gzip.
+   * @returns {Promise<string|Buffer|void>} A Promise that resolves once the
+   * JSON is written and flushed, or to the JSON when `file` is omitted, as a
+   * Buffer when compressed. It rejects on invalid options and stream errors.
+   */
+  async toJSON(file, { orient = "records", gzip } = {}) {
+    const json = formatOrient(
+      {
+        columns: this.columns,
+        row: (position) => this.#row(position),
+        length: this.#length,
+        labels: this.#labels(),
+      },
+      orient
+    );
+
+    return writeTarget(file, `${JSON.stringify(json, null, 2)}\n`, { gzip });
+  }
+
+  /**
+   * Creates a DataFrame from newline-delimited JSON, with one record per
+   * line. The lines are read one at a time, and blank lines are skipped.
+   * The columns are those of every record, in order of first appearance.
+   * @static
+   * @param {string|Buffer|Readable} file - The path to the NDJSON file, a
+   * Buffer holding it, or a Readable stream of it.
+   * @param {Object} [options] - The load options: `dtype`, `parseDates`,
+   * `inferCategories` and `schema`, as for `fromJSON`.
+   * @returns {Promise<DataFrame>} A Promise that resolves to a DataFrame. It
+   * rejects when a line does not hold a JSON object.
+   */
+  static async fromNDJSON(file, options = {}) {
+    const lines = readline.createInterface({
+      input: openSource(file),
+      crlfDelay: Infinity,
     });
+    const records = [];
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === "") {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        record = null;
+      }
+      if (
+        record === null ||
+        typeof record !== "object" ||
+        Array.isArray(record)
+      ) {
+        lines.close();
+        throw new Error(`Invalid JSON record at line ${lineNumber}`);
+      }
+      records.push(record);
+    }
+    const { columns, data } = recordsToColumns(records);
+
+    return DataFrame.#applyDtypes(new DataFrame(data, columns), options);
+  }
+
+  *#ndjsonLines() {
+    for (let position = 0; position < this.#length; position++) {
+      yield `${JSON.stringify(this.#row(position))}\n`;
+    }
   }
 
   /**
-   * Writes the DataFrame to a JSON file.
-   * @param {string} file - The path to the output JSON file.
-   * @returns {Promise<void>} A Promise that resolves when writing is complete.
+   * Writes the DataFrame as newline-delimited JSON, with one record per row.
+   * @param {string|Writable} [file] - The path to the output file, or a
+   * Writable stream, which is left open. The text is returned when omitted.
+   * @param {Object} [options] - The write options.
+   * @param {boolean} [options.append=false] - Whether to append the records
+   * to the file instead of replacing it.
+   * @param {boolean} [options.gzip=false] - Whether to compress the text with
+   * gzip.
+   * @returns {Promise<string|Buffer|void>} A Promise that resolves once the
+   * records are written and flushed, or to the text when `file` is omitted,
+   * as a Buffer when compressed. It rejects on stream errors.
    */
-  toJSON(file) {
-    return new Promise((resolve, reject) => {
-      jsonfile.writeFile(file, this.data, { spaces: 2 }, (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve();
-        }
+  async toNDJSON(file, { append, gzip } = {}) {
+    return writeTarget(file, this.#ndjsonLines(), { append, gzip });
+  }
+
+  /**
+   * Creates a DataFrame from fixed-width text, where each column occupies
+   * the same character positions on every line. Values are trimmed, empty
+   * ones are read as null, and the dtype of each column is inferred.
+   * @static
+   * @param {string|Buffer|Readable} file - The path to the text file, a
+   * Buffer holding it, or a Readable stream of it.
+   * @param {Object} [options] - The load options.
+   * @param {Array<[number, number]>} [options.colspecs] - The `[start, end)`
+   * positions of each column.
+   * @param {number[]} [options.widths] - The width of each column, as an
+   * alternative to `colspecs`. The columns are inferred from the first 100
+   * lines when neither is given.
+   * @param {number} [options.skiprows=0] - The number of lines to skip at the
+   * start of the file, before the header.
+   * @param {number} [options.nrows] - The maximum number of rows to read.
+   * @param {boolean} [options.header=true] - Whether the first line holds the
+   * column names. Columns are named column1..N otherwise.
+   * @param {string[]} [options.names] - The column names to use instead.
+   * @param {string} [options.encoding="utf8"] - The file encoding.
+   * @param {Object} [options.dtype] - An object mapping column names to
+   * dtypes that replace the inferred ones.
+   * @param {boolean|string[]} [options.parseDates=[]] - The columns whose
+   * values may be parsed as dates, or true for every column.
+   * @param {boolean} [options.inferCategories=false] - Whether text columns
+   * where at most half of the values are distinct are read as categories.
+   * @param {Schema|Object} [options.schema] - A schema that drives the
+   * conversion and validation of the columns, as for `fromCSV`.
+   * @returns {Promise<DataFrame>} A Promise that resolves to a DataFrame.
+   */
+  static async fromFixedWidth(file, options = {}) {
+    const { encoding = "utf8" } = options;
+    const { columns, rows } = parseFixedWidth(
+      await readSource(file, encoding),
+      options
+    );
+
+    return DataFrame.#applyDtypes(new DataFrame(rows, columns), options);
+  }
+
+  /**
+   * Creates a DataFrame from the binary format written by `toBinary`.
+   * @static
+   * @param {string|Buffer|Readable} file - The path to the binary file, a
+   * Buffer holding it, or a Readable stream of it.
+   * @returns {Promise<DataFrame>} A Promise that resolves to a DataFrame. It
+   * rejects when the data is not in the binary format.
+   */
+  static async fromBinary(file) {
+    const { columns, data, dtypes, index, indexName } = decodeTable(
+      await readSource(file, null)
+    );
+    // The levels of a MultiIndex are written as tuples, with their names.
+    if (Array.isArray(indexName)) {
+      return new DataFrame(data, columns, {
+        index: new MultiIndex(index, { names: indexName }),
+        dtypes,
       });
+    }
+
+    return new DataFrame(data, columns, { index, indexName, dtypes });
+  }
+
+  /**
+   * Writes the DataFrame in a compact, self-describing binary format for
+   * fast round trips between processes. Numeric columns stored in typed
+   * arrays are written as little-endian int32 or float64 values, datetime
+   * and boolean columns in fixed-size encodings, and other columns as JSON.
+   * Categorical columns are written as their codes and categories. The
+   * index, declared dtypes and categories, in their order, are kept.
+   * @param {string|Writable} [file] - The path to the output file, or a
+   * Writable stream, which is left open.
+   * @returns {Promise<Buffer|void>} A Promise that resolves when writing is
+   * complete, or to the encoded DataFrame when `file` is omitted.
+   */
+  async toBinary(file) {
+    const buffer = encodeTable({
+      length: this.#length,
+      columns: this.columns,
+      values: (column) => this.#store.get(column),
+      dtypes: this.#declaredTypes,
+      index: this.index === null ? null : this.#labels(),
+      indexName:
+        this.index instanceof MultiIndex ? this.index.names : this.indexName,
     });
+
+    return writeTarget(file, buffer);
   }
 }
 
@@ -0,0 +1,290 @@
+const { isna } = require("./missing");
+
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  min: 60 * 1000,
+  h: 60 * 60 * 1000,
+  D: 24 * 60 * 60 * 1000,
+  W: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Weeks start on Monday; 1970-01-05 is the first Monday after the epoch.
+const WEEK_ANCHOR = 4 * UNIT_MS.D;
+
+const FREQUENCY_PATTERN = /^(\d*)(ms|s|min|h|D|W|M|Y)$/;
+
+function modulo(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
+
+/**
+ * Parses a frequency such as "1D", "7D", "1W", "1M" or "15min". Supported
+ * units are ms, s, min, h, D (days), W (weeks starting on Monday), M (months)
+ * and Y (years). The count defaults to 1.
+ * @param {string} frequency - The frequency to parse.
+ * @returns {{count: number, unit: string}} The parsed frequency.
+ * @throws {Error} Invalid frequency.
+ */
+function parseFrequency(frequency) {
+  const match = FREQUENCY_PATTERN.exec(String(frequency));
+  const count = match && match[1] !== "" ? Number(match[1]) : 1;
+  if (!match || count < 1) {
+    throw new Error(`Invalid frequency '${frequency}'`);
+  }
+
+  return { count, unit: match[2] };
+}
+
+/**
+ * Gets the length of a fixed frequency in milliseconds.
+ * @param {string} frequency - The frequency, in a unit up to weeks.
+ * @returns {number} The length of the frequency in milliseconds.
+ * @throws {Error} Invalid frequency, including months and years whose
+ * length varies.
+ */
+function frequencyMs(frequency) {
+  const { count, unit } = parseFrequency(frequency);
+  if (!(unit in UNIT_MS)) {
+    throw new Error(`Invalid frequency '${frequency}'`);
+  }
+
+  return count * UNIT_MS[unit];
+}
+
+/**
+ * Rounds a date down to the start of its period, in UTC. Periods are counted
+ * from the epoch, so "2D" bins always start on the same days.
+ * @param {Date} date - The date to round.
+ * @param {string} frequency - The period frequency.
+ * @returns {Date} The start of the period.
+ */
+function floorDate(date, frequency) {
+  const { count, unit } = parseFrequency(frequency);
+  if (unit === "M" || unit === "Y") {
+    const months = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const step = unit === "Y" ? count * 12 : count;
+    const floored = months - modulo(months, step);
+
+    return new Date(Date.UTC(Math.floor(floored / 12), floored % 12, 1));
+  }
+
+  const size = count * UNIT_MS[unit];
+  const anchor = unit === "W" ? WEEK_ANCHOR : 0;
+  const time = date.getTime();
+
+  return new Date(time - modulo(time - anchor, size));
+}
+
+/**
+ * Moves a date forward by whole periods, in UTC.
+ * @param {Date} date - The date to move.
+ * @param {string} frequency - The period frequency.
+ * @param {number} [periods=1] - The number of periods.
+ * @returns {Date} The moved date.
+ */
+function addPeriods(date, frequency, periods = 1) {
+  const { count, unit } = parseFrequency(frequency);
+  if (unit === "M" || unit === "Y") {
+    const moved = new Date(date.getTime());
+    const months = (unit === "Y" ? count * 12 : count) * periods;
+    moved.setUTCMonth(moved.getUTCMonth() + months);
+
+    return moved;
+  }
+
+  return new Date(date.getTime() + count * UNIT_MS[unit] * periods);
+}
+
+/**
+ * Rounds a date up to the start of the next period, unless it already starts
+ * a period.
+ * @param {Date} date - The date to round.
+ * @param {string} frequency - The period frequency.
+ * @returns {Date} The rounded date.
+ */
+function ceilDate(date, frequency) {
+  const floored = floorDate(date, frequency);
+
+  return floored.getTime() === date.getTime()
+    ? floored
+    : addPeriods(floored, frequency);
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+const FORMAT_TOKENS = {
+  YYYY: (date) => pad(date.getUTCFullYear(), 4),
+  MM: (date) => pad(date.getUTCMonth() + 1),
+  DD: (date) => pad(date.getUTCDate()),
+  HH: (date) => pad(date.getUTCHours()),
+  mm: (date) => pad(date.getUTCMinutes()),
+  ss: (date) => pad(date.getUTCSeconds()),
+  SSS: (date) => pad(date.getUTCMilliseconds(), 3),
+};
+
+/**
+ * Formats a date in UTC with the tokens YYYY, MM, DD, HH, mm, ss and SSS.
+ * Other characters are kept as they are.
+ * @param {Date} date - The date to format.
+ * @param {string} pattern - The format pattern, such as "YYYY-MM-DD".
+ * @returns {string} The formatted date.
+ */
+function formatDate(date, pattern) {
+  return pattern.replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, (token) =>
+    FORMAT_TOKENS[token](date)
+  );
+}
+
+/**
+ * Checks that values are dates or missing values.
+ * @param {Array} values - The values to check.
+ * @throws {Error} Values must be datetime.
+ */
+function assertDates(values) {
+  for (const value of values) {
+    if (!isna(value) && !(value instanceof Date)) {
+      throw new Error("Values must be datetime");
+    }
+  }
+}
+
+/**
+ * Gives access to the date parts of a datetime Series, in UTC. Missing values
+ * stay null. Returned by `Series.dt`.
+ * @class
+ */
+class DatetimeAccessor {
+  #series;
+
+  /**
+   * Creates an instance of DatetimeAccessor.
+   * @constructor
+   * @param {Series} series - The datetime Series.
+   * @throws {Error} Values must be datetime.
+   */
+  constructor(series) {
+    assertDates(series.values);
+    this.#series = series;
+  }
+
+  #map(fn) {
+    const Series = this.#series.constructor;
+
+    return new Series(
+      this.#series.values.map((value) => (isna(value) ? null : fn(value))),
+      { name: this.#series.name, index: this.#series.index }
+    );
+  }
+
+  /**
+   * Gets the years.
+   * @type {Series}
+   * @readonly
+   */
+  get year() {
+    return this.#map((date) => date.getUTCFullYear());
+  }
+
+  /**
+   * Gets the months, from 1 (January) to 12.
+   * @type {Series}
+   * @readonly
+   */
+  get month() {
+    return this.#map((date) => date.getUTCMonth() + 1);
+  }
+
+  /**
+   * Gets the days of the month.
+   * @type {Series}
+   * @readonly
+   */
+  get day() {
+    return this.#map((date) => date.getUTCDate());
+  }
+
+  /**
+   * Gets the days of the week, from 0 (Monday) to 6 (Sunday).
+   * @type {Series}
+   * @readonly
+   */
+  get weekday() {
+    return this.#map((date) => (date.getUTCDay() + 6) % 7);
+  }
+
+  /**
+   * Gets the hours.
+   * @type {Series}
+   * @readonly
+   */
+  get hour() {
+    return this.#map((date) => date.getUTCHours());
+  }
+
+  /**
+   * Gets the minutes.
+   * @type {Series}
+   * @readonly
+   */
+  get minute() {
+    return this.#map((date) => date.getUTCMinutes());
+  }
+
+  /**
+   * Gets the seconds.
+   * @type {Series}
+   * @readonly
+   */
+  get second() {
+    return this.#map((date) => date.getUTCSeconds());
+  }
+
+  /**
+   * Rounds the dates down to the start of their period.
+   * @param {string} frequency - The period frequency, such as "1D" or "1M".
+   * @returns {Series} A new Series with the rounded dates.
+   * @throws {Error} Invalid frequency.
+   */
+  floor(frequency) {
+    parseFrequency(frequency);
+
+    return this.#map((date) => floorDate(date, frequency));
+  }
+
+  /**
+   * Rounds the dates up to the start of the next period, unless they already
+   * start a period.
+   * @param {string} frequency - The period frequency, such as "1D" or "1M".
+   * @returns {Series} A new Series with the rounded dates.
+   * @throws {Error} Invalid frequency.
+   */
+  ceil(frequency) {
+    parseFrequency(frequency);
+
+    return this.#map((date) => ceilDate(date, frequency));
+  }
+
+  /**
+   * Formats the dates as text.
+   * @param {string} pattern - The format pattern, with the tokens YYYY, MM,
+   * DD, HH, mm, ss and SSS.
+   * @returns {Series} A new Series of strings.
+   */
+  format(pattern) {
+    return this.#map((date) => formatDate(date, pattern));
+  }
+}
+
+module.exports = {
+  parseFrequency,
+  frequencyMs,
+  floorDate,
+  ceilDate,
+  addPeriods,
+  formatDate,
+  assertDates,
+  DatetimeAccessor,
+};
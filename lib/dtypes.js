@@ -0,0 +1,342 @@
+const { isna } = require("./missing");
+const { Categorical } = require("./categorical");
+
+const DTYPES = [
+  "int",
+  "float",
+  "boolean",
+  "datetime",
+  "string",
+  "category",
+  "object",
+];
+
+const INT_PATTERN = /^[+-]?\d+$/;
+
+// Marks a value that cannot be converted to the requested dtype.
+const FAILED = Symbol("failed");
+
+const converters = {
+  int(value) {
+    if (typeof value === "number") {
+      return Number.isInteger(value) ? value : FAILED;
+    }
+    if (typeof value === "boolean") {
+      return Number(value);
+    }
+    // Digits beyond the safe integer range would be silently rounded.
+    if (typeof value === "string" && INT_PATTERN.test(value.trim())) {
+      const number = Number(value.trim());
+
+      return Number.isSafeInteger(number) ? number : FAILED;
+    }
+
+    return FAILED;
+  },
+
+  float(value) {
+    if (typeof value === "number") {
+      return value;
+    }
+    if (typeof value === "boolean") {
+      return Number(value);
+    }
+    if (typeof value === "string" && value.trim() !== "") {
+      const number = Number(value.trim());
+
+      return Number.isNaN(number) ? FAILED : number;
+    }
+
+    return FAILED;
+  },
+
+  boolean(value) {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    if (value === 0 || value === 1) {
+      return value === 1;
+    }
+    if (typeof value === "string") {
+      const text = value.trim().toLowerCase();
+      if (text === "true" || text === "false") {
+        return text === "true";
+      }
+    }
+
+    return FAILED;
+  },
+
+  datetime(value) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? FAILED : value;
+    }
+    if (typeof value === "number" || typeof value === "string") {
+      const date = new Date(value);
+
+      return Number.isNaN(date.getTime()) ? FAILED : date;
+    }
+
+    return FAILED;
+  },
+
+  string(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+  },
+
+  category(value) {
+    return value;
+  },
+
+  object(value) {
+    return value;
+  },
+};
+
+function typeOf(value) {
+  if (value instanceof Date) {
+    return "datetime";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "int" : "float";
+  }
+
+  return typeof value;
+}
+
+/**
+ * Detects the dtype of a list of values, ignoring missing values.
+ * @param {Array|TypedArray|Categorical} values - The values to inspect.
+ * @returns {string} "int", "float", "boolean", "datetime", "string",
+ * "category" for categoricals, another `typeof` name, "object" when every
+ * value is missing, or "mixed".
+ */
+function detectType(values) {
+  if (values instanceof Categorical) {
+    return "category";
+  }
+  if (values instanceof Int32Array && values.length > 0) {
+    return "int";
+  }
+  if (values instanceof Float64Array && values.length > 0) {
+    return values.every(Number.isInteger) ? "int" : "float";
+  }
+
+  let detected = null;
+  for (const value of values) {
+    if (isna(value)) {
+      continue;
+    }
+    const type = typeOf(value);
+    if (detected === null || (detected === "int" && type === "float")) {
+      detected = type;
+    } else if (detected !== type && !(detected === "float" && type === "int")) {
+      return "mixed";
+    }
+  }
+
+  return detected === null ? "object" : detected;
+}
+
+// Integer text that a number cannot hold exactly, such as a long ID.
+function isUnsafeInteger(text) {
+  return (
+    INT_PATTERN.test(text.trim()) && !Number.isSafeInteger(Number(text.trim()))
+  );
+}
+
+// The largest share of distinct values in text inferred as a category.
+const CATEGORY_RATIO = 0.5;
+
+// The dtypes text is checked against, in order, with datetime last.
+const TEXT_TYPES = ["int", "float", "boolean", "datetime"];
+
+function textTypes(parseDates) {
+  return parseDates ? TEXT_TYPES : TEXT_TYPES.slice(0, -1);
+}
+
+/**
+ * Infers the dtype of loaded values. Text values are checked against int,
+ * float, boolean and, when enabled, datetime, in that order. Integers beyond
+ * the safe range are kept as text rather than rounded.
+ * @param {Array} values - The values to inspect.
+ * @param {boolean} [parseDates=false] - Whether text may be inferred as datetime.
+ * @param {boolean} [inferCategories=false] - Whether other text may be
+ * inferred as a category, when at most half of its values are distinct.
+ * @returns {string} The inferred dtype.
+ */
+function inferType(values, parseDates = false, inferCategories = false) {
+  const present = values.filter((value) => !isna(value));
+  if (
+    present.length === 0 ||
+    present.some((value) => typeof value !== "string")
+  ) {
+    return detectType(present);
+  }
+
+  const text =
+    inferCategories && new Set(present).size <= present.length * CATEGORY_RATIO
+      ? "category"
+      : "string";
+  if (present.some(isUnsafeInteger)) {
+    return text;
+  }
+
+  for (const dtype of textTypes(parseDates)) {
+    if (present.every((value) => converters[dtype](value) !== FAILED)) {
+      return dtype;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Infers the dtype of loaded text as `inferType` does, from values added a
+ * chunk at a time, so that a whole file can be inferred without holding it.
+ * @class
+ */
+class TypeInference {
+  #candidates;
+  #inferCategories;
+  #distinct = new Set();
+  #present = 0;
+  #unsafe = false;
+
+  /**
+   * Creates an instance of TypeInference.
+   * @constructor
+   * @param {boolean} [parseDates=false] - Whether text may be inferred as
+   * datetime.
+   * @param {boolean} [inferCategories=false] - Whether other text may be
+   * inferred as a category, when at most half of its values are distinct.
+   */
+  constructor(parseDates = false, inferCategories = false) {
+    this.#candidates = textTypes(parseDates);
+    this.#inferCategories = inferCategories;
+  }
+
+  /**
+   * Adds values to the inference.
+   * @param {Array} values - The text values, or missing values.
+   */
+  add(values) {
+    for (const value of values) {
+      if (isna(value)) {
+        continue;
+      }
+      this.#present++;
+      if (this.#inferCategories) {
+        this.#distinct.add(value);
+      }
+      if (!this.#unsafe && isUnsafeInteger(value)) {
+        this.#unsafe = true;
+      }
+      if (
+        this.#candidates.some((dtype) => converters[dtype](value) === FAILED)
+      ) {
+        this.#candidates = this.#candidates.filter(
+          (dtype) => converters[dtype](value) !== FAILED
+        );
+      }
+    }
+  }
+
+  /**
+   * Gets the dtype inferred from the values added so far.
+   * @type {string}
+   * @readonly
+   */
+  get dtype() {
+    if (this.#present === 0) {
+      return detectType([]);
+    }
+    const text =
+      this.#inferCategories &&
+      this.#distinct.size <= this.#present * CATEGORY_RATIO
+        ? "category"
+        : "string";
+
+    return this.#unsafe || this.#candidates.length === 0
+      ? text
+      : this.#candidates[0];
+  }
+
+  /**
+   * Gets the distinct values added so far, sorted as the categories of
+   * `Categorical.from`. Empty unless categories are inferred.
+   * @type {Array}
+   * @readonly
+   */
+  get categories() {
+    return Categorical.from(Array.from(this.#distinct)).categories;
+  }
+}
+
+/**
+ * Checks that a dtype is supported.
+ * @param {string} dtype - The dtype to check.
+ * @throws {Error} Unknown dtype.
+ */
+function assertType(dtype) {
+  if (!DTYPES.includes(dtype)) {
+    throw new Error(`Unknown dtype '${dtype}'`);
+  }
+}
+
+/**
+ * Converts values to a dtype. Missing values become null, and so do values
+ * that cannot be converted, which are reported as failures.
+ * @param {Array} values - The values to convert.
+ * @param {string} dtype - The target dtype.
+ * @param {string} [column] - The column name used in the failure report.
+ * @returns {{values: Array, failures: Object[]}} The converted values and a
+ * `{ row, column, value, dtype }` entry for each value that failed to convert.
+ * @throws {Error} Unknown dtype.
+ */
+function convertValues(values, dtype, column) {
+  assertType(dtype);
+  const failures = [];
+  const converted = values.map((value, row) => {
+    if (isna(value)) {
+      return null;
+    }
+    const result = converters[dtype](value);
+    if (result === FAILED) {
+      failures.push({ row, column, value, dtype });
+
+      return null;
+    }
+
+    return result;
+  });
+
+  return { values: converted, failures };
+}
+
+/**
+ * Creates the error thrown when values fail to convert.
+ * @param {Object[]} failures - The failure report from `convertValues`.
+ * @returns {Error} An error whose `failures` property holds the report.
+ */
+function conversionError(failures) {
+  const { row, column, value, dtype } = failures[0];
+  const error = new Error(
+    `Failed to convert ${failures.length} value(s), first '${value}' at row ${row}` +
+      (column === undefined ? "" : ` of column '${column}'`) +
+      ` to ${dtype}`
+  );
+  error.failures = failures;
+
+  return error;
+}
+
+module.exports = {
+  DTYPES,
+  detectType,
+  inferType,
+  TypeInference,
+  assertType,
+  convertValues,
+  conversionError,
+};
@@ -0,0 +1,730 @@
+const { isna } = require("./missing");
+
+const KEYWORDS = ["and", "or", "not", "in", "is", "null", "true", "false"];
+
+// Longer operators come first so that "<=" is not read as "<".
+const OPERATORS = [
+  "**",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "!",
+  "=",
+  "(",
+  ")",
+  "[",
+  "]",
+  ",",
+  ".",
+  ";",
+];
+
+const COMPARISONS = ["==", "!=", "<", "<=", ">", ">="];
+
+const STRING_METHODS = {
+  lower: { args: 0, fn: (text) => text.toLowerCase() },
+  upper: { args: 0, fn: (text) => text.toUpperCase() },
+  strip: { args: 0, fn: (text) => text.trim() },
+  len: { args: 0, fn: (text) => text.length },
+  startswith: { args: 1, fn: (text, prefix) => text.startsWith(prefix) },
+  endswith: { args: 1, fn: (text, suffix) => text.endsWith(suffix) },
+  contains: { args: 1, fn: (text, part) => text.includes(part) },
+};
+
+const ESCAPES = { n: "\n", t: "\t", r: "\r" };
+
+/**
+ * Creates an error for an invalid expression, with the position in the
+ * source stored in its `position` property.
+ * @param {string} message - The error message.
+ * @param {number} position - The position of the error in the source.
+ * @returns {Error} The error.
+ */
+function expressionError(message, position) {
+  const error = new Error(`${message} at position ${position}`);
+  error.position = position;
+
+  return error;
+}
+
+function describe(token) {
+  return token.type === "end" ? "end of expression" : `token '${token.text}'`;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+  // Newlines separate statements, except inside brackets.
+  let depth = 0;
+  while (position < source.length) {
+    const char = source[position];
+    const start = position;
+    if (char === "\n" && depth === 0) {
+      tokens.push({ type: "operator", text: ";", position });
+      position++;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(
+      source.slice(position)
+    );
+    if (number) {
+      tokens.push({
+        type: "number",
+        text: number[0],
+        value: Number(number[0]),
+        position,
+      });
+      position += number[0].length;
+      continue;
+    }
+
+    if (char === "'" || char === '"' || char === "`") {
+      let value = "";
+      position++;
+      while (position < source.length && source[position] !== char) {
+        if (source[position] === "\\" && position + 1 < source.length) {
+          const escaped = source[position + 1];
+          value += ESCAPES[escaped] || escaped;
+          position += 2;
+        } else {
+          value += source[position];
+          position++;
+        }
+      }
+      if (position >= source.length) {
+        throw expressionError("Unterminated string", start);
+      }
+      position++;
+      tokens.push({
+        // Backticks quote column names that are not plain identifiers.
+        type: char === "`" ? "identifier" : "string",
+        text: source.slice(start, position),
+        value,
+        position: start,
+      });
+      continue;
+    }
+
+    const word = /^@?[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(position));
+    if (word) {
+      const text = word[0];
+      let type = "identifier";
+      if (text.startsWith("@")) {
+        type = "variable";
+      } else if (KEYWORDS.includes(text)) {
+        type = "keyword";
+      }
+      tokens.push({
+        type,
+        text,
+        value: type === "variable" ? text.slice(1) : text,
+        position,
+      });
+      position += text.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => source.startsWith(op, position));
+    if (!operator) {
+      throw expressionError(`Unexpected character '${char}'`, position);
+    }
+    if (operator === "(" || operator === "[") {
+      depth++;
+    } else if (operator === ")" || operator === "]") {
+      depth = Math.max(depth - 1, 0);
+    }
+    tokens.push({ type: "operator", text: operator, position });
+    position += operator.length;
+  }
+  tokens.push({ type: "end", text: "", position: source.length });
+
+  return tokens;
+}
+
+/**
+ * Parses expressions into syntax trees by recursive descent. Operators bind,
+ * from loosest to tightest: `or`, `and`, `not`, comparisons (including `in`,
+ * `not in`, `is null` and `is not null`), `+` and `-`, `*`, `/` and `%`,
+ * unary minus, `**`, then method calls.
+ * @class
+ */
+class Parser {
+  #tokens;
+  #current = 0;
+
+  /**
+   * Creates an instance of Parser.
+   * @constructor
+   * @param {string} source - The source to parse.
+   * @throws {Error} Unterminated string.
+   * @throws {Error} Unexpected character.
+   */
+  constructor(source) {
+    this.#tokens = tokenize(String(source));
+  }
+
+  #peek(offset = 0) {
+    return this.#tokens[
+      Math.min(this.#current + offset, this.#tokens.length - 1)
+    ];
+  }
+
+  #next() {
+    const token = this.#peek();
+    if (token.type !== "end") {
+      this.#current++;
+    }
+
+    return token;
+  }
+
+  #is(text, offset = 0) {
+    const token = this.#peek(offset);
+
+    return (
+      (token.type === "operator" || token.type === "keyword") &&
+      token.text === text
+    );
+  }
+
+  #accept(...texts) {
+    const text = texts.find((candidate) => this.#is(candidate));
+    if (text === undefined) {
+      return null;
+    }
+
+    return this.#next();
+  }
+
+  #expect(text) {
+    const token = this.#accept(text);
+    if (!token) {
+      const found = this.#peek();
+      throw expressionError(
+        `Expected '${text}' but found ${describe(found)}`,
+        found.position
+      );
+    }
+
+    return token;
+  }
+
+  #skipSeparators() {
+    while (this.#accept(";"));
+  }
+
+  /**
+   * Parses a single expression.
+   * @returns {Object} The syntax tree of the expression.
+   * @throws {Error} Unexpected token.
+   */
+  parseExpression() {
+    this.#skipSeparators();
+    const expression = this.#or();
+    this.#skipSeparators();
+    const token = this.#peek();
+    if (token.type !== "end") {
+      throw expressionError(`Unexpected ${describe(token)}`, token.position);
+    }
+
+    return expression;
+  }
+
+  /**
+   * Parses a single expression, or one or more assignments of the form
+   * `column = expression` separated by semicolons or newlines.
+   * @returns {Object} The syntax tree of the expression, or a `statements`
+   * node holding the assignments.
+   * @throws {Error} Unexpected token.
+   */
+  parseStatements() {
+    this.#skipSeparators();
+    const isAssignment = () =>
+      this.#peek().type === "identifier" && this.#is("=", 1);
+    if (!isAssignment()) {
+      return this.parseExpression();
+    }
+
+    const assignments = [];
+    while (this.#peek().type !== "end") {
+      if (!isAssignment()) {
+        throw expressionError("Expected an assignment", this.#peek().position);
+      }
+      const target = this.#next();
+      this.#next();
+      assignments.push({
+        type: "assign",
+        target: target.value,
+        value: this.#or(),
+        position: target.position,
+      });
+      if (this.#peek().type !== "end") {
+        this.#expect(";");
+        this.#skipSeparators();
+      }
+    }
+
+    return { type: "statements", assignments };
+  }
+
+  #or() {
+    let left = this.#and();
+    let token;
+    while ((token = this.#accept("or", "||"))) {
+      left = {
+        type: "logical",
+        operator: "or",
+        left,
+        right: this.#and(),
+        position: token.position,
+      };
+    }
+
+    return left;
+  }
+
+  #and() {
+    let left = this.#not();
+    let token;
+    while ((token = this.#accept("and", "&&"))) {
+      left = {
+        type: "logical",
+        operator: "and",
+        left,
+        right: this.#not(),
+        position: token.position,
+      };
+    }
+
+    return left;
+  }
+
+  #not() {
+    const token = this.#accept("not", "!");
+    if (token) {
+      return {
+        type: "unary",
+        operator: "not",
+        operand: this.#not(),
+        position: token.position,
+      };
+    }
+
+    return this.#comparison();
+  }
+
+  #comparison() {
+    const left = this.#additive();
+    const token = this.#peek();
+    if (COMPARISONS.includes(token.text) && token.type === "operator") {
+      this.#next();
+
+      return {
+        type: "binary",
+        operator: token.text,
+        left,
+        right: this.#additive(),
+        position: token.position,
+      };
+    }
+    if (this.#is("in") || (this.#is("not") && this.#is("in", 1))) {
+      const negated = this.#accept("not") !== null;
+      this.#next();
+
+      return {
+        type: "in",
+        negated,
+        left,
+        right: this.#additive(),
+        position: token.position,
+      };
+    }
+    if (this.#accept("is")) {
+      const negated = this.#accept("not") !== null;
+      this.#expect("null");
+
+      return {
+        type: "isNull",
+        negated,
+        operand: left,
+        position: token.position,
+      };
+    }
+
+    return left;
+  }
+
+  #additive() {
+    let left = this.#multiplicative();
+    let token;
+    while ((token = this.#accept("+", "-"))) {
+      left = {
+        type: "binary",
+        operator: token.text,
+        left,
+        right: this.#multiplicative(),
+        position: token.position,
+      };
+    }
+
+    return left;
+  }
+
+  #multiplicative() {
+    let left = this.#unary();
+    let token;
+    while ((token = this.#accept("*", "/", "%"))) {
+      left = {
+        type: "binary",
+        operator: token.text,
+        left,
+        right: this.#unary(),
+        position: token.position,
+      };
+    }
+
+    return left;
+  }
+
+  #unary() {
+    const token = this.#accept("-", "+");
+    if (token) {
+      return {
+        type: "unary",
+        operator: token.text,
+        operand: this.#unary(),
+        position: token.position,
+      };
+    }
+
+    return this.#power();
+  }
+
+  #power() {
+    const base = this.#postfix();
+    const token = this.#accept("**");
+    if (token) {
+      // Right-associative, and binds tighter than a unary minus on its left.
+      return {
+        type: "binary",
+        operator: "**",
+        left: base,
+        right: this.#unary(),
+        position: token.position,
+      };
+    }
+
+    return base;
+  }
+
+  #postfix() {
+    let node = this.#primary();
+    while (this.#accept(".")) {
+      let name = this.#next();
+      // `Name.str.lower()` reads like `Name.lower()`.
+      if (name.text === "str" && this.#is(".")) {
+        this.#next();
+        name = this.#next();
+      }
+      if (
+        name.type !== "identifier" ||
+        !Object.prototype.hasOwnProperty.call(STRING_METHODS, name.text)
+      ) {
+        throw expressionError(`Unknown method '${name.text}'`, name.position);
+      }
+      this.#expect("(");
+      const args = this.#list(")");
+      if (args.length !== STRING_METHODS[name.text].args) {
+        throw expressionError(
+          `Method '${name.text}' takes ${
+            STRING_METHODS[name.text].args
+          } argument(s)`,
+          name.position
+        );
+      }
+      node = {
+        type: "method",
+        name: name.text,
+        receiver: node,
+        args,
+        position: name.position,
+      };
+    }
+
+    return node;
+  }
+
+  #list(closing) {
+    const items = [];
+    if (!this.#accept(closing)) {
+      do {
+        items.push(this.#or());
+      } while (this.#accept(","));
+      this.#expect(closing);
+    }
+
+    return items;
+  }
+
+  #primary() {
+    const token = this.#next();
+    switch (token.type) {
+      case "number":
+      case "string":
+        return {
+          type: "literal",
+          value: token.value,
+          position: token.position,
+        };
+      case "identifier":
+        return { type: "column", name: token.value, position: token.position };
+      case "variable":
+        return {
+          type: "variable",
+          name: token.value,
+          position: token.position,
+        };
+      case "keyword":
+        if (["null", "true", "false"].includes(token.text)) {
+          return {
+            type: "literal",
+            value: token.text === "null" ? null : token.text === "true",
+            position: token.position,
+          };
+        }
+        break;
+      case "operator":
+        if (token.text === "(") {
+          const expression = this.#or();
+          this.#expect(")");
+
+          return expression;
+        }
+        if (token.text === "[") {
+          return {
+            type: "list",
+            items: this.#list("]"),
+            position: token.position,
+          };
+        }
+        break;
+    }
+
+    throw expressionError(`Unexpected ${describe(token)}`, token.position);
+  }
+}
+
+// Dates compare by time, and with strings that parse as dates.
+function comparable(a, b) {
+  if (a instanceof Date && typeof b === "string") {
+    return [a.getTime(), new Date(b).getTime()];
+  }
+  if (typeof a === "string" && b instanceof Date) {
+    return [new Date(a).getTime(), b.getTime()];
+  }
+
+  return [
+    a instanceof Date ? a.getTime() : a,
+    b instanceof Date ? b.getTime() : b,
+  ];
+}
+
+const BINARY = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+  "**": (a, b) => a ** b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+// Turns a syntax tree into a function of the row position.
+function compile(node, scope) {
+  switch (node.type) {
+    case "literal":
+      return () => node.value;
+    case "column": {
+      let values;
+      try {
+        values = scope.column(node.name);
+      } catch (error) {
+        throw expressionError(
+          `Column '${node.name}' does not exist`,
+          node.position
+        );
+      }
+
+      return (position) => values[position];
+    }
+    case "variable": {
+      const variables = scope.variables || {};
+      if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+        throw expressionError(
+          `Variable '@${node.name}' is not defined`,
+          node.position
+        );
+      }
+      const value = variables[node.name];
+
+      return () => value;
+    }
+    case "list": {
+      const items = node.items.map((item) => compile(item, scope));
+
+      return (position) => items.map((item) => item(position));
+    }
+    case "unary": {
+      const operand = compile(node.operand, scope);
+      if (node.operator === "not") {
+        return (position) => !operand(position);
+      }
+      const sign = node.operator === "-" ? -1 : 1;
+
+      return (position) => {
+        const value = operand(position);
+
+        return isna(value) ? null : sign * value;
+      };
+    }
+    case "logical": {
+      const left = compile(node.left, scope);
+      const right = compile(node.right, scope);
+
+      return node.operator === "and"
+        ? (position) => Boolean(left(position) && right(position))
+        : (position) => Boolean(left(position) || right(position));
+    }
+    case "binary": {
+      const left = compile(node.left, scope);
+      const right = compile(node.right, scope);
+      const operation = BINARY[node.operator];
+      const isComparison = COMPARISONS.includes(node.operator);
+
+      // Missing values make arithmetic missing and comparisons false.
+      return (position) => {
+        const a = left(position);
+        const b = right(position);
+        if (isna(a) || isna(b)) {
+          return isComparison ? false : null;
+        }
+
+        return isComparison ? operation(...comparable(a, b)) : operation(a, b);
+      };
+    }
+    case "in": {
+      const left = compile(node.left, scope);
+      const right = compile(node.right, scope);
+
+      return (position) => {
+        const list = right(position);
+        if (!Array.isArray(list)) {
+          throw expressionError("'in' requires a list", node.position);
+        }
+        const value = left(position);
+        const found =
+          !isna(value) &&
+          list.some((item) => {
+            const [a, b] = comparable(value, item);
+
+            return a === b;
+          });
+
+        return node.negated ? !found : found;
+      };
+    }
+    case "isNull": {
+      const operand = compile(node.operand, scope);
+
+      return (position) => isna(operand(position)) !== node.negated;
+    }
+    case "method": {
+      const receiver = compile(node.receiver, scope);
+      const args = node.args.map((arg) => compile(arg, scope));
+      const { fn } = STRING_METHODS[node.name];
+
+      return (position) => {
+        const value = receiver(position);
+        if (isna(value)) {
+          return null;
+        }
+
+        return fn(String(value), ...args.map((arg) => String(arg(position))));
+      };
+    }
+    default:
+      throw new Error(`Unknown expression node '${node.type}'`);
+  }
+}
+
+/**
+ * Evaluates a syntax tree for every row.
+ * @param {Object} node - The syntax tree, from a `Parser`.
+ * @param {Object} scope - The values the expression can refer to.
+ * @param {number} scope.length - The number of rows.
+ * @param {Function} scope.column - Returns the values of a column, or throws
+ * when it does not exist.
+ * @param {Object} [scope.variables] - The values of `@variable` references.
+ * @returns {Array} The value of the expression for each row.
+ * @throws {Error} Column does not exist.
+ * @throws {Error} Variable is not defined.
+ */
+function evaluate(node, scope) {
+  const fn = compile(node, scope);
+
+  return Array.from({ length: scope.length }, (_, position) => fn(position));
+}
+
+/**
+ * Lists the columns a syntax tree refers to.
+ * @param {Object} node - The syntax tree, from a `Parser`.
+ * @returns {string[]} The column names, in order of first reference.
+ */
+function referencedColumns(node) {
+  const columns = new Set();
+  const visit = (child) => {
+    if (child.type === "column") {
+      columns.add(child.name);
+    }
+    for (const key of ["operand", "left", "right", "receiver", "value"]) {
+      if (child[key] && typeof child[key].type === "string") {
+        visit(child[key]);
+      }
+    }
+    for (const key of ["items", "args", "assignments"]) {
+      if (Array.isArray(child[key])) {
+        child[key].forEach(visit);
+      }
+    }
+  };
+  visit(node);
+
+  return Array.from(columns);
+}
+
+module.exports = {
+  Parser,
+  evaluate,
+  referencedColumns,
+  expressionError,
+};
@@ -0,0 +1,103 @@
+// The number of lines used to infer the column boundaries.
+const INFER_LINES = 100;
+
+/**
+ * Finds the column boundaries of fixed-width lines: each column is a run of
+ * character positions that are not blank on every line.
+ * @param {string[]} lines - The lines.
+ * @returns {Array<[number, number]>} The `[start, end)` positions of each column.
+ */
+function inferColspecs(lines) {
+  const sample = lines.slice(0, INFER_LINES);
+  const width = sample.reduce((max, line) => Math.max(max, line.length), 0);
+  const colspecs = [];
+  let start = null;
+  for (let position = 0; position <= width; position++) {
+    const blank = sample.every(
+      (line) => position >= line.length || /\s/.test(line[position])
+    );
+    if (!blank && start === null) {
+      start = position;
+    } else if (blank && start !== null) {
+      colspecs.push([start, position]);
+      start = null;
+    }
+  }
+
+  return colspecs;
+}
+
+/**
+ * Parses fixed-width text into rows. Values are trimmed, and empty ones are
+ * read as null.
+ * @param {string} text - The text.
+ * @param {Object} [options] - The parse options.
+ * @param {Array<[number, number]>} [options.colspecs] - The `[start, end)`
+ * positions of each column.
+ * @param {number[]} [options.widths] - The width of each column, as an
+ * alternative to `colspecs`. The boundaries are inferred from the first 100
+ * lines when neither is given.
+ * @param {number} [options.skiprows=0] - The number of lines to skip at the
+ * start of the text, before the header.
+ * @param {number} [options.nrows] - The maximum number of rows to read.
+ * @param {boolean} [options.header=true] - Whether the first line holds the
+ * column names. Columns are named column1..N otherwise.
+ * @param {string[]} [options.names] - The column names to use instead.
+ * @returns {{columns: string[], rows: Array[]}} The column names and the rows.
+ * @throws {Error} Names length does not match data.
+ */
+function parseFixedWidth(text, options = {}) {
+  const {
+    widths,
+    skiprows = 0,
+    nrows = Infinity,
+    header = true,
+    names,
+  } = options;
+  const lines = text
+    .split(/\r?\n/)
+    .slice(skiprows)
+    .filter((line) => line.trim() !== "");
+
+  let { colspecs } = options;
+  if (!colspecs && widths) {
+    let start = 0;
+    colspecs = widths.map((width) => {
+      start += width;
+
+      return [start - width, start];
+    });
+  }
+  if (!colspecs) {
+    colspecs = inferColspecs(lines);
+  }
+
+  const split = (line) =>
+    colspecs.map(([start, end]) => {
+      const value = line.slice(start, end).trim();
+
+      return value === "" ? null : value;
+    });
+
+  let columns =
+    header && lines.length > 0
+      ? split(lines[0]).map((name, i) => name || `column${i + 1}`)
+      : colspecs.map((_, i) => `column${i + 1}`);
+  if (names) {
+    if (names.length !== colspecs.length) {
+      throw new Error("Names length does not match data");
+    }
+    columns = names;
+  }
+  const rows = lines
+    .slice(header ? 1 : 0)
+    .slice(0, nrows)
+    .map(split);
+
+  return { columns, rows };
+}
+
+module.exports = {
+  inferColspecs,
+  parseFixedWidth,
+};
@@ -0,0 +1,354 @@
+const ELLIPSIS = "...";
+
+const NUMERIC_DTYPES = ["int", "float"];
+
+/**
+ * Formats a single value for display. Dates at midnight UTC are shown as
+ * dates only.
+ * @param {*} value - The value to format.
+ * @param {Object} [options] - The format options.
+ * @param {number} [options.decimals] - The number of decimals for finite
+ * numbers. Numbers are shown as they are when omitted.
+ * @param {Function} [options.floatFormat] - Formats finite numbers, taking
+ * precedence over `decimals`.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value, { decimals, floatFormat } = {}) {
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      return String(value);
+    }
+    if (floatFormat) {
+      return String(floatFormat(value));
+    }
+
+    return decimals === undefined ? String(value) : value.toFixed(decimals);
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return "Invalid Date";
+    }
+    const text = value.toISOString();
+
+    return text.endsWith("T00:00:00.000Z") ? text.slice(0, 10) : text;
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+// Finds how many decimals, up to `precision`, the values of a float column
+// need so that they can all be shown with the same number of decimals.
+function columnDecimals(values, precision) {
+  let decimals = 0;
+  for (const value of values) {
+    if (typeof value === "number" && !Number.isInteger(value)) {
+      const text = String(Number(value.toFixed(precision)));
+      const point = text.indexOf(".");
+      if (point >= 0 && !text.includes("e")) {
+        decimals = Math.max(decimals, text.length - point - 1);
+      }
+    }
+  }
+
+  return decimals;
+}
+
+function truncate(text, maxWidth) {
+  return text.length > maxWidth
+    ? text.slice(0, Math.max(maxWidth - ELLIPSIS.length, 0)) + ELLIPSIS
+    : text;
+}
+
+// Picks the positions to show, with null marking the gap between the first
+// and last halves.
+function visible(count, max) {
+  const positions = Array.from({ length: count }, (_, i) => i);
+  if (count <= max) {
+    return positions;
+  }
+  const head = Math.ceil(max / 2);
+  const tail = Math.floor(max / 2);
+
+  return [...positions.slice(0, head), null, ...positions.slice(count - tail)];
+}
+
+// Formats a row label, or its name; the values of MultiIndex labels and the
+// names of their levels are joined with commas.
+function formatLabel(label) {
+  return Array.isArray(label)
+    ? label.map((value) => formatLabel(value)).join(", ")
+    : formatValue(label);
+}
+
+function labelHeader(indexName) {
+  if (Array.isArray(indexName)) {
+    return indexName.map((name) => (name === null ? "" : name)).join(", ");
+  }
+
+  return indexName === null ? "" : String(indexName);
+}
+
+// Lays out the row labels as one text column, with the levels of MultiIndex
+// labels aligned side by side under the names of the levels.
+function labelLines(table, positions, showDtypes) {
+  const multi = Array.isArray(table.indexName);
+  const names = multi ? table.indexName : [table.indexName];
+  const levels = names.map((name, level) => [
+    name === null ? "" : String(name),
+    ...(showDtypes ? [""] : []),
+    ...positions.map((position) => {
+      if (position === null) {
+        return level === 0 ? ELLIPSIS : "";
+      }
+      const label = table.label(position);
+
+      return formatValue(multi ? label[level] : label);
+    }),
+  ]);
+  const widths = levels.map((level) =>
+    Math.max(...level.map((text) => text.length))
+  );
+
+  return levels[0].map((_, line) =>
+    levels
+      .map((level, i) => level[line].padEnd(widths[i]))
+      .join("  ")
+      .trimEnd()
+  );
+}
+
+function cells(table, positions, options) {
+  const { precision = 6, floatFormat, maxColWidth = 50 } = options;
+
+  return table.columns.map((column) => {
+    const values = positions.map((position) =>
+      position === null ? null : table.value(position, column)
+    );
+    // Only float columns share a number format; numbers in mixed columns are
+    // shown as they are.
+    const format =
+      table.dtypes[column] === "float"
+        ? { decimals: columnDecimals(values, precision), floatFormat }
+        : {};
+
+    return values.map((value, i) =>
+      positions[i] === null
+        ? ELLIPSIS
+        : truncate(formatValue(value, format), maxColWidth)
+    );
+  });
+}
+
+/**
+ * Renders a table as aligned text, with a header line, an optional dtype
+ * line and one line per row. Frames with too many rows or columns show their
+ * first and last ones around a "..." gap and end with their size.
+ * @param {Object} table - The table to render: its `length`, `columns`,
+ * `dtypes`, `indexName`, `label(position)` and `value(position, column)`.
+ * For MultiIndex labels, `indexName` holds the names of the levels and
+ * `label` returns tuples.
+ * @param {Object} [options] - The render options.
+ * @param {number} [options.maxRows=60] - The number of rows to show at most.
+ * @param {number} [options.maxColumns=20] - The number of columns to show at most.
+ * @param {number} [options.maxWidth=80] - The width of a line at most; columns
+ * that do not fit are left out.
+ * @param {number} [options.maxColWidth=50] - The width of a value at most.
+ * @param {number} [options.precision=6] - The number of decimals at most for
+ * the numbers of float columns.
+ * @param {Function} [options.floatFormat] - Formats the numbers of float
+ * columns.
+ * @param {boolean} [options.showDtypes=true] - Whether to show the dtype line.
+ * @returns {string} The rendered table.
+ */
+function renderText(table, options = {}) {
+  const {
+    maxRows = 60,
+    maxColumns = 20,
+    maxWidth = 80,
+    showDtypes = true,
+  } = options;
+  const positions = visible(table.length, maxRows);
+  const labelColumn = labelLines(table, positions, showDtypes);
+  const columns = cells(table, positions, options).map((values, i) => [
+    String(table.columns[i]),
+    ...(showDtypes ? [table.dtypes[table.columns[i]]] : []),
+    ...values,
+  ]);
+  const width = (column) => Math.max(...column.map((text) => text.length));
+
+  // Keeps columns from both ends, alternately, while they fit.
+  const labelWidth = width(labelColumn);
+  const order = visible(columns.length, maxColumns).filter((i) => i !== null);
+  const kept = new Set();
+  let used = labelWidth;
+  let left = 0;
+  let right = order.length - 1;
+  let fromLeft = true;
+  while (left <= right) {
+    const i = fromLeft ? order[left] : order[right];
+    const needed = used + 2 + width(columns[i]);
+    const gapWidth = kept.size + 1 < columns.length ? 2 + ELLIPSIS.length : 0;
+    if (kept.size > 0 && needed + gapWidth > maxWidth) {
+      break;
+    }
+    kept.add(i);
+    used = needed;
+    if (fromLeft) {
+      left++;
+    } else {
+      right--;
+    }
+    fromLeft = !fromLeft;
+  }
+
+  const shown = [];
+  let previous = -1;
+  for (let i = 0; i < columns.length; i++) {
+    if (kept.has(i)) {
+      if (i > previous + 1) {
+        shown.push(labelColumn.map(() => ELLIPSIS));
+      }
+      shown.push(columns[i]);
+      previous = i;
+    }
+  }
+  if (previous < columns.length - 1) {
+    shown.push(labelColumn.map(() => ELLIPSIS));
+  }
+
+  const widths = shown.map(width);
+  const lines = labelColumn.map((label, line) =>
+    [
+      label.padEnd(labelWidth),
+      ...shown.map((column, i) => column[line].padStart(widths[i])),
+    ]
+      .join("  ")
+      .trimEnd()
+  );
+  if (positions.includes(null) || kept.size < columns.length) {
+    lines.push("", `[${table.length} rows x ${table.columns.length} columns]`);
+  }
+
+  return lines.join("\n");
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+/**
+ * Renders a table as a Markdown pipe table, with numeric columns aligned to
+ * the right. Every row and column is included.
+ * @param {Object} table - The table to render, as for `renderText`.
+ * @param {Object} [options] - The render options.
+ * @param {boolean} [options.index=true] - Whether to include the row labels.
+ * @param {number} [options.precision=6] - The number of decimals at most for
+ * the numbers of float columns.
+ * @param {Function} [options.floatFormat] - Formats the numbers of float
+ * columns.
+ * @returns {string} The rendered table.
+ */
+function renderMarkdown(table, options = {}) {
+  const { index = true } = options;
+  const positions = Array.from({ length: table.length }, (_, i) => i);
+  const columns = cells(table, positions, {
+    maxColWidth: Infinity,
+    ...options,
+  });
+  const row = (label, values) =>
+    `| ${[...(index ? [label] : []), ...values]
+      .map(escapeMarkdown)
+      .join(" | ")} |`;
+
+  const header = row(labelHeader(table.indexName), table.columns.map(String));
+  const separator = `|${[
+    ...(index ? [" --- "] : []),
+    ...table.columns.map((column) =>
+      NUMERIC_DTYPES.includes(table.dtypes[column]) ? " ---: " : " --- "
+    ),
+  ].join("|")}|`;
+  const lines = positions.map((position) =>
+    row(
+      formatLabel(table.label(position)),
+      columns.map((values) => values[position])
+    )
+  );
+
+  return [header, separator, ...lines].join("\n");
+}
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders a table as an HTML table with a `dataframe` class. Every row and
+ * column is included and values are escaped.
+ * @param {Object} table - The table to render, as for `renderText`.
+ * @param {Object} [options] - The render options.
+ * @param {string|string[]} [options.classes] - Extra classes for the table.
+ * @param {boolean} [options.index=true] - Whether to include the row labels.
+ * @param {number} [options.precision=6] - The number of decimals at most for
+ * the numbers of float columns.
+ * @param {Function} [options.floatFormat] - Formats the numbers of float
+ * columns.
+ * @returns {string} The rendered table.
+ */
+function renderHTML(table, options = {}) {
+  const { classes = [], index = true } = options;
+  const classNames = [
+    "dataframe",
+    ...(Array.isArray(classes) ? classes : classes.split(/\s+/)),
+  ].filter((name) => name !== "");
+  const positions = Array.from({ length: table.length }, (_, i) => i);
+  const columns = cells(table, positions, {
+    maxColWidth: Infinity,
+    ...options,
+  });
+  const header = labelHeader(table.indexName);
+
+  const lines = [
+    `<table class="${escapeHTML(classNames.join(" "))}">`,
+    "  <thead>",
+    "    <tr>",
+    ...(index ? [`      <th>${escapeHTML(header)}</th>`] : []),
+    ...table.columns.map(
+      (column) => `      <th>${escapeHTML(String(column))}</th>`
+    ),
+    "    </tr>",
+    "  </thead>",
+    "  <tbody>",
+  ];
+  for (const position of positions) {
+    lines.push("    <tr>");
+    if (index) {
+      lines.push(
+        `      <th>${escapeHTML(formatLabel(table.label(position)))}</th>`
+      );
+    }
+    for (const values of columns) {
+      lines.push(`      <td>${escapeHTML(values[position])}</td>`);
+    }
+    lines.push("    </tr>");
+  }
+  lines.push("  </tbody>", "</table>");
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  formatValue,
+  renderText,
+  renderMarkdown,
+  renderHTML,
+};
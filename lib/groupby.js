@@ -0,0 +1,321 @@
+const { getAggregation, aggregationName } = require("./aggregations");
+const { rowKey } = require("./hash");
+
+// Lists every combination of codes for keys with the given numbers of
+// categories, in order.
+function combinations(sizes) {
+  return sizes.reduce(
+    (previous, size) =>
+      previous.flatMap((codes) =>
+        Array.from({ length: size }, (_, code) => [...codes, code])
+      ),
+    [[]]
+  );
+}
+
+/**
+ * Represents a DataFrame split into groups by one or more key columns.
+ * Categorical key columns are grouped by their codes.
+ * @class
+ */
+class GroupBy {
+  /**
+   * Creates an instance of GroupBy.
+   * @constructor
+   * @param {DataFrame} dataFrame - The DataFrame to group.
+   * @param {string|string[]} columns - The column(s) to group by.
+   * @param {Object} [options] - The grouping options.
+   * @param {boolean} [options.observed=false] - Whether to keep only the
+   * groups that have rows. Otherwise, when every key column is categorical,
+   * each combination of categories gets a group, in category order, even
+   * when it has no rows.
+   * @param {boolean} [options.asIndex=false] - Whether `agg` and `size`
+   * return the group keys as the index, a MultiIndex for several keys,
+   * rather than as columns.
+   * @throws {Error} Column does not exist.
+   */
+  constructor(dataFrame, columns, { observed = false, asIndex = false } = {}) {
+    this.dataFrame = dataFrame;
+    this.keys = Array.isArray(columns) ? columns : [columns];
+    this.asIndex = asIndex;
+
+    for (const column of this.keys) {
+      if (!dataFrame.columns.includes(column)) {
+        throw new Error("Column does not exist");
+      }
+    }
+
+    const keyColumns = this.keys.map((column) => dataFrame.get(column));
+    const categorical = keyColumns.every(
+      (series) => series.dtype === "category"
+    );
+    const hashed = keyColumns.map((series) =>
+      series.dtype === "category" ? series.cat.codes.values : series.values
+    );
+
+    // A single categorical key is grouped by its code, without hashing.
+    const byCode = categorical && this.keys.length === 1;
+    this.groups = new Map();
+    if (categorical && !observed) {
+      const categories = keyColumns.map((series) => series.cat.categories);
+      for (const codes of combinations(
+        categories.map(({ length }) => length)
+      )) {
+        this.groups.set(byCode ? codes[0] : rowKey(codes), {
+          values: codes.map((code, k) => categories[k][code]),
+          indices: [],
+        });
+      }
+    }
+    for (let index = 0; index < dataFrame.length; index++) {
+      const hash = byCode
+        ? hashed[0][index]
+        : rowKey(hashed.map((values) => values[index]));
+      let group = this.groups.get(hash);
+      if (group === undefined) {
+        group = {
+          values: keyColumns.map((series) => series.values[index]),
+          indices: [],
+        };
+        this.groups.set(hash, group);
+      }
+      group.indices.push(index);
+    }
+  }
+
+  #createFrame(data, columns) {
+    const DataFrame = this.dataFrame.constructor;
+
+    return new DataFrame(data, columns);
+  }
+
+  #keyedFrame(data, columns) {
+    const frame = this.#createFrame(data, columns);
+
+    return this.asIndex ? frame.setIndex(this.keys) : frame;
+  }
+
+  #keyRow(values) {
+    const row = {};
+    this.keys.forEach((column, index) => {
+      row[column] = values[index];
+    });
+
+    return row;
+  }
+
+  #groupKey(values) {
+    return this.keys.length === 1 ? values[0] : values;
+  }
+
+  // Gathers rows by position, keeping the storage and dtypes of the columns
+  // but not the row labels.
+  #take(positions) {
+    const frame = this.dataFrame.iloc(positions);
+
+    return frame.index === null ? frame : frame.resetIndex({ drop: true });
+  }
+
+  #valueColumns() {
+    return this.dataFrame.columns.filter(
+      (column) => !this.keys.includes(column)
+    );
+  }
+
+  /**
+   * Gets the number of groups.
+   * @type {number}
+   * @readonly
+   */
+  get ngroups() {
+    return this.groups.size;
+  }
+
+  /**
+   * Iterates over the groups as [key, DataFrame] pairs. The key is a single
+   * value when grouping by one column and an array of values otherwise.
+   * @yields {Array} The group key and the DataFrame holding its rows.
+   */
+  *[Symbol.iterator]() {
+    for (const group of this.groups.values()) {
+      yield [this.#groupKey(group.values), this.#take(group.indices)];
+    }
+  }
+
+  /**
+   * Aggregates each group using the specified aggregations.
+   * @param {Object} aggregations - An object mapping column names to an aggregation
+   * name ('sum', 'mean', 'median', 'var', 'std', 'skew', 'kurtosis', 'min',
+   * 'max', 'count', 'nunique', 'first', 'last'), a function receiving the column values, or an array of
+   * these. Arrays produce one column per aggregation named `column_aggregation`,
+   * after the function name for a function, or its position in the array for
+   * an anonymous one.
+   * @returns {DataFrame} A new DataFrame with one row per group.
+   * @throws {Error} Column does not exist.
+   */
+  agg(aggregations) {
+    const outputs = [];
+    for (const columnName in aggregations) {
+      if (!this.dataFrame.columns.includes(columnName)) {
+        throw new Error("Column does not exist");
+      }
+      const spec = aggregations[columnName];
+      if (Array.isArray(spec)) {
+        spec.forEach((aggregation, i) => {
+          outputs.push({
+            columnName,
+            outputName: `${columnName}_${aggregationName(aggregation, i)}`,
+            aggregationFn: getAggregation(aggregation),
+          });
+        });
+      } else {
+        outputs.push({
+          columnName,
+          outputName: columnName,
+          aggregationFn: getAggregation(spec),
+        });
+      }
+    }
+
+    const groups = Array.from(this.groups.values());
+    const data = {};
+    this.keys.forEach((column, k) => {
+      data[column] = groups.map((group) => group.values[k]);
+    });
+    for (const { columnName, outputName, aggregationFn } of outputs) {
+      const values = this.dataFrame.get(columnName).values;
+      data[outputName] = groups.map((group) =>
+        aggregationFn(group.indices.map((index) => values[index]))
+      );
+    }
+
+    return this.#keyedFrame(data, [
+      ...this.keys,
+      ...outputs.map(({ outputName }) => outputName),
+    ]);
+  }
+
+  /**
+   * Calls a function on each group and combines the results. A returned
+   * DataFrame contributes its rows, an object contributes a single row and
+   * any other value is stored in a `value` column. Group key columns are
+   * added to the result when the function does not return them.
+   * @param {Function} fn - Called with the group DataFrame and the group key.
+   * @returns {DataFrame} A new DataFrame with the combined results.
+   */
+  apply(fn) {
+    const data = [];
+    const columns = [...this.keys];
+    const addColumns = (row) => {
+      for (const column of Object.keys(row)) {
+        if (!columns.includes(column)) {
+          columns.push(column);
+        }
+      }
+    };
+
+    for (const group of this.groups.values()) {
+      const result = fn(
+        this.#take(group.indices),
+        this.#groupKey(group.values)
+      );
+      const keyRow = this.#keyRow(group.values);
+      let rows;
+      if (result instanceof this.dataFrame.constructor) {
+        rows = result.getDataFrame();
+      } else if (result !== null && typeof result === "object") {
+        rows = [result];
+      } else {
+        rows = [{ value: result }];
+      }
+      for (const row of rows) {
+        const newRow = { ...keyRow, ...row };
+        addColumns(newRow);
+        data.push(newRow);
+      }
+    }
+
+    return this.#createFrame(
+      data.map((row) => {
+        const newRow = {};
+        for (const column of columns) {
+          newRow[column] = row[column];
+        }
+
+        return newRow;
+      }),
+      columns
+    );
+  }
+
+  /**
+   * Transforms the non-key columns group by group, keeping the original row
+   * order. The function may return an array of the same length as the group
+   * or a single value that is broadcast to every row of the group.
+   * @param {string|Function} fn - An aggregation name, or a function called
+   * with the column values of a group and the group key.
+   * @returns {DataFrame} A new DataFrame with the transformed columns.
+   * @throws {Error} Transform must return one value per row.
+   */
+  transform(fn) {
+    const transformFn = getAggregation(fn);
+    const columns = this.#valueColumns();
+    const data = {};
+    for (const column of columns) {
+      const values = this.dataFrame.get(column).values;
+      const transformed = new Array(values.length).fill(null);
+      for (const group of this.groups.values()) {
+        const result = transformFn(
+          group.indices.map((index) => values[index]),
+          this.#groupKey(group.values)
+        );
+        if (Array.isArray(result) && result.length !== group.indices.length) {
+          throw new Error("Transform must return one value per row");
+        }
+        group.indices.forEach((index, position) => {
+          transformed[index] = Array.isArray(result)
+            ? result[position]
+            : result;
+        });
+      }
+      data[column] = transformed;
+    }
+
+    return this.#createFrame(data, columns);
+  }
+
+  /**
+   * Counts the rows in each group.
+   * @returns {DataFrame} A new DataFrame with the group keys and a `size` column.
+   */
+  size() {
+    const data = [];
+    for (const group of this.groups.values()) {
+      data.push({ ...this.#keyRow(group.values), size: group.indices.length });
+    }
+
+    return this.#keyedFrame(data, [...this.keys, "size"]);
+  }
+
+  /**
+   * Keeps the rows of the groups that satisfy a condition, in their original order.
+   * @param {Function} condition - Called with the group DataFrame and the group key.
+   * @returns {DataFrame} A new DataFrame with the rows of the kept groups.
+   */
+  filter(condition) {
+    const keep = [];
+    for (const group of this.groups.values()) {
+      if (condition(this.#take(group.indices), this.#groupKey(group.values))) {
+        for (const index of group.indices) {
+          keep.push(index);
+        }
+      }
+    }
+
+    return this.#take(keep.sort((a, b) => a - b));
+  }
+}
+
+module.exports = {
+  GroupBy,
+};
@@ -0,0 +1,44 @@
+const { isna } = require("./missing");
+
+/**
+ * Creates a key for a value, such that values get the same key exactly when
+ * they are equal: missing values all share a key, numbers are keyed by value
+ * whatever their storage, dates by time, and values of different types, such
+ * as 1 and "1", never share a key.
+ * @param {*} value - The value.
+ * @returns {string} The key of the value.
+ */
+function valueKey(value) {
+  if (isna(value)) {
+    return "z";
+  }
+  switch (typeof value) {
+    case "number":
+      // -0 and 0 are equal.
+      return `n${value === 0 ? 0 : value}`;
+    case "string":
+      return `s${value}`;
+    case "boolean":
+      return value ? "t" : "f";
+    case "bigint":
+      return `i${value}`;
+    default:
+      return value instanceof Date
+        ? `d${value.getTime()}`
+        : `o${JSON.stringify(value)}`;
+  }
+}
+
+/**
+ * Creates a key for a row of values, as for `valueKey`.
+ * @param {Array} values - The values of the row.
+ * @returns {string} The key of the row.
+ */
+function rowKey(values) {
+  return JSON.stringify(values.map(valueKey));
+}
+
+module.exports = {
+  valueKey,
+  rowKey,
+};
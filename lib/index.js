@@ -1,3 +1,12 @@
 module.exports = {
   DataFrame: require("./dataframe").DataFrame,
+  GroupBy: require("./groupby").GroupBy,
+  Series: require("./series").Series,
+  Schema: require("./schema").Schema,
+  Categorical: require("./categorical").Categorical,
+  MultiIndex: require("./multiindex").MultiIndex,
+  LazyFrame: require("./lazy").LazyFrame,
+  isna: require("./missing").isna,
+  setNaValues: require("./missing").setNaValues,
+  getNaValues: require("./missing").getNaValues,
 };
@@ -0,0 +1,79 @@
+/**
+ * Checks whether a selector is a slice object such as `{ start, stop, step }`.
+ * @param {*} selector - The selector to check.
+ * @returns {boolean} Whether the selector is a slice.
+ */
+function isSlice(selector) {
+  return (
+    selector !== null &&
+    typeof selector === "object" &&
+    Object.getPrototypeOf(selector) === Object.prototype
+  );
+}
+
+/**
+ * Resolves a position against a length, counting negative positions from the end.
+ * @param {number} position - The position to resolve.
+ * @param {number} length - The number of available positions.
+ * @returns {number} The resolved non-negative position.
+ * @throws {Error} Index out of range.
+ */
+function normalizePosition(position, length) {
+  if (!Number.isInteger(position)) {
+    throw new Error(`Invalid position '${position}'`);
+  }
+  const normalized = position < 0 ? length + position : position;
+  if (normalized < 0 || normalized >= length) {
+    throw new Error("Index out of range");
+  }
+
+  return normalized;
+}
+
+/**
+ * Resolves a slice against a length. Like Python slices, `stop` is exclusive,
+ * negative bounds count from the end and out-of-range bounds are clamped.
+ * @param {Object} slice - The slice to resolve.
+ * @param {number} [slice.start] - The first position.
+ * @param {number} [slice.stop] - The position to stop before.
+ * @param {number} [slice.step=1] - The distance between positions.
+ * @param {number} length - The number of available positions.
+ * @returns {number[]} The selected positions.
+ * @throws {Error} Slice step cannot be zero.
+ */
+function slicePositions({ start, stop, step = 1 }, length) {
+  if (step === 0) {
+    throw new Error("Slice step cannot be zero");
+  }
+  const clamp = (value, fallback, lower, upper) => {
+    if (value === undefined || value === null) {
+      return fallback;
+    }
+    const resolved = value < 0 ? value + length : value;
+
+    return Math.min(Math.max(resolved, lower), upper);
+  };
+
+  const positions = [];
+  if (step > 0) {
+    const from = clamp(start, 0, 0, length);
+    const to = clamp(stop, length, 0, length);
+    for (let i = from; i < to; i += step) {
+      positions.push(i);
+    }
+  } else {
+    const from = clamp(start, length - 1, -1, length - 1);
+    const to = clamp(stop, -1, -1, length - 1);
+    for (let i = from; i > to; i += step) {
+      positions.push(i);
+    }
+  }
+
+  return positions;
+}
+
+module.exports = {
+  isSlice,
+  normalizePosition,
+  slicePositions,
+};
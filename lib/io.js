@@ -0,0 +1,173 @@
+const fs = require("fs");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { Readable, Transform, Writable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { StringDecoder } = require("string_decoder");
+
+function isReadable(source) {
+  return (
+    source !== null &&
+    typeof source === "object" &&
+    typeof source.pipe === "function" &&
+    typeof source.on === "function"
+  );
+}
+
+function isBytes(source) {
+  return Buffer.isBuffer(source) || source instanceof Uint8Array;
+}
+
+/**
+ * Checks whether a value can be written to like a Writable stream.
+ * @param {*} target - The value to check.
+ * @returns {boolean} True for objects with `write` and `end` methods.
+ */
+function isWritable(target) {
+  return (
+    target !== null &&
+    typeof target === "object" &&
+    typeof target.write === "function" &&
+    typeof target.end === "function"
+  );
+}
+
+function assertSource(source) {
+  if (typeof source !== "string" && !isBytes(source) && !isReadable(source)) {
+    throw new Error("Invalid source");
+  }
+}
+
+/**
+ * Opens a source as a stream of text.
+ * @param {string|Buffer|Readable} source - A file path, a Buffer holding the
+ * data, or a Readable stream of it.
+ * @param {string} [encoding="utf8"] - The text encoding.
+ * @returns {Readable} A stream of decoded text.
+ * @throws {Error} Invalid source.
+ */
+function openSource(source, encoding = "utf8") {
+  assertSource(source);
+  if (typeof source === "string") {
+    return fs.createReadStream(source, { encoding });
+  }
+  if (isBytes(source)) {
+    return Readable.from([Buffer.from(source).toString(encoding)]);
+  }
+
+  const decoder = new StringDecoder(encoding);
+  const decode = new Transform({
+    decodeStrings: false,
+    transform(chunk, _, callback) {
+      callback(null, typeof chunk === "string" ? chunk : decoder.write(chunk));
+    },
+    flush(callback) {
+      callback(null, decoder.end());
+    },
+  });
+  source.on("error", (error) => decode.destroy(error));
+
+  return source.pipe(decode);
+}
+
+/**
+ * Reads the whole of a source.
+ * @param {string|Buffer|Readable} source - A file path, a Buffer holding the
+ * data, or a Readable stream of it.
+ * @param {string|null} [encoding="utf8"] - The text encoding, or null to
+ * read bytes.
+ * @returns {Promise<string|Buffer>} The text, or a Buffer when `encoding` is null.
+ * @throws {Error} Invalid source.
+ */
+async function readSource(source, encoding = "utf8") {
+  assertSource(source);
+  let bytes;
+  if (typeof source === "string") {
+    bytes = await fs.promises.readFile(source);
+  } else if (isBytes(source)) {
+    bytes = Buffer.from(source);
+  } else {
+    const chunks = [];
+    for await (const chunk of source) {
+      chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+    }
+    bytes = Buffer.concat(chunks);
+  }
+
+  return encoding === null ? bytes : bytes.toString(encoding);
+}
+
+// Forwards writes to a stream that is left open, finishing once the stream
+// has handled every write.
+function forwardTo(stream) {
+  const forward = new Writable({
+    write(chunk, _, callback) {
+      stream.write(chunk, callback);
+    },
+  });
+  // The error listener stays after a failure, as the stream may emit the
+  // error after passing it to the write callback.
+  const fail = (error) => forward.destroy(error);
+  stream.on("error", fail);
+  forward.on("finish", () => stream.removeListener("error", fail));
+
+  return forward;
+}
+
+async function collect(chunks, gzip) {
+  const parts = [];
+  for await (const chunk of chunks) {
+    parts.push(chunk);
+  }
+  const data = parts.every((part) => typeof part === "string")
+    ? parts.join("")
+    : Buffer.concat(parts.map((part) => Buffer.from(part)));
+
+  return gzip ? promisify(zlib.gzip)(data) : data;
+}
+
+/**
+ * Writes data to a file or a stream. Files are closed once written, while
+ * streams are left open for more data.
+ * @param {string|Writable|undefined} target - A file path, a Writable stream,
+ * or undefined to get the data back.
+ * @param {string|Buffer|Iterable<string|Buffer>|AsyncIterable<string|Buffer>}
+ * data - The data to write, whole or in chunks.
+ * @param {Object} [options] - The write options.
+ * @param {boolean} [options.append=false] - Whether to append to the file
+ * instead of replacing it.
+ * @param {boolean} [options.gzip=false] - Whether to compress the data with gzip.
+ * @returns {Promise<string|Buffer|void>} A Promise that resolves once the data
+ * is written, or to the data when `target` is undefined: a Buffer when it is
+ * compressed or written as bytes, and a string otherwise. It rejects on
+ * stream errors.
+ * @throws {Error} Invalid target.
+ */
+function writeTarget(target, data, { append = false, gzip = false } = {}) {
+  if (
+    target !== undefined &&
+    typeof target !== "string" &&
+    !isWritable(target)
+  ) {
+    throw new Error("Invalid target");
+  }
+  const chunks = typeof data === "string" || isBytes(data) ? [data] : data;
+  if (target === undefined) {
+    return collect(chunks, gzip);
+  }
+
+  const destination =
+    typeof target === "string"
+      ? fs.createWriteStream(target, { flags: append ? "a" : "w" })
+      : forwardTo(target);
+  const stages = gzip ? [zlib.createGzip()] : [];
+
+  return pipeline(Readable.from(chunks), ...stages, destination);
+}
+
+module.exports = {
+  isWritable,
+  openSource,
+  readSource,
+  writeTarget,
+};
@@ -0,0 +1,202 @@
+const ORIENTS = ["records", "columns", "split", "index", "values"];
+
+function assertOrient(orient) {
+  if (!ORIENTS.includes(orient)) {
+    throw new Error(`Invalid orient '${orient}'`);
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function invalid(orient) {
+  return new Error(`Invalid JSON for orient '${orient}'`);
+}
+
+// Object keys are always strings, so keys that count from "0" are read back
+// as positional labels.
+function labelsOf(keys) {
+  return keys.every((key, position) => key === String(position)) ? null : keys;
+}
+
+/**
+ * Collects records into columns. The columns are those of every record, in
+ * order of first appearance, and values a record lacks are null.
+ * @param {Object[]} records - The records.
+ * @returns {{columns: string[], data: Object}} The column names and an object
+ * mapping them to their values.
+ */
+function recordsToColumns(records) {
+  const columns = [];
+  const data = {};
+  records.forEach((record, position) => {
+    for (const column in record) {
+      if (!Object.prototype.hasOwnProperty.call(data, column)) {
+        columns.push(column);
+        data[column] = new Array(records.length).fill(null);
+      }
+      data[column][position] = record[column];
+    }
+  });
+
+  return { columns, data };
+}
+
+function rowsToColumns(columns, rows) {
+  const data = {};
+  columns.forEach((column, i) => {
+    data[column] = rows.map((row) => (row[i] === undefined ? null : row[i]));
+  });
+
+  return data;
+}
+
+/**
+ * Reads parsed JSON laid out in one of the pandas orientations:
+ * - `records`: `[{column: value}, ...]`;
+ * - `columns`: `{column: {label: value}}`;
+ * - `split`: `{columns: [...], index: [...], data: [[...], ...]}`;
+ * - `index`: `{label: {column: value}}`;
+ * - `values`: `[[...], ...]`, with columns named column1..N.
+ * @param {*} json - The parsed JSON.
+ * @param {string} [orient="records"] - The orientation.
+ * @returns {{columns: string[], data: Object, index: Array|null}} The column
+ * names, an object mapping them to their values, and the row labels, null
+ * for positional labels.
+ * @throws {Error} Invalid orient.
+ * @throws {Error} Invalid JSON for orient.
+ */
+function parseOrient(json, orient = "records") {
+  assertOrient(orient);
+  switch (orient) {
+    case "records": {
+      if (!Array.isArray(json) || !json.every(isObject)) {
+        throw invalid(orient);
+      }
+
+      return { ...recordsToColumns(json), index: null };
+    }
+    case "columns": {
+      if (!isObject(json) || !Object.values(json).every(isObject)) {
+        throw invalid(orient);
+      }
+      const columns = Object.keys(json);
+      const keys = [];
+      const seen = new Set();
+      for (const column of columns) {
+        for (const key in json[column]) {
+          if (!seen.has(key)) {
+            seen.add(key);
+            keys.push(key);
+          }
+        }
+      }
+      const data = {};
+      for (const column of columns) {
+        data[column] = keys.map((key) =>
+          json[column][key] === undefined ? null : json[column][key]
+        );
+      }
+
+      return { columns, data, index: labelsOf(keys) };
+    }
+    case "split": {
+      if (
+        !isObject(json) ||
+        !Array.isArray(json.columns) ||
+        !Array.isArray(json.data) ||
+        !json.data.every(Array.isArray)
+      ) {
+        throw invalid(orient);
+      }
+      const index = Array.isArray(json.index) ? json.index : null;
+      if (index !== null && index.length !== json.data.length) {
+        throw invalid(orient);
+      }
+
+      return {
+        columns: json.columns,
+        data: rowsToColumns(json.columns, json.data),
+        index:
+          index && index.every((label, position) => label === position)
+            ? null
+            : index,
+      };
+    }
+    case "index": {
+      if (!isObject(json) || !Object.values(json).every(isObject)) {
+        throw invalid(orient);
+      }
+      const keys = Object.keys(json);
+
+      return {
+        ...recordsToColumns(keys.map((key) => json[key])),
+        index: labelsOf(keys),
+      };
+    }
+    default: {
+      if (!Array.isArray(json) || !json.every(Array.isArray)) {
+        throw invalid(orient);
+      }
+      const width = json.reduce((max, row) => Math.max(max, row.length), 0);
+      const columns = Array.from({ length: width }, (_, i) => `column${i + 1}`);
+
+      return { columns, data: rowsToColumns(columns, json), index: null };
+    }
+  }
+}
+
+/**
+ * Lays out a table in one of the orientations read by `parseOrient`.
+ * @param {Object} table - The table to lay out.
+ * @param {string[]} table.columns - The column names.
+ * @param {Function} table.row - Returns the values of a row as an object.
+ * @param {number} table.length - The number of rows.
+ * @param {Array} table.labels - The row labels.
+ * @param {string} [orient="records"] - The orientation.
+ * @returns {*} The JSON value.
+ * @throws {Error} Invalid orient.
+ */
+function formatOrient(table, orient = "records") {
+  assertOrient(orient);
+  const { columns, row, length, labels } = table;
+  const rows = Array.from({ length }, (_, position) => row(position));
+  switch (orient) {
+    case "records":
+      return rows;
+    case "columns": {
+      const json = {};
+      for (const column of columns) {
+        json[column] = {};
+        rows.forEach((values, position) => {
+          json[column][labels[position]] = values[column];
+        });
+      }
+
+      return json;
+    }
+    case "split":
+      return {
+        columns,
+        index: labels,
+        data: rows.map((values) => columns.map((column) => values[column])),
+      };
+    case "index": {
+      const json = {};
+      rows.forEach((values, position) => {
+        json[labels[position]] = values;
+      });
+
+      return json;
+    }
+    default:
+      return rows.map((values) => columns.map((column) => values[column]));
+  }
+}
+
+module.exports = {
+  recordsToColumns,
+  parseOrient,
+  formatOrient,
+};
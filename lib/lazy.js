@@ -0,0 +1,698 @@
+const { Parser, referencedColumns } = require("./expression");
+const { readCSV } = require("./csv");
+const { TypeInference } = require("./dtypes");
+
+// A logical plan is a tree of plain objects, each with a `type` and, except
+// for scans, the `input` node it applies to. Nodes are never modified: the
+// optimizer builds new ones.
+
+function columnList(columns) {
+  return Array.isArray(columns) ? columns : [columns];
+}
+
+// Builds a predicate from a query expression, whose columns are known, or
+// from a function, whose columns are not.
+function predicateOf(condition, variables) {
+  if (typeof condition === "function") {
+    return { fn: condition };
+  }
+  if (typeof condition !== "string") {
+    throw new Error("Condition must be an expression or a function");
+  }
+  const node = new Parser(condition).parseExpression();
+
+  return {
+    expression: condition,
+    variables,
+    columns: referencedColumns(node),
+  };
+}
+
+function withFilter(predicates, input) {
+  return predicates.length === 0
+    ? input
+    : { type: "filter", input, predicates, columns: null };
+}
+
+// Moves expression predicates as close to the scan as they can go: below
+// selections that keep their columns, sorts and evaluations that do not
+// assign their columns, and into the scan itself. Adjacent filters are
+// merged; a function predicate only sees the rows of its own input, so
+// predicates above it are not merged into it.
+function sink(predicates, input) {
+  if (predicates.some(({ fn }) => fn)) {
+    return withFilter(predicates, input);
+  }
+  switch (input.type) {
+    case "scan":
+      return { ...input, predicates: [...input.predicates, ...predicates] };
+    case "filter":
+      return withFilter([...input.predicates, ...predicates], input.input);
+    case "select":
+    case "sort":
+    case "eval": {
+      const passes = (predicate) =>
+        (input.type !== "select" ||
+          predicate.columns.every((column) =>
+            input.columns.includes(column)
+          )) &&
+        (input.type !== "eval" ||
+          !predicate.columns.some((column) =>
+            input.assignments.some(({ target }) => target === column)
+          ));
+      const moved = predicates.filter(passes);
+      const kept = predicates.filter((predicate) => !passes(predicate));
+
+      return withFilter(kept, { ...input, input: sink(moved, input.input) });
+    }
+    default:
+      return withFilter(predicates, input);
+  }
+}
+
+function pushPredicates(node) {
+  if (node.type === "scan") {
+    return node;
+  }
+  const input = pushPredicates(node.input);
+
+  return node.type === "filter"
+    ? sink(node.predicates, input)
+    : { ...node, input };
+}
+
+function union(required, columns) {
+  return required === null ? null : new Set([...required, ...columns]);
+}
+
+// Narrows the scan to the columns the plan uses. `required` holds the
+// columns needed above a node, or null when every column may be.
+function prune(node, required) {
+  switch (node.type) {
+    case "scan": {
+      const needed = node.predicates.reduce(
+        (columns, predicate) => union(columns, predicate.columns),
+        required
+      );
+      if (needed === null || (node.options && node.options.schema)) {
+        return node;
+      }
+
+      return { ...node, columns: Array.from(needed) };
+    }
+    case "filter": {
+      const needed = node.predicates.some(({ fn }) => fn)
+        ? null
+        : node.predicates.reduce(
+            (columns, predicate) => union(columns, predicate.columns),
+            required
+          );
+
+      return { ...node, input: prune(node.input, needed) };
+    }
+    case "select":
+      return { ...node, input: prune(node.input, new Set(node.columns)) };
+    case "sort":
+      return { ...node, input: prune(node.input, union(required, node.by)) };
+    case "eval": {
+      let needed = required === null ? null : new Set(required);
+      for (const { target, columns } of [...node.assignments].reverse()) {
+        if (needed !== null) {
+          needed.delete(target);
+        }
+        needed = union(needed, columns);
+      }
+
+      return { ...node, input: prune(node.input, needed) };
+    }
+    case "aggregate":
+      return {
+        ...node,
+        input: prune(
+          node.input,
+          new Set([...node.keys, ...Object.keys(node.aggregations || {})])
+        ),
+      };
+    default:
+      return { ...node, input: prune(node.input, required) };
+  }
+}
+
+// Runs a selection with the filter below it, so the rows are gathered once
+// and only for the selected columns.
+function fuse(node) {
+  if (node.type === "scan") {
+    return node;
+  }
+  const input = fuse(node.input);
+  if (node.type === "select" && input.type === "filter" && !input.columns) {
+    return { ...input, columns: node.columns };
+  }
+
+  return { ...node, input };
+}
+
+// Moves a head below the selections and evaluations it follows, into a
+// scan without predicates, which then reads only the first rows.
+function limit(node, n) {
+  if (node.type === "select" || node.type === "eval") {
+    const input = limit(node.input, n);
+
+    return input && { ...node, input };
+  }
+  if (node.type === "scan" && node.predicates.length === 0) {
+    return { ...node, nrows: Math.min(n, node.nrows) };
+  }
+
+  return null;
+}
+
+function pushLimits(node) {
+  if (node.type === "scan") {
+    return node;
+  }
+  const input = pushLimits(node.input);
+  if (node.type === "slice" && node.method === "head") {
+    const limited = limit(input, node.n);
+    if (limited) {
+      return limited;
+    }
+  }
+
+  return { ...node, input };
+}
+
+/**
+ * Optimizes a logical plan: pushes predicates down to the scan, reads only
+ * the columns the plan uses, fuses selections with the filters below them,
+ * and reads only the first rows for a head.
+ * @param {Object} plan - The logical plan.
+ * @returns {Object} The optimized plan.
+ */
+function optimize(plan) {
+  return pushLimits(fuse(prune(pushPredicates(plan), null)));
+}
+
+function mask(frame, predicates) {
+  const masks = predicates.map(({ fn, expression, variables }) =>
+    fn
+      ? frame.getDataFrame().map((row, position) => fn(row, position))
+      : frame.eval(expression, { variables }).values
+  );
+
+  return Array.from({ length: masks[0].length }, (_, position) =>
+    masks.every((values) => Boolean(values[position]))
+  );
+}
+
+function filterFrame(frame, predicates, columns) {
+  if (predicates.length === 0) {
+    return columns ? frame.select(columns) : frame;
+  }
+  const keep = mask(frame, predicates);
+
+  return (columns ? frame.select(columns) : frame).filter(keep);
+}
+
+// Infers the dtypes of a whole CSV file, as `fromCSV` does, without holding
+// it: only the distinct values of category columns are kept.
+async function inferCSVTypes(file, options) {
+  const { dtype = {}, parseDates = [], inferCategories = false } = options;
+  const { chunkSize = 10000 } = options;
+  const inferences = new Map();
+  let columns = [];
+  for await (const chunk of readCSV(file, options, chunkSize)) {
+    columns = chunk.columns;
+    columns.forEach((column, position) => {
+      if (dtype[column] && dtype[column] !== "category") {
+        return;
+      }
+      if (!inferences.has(column)) {
+        const parseColumnDates =
+          parseDates === true ||
+          (Array.isArray(parseDates) && parseDates.includes(column));
+        inferences.set(
+          column,
+          new TypeInference(
+            parseColumnDates,
+            inferCategories || dtype[column] === "category"
+          )
+        );
+      }
+      inferences.get(column).add(chunk.rows.map((row) => row[position]));
+    });
+  }
+
+  const types = {};
+  const categories = {};
+  for (const column of columns) {
+    const inference = inferences.get(column);
+    types[column] = dtype[column] || inference.dtype;
+    if (types[column] === "category") {
+      categories[column] = inference.categories;
+    }
+  }
+
+  return { columns, types, categories };
+}
+
+// Reads a CSV file twice: once to infer its dtypes, then a chunk at a time,
+// keeping the rows that match the predicates, so that the result is that of
+// filtering the whole file.
+async function filterCSV(file, predicates, options) {
+  const { DataFrame } = require("./dataframe");
+  const { columns, types, categories } = await inferCSVTypes(file, options);
+  if (columns.length === 0) {
+    // A file without a header has no rows to filter.
+    return DataFrame.fromCSV(file, options);
+  }
+
+  // Category columns are read as text, and encoded with the categories of
+  // the whole file once the chunks are combined.
+  const dtype = { ...types };
+  for (const column in categories) {
+    dtype[column] = "string";
+  }
+  const chunks = [];
+  for await (const chunk of DataFrame.readCSVChunks(file, {
+    ...options,
+    dtype,
+  })) {
+    chunks.push(filterFrame(chunk, predicates, null));
+  }
+  const frame = DataFrame.concat(chunks, { ignoreIndex: true });
+
+  return frame
+    .astype(dtype)
+    .assign(
+      Object.fromEntries(
+        Object.entries(categories).map(([column, values]) => [
+          column,
+          frame.get(column).astype("category", { categories: values }),
+        ])
+      )
+    );
+}
+
+async function scan(node) {
+  let frame = node.frame;
+  if (frame) {
+    if (node.columns) {
+      frame = frame.select(
+        frame.columns.filter((column) => node.columns.includes(column))
+      );
+    }
+  } else {
+    const { DataFrame } = require("./dataframe");
+    const options = { ...node.options };
+    if (node.columns) {
+      const needed = new Set(node.columns);
+      const { usecols, dtype } = options;
+      options.usecols = (column) =>
+        needed.has(column) &&
+        (usecols === undefined ||
+          (typeof usecols === "function"
+            ? usecols(column)
+            : usecols.includes(column)));
+      if (dtype) {
+        options.dtype = Object.fromEntries(
+          Object.entries(dtype).filter(([column]) => needed.has(column))
+        );
+      }
+    }
+    if (node.nrows !== Infinity) {
+      options.nrows = Math.min(
+        node.nrows,
+        options.nrows === undefined ? Infinity : options.nrows
+      );
+    }
+    // Predicates filter each chunk as it is read, so that only the matching
+    // rows are held. A schema is checked against the whole file.
+    if (node.predicates.length > 0 && !options.schema) {
+      return filterCSV(node.file, node.predicates, options);
+    }
+    frame = await DataFrame.fromCSV(node.file, options);
+  }
+  frame = filterFrame(frame, node.predicates, null);
+
+  return node.frame && node.nrows !== Infinity ? frame.head(node.nrows) : frame;
+}
+
+async function execute(node) {
+  if (node.type === "scan") {
+    return scan(node);
+  }
+  const frame = await execute(node.input);
+  switch (node.type) {
+    case "filter":
+      return filterFrame(frame, node.predicates, node.columns);
+    case "select":
+      return frame.select(node.columns);
+    case "sort":
+      return frame[node.method](...node.args);
+    case "slice":
+      return frame[node.method](node.n);
+    case "eval":
+      return frame.eval(node.expression, { variables: node.variables });
+    default: {
+      const groups = frame.groupBy(node.keys, node.options);
+
+      return node.aggregations ? groups.agg(node.aggregations) : groups.size();
+    }
+  }
+}
+
+function describePredicates(predicates) {
+  return predicates
+    .map(({ fn, expression }) =>
+      fn ? `<function ${fn.name || "anonymous"}>` : `(${expression})`
+    )
+    .join(" AND ");
+}
+
+function describeNode(node) {
+  switch (node.type) {
+    case "scan": {
+      const parts = [
+        node.frame
+          ? "SCAN DataFrame"
+          : `SCAN CSV ${typeof node.file === "string" ? node.file : "<data>"}`,
+      ];
+      if (node.columns) {
+        parts.push(`COLUMNS [${node.columns.join(", ")}]`);
+      }
+      if (node.predicates.length > 0) {
+        parts.push(`FILTER ${describePredicates(node.predicates)}`);
+      }
+      if (node.nrows !== Infinity) {
+        parts.push(`NROWS ${node.nrows}`);
+      }
+
+      return parts.join(" ");
+    }
+    case "filter":
+      return node.columns
+        ? `FILTER ${describePredicates(
+            node.predicates
+          )} SELECT [${node.columns.join(", ")}]`
+        : `FILTER ${describePredicates(node.predicates)}`;
+    case "select":
+      return `SELECT [${node.columns.join(", ")}]`;
+    case "sort":
+      return `SORT BY [${node.by.join(", ")}]${node.descending ? " DESC" : ""}`;
+    case "slice":
+      return `${node.method.toUpperCase()} ${node.n}`;
+    case "eval":
+      return `EVAL ${node.expression.replace(/\s*[\n;]\s*/g, "; ")}`;
+    default:
+      return node.aggregations
+        ? `AGGREGATE BY [${node.keys.join(", ")}] ${JSON.stringify(
+            node.aggregations,
+            (_, value) => (typeof value === "function" ? "<function>" : value)
+          )}`
+        : `SIZE BY [${node.keys.join(", ")}]`;
+  }
+}
+
+function describePlan(node, depth = 0) {
+  const line = `${"  ".repeat(depth)}${describeNode(node)}`;
+
+  return node.type === "scan"
+    ? [line]
+    : [line, ...describePlan(node.input, depth + 1)];
+}
+
+/**
+ * Records operations on a DataFrame, or on a CSV file, into a logical plan
+ * without running them. The plan is optimized and run by `collect`:
+ * query expressions are evaluated as early as possible, only the columns
+ * the plan uses are read, selections are fused with the filters below them,
+ * and a head reads only the first rows. Returned by `DataFrame.lazy()` and
+ * `DataFrame.scanCSV()`. LazyFrames are never modified in place.
+ * @class
+ */
+class LazyFrame {
+  #plan;
+
+  /**
+   * Creates an instance of LazyFrame.
+   * @constructor
+   * @param {Object} plan - The logical plan. Use `DataFrame.lazy()` or
+   * `DataFrame.scanCSV()` to start one.
+   */
+  constructor(plan) {
+    this.#plan = plan;
+  }
+
+  /**
+   * Starts a plan from a DataFrame.
+   * @static
+   * @param {DataFrame} frame - The DataFrame to read.
+   * @returns {LazyFrame} The new LazyFrame.
+   */
+  static fromDataFrame(frame) {
+    return new LazyFrame({
+      type: "scan",
+      frame,
+      columns: null,
+      predicates: [],
+      nrows: Infinity,
+    });
+  }
+
+  /**
+   * Starts a plan from a CSV file, read when the plan is collected. When
+   * query expressions are pushed into the scan, the file is read twice:
+   * once to infer the dtypes of the whole file, as `DataFrame.fromCSV` does,
+   * then in chunks, each filtered as it is read.
+   * @static
+   * @param {string|Buffer} file - The path to the CSV file, or a Buffer
+   * holding it.
+   * @param {Object} [options] - The load options, as for `DataFrame.fromCSV`.
+   * @param {number} [options.chunkSize=10000] - The number of rows in each
+   * chunk read for a filtered scan.
+   * @returns {LazyFrame} The new LazyFrame.
+   */
+  static scanCSV(file, options = {}) {
+    return new LazyFrame({
+      type: "scan",
+      file,
+      options,
+      columns: null,
+      predicates: [],
+      nrows: Infinity,
+    });
+  }
+
+  #then(node) {
+    return new LazyFrame({ ...node, input: this.#plan });
+  }
+
+  /**
+   * Selects columns, as `DataFrame.select` does.
+   * @param {string|string[]} columns - The column(s) to select.
+   * @returns {LazyFrame} A new LazyFrame.
+   */
+  select(columns) {
+    return this.#then({ type: "select", columns: columnList(columns) });
+  }
+
+  /**
+   * Keeps the rows that satisfy a condition. Query expressions can be moved
+   * before other operations and into the scan; functions run where they are.
+   * @param {string|Function} condition - An expression in the language of
+   * `DataFrame.query`, or a function called with each row and its position.
+   * @param {Object} [options] - The filter options.
+   * @param {Object} [options.variables] - The values of `@name` references.
+   * @returns {LazyFrame} A new LazyFrame.
+   * @throws {Error} Syntax errors in the expression.
+   */
+  filter(condition, { variables } = {}) {
+    return this.#then({
+      type: "filter",
+      predicates: [predicateOf(condition, variables)],
+      columns: null,
+    });
+  }
+
+  /**
+   * Keeps the rows where an expression is true, as `DataFrame.query` does.
+   * @param {string} expression - The expression.
+   * @param {Object} [options] - The query options.
+   * @param {Object} [options.variables] - The values of `@name` references.
+   * @returns {LazyFrame} A new LazyFrame.
+   * @throws {Error} Syntax errors in the expression.
+   */
+  query(expression, options) {
+    return this.filter(String(expression), options);
+  }
+
+  /**
+   * Adds or replaces columns with assignments, as `DataFrame.eval` does.
+   * @param {string} expression - The assignments, such as `"Total = Price * Qty"`.
+   * @param {Object} [options] - The evaluation options.
+   * @param {Object} [options.variables] - The values of `@name` references.
+   * @returns {LazyFrame} A new LazyFrame.
+   * @throws {Error} Expected an assignment.
+   */
+  eval(expression, { variables } = {}) {
+    const node = new Parser(expression).parseStatements();
+    if (node.type !== "statements") {
+      throw new Error("Expected an assignment");
+    }
+
+    return this.#then({
+      type: "eval",
+      expression,
+      variables,
+      assignments: node.assignments.map(({ target, value }) => ({
+        target,
+        columns: referencedColumns(value),
+      })),
+    });
+  }
+
+  /**
+   * Sorts the rows, as `DataFrame.sortValues` does.
+   * @param {Object} options - The sort options, as for `DataFrame.sortValues`.
+   * @returns {LazyFrame} A new LazyFrame.
+   */
+  sortValues(options) {
+    return this.#then({
+      type: "sort",
+      method: "sortValues",
+      args: [options],
+      by: columnList(options.by),
+      descending: options.ascending === false,
+    });
+  }
+
+  /**
+   * Sorts the rows, as `DataFrame.sortBy` does.
+   * @param {string[]} columns - The column(s) to sort by.
+   * @param {boolean} [ascending=true] - Whether to sort in ascending order.
+   * @returns {LazyFrame} A new LazyFrame.
+   */
+  sortBy(columns, ascending = true) {
+    return this.#then({
+      type: "sort",
+      method: "sortBy",
+      args: [columns, ascending],
+      by: columnList(columns),
+      descending: !ascending,
+    });
+  }
+
+  /**
+   * Keeps the first rows.
+   * @param {number} [n=5] - The number of rows to keep.
+   * @returns {LazyFrame} A new LazyFrame.
+   */
+  head(n = 5) {
+    return this.#then({ type: "slice", method: "head", n });
+  }
+
+  /**
+   * Keeps the last rows.
+   * @param {number} [n=5] - The number of rows to keep.
+   * @returns {LazyFrame} A new LazyFrame.
+   */
+  tail(n = 5) {
+    return this.#then({ type: "slice", method: "tail", n });
+  }
+
+  /**
+   * Groups the rows by columns, as `DataFrame.groupBy` does.
+   * @param {string|string[]} columns - The column(s) to group by.
+   * @param {Object} [options] - The grouping options, as for `DataFrame.groupBy`.
+   * @returns {LazyGroupBy} The groups, with `agg` and `size` methods.
+   */
+  groupBy(columns, options) {
+    return new LazyGroupBy(
+      (node) => this.#then(node),
+      columnList(columns),
+      options
+    );
+  }
+
+  /**
+   * Describes the plan, one operation per line from the last to the first,
+   * each indented below the operation it feeds.
+   * @param {Object} [options] - The explain options.
+   * @param {boolean} [options.optimized=true] - Whether to describe the
+   * optimized plan, which `collect` runs, rather than the recorded one.
+   * @returns {string} The description of the plan.
+   */
+  explain({ optimized = true } = {}) {
+    return describePlan(optimized ? optimize(this.#plan) : this.#plan).join(
+      "\n"
+    );
+  }
+
+  /**
+   * Optimizes and runs the plan. Files are read again on each call.
+   * @returns {Promise<DataFrame>} A Promise that resolves to the result. It
+   * rejects with the errors of the operations, such as unknown columns.
+   */
+  collect() {
+    return execute(optimize(this.#plan));
+  }
+}
+
+/**
+ * Records an aggregation of groups into the plan of a LazyFrame. Returned
+ * by `LazyFrame.groupBy()`.
+ * @class
+ */
+class LazyGroupBy {
+  #then;
+  #keys;
+  #options;
+
+  /**
+   * Creates an instance of LazyGroupBy.
+   * @constructor
+   * @param {Function} then - Adds a node to the plan of the LazyFrame.
+   * @param {string[]} keys - The columns to group by.
+   * @param {Object} [options] - The grouping options.
+   */
+  constructor(then, keys, options) {
+    this.#then = then;
+    this.#keys = keys;
+    this.#options = options;
+  }
+
+  /**
+   * Aggregates each group, as `GroupBy.agg` does.
+   * @param {Object} aggregations - An object mapping column names to
+   * aggregations, as for `GroupBy.agg`.
+   * @returns {LazyFrame} A new LazyFrame.
+   */
+  agg(aggregations) {
+    return this.#then({
+      type: "aggregate",
+      keys: this.#keys,
+      options: this.#options,
+      aggregations,
+    });
+  }
+
+  /**
+   * Counts the rows in each group, as `GroupBy.size` does.
+   * @returns {LazyFrame} A new LazyFrame.
+   */
+  size() {
+    return this.#then({
+      type: "aggregate",
+      keys: this.#keys,
+      options: this.#options,
+      aggregations: null,
+    });
+  }
+}
+
+module.exports = {
+  LazyFrame,
+  LazyGroupBy,
+  optimize,
+};
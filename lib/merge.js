@@ -0,0 +1,218 @@
+const { rowKey } = require("./hash");
+const { keepTypes } = require("./concat");
+
+const JOIN_TYPES = ["inner", "left", "right", "outer", "cross"];
+
+function keyColumns(left, right, { on, leftOn, rightOn, how }) {
+  if (how === "cross") {
+    if (on || leftOn || rightOn) {
+      throw new Error("Cross merge does not accept key columns");
+    }
+
+    return { leftKeys: [], rightKeys: [], shared: [] };
+  }
+
+  let leftKeys;
+  let rightKeys;
+  if (on) {
+    leftKeys = Array.isArray(on) ? on : [on];
+    rightKeys = leftKeys;
+  } else if (leftOn || rightOn) {
+    if (!leftOn || !rightOn) {
+      throw new Error("Both leftOn and rightOn must be specified");
+    }
+    leftKeys = Array.isArray(leftOn) ? leftOn : [leftOn];
+    rightKeys = Array.isArray(rightOn) ? rightOn : [rightOn];
+  } else {
+    leftKeys = left.columns.filter((column) => right.columns.includes(column));
+    rightKeys = leftKeys;
+  }
+
+  if (leftKeys.length === 0) {
+    throw new Error("No columns to merge on");
+  }
+  if (leftKeys.length !== rightKeys.length) {
+    throw new Error("leftOn and rightOn must have the same length");
+  }
+  for (const column of leftKeys) {
+    if (!left.columns.includes(column)) {
+      throw new Error("Column does not exist");
+    }
+  }
+  for (const column of rightKeys) {
+    if (!right.columns.includes(column)) {
+      throw new Error("Column does not exist");
+    }
+  }
+
+  const shared = leftKeys.filter((column, i) => column === rightKeys[i]);
+
+  return { leftKeys, rightKeys, shared };
+}
+
+function outputColumns(left, right, shared, suffixes) {
+  const [leftSuffix, rightSuffix] = suffixes;
+  const leftNames = new Map();
+  const rightNames = new Map();
+
+  for (const column of left.columns) {
+    const overlaps = !shared.includes(column) && right.columns.includes(column);
+    leftNames.set(column, overlaps ? `${column}${leftSuffix}` : column);
+  }
+  for (const column of right.columns) {
+    if (shared.includes(column)) {
+      continue;
+    }
+    const overlaps = left.columns.includes(column);
+    rightNames.set(column, overlaps ? `${column}${rightSuffix}` : column);
+  }
+
+  const columns = [...leftNames.values(), ...rightNames.values()];
+  if (new Set(columns).size !== columns.length) {
+    throw new Error("Suffixes produce duplicate column names");
+  }
+
+  return { leftNames, rightNames, columns };
+}
+
+// Keys each row by the values of its key columns, as groupBy does.
+function rowKeys(frame, keys) {
+  const columns = keys.map((column) => frame.get(column).values);
+
+  return Array.from({ length: frame.length }, (_, position) =>
+    rowKey(columns.map((values) => values[position]))
+  );
+}
+
+function buildIndex(hashes) {
+  const index = new Map();
+  hashes.forEach((hash, position) => {
+    if (!index.has(hash)) {
+      index.set(hash, []);
+    }
+    index.get(hash).push(position);
+  });
+
+  return index;
+}
+
+/**
+ * Merges two DataFrames with a database-style join.
+ * @param {DataFrame} left - The left DataFrame.
+ * @param {DataFrame} right - The right DataFrame.
+ * @param {Object} [options] - The merge options.
+ * @param {string|string[]} [options.on] - Key column(s) present in both frames.
+ * Defaults to the columns the frames have in common.
+ * @param {string|string[]} [options.leftOn] - Key column(s) of the left frame.
+ * @param {string|string[]} [options.rightOn] - Key column(s) of the right frame.
+ * @param {string} [options.how='inner'] - One of 'inner', 'left', 'right', 'outer' or 'cross'.
+ * @param {string[]} [options.suffixes=['_x', '_y']] - Suffixes appended to
+ * overlapping non-key column names from the left and right frames.
+ * @returns {DataFrame} A new DataFrame with the joined rows. Columns keep
+ * the dtype of the columns they are built from when those agree.
+ * @throws {Error} Invalid merge type.
+ */
+function merge(left, right, options = {}) {
+  const { how = "inner", suffixes = ["_x", "_y"] } = options;
+  if (!JOIN_TYPES.includes(how)) {
+    throw new Error(`Invalid merge type '${how}'`);
+  }
+
+  const { leftKeys, rightKeys, shared } = keyColumns(left, right, {
+    ...options,
+    how,
+  });
+  const { leftNames, rightNames, columns } = outputColumns(
+    left,
+    right,
+    shared,
+    suffixes
+  );
+  // The joined rows, as pairs of positions in the left and right frames,
+  // null where a side has no matching row.
+  const leftPositions = [];
+  const rightPositions = [];
+  const join = (leftPosition, rightPosition) => {
+    leftPositions.push(leftPosition);
+    rightPositions.push(rightPosition);
+  };
+
+  if (how === "cross") {
+    for (let i = 0; i < left.length; i++) {
+      for (let j = 0; j < right.length; j++) {
+        join(i, j);
+      }
+    }
+  } else if (how === "right") {
+    const leftIndex = buildIndex(rowKeys(left, leftKeys));
+    rowKeys(right, rightKeys).forEach((hash, j) => {
+      const matches = leftIndex.get(hash);
+      if (matches) {
+        for (const i of matches) {
+          join(i, j);
+        }
+      } else {
+        join(null, j);
+      }
+    });
+  } else {
+    const rightHashes = rowKeys(right, rightKeys);
+    const rightIndex = buildIndex(rightHashes);
+    const matched = new Set();
+    rowKeys(left, leftKeys).forEach((hash, i) => {
+      const matches = rightIndex.get(hash);
+      if (matches) {
+        matched.add(hash);
+        for (const j of matches) {
+          join(i, j);
+        }
+      } else if (how !== "inner") {
+        join(i, null);
+      }
+    });
+    if (how === "outer") {
+      rightHashes.forEach((hash, j) => {
+        if (!matched.has(hash)) {
+          join(null, j);
+        }
+      });
+    }
+  }
+
+  const gather = (values, positions) =>
+    positions.map((position) => (position === null ? null : values[position]));
+  const data = {};
+  for (const [column, name] of leftNames) {
+    data[name] = gather(left.get(column).values, leftPositions);
+    // Rows without a left match take their shared keys from the right.
+    if (shared.includes(column)) {
+      const rightValues = right.get(column).values;
+      rightPositions.forEach((position, row) => {
+        if (leftPositions[row] === null) {
+          data[name][row] = rightValues[position];
+        }
+      });
+    }
+  }
+  for (const [column, name] of rightNames) {
+    data[name] = gather(right.get(column).values, rightPositions);
+  }
+
+  const sources = new Map();
+  for (const [column, name] of leftNames) {
+    sources.set(name, [{ frame: left, column }]);
+    if (shared.includes(column)) {
+      sources.get(name).push({ frame: right, column });
+    }
+  }
+  for (const [column, name] of rightNames) {
+    sources.set(name, [{ frame: right, column }]);
+  }
+  const DataFrame = left.constructor;
+
+  return keepTypes(new DataFrame(data, columns), sources);
+}
+
+module.exports = {
+  merge,
+};
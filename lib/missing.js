@@ -0,0 +1,120 @@
+let naValues = new Set();
+
+/**
+ * Sets the sentinel values, such as "" or "NA", that are treated as missing in
+ * addition to null, undefined and NaN.
+ * @param {Array} values - The sentinel values.
+ */
+function setNaValues(values) {
+  naValues = new Set(values);
+}
+
+/**
+ * Returns the sentinel values that are treated as missing.
+ * @returns {Array} The sentinel values.
+ */
+function getNaValues() {
+  return Array.from(naValues);
+}
+
+/**
+ * Checks whether a value is missing: null, undefined, NaN or a configured sentinel.
+ * @param {*} value - The value to check.
+ * @returns {boolean} Whether the value is missing.
+ */
+function isna(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    Number.isNaN(value) ||
+    naValues.has(value)
+  );
+}
+
+/**
+ * Replaces missing values with the last preceding non-missing value.
+ * @param {Array} values - The values to fill.
+ * @returns {Array} The filled values.
+ */
+function fillForward(values) {
+  let last = null;
+  let seen = false;
+
+  return values.map((value) => {
+    if (!isna(value)) {
+      last = value;
+      seen = true;
+
+      return value;
+    }
+
+    return seen ? last : value;
+  });
+}
+
+/**
+ * Replaces missing values with the next following non-missing value.
+ * @param {Array} values - The values to fill.
+ * @returns {Array} The filled values.
+ */
+function fillBackward(values) {
+  return fillForward([...values].reverse()).reverse();
+}
+
+/**
+ * Replaces missing values by linear interpolation between the surrounding
+ * non-missing values. Trailing missing values take the last non-missing value
+ * and leading missing values are kept.
+ * @param {Array} values - The numeric values to fill.
+ * @returns {Array} The filled values.
+ */
+function interpolateLinear(values) {
+  const result = [...values];
+  let previous = -1;
+  for (let i = 0; i < result.length; i++) {
+    if (isna(result[i])) {
+      continue;
+    }
+    if (previous >= 0 && i - previous > 1) {
+      const step = (result[i] - result[previous]) / (i - previous);
+      for (let j = previous + 1; j < i; j++) {
+        result[j] = result[previous] + step * (j - previous);
+      }
+    }
+    previous = i;
+  }
+  if (previous >= 0) {
+    for (let j = previous + 1; j < result.length; j++) {
+      result[j] = result[previous];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fills missing values with a value or a fill method.
+ * @param {Array} values - The values to fill.
+ * @param {*} value - The replacement value, or 'ffill' / 'bfill'.
+ * @returns {Array} The filled values.
+ */
+function fillValues(values, value) {
+  if (value === "ffill") {
+    return fillForward(values);
+  }
+  if (value === "bfill") {
+    return fillBackward(values);
+  }
+
+  return values.map((current) => (isna(current) ? value : current));
+}
+
+module.exports = {
+  setNaValues,
+  getNaValues,
+  isna,
+  fillForward,
+  fillBackward,
+  fillValues,
+  interpolateLinear,
+};
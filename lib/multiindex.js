@@ -0,0 +1,366 @@
+const { valueKey, rowKey } = require("./hash");
+
+/**
+ * Holds hierarchical labels: each label is a tuple with one value per level,
+ * and each level may have a name. Used for the rows of a DataFrame as its
+ * `index`, and for its columns as its `columnIndex`. MultiIndexes are never
+ * modified in place.
+ * @class
+ */
+class MultiIndex {
+  #positions = null;
+
+  /**
+   * Creates an instance of MultiIndex.
+   * @constructor
+   * @param {Array[]} tuples - The labels, as arrays with one value per level.
+   * @param {Object} [options] - The MultiIndex options.
+   * @param {Array<string|null>} [options.names] - The names of the levels.
+   * Levels are unnamed when omitted.
+   * @throws {Error} Invalid tuple.
+   * @throws {Error} Names length does not match levels.
+   */
+  constructor(tuples, { names } = {}) {
+    let nlevels = names ? names.length : 0;
+    if (tuples.length > 0 && Array.isArray(tuples[0])) {
+      nlevels = tuples[0].length;
+    }
+    for (const tuple of tuples) {
+      if (!Array.isArray(tuple) || tuple.length !== nlevels) {
+        throw new Error("Invalid tuple");
+      }
+    }
+    if (names && names.length !== nlevels) {
+      throw new Error("Names length does not match levels");
+    }
+    this.tuples = tuples;
+    this.names = names || new Array(nlevels).fill(null);
+  }
+
+  /**
+   * Creates a MultiIndex from the values of each level.
+   * @static
+   * @param {Array[]} arrays - The values of each level, one per label.
+   * @param {Object} [options] - The MultiIndex options.
+   * @param {Array<string|null>} [options.names] - The names of the levels.
+   * @returns {MultiIndex} The new MultiIndex.
+   * @throws {Error} Level length mismatch.
+   */
+  static fromArrays(arrays, { names } = {}) {
+    const length = arrays.length > 0 ? arrays[0].length : 0;
+    if (arrays.some((values) => values.length !== length)) {
+      throw new Error("Level length mismatch");
+    }
+
+    return new MultiIndex(
+      Array.from({ length }, (_, position) =>
+        arrays.map((values) => values[position])
+      ),
+      { names: names || arrays.map(() => null) }
+    );
+  }
+
+  /**
+   * Creates a MultiIndex with every combination of level values, the last
+   * level varying fastest.
+   * @static
+   * @param {Array[]} levels - The values of each level.
+   * @param {Object} [options] - The MultiIndex options.
+   * @param {Array<string|null>} [options.names] - The names of the levels.
+   * @returns {MultiIndex} The new MultiIndex.
+   */
+  static fromProduct(levels, { names } = {}) {
+    const tuples = levels.reduce(
+      (previous, values) =>
+        previous.flatMap((tuple) => values.map((value) => [...tuple, value])),
+      [[]]
+    );
+
+    return new MultiIndex(levels.length > 0 ? tuples : [], {
+      names: names || levels.map(() => null),
+    });
+  }
+
+  /**
+   * Gets the number of labels.
+   * @type {number}
+   * @readonly
+   */
+  get length() {
+    return this.tuples.length;
+  }
+
+  /**
+   * Gets the number of levels.
+   * @type {number}
+   * @readonly
+   */
+  get nlevels() {
+    return this.names.length;
+  }
+
+  /**
+   * Finds the position of a level.
+   * @param {number|string} level - The level name, or its position, negative
+   * positions counting from the last level.
+   * @returns {number} The position of the level.
+   * @throws {Error} Level not found.
+   */
+  level(level) {
+    return levelPosition(this.names, level);
+  }
+
+  /**
+   * Gets the values of a level, one per label.
+   * @param {number|string} level - The level name or position.
+   * @returns {Array} The values of the level.
+   * @throws {Error} Level not found.
+   */
+  getLevelValues(level) {
+    const position = this.level(level);
+
+    return this.tuples.map((tuple) => tuple[position]);
+  }
+
+  /**
+   * Gathers the labels at the given positions.
+   * @param {number[]} positions - The positions to gather.
+   * @returns {MultiIndex} The gathered labels.
+   */
+  take(positions) {
+    return new MultiIndex(
+      positions.map((position) => this.tuples[position]),
+      { names: this.names }
+    );
+  }
+
+  /**
+   * Removes a level.
+   * @param {number|string} level - The level name or position.
+   * @returns {MultiIndex|Array} The labels without the level: a MultiIndex,
+   * or an array of values when a single level remains.
+   * @throws {Error} Level not found.
+   */
+  droplevel(level) {
+    const position = this.level(level);
+    const keep = (values) => values.filter((_, i) => i !== position);
+    if (this.nlevels === 2) {
+      return this.getLevelValues(1 - position);
+    }
+
+    return new MultiIndex(this.tuples.map(keep), { names: keep(this.names) });
+  }
+
+  /**
+   * Swaps two levels.
+   * @param {number|string} [i=-2] - The first level name or position.
+   * @param {number|string} [j=-1] - The second level name or position.
+   * @returns {MultiIndex} The labels with the levels swapped.
+   * @throws {Error} Level not found.
+   */
+  swaplevel(i = -2, j = -1) {
+    const first = this.level(i);
+    const second = this.level(j);
+    const swap = (values) => {
+      const swapped = [...values];
+      swapped[first] = values[second];
+      swapped[second] = values[first];
+
+      return swapped;
+    };
+
+    return new MultiIndex(this.tuples.map(swap), { names: swap(this.names) });
+  }
+
+  /**
+   * Finds the positions of the labels that start with a key.
+   * @param {*|Array} key - A tuple of values for the first levels, or a
+   * value of the first level.
+   * @returns {number[]} The positions of the matching labels.
+   */
+  positionsOf(key) {
+    const values = Array.isArray(key) ? key : [key];
+    if (values.length === this.nlevels) {
+      if (this.#positions === null) {
+        this.#positions = new Map();
+        this.tuples.forEach((tuple, position) => {
+          const hash = rowKey(tuple);
+          if (!this.#positions.has(hash)) {
+            this.#positions.set(hash, []);
+          }
+          this.#positions.get(hash).push(position);
+        });
+      }
+
+      return this.#positions.get(rowKey(values)) || [];
+    }
+
+    const keys = values.map(valueKey);
+    const positions = [];
+    this.tuples.forEach((tuple, position) => {
+      if (keys.every((key, level) => valueKey(tuple[level]) === key)) {
+        positions.push(position);
+      }
+    });
+
+    return positions;
+  }
+
+  /**
+   * Joins the values of each label into a string.
+   * @param {string} [separator="_"] - The text between values.
+   * @returns {string[]} The joined labels.
+   */
+  flatten(separator = "_") {
+    return this.tuples.map((tuple) => tuple.map(String).join(separator));
+  }
+
+  /**
+   * Copies the labels into an array of tuples.
+   * @returns {Array[]} A new array with a copy of each tuple.
+   */
+  toArray() {
+    return this.tuples.map((tuple) => [...tuple]);
+  }
+
+  /**
+   * Iterates over the labels.
+   * @yields {Array} The tuple of each label.
+   */
+  *[Symbol.iterator]() {
+    yield* this.tuples;
+  }
+}
+
+/**
+ * Finds the position of a level among named levels.
+ * @param {Array<string|null>} names - The names of the levels.
+ * @param {number|string} level - The level name, or its position, negative
+ * positions counting from the last level.
+ * @returns {number} The position of the level.
+ * @throws {Error} Level not found.
+ */
+function levelPosition(names, level) {
+  let position = names.indexOf(level);
+  if (position === -1 && Number.isInteger(level)) {
+    position = level < 0 ? names.length + level : level;
+  }
+  if (position < 0 || position >= names.length) {
+    throw new Error(`Level '${level}' not found`);
+  }
+
+  return position;
+}
+
+/**
+ * Gets the row label at a position.
+ * @param {Array|MultiIndex|null} index - The row labels, or null for
+ * positional labels.
+ * @param {number} position - The position of the row.
+ * @returns {*} The label, as a tuple for a MultiIndex.
+ */
+function labelAt(index, position) {
+  if (index === null) {
+    return position;
+  }
+
+  return index instanceof MultiIndex ? index.tuples[position] : index[position];
+}
+
+/**
+ * Gathers the row labels at the given positions.
+ * @param {Array|MultiIndex|null} index - The row labels, or null for
+ * positional labels.
+ * @param {number[]} positions - The positions to gather.
+ * @returns {Array|MultiIndex|null} The gathered labels, or null for
+ * positional labels.
+ */
+function takeLabels(index, positions) {
+  if (index === null) {
+    return null;
+  }
+
+  return index instanceof MultiIndex
+    ? index.take(positions)
+    : positions.map((position) => index[position]);
+}
+
+/**
+ * Splits row labels into levels. Labels that are not a MultiIndex form a
+ * single level, with positions for positional labels.
+ * @param {Array|MultiIndex|null} index - The row labels.
+ * @param {string|null} indexName - The name of labels that are not a MultiIndex.
+ * @param {number} length - The number of rows.
+ * @returns {{arrays: Array[], names: Array<string|null>}} The values and the
+ * name of each level.
+ */
+function indexLevels(index, indexName, length) {
+  if (index instanceof MultiIndex) {
+    return {
+      arrays: index.names.map((_, level) =>
+        index.tuples.map((tuple) => tuple[level])
+      ),
+      names: index.names,
+    };
+  }
+
+  return {
+    arrays: [
+      index === null
+        ? Array.from({ length }, (_, position) => position)
+        : Array.from(index),
+    ],
+    names: [indexName],
+  };
+}
+
+/**
+ * Builds row labels from levels, the reverse of `indexLevels`.
+ * @param {Array[]} arrays - The values of each level.
+ * @param {Array<string|null>} names - The names of the levels.
+ * @returns {{index: Array|MultiIndex|null, indexName: string|null}} The
+ * labels, a MultiIndex for several levels, and the name of a single level.
+ */
+function fromLevels(arrays, names) {
+  if (arrays.length === 0) {
+    return { index: null, indexName: null };
+  }
+  if (arrays.length === 1) {
+    return { index: arrays[0], indexName: names[0] };
+  }
+
+  return { index: MultiIndex.fromArrays(arrays, { names }), indexName: null };
+}
+
+/**
+ * Names columns after their labels: the value of a single level, or the
+ * values of several levels joined with "_", along with a column index that
+ * keeps the levels.
+ * @param {Array[]} tuples - The labels of the columns.
+ * @param {Array<string|null>} names - The names of the levels.
+ * @returns {{columns: string[], columnIndex: MultiIndex|null}} The column
+ * names, and the column index for several levels.
+ */
+function labelColumns(tuples, names) {
+  if (names.length === 1) {
+    return {
+      columns: tuples.map(([value]) => String(value)),
+      columnIndex: null,
+    };
+  }
+
+  return {
+    columns: tuples.map((tuple) => tuple.map(String).join("_")),
+    columnIndex: new MultiIndex(tuples, { names }),
+  };
+}
+
+module.exports = {
+  MultiIndex,
+  levelPosition,
+  labelAt,
+  takeLabels,
+  indexLevels,
+  fromLevels,
+  labelColumns,
+};
@@ -0,0 +1,196 @@
+const { getAggregation, aggregationName } = require("./aggregations");
+const { parseFrequency, floorDate, addPeriods } = require("./datetime");
+const { isna } = require("./missing");
+
+/**
+ * Represents a DataFrame split into consecutive time bins, such as days or
+ * months. Bins are labelled by their start, in UTC, and every bin between the
+ * first and the last date is kept, even when no row falls in it. Rows with a
+ * missing date are left out of every bin. Returned by `DataFrame.resample()`.
+ * @class
+ */
+class Resampler {
+  #dataFrame;
+  #on;
+  #bins = [];
+
+  /**
+   * Creates an instance of Resampler.
+   * @constructor
+   * @param {DataFrame} dataFrame - The DataFrame to resample.
+   * @param {string} frequency - The bin frequency, such as "1D", "1W" or "1M".
+   * @param {Object} [options] - The resample options.
+   * @param {string} [options.on] - The datetime column to bin by. The index
+   * is used when omitted.
+   * @throws {Error} Invalid frequency.
+   * @throws {Error} Column does not exist.
+   * @throws {Error} Resampling requires datetime values.
+   */
+  constructor(dataFrame, frequency, { on } = {}) {
+    parseFrequency(frequency);
+    this.#dataFrame = dataFrame;
+    this.#on = on;
+
+    let dates;
+    if (on !== undefined) {
+      if (!dataFrame.columns.includes(on)) {
+        throw new Error("Column does not exist");
+      }
+      dates = dataFrame.get(on).values;
+    } else if (dataFrame.index !== null) {
+      dates = dataFrame.index;
+    } else {
+      throw new Error("Resampling requires datetime values");
+    }
+
+    const positions = new Map();
+    dates.forEach((date, position) => {
+      if (isna(date)) {
+        return;
+      }
+      if (!(date instanceof Date)) {
+        throw new Error("Resampling requires datetime values");
+      }
+      const bin = floorDate(date, frequency).getTime();
+      if (!positions.has(bin)) {
+        positions.set(bin, []);
+      }
+      positions.get(bin).push(position);
+    });
+
+    if (positions.size > 0) {
+      const times = Array.from(positions.keys()).sort((a, b) => a - b);
+      const last = times[times.length - 1];
+      let bin = new Date(times[0]);
+      while (bin.getTime() <= last) {
+        this.#bins.push({
+          start: bin,
+          positions: positions.get(bin.getTime()) || [],
+        });
+        bin = addPeriods(bin, frequency);
+      }
+    }
+  }
+
+  /**
+   * Gets the number of bins.
+   * @type {number}
+   * @readonly
+   */
+  get nbins() {
+    return this.#bins.length;
+  }
+
+  /**
+   * Aggregates each bin using the specified aggregations.
+   * @param {Object} aggregations - An object mapping column names to an
+   * aggregation name, a function receiving the column values, or an array of
+   * these, as in `GroupBy.agg`.
+   * @returns {DataFrame} A new DataFrame with one row per bin. The bin starts
+   * are stored in the `on` column, or in the index when resampling by index.
+   * @throws {Error} Column does not exist.
+   */
+  agg(aggregations) {
+    const outputs = [];
+    for (const columnName in aggregations) {
+      if (!this.#dataFrame.columns.includes(columnName)) {
+        throw new Error("Column does not exist");
+      }
+      const spec = aggregations[columnName];
+      (Array.isArray(spec) ? spec : [spec]).forEach((aggregation, i) => {
+        outputs.push({
+          columnName,
+          outputName: Array.isArray(spec)
+            ? `${columnName}_${aggregationName(aggregation, i)}`
+            : columnName,
+          aggregationFn: getAggregation(aggregation),
+        });
+      });
+    }
+
+    const data = {};
+    const columns = [];
+    const starts = this.#bins.map(({ start }) => start);
+    if (this.#on !== undefined) {
+      data[this.#on] = starts;
+      columns.push(this.#on);
+    }
+    for (const { columnName, outputName, aggregationFn } of outputs) {
+      const values = this.#dataFrame.get(columnName).values;
+      data[outputName] = this.#bins.map(({ positions }) => {
+        const result = aggregationFn(
+          positions.map((position) => values[position])
+        );
+
+        return result === undefined ? null : result;
+      });
+      columns.push(outputName);
+    }
+
+    const DataFrame = this.#dataFrame.constructor;
+    if (this.#on !== undefined) {
+      return new DataFrame(data, columns);
+    }
+
+    return new DataFrame(data, columns, {
+      index: starts,
+      indexName: this.#dataFrame.indexName,
+    });
+  }
+
+  #aggregateNumeric(aggregation) {
+    const aggregations = {};
+    for (const column of this.#dataFrame.columns) {
+      const dtype = this.#dataFrame.dtypes[column];
+      if (column !== this.#on && (dtype === "int" || dtype === "float")) {
+        aggregations[column] = aggregation;
+      }
+    }
+
+    return this.agg(aggregations);
+  }
+
+  /**
+   * Sums the numeric columns of each bin.
+   * @returns {DataFrame} A new DataFrame with one row per bin.
+   */
+  sum() {
+    return this.#aggregateNumeric("sum");
+  }
+
+  /**
+   * Averages the numeric columns of each bin.
+   * @returns {DataFrame} A new DataFrame with one row per bin.
+   */
+  mean() {
+    return this.#aggregateNumeric("mean");
+  }
+
+  /**
+   * Finds the smallest value in the numeric columns of each bin.
+   * @returns {DataFrame} A new DataFrame with one row per bin.
+   */
+  min() {
+    return this.#aggregateNumeric("min");
+  }
+
+  /**
+   * Finds the largest value in the numeric columns of each bin.
+   * @returns {DataFrame} A new DataFrame with one row per bin.
+   */
+  max() {
+    return this.#aggregateNumeric("max");
+  }
+
+  /**
+   * Counts the non-missing values in the numeric columns of each bin.
+   * @returns {DataFrame} A new DataFrame with one row per bin.
+   */
+  count() {
+    return this.#aggregateNumeric("count");
+  }
+}
+
+module.exports = {
+  Resampler,
+};
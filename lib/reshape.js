@@ -0,0 +1,430 @@
+const { getAggregation } = require("./aggregations");
+const { GroupBy } = require("./groupby");
+const { isna } = require("./missing");
+const { valueKey, rowKey } = require("./hash");
+const { sortPositions } = require("./sort");
+const {
+  MultiIndex,
+  indexLevels,
+  fromLevels,
+  labelColumns,
+} = require("./multiindex");
+
+function toList(columns) {
+  if (columns === undefined || columns === null) {
+    return [];
+  }
+
+  return Array.isArray(columns) ? columns : [columns];
+}
+
+function checkColumns(frame, columns) {
+  for (const column of columns) {
+    if (!frame.columns.includes(column)) {
+      throw new Error("Column does not exist");
+    }
+  }
+}
+
+function resolveAggregations(values, aggfunc) {
+  const aggregations = {};
+  for (const column of values) {
+    const spec =
+      aggfunc !== null && typeof aggfunc === "object" && !Array.isArray(aggfunc)
+        ? aggfunc[column]
+        : aggfunc;
+    aggregations[column] = getAggregation(spec);
+  }
+
+  return aggregations;
+}
+
+// Adds indices to the list stored under a hash, remembering the key values.
+function collect(map, hash, values, indices) {
+  if (!map.has(hash)) {
+    map.set(hash, { values, indices: [] });
+  }
+  const entry = map.get(hash);
+  for (const index of indices) {
+    entry.indices.push(index);
+  }
+}
+
+/**
+ * Summarizes a DataFrame in a spreadsheet-style pivot table. Rows with a
+ * missing key are left out, and rows and columns are sorted by their keys.
+ * @param {DataFrame} frame - The DataFrame to summarize.
+ * @param {Object} options - The pivot options.
+ * @param {string|string[]} options.index - The column(s) whose values label
+ * the rows.
+ * @param {string|string[]} [options.columns] - The column(s) whose values
+ * label the result columns.
+ * @param {string|string[]} [options.values] - The column(s) to aggregate.
+ * Defaults to every other column.
+ * @param {string|Function|Object} [options.aggfunc="mean"] - An aggregation
+ * name or function, or an object mapping value columns to one.
+ * @param {*} [options.fillValue=null] - The value of cells without rows.
+ * @param {boolean} [options.margins=false] - Whether to add an "All" row and
+ * column aggregating every row and column.
+ * @returns {DataFrame} A new DataFrame labelled by the index keys, with a
+ * MultiIndex for several. The columns are labelled by the column keys,
+ * preceded by the value column when more than one is aggregated, with a
+ * column index for several levels; they are named after their labels joined
+ * with "_".
+ * @throws {Error} No index columns to pivot on.
+ * @throws {Error} Column does not exist.
+ * @throws {Error} Unknown aggregation.
+ */
+function pivotTable(
+  frame,
+  {
+    index,
+    columns,
+    values,
+    aggfunc = "mean",
+    fillValue = null,
+    margins = false,
+  } = {}
+) {
+  const indexColumns = toList(index);
+  const pivotColumns = toList(columns);
+  if (indexColumns.length === 0) {
+    throw new Error("No index columns to pivot on");
+  }
+  const keys = [...indexColumns, ...pivotColumns];
+  const valueColumns =
+    values === undefined
+      ? frame.columns.filter((column) => !keys.includes(column))
+      : toList(values);
+  checkColumns(frame, [...keys, ...valueColumns]);
+  const aggregations = resolveAggregations(valueColumns, aggfunc);
+
+  const data = frame.dropna({ subset: keys });
+  const rowKeys = new Map();
+  const columnKeys = new Map();
+  const cells = new Map();
+  for (const group of new GroupBy(data, keys).groups.values()) {
+    const rowValues = group.values.slice(0, indexColumns.length);
+    const columnValues = group.values.slice(indexColumns.length);
+    const rowHash = JSON.stringify(rowValues);
+    const columnHash = JSON.stringify(columnValues);
+    collect(rowKeys, rowHash, rowValues, group.indices);
+    collect(columnKeys, columnHash, columnValues, group.indices);
+    cells.set(`${rowHash}|${columnHash}`, group.indices);
+  }
+  const sorted = (map, levels) => {
+    const entries = Array.from(map);
+    const positions = sortPositions(
+      levels.map((_, level) => entries.map(([, entry]) => entry.values[level])),
+      entries.length
+    );
+
+    return positions.map((position) => entries[position]);
+  };
+
+  const marginColumns = margins && pivotColumns.length > 0;
+  const prefix = valueColumns.length > 1 || pivotColumns.length === 0;
+  const labels = [];
+  for (const column of valueColumns) {
+    const tuple = (parts) => (prefix ? [column, ...parts] : parts);
+    for (const [columnHash, { values: columnValues }] of sorted(
+      columnKeys,
+      pivotColumns
+    )) {
+      labels.push({ column, columnHash, tuple: tuple(columnValues) });
+    }
+    if (marginColumns) {
+      const parts = pivotColumns.map((_, i) => (i === 0 ? "All" : ""));
+      labels.push({ column, columnHash: null, tuple: tuple(parts) });
+    }
+  }
+
+  const columnData = {};
+  for (const column of valueColumns) {
+    columnData[column] = data.get(column).values;
+  }
+  const aggregate = (column, indices) =>
+    aggregations[column](indices.map((i) => columnData[column][i]));
+
+  const rowArrays = indexColumns.map(() => []);
+  const cellData = labels.map(() => []);
+  const addRow = (rowValues, rowIndices, cellIndices) => {
+    rowValues.forEach((value, level) => {
+      rowArrays[level].push(value);
+    });
+    labels.forEach(({ column, columnHash }, i) => {
+      const indices =
+        columnHash === null ? rowIndices : cellIndices(columnHash);
+      cellData[i].push(indices ? aggregate(column, indices) : fillValue);
+    });
+  };
+  const byPosition = (a, b) => a - b;
+  const allIndices = [];
+  for (const [rowHash, { values: rowValues, indices }] of sorted(
+    rowKeys,
+    indexColumns
+  )) {
+    indices.sort(byPosition);
+    for (const index of indices) {
+      allIndices.push(index);
+    }
+    addRow(rowValues, indices, (columnHash) =>
+      cells.get(`${rowHash}|${columnHash}`)
+    );
+  }
+  if (margins) {
+    const marginValues = indexColumns.map((_, i) => (i === 0 ? "All" : null));
+    allIndices.sort(byPosition);
+    addRow(marginValues, allIndices, (columnHash) =>
+      columnKeys.get(columnHash).indices.sort(byPosition)
+    );
+  }
+
+  return buildFrame(
+    frame,
+    cellData,
+    labels.map(({ tuple }) => tuple),
+    prefix ? [null, ...pivotColumns] : pivotColumns,
+    rowArrays,
+    indexColumns
+  );
+}
+
+/**
+ * Reshapes a DataFrame by the values of an index and a columns column,
+ * without aggregating.
+ * @param {DataFrame} frame - The DataFrame to reshape.
+ * @param {string} index - The column whose values label the rows.
+ * @param {string} columns - The column whose values label the result columns.
+ * @param {string|string[]} [values] - The column(s) to place in the cells.
+ * Defaults to every other column.
+ * @returns {DataFrame} A new DataFrame, named like `pivotTable` results.
+ * @throws {Error} Column does not exist.
+ * @throws {Error} Index contains duplicate entries.
+ */
+function pivot(frame, index, columns, values) {
+  checkColumns(frame, [index, columns]);
+  const keys = new GroupBy(frame.dropna({ subset: [index, columns] }), [
+    index,
+    columns,
+  ]);
+  for (const group of keys.groups.values()) {
+    if (group.indices.length > 1) {
+      throw new Error("Index contains duplicate entries");
+    }
+  }
+
+  return pivotTable(frame, {
+    index,
+    columns,
+    values,
+    aggfunc: (cellValues) => cellValues[0],
+  });
+}
+
+/**
+ * Unpivots a DataFrame from wide to long format. Each value column becomes a
+ * block of rows holding the column name and its values.
+ * @param {DataFrame} frame - The DataFrame to unpivot.
+ * @param {Object} [options] - The melt options.
+ * @param {string|string[]} [options.idVars=[]] - The column(s) kept as identifiers.
+ * @param {string|string[]} [options.valueVars] - The column(s) to unpivot.
+ * Defaults to every column that is not an identifier.
+ * @param {string} [options.varName="variable"] - The name of the column
+ * holding the unpivoted column names.
+ * @param {string} [options.valueName="value"] - The name of the column
+ * holding the values.
+ * @returns {DataFrame} A new DataFrame in long format.
+ * @throws {Error} Column does not exist.
+ */
+function melt(
+  frame,
+  { idVars, valueVars, varName = "variable", valueName = "value" } = {}
+) {
+  const ids = toList(idVars);
+  const vars =
+    valueVars === undefined
+      ? frame.columns.filter((column) => !ids.includes(column))
+      : toList(valueVars);
+  checkColumns(frame, [...ids, ...vars]);
+
+  const data = {};
+  for (const id of ids) {
+    const idValues = frame.get(id).values;
+    data[id] = vars.flatMap(() => idValues);
+  }
+  data[varName] = vars.flatMap((column) =>
+    new Array(frame.get(column).length).fill(column)
+  );
+  data[valueName] = vars.flatMap((column) => frame.get(column).values);
+
+  const DataFrame = frame.constructor;
+
+  return new DataFrame(data, [...ids, varName, valueName]);
+}
+
+// Gets the labels of the columns of a DataFrame as tuples, with a single
+// level when it has no column index, and the names of the levels.
+function columnLevels(frame) {
+  return frame.columnIndex
+    ? { tuples: frame.columnIndex.tuples, names: frame.columnIndex.names }
+    : { tuples: frame.columns.map((column) => [column]), names: [null] };
+}
+
+// Builds the result of a reshape from its column data, the labels of the
+// columns and the levels of the row labels. Columns without levels form a
+// single "value" column.
+function buildFrame(frame, data, tuples, columnNames, rowArrays, rowNames) {
+  const { columns, columnIndex } =
+    columnNames.length === 0
+      ? { columns: ["value"], columnIndex: null }
+      : labelColumns(tuples, columnNames);
+  const columnData = {};
+  columns.forEach((column, i) => {
+    columnData[column] = data[i];
+  });
+  const DataFrame = frame.constructor;
+
+  return new DataFrame(columnData, columns, {
+    ...fromLevels(rowArrays, rowNames),
+    columnIndex,
+  });
+}
+
+/**
+ * Moves the last level of the column labels into the row labels, so each row
+ * becomes one row per value of that level. Columns without a column index
+ * form a single level, which leaves a single "value" column.
+ * @param {DataFrame} frame - The DataFrame to reshape.
+ * @param {Object} [options] - The stack options.
+ * @param {boolean} [options.dropna=true] - Whether to leave out the rows
+ * whose values are all missing.
+ * @returns {DataFrame} A new DataFrame with one more level in its row labels.
+ */
+function stack(frame, { dropna = true } = {}) {
+  const { tuples, names } = columnLevels(frame);
+  const outer = new Map();
+  const inner = new Map();
+  const cells = new Map();
+  tuples.forEach((tuple, i) => {
+    const rest = tuple.slice(0, -1);
+    const last = tuple[tuple.length - 1];
+    outer.set(rowKey(rest), rest);
+    inner.set(valueKey(last), last);
+    cells.set(rowKey(tuple), frame.get(frame.columns[i]).values);
+  });
+
+  const { length } = frame;
+  const { arrays, names: rowNames } = indexLevels(
+    frame.index,
+    frame.indexName,
+    length
+  );
+  const outerTuples = Array.from(outer.values());
+  const rowArrays = [...arrays, []].map(() => []);
+  const data = outerTuples.map(() => []);
+  for (let position = 0; position < length; position++) {
+    for (const last of inner.values()) {
+      const row = outerTuples.map((rest) => {
+        const values = cells.get(rowKey([...rest, last]));
+
+        return values === undefined ? null : values[position];
+      });
+      if (dropna && row.every((value) => isna(value))) {
+        continue;
+      }
+      arrays.forEach((values, level) => {
+        rowArrays[level].push(values[position]);
+      });
+      rowArrays[arrays.length].push(last);
+      row.forEach((value, i) => {
+        data[i].push(value);
+      });
+    }
+  }
+
+  return buildFrame(frame, data, outerTuples, names.slice(0, -1), rowArrays, [
+    ...rowNames,
+    names[names.length - 1],
+  ]);
+}
+
+/**
+ * Moves a level of the row labels into the column labels, the reverse of
+ * `stack`. Each column becomes one column per value of the level, in order
+ * of appearance, named after its labels joined with "_".
+ * @param {DataFrame} frame - The DataFrame to reshape, labelled by a MultiIndex.
+ * @param {number|string} [level=-1] - The level name or position.
+ * @param {Object} [options] - The unstack options.
+ * @param {*} [options.fillValue=null] - The value of cells without rows.
+ * @returns {DataFrame} A new DataFrame with a column index.
+ * @throws {Error} Index must be a MultiIndex.
+ * @throws {Error} Level not found.
+ * @throws {Error} Index contains duplicate entries.
+ */
+function unstack(frame, level = -1, { fillValue = null } = {}) {
+  if (!(frame.index instanceof MultiIndex)) {
+    throw new Error("Index must be a MultiIndex");
+  }
+  const moved = frame.index.level(level);
+  const { arrays, names } = indexLevels(frame.index, null, 0);
+  const kept = names.map((_, i) => i).filter((i) => i !== moved);
+
+  const rows = new Map();
+  const slots = new Map();
+  const cells = [];
+  const seen = new Set();
+  for (let position = 0; position < frame.index.length; position++) {
+    const hash = rowKey(kept.map((i) => arrays[i][position]));
+    if (!rows.has(hash)) {
+      rows.set(hash, { row: rows.size, position });
+    }
+    const value = arrays[moved][position];
+    const key = valueKey(value);
+    if (!slots.has(key)) {
+      slots.set(key, { slot: slots.size, value });
+    }
+    const { row } = rows.get(hash);
+    const { slot } = slots.get(key);
+    if (seen.has(`${row}|${slot}`)) {
+      throw new Error("Index contains duplicate entries");
+    }
+    seen.add(`${row}|${slot}`);
+    cells.push([row, slot]);
+  }
+
+  const { tuples, names: columnNames } = columnLevels(frame);
+  const newTuples = [];
+  const data = [];
+  tuples.forEach((tuple, i) => {
+    const values = frame.get(frame.columns[i]).values;
+    const columns = Array.from(slots.values(), ({ value }) => {
+      newTuples.push([...tuple, value]);
+      const column = new Array(rows.size).fill(fillValue);
+      data.push(column);
+
+      return column;
+    });
+    cells.forEach(([row, slot], position) => {
+      columns[slot][row] = values[position];
+    });
+  });
+  const firsts = Array.from(rows.values(), ({ position }) => position);
+
+  return buildFrame(
+    frame,
+    data,
+    newTuples,
+    [...columnNames, names[moved]],
+    kept.map((i) => firsts.map((position) => arrays[i][position])),
+    kept.map((i) => names[i])
+  );
+}
+
+module.exports = {
+  pivotTable,
+  pivot,
+  melt,
+  stack,
+  unstack,
+};
@@ -0,0 +1,214 @@
+const { isna } = require("./missing");
+const { assertType } = require("./dtypes");
+
+const RULES = [
+  "type",
+  "nullable",
+  "unique",
+  "min",
+  "max",
+  "pattern",
+  "enum",
+  "required",
+];
+
+const TYPE_CHECKS = {
+  int: (value) => Number.isInteger(value),
+  float: (value) => typeof value === "number",
+  boolean: (value) => typeof value === "boolean",
+  datetime: (value) => value instanceof Date && !Number.isNaN(value.getTime()),
+  string: (value) => typeof value === "string",
+  category: () => true,
+  object: () => true,
+};
+
+// Dates are compared by time.
+function key(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Creates the error thrown when a DataFrame does not match a schema.
+ * @param {Object[]} violations - The violations from `Schema.validate`.
+ * @returns {Error} An error whose `violations` property holds the violations.
+ */
+function schemaError(violations) {
+  const { row, column, rule } = violations[0];
+  const error = new Error(
+    `Schema validation failed with ${violations.length} violation(s), first '${rule}'` +
+      (row === null ? "" : ` at row ${row}`) +
+      ` of column '${column}'`
+  );
+  error.violations = violations;
+
+  return error;
+}
+
+/**
+ * Describes the columns a DataFrame is expected to have and the rules their
+ * values must follow.
+ * @class
+ */
+class Schema {
+  #fields = new Map();
+  #allowExtraColumns;
+
+  /**
+   * Creates an instance of Schema.
+   * @constructor
+   * @param {Object} fields - An object mapping column names to their rules:
+   * - `type`: the dtype of the values;
+   * - `nullable` (default true): whether missing values are allowed;
+   * - `unique` (default false): whether values must not repeat;
+   * - `min` and `max`: the inclusive bounds of numbers or dates;
+   * - `pattern`: a regular expression (or its source) that text must match;
+   * - `enum`: the allowed values;
+   * - `required` (default true): whether the column must exist.
+   * @param {Object} [options] - The schema options.
+   * @param {boolean} [options.allowExtraColumns=true] - Whether columns that
+   * are not in the schema are allowed.
+   * @throws {Error} Unknown schema rule.
+   * @throws {Error} Unknown dtype.
+   */
+  constructor(fields, { allowExtraColumns = true } = {}) {
+    for (const column in fields) {
+      const field = { nullable: true, unique: false, required: true };
+      for (const rule in fields[column]) {
+        if (!RULES.includes(rule)) {
+          throw new Error(`Unknown schema rule '${rule}'`);
+        }
+        field[rule] = fields[column][rule];
+      }
+      if (field.type !== undefined) {
+        assertType(field.type);
+      }
+      if (typeof field.pattern === "string") {
+        field.pattern = new RegExp(field.pattern);
+      }
+      this.#fields.set(column, field);
+    }
+    this.#allowExtraColumns = allowExtraColumns;
+  }
+
+  /**
+   * Gets the names of the columns in the schema.
+   * @type {string[]}
+   * @readonly
+   */
+  get columns() {
+    return Array.from(this.#fields.keys());
+  }
+
+  /**
+   * Gets the dtypes declared by the schema.
+   * @type {Object}
+   * @readonly
+   */
+  get dtypes() {
+    const dtypes = {};
+    for (const [column, { type }] of this.#fields) {
+      if (type !== undefined) {
+        dtypes[column] = type;
+      }
+    }
+
+    return dtypes;
+  }
+
+  #validateValues(column, field, values, violations) {
+    const seen = new Set();
+    const check = field.type === undefined ? null : TYPE_CHECKS[field.type];
+    values.forEach((value, row) => {
+      const violate = (rule) => violations.push({ row, column, rule, value });
+      if (isna(value)) {
+        if (!field.nullable) {
+          violate("nullable");
+        }
+
+        return;
+      }
+      if (check && !check(value)) {
+        violate("type");
+
+        return;
+      }
+      if (field.unique) {
+        if (seen.has(key(value))) {
+          violate("unique");
+        }
+        seen.add(key(value));
+      }
+      if (field.min !== undefined && key(value) < key(field.min)) {
+        violate("min");
+      }
+      if (field.max !== undefined && key(value) > key(field.max)) {
+        violate("max");
+      }
+      if (field.pattern && !field.pattern.test(String(value))) {
+        violate("pattern");
+      }
+      if (
+        field.enum &&
+        !field.enum.some((allowed) => key(allowed) === key(value))
+      ) {
+        violate("enum");
+      }
+    });
+  }
+
+  /**
+   * Checks a DataFrame against the schema. Missing values are only checked
+   * by the `nullable` rule, and values of the wrong type only by `type`.
+   * @param {DataFrame} dataFrame - The DataFrame to check.
+   * @returns {{valid: boolean, violations: Object[]}} Whether the DataFrame
+   * matches the schema, and a `{ row, column, rule, value }` entry for each
+   * violation, ordered by row. Missing columns are reported with the rule
+   * `required` and extra columns with the rule `extra`, both with a null row.
+   */
+  validate(dataFrame) {
+    const columnViolations = [];
+    const violations = [];
+    for (const [column, field] of this.#fields) {
+      if (!dataFrame.columns.includes(column)) {
+        if (field.required) {
+          columnViolations.push({
+            row: null,
+            column,
+            rule: "required",
+            value: null,
+          });
+        }
+        continue;
+      }
+      this.#validateValues(
+        column,
+        field,
+        dataFrame.get(column).values,
+        violations
+      );
+    }
+    if (!this.#allowExtraColumns) {
+      for (const column of dataFrame.columns) {
+        if (!this.#fields.has(column)) {
+          columnViolations.push({
+            row: null,
+            column,
+            rule: "extra",
+            value: null,
+          });
+        }
+      }
+    }
+
+    // A stable sort keeps the schema order of columns within each row.
+    violations.sort((a, b) => a.row - b.row);
+    const all = [...columnViolations, ...violations];
+
+    return { valid: all.length === 0, violations: all };
+  }
+}
+
+module.exports = {
+  Schema,
+  schemaError,
+};
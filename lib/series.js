@@ -0,0 +1,818 @@
+const aggregations = require("./aggregations");
+const { detectType, convertValues, conversionError } = require("./dtypes");
+const { isna, fillValues, interpolateLinear } = require("./missing");
+const { DatetimeAccessor } = require("./datetime");
+const { StringAccessor } = require("./strings");
+const { Categorical, CategoricalAccessor } = require("./categorical");
+const { valueKey } = require("./hash");
+const { takeLabels } = require("./multiindex");
+const { Rolling, Expanding, EWM } = require("./window");
+const {
+  quantile,
+  cumsum,
+  cumprod,
+  rankValues,
+  correlation,
+  covariance,
+  describeNumeric,
+  describeOther,
+} = require("./stats");
+
+// Missing values make arithmetic missing and comparisons false, as in query
+// expressions.
+function arithmetic(operation) {
+  return (a, b) => (isna(a) || isna(b) ? null : operation(a, b));
+}
+
+function comparison(operation) {
+  return (a, b) => !isna(a) && !isna(b) && operation(a, b);
+}
+
+/**
+ * Represents a single labelled column of values.
+ * @class
+ */
+class Series {
+  #categorical = null;
+
+  /**
+   * Creates an instance of Series.
+   * @constructor
+   * @param {Array|Categorical} values - The values of the Series. The values
+   * of a categorical are decoded into `values`, and the Series gets the
+   * "category" dtype.
+   * @param {Object} [options] - The Series options.
+   * @param {string} [options.name] - The name of the Series.
+   * @param {Array} [options.index] - The labels of the values. Values are
+   * labelled by position when omitted.
+   * @throws {Error} Invalid input data format.
+   * @throws {Error} Index length does not match data.
+   */
+  constructor(values, options = {}) {
+    if (values instanceof Categorical) {
+      this.#categorical = values;
+      values = values.toArray();
+    } else if (!Array.isArray(values)) {
+      throw new Error("Invalid input data format");
+    }
+
+    const { name = null, index = null } = options;
+    if (index !== null && index.length !== values.length) {
+      throw new Error("Index length does not match data");
+    }
+    this.values = values;
+    this.name = name;
+    this.index = index;
+    this.dtype = this.#categorical ? "category" : detectType(values);
+  }
+
+  #derive(values, name = this.name) {
+    return new Series(values, { name, index: this.index });
+  }
+
+  #combine(other, operation) {
+    let otherValues = null;
+    if (other instanceof Series) {
+      otherValues = other.values;
+    } else if (Array.isArray(other)) {
+      otherValues = other;
+    }
+    if (otherValues && otherValues.length !== this.values.length) {
+      throw new Error("Length mismatch");
+    }
+
+    return this.#derive(
+      this.values.map((value, i) =>
+        operation(value, otherValues ? otherValues[i] : other)
+      )
+    );
+  }
+
+  // Compares values, categorical values by the order of their categories.
+  #compare(other, operation) {
+    const categorical = this.#categorical;
+    if (categorical === null) {
+      return this.#combine(other, operation);
+    }
+    if (!categorical.ordered) {
+      throw new Error("Categories are not ordered");
+    }
+    const code = (value) => {
+      const found = categorical.codeOf(value);
+      if (found === -1 && !isna(value)) {
+        throw new Error(`Invalid category '${value}'`);
+      }
+
+      return found;
+    };
+    let otherCodes;
+    if (other instanceof Series) {
+      otherCodes = other.values.map(code);
+    } else {
+      otherCodes = Array.isArray(other) ? other.map(code) : code(other);
+    }
+
+    return new Series(Array.from(categorical.codes), {
+      name: this.name,
+      index: this.index,
+    }).#combine(otherCodes, (a, b) => a !== -1 && b !== -1 && operation(a, b));
+  }
+
+  /**
+   * Gets the number of values in the Series.
+   * @type {number}
+   * @readonly
+   */
+  get length() {
+    return this.values.length;
+  }
+
+  /**
+   * Gives access to the date parts of datetime values.
+   * @type {DatetimeAccessor}
+   * @readonly
+   * @throws {Error} Values must be datetime.
+   */
+  get dt() {
+    return new DatetimeAccessor(this);
+  }
+
+  /**
+   * Gives access to vectorized string methods.
+   * @type {StringAccessor}
+   * @readonly
+   * @throws {Error} Values must be strings.
+   */
+  get str() {
+    return new StringAccessor(this);
+  }
+
+  /**
+   * Gives access to the categories and codes of categorical values.
+   * @type {CategoricalAccessor}
+   * @readonly
+   * @throws {Error} Values must be categorical.
+   */
+  get cat() {
+    return new CategoricalAccessor(this, this.#categorical);
+  }
+
+  /**
+   * Iterates over the values of the Series.
+   * @yields {*} The values of the Series.
+   */
+  *[Symbol.iterator]() {
+    yield* this.values;
+  }
+
+  /**
+   * Returns a copy of the values of the Series.
+   * @returns {Array} The values of the Series.
+   */
+  toArray() {
+    return [...this.values];
+  }
+
+  /**
+   * Converts the Series into a single-column DataFrame.
+   * @returns {DataFrame} A new DataFrame with the Series as its column.
+   */
+  toFrame() {
+    const { DataFrame } = require("./dataframe");
+    const name = this.name === null ? "column1" : this.name;
+
+    return new DataFrame({ [name]: this.#categorical || this.values }, [name], {
+      index: this.index,
+    });
+  }
+
+  /**
+   * Converts the values to another dtype.
+   * @param {string} dtype - The target dtype: 'int', 'float', 'boolean',
+   * 'datetime', 'string', 'category' or 'object'.
+   * @param {Object} [options] - The conversion options.
+   * @param {string} [options.errors='raise'] - 'raise' throws when a value
+   * cannot be converted, 'coerce' replaces it with null.
+   * @param {Array} [options.categories] - The categories of 'category'
+   * values. Defaults to the distinct values, sorted; values that are not
+   * among them become missing.
+   * @param {boolean} [options.ordered=false] - Whether the categories of
+   * 'category' values are ordered.
+   * @returns {Series} A new Series with the converted values.
+   * @throws {Error} Failed to convert values. The error's `failures` property
+   * lists the `{ row, value, dtype }` of each value that failed.
+   */
+  astype(dtype, options = {}) {
+    const { errors = "raise", categories, ordered } = options;
+    if (dtype === "category") {
+      return new Series(
+        Categorical.from(this.values, { categories, ordered }),
+        { name: this.name, index: this.index }
+      );
+    }
+    const { values, failures } = convertValues(this.values, dtype);
+    if (failures.length > 0 && errors === "raise") {
+      throw conversionError(failures);
+    }
+    const series = this.#derive(values);
+    series.dtype = dtype;
+
+    return series;
+  }
+
+  /**
+   * Adds a scalar, an array or another Series element-wise. Like the other
+   * arithmetic methods, it gives null where either value is missing.
+   * @param {*|Array|Series} other - The value(s) to add.
+   * @returns {Series} A new Series with the results.
+   */
+  add(other) {
+    return this.#combine(
+      other,
+      arithmetic((a, b) => a + b)
+    );
+  }
+
+  /**
+   * Subtracts a scalar, an array or another Series element-wise.
+   * @param {*|Array|Series} other - The value(s) to subtract.
+   * @returns {Series} A new Series with the results.
+   */
+  sub(other) {
+    return this.#combine(
+      other,
+      arithmetic((a, b) => a - b)
+    );
+  }
+
+  /**
+   * Multiplies by a scalar, an array or another Series element-wise.
+   * @param {*|Array|Series} other - The value(s) to multiply by.
+   * @returns {Series} A new Series with the results.
+   */
+  mul(other) {
+    return this.#combine(
+      other,
+      arithmetic((a, b) => a * b)
+    );
+  }
+
+  /**
+   * Divides by a scalar, an array or another Series element-wise.
+   * @param {*|Array|Series} other - The value(s) to divide by.
+   * @returns {Series} A new Series with the results.
+   */
+  div(other) {
+    return this.#combine(
+      other,
+      arithmetic((a, b) => a / b)
+    );
+  }
+
+  /**
+   * Takes the remainder of the division by a scalar, an array or another Series.
+   * @param {*|Array|Series} other - The divisor(s).
+   * @returns {Series} A new Series with the results.
+   */
+  mod(other) {
+    return this.#combine(
+      other,
+      arithmetic((a, b) => a % b)
+    );
+  }
+
+  /**
+   * Raises the values to a power given by a scalar, an array or another Series.
+   * @param {*|Array|Series} other - The exponent(s).
+   * @returns {Series} A new Series with the results.
+   */
+  pow(other) {
+    return this.#combine(
+      other,
+      arithmetic((a, b) => Math.pow(a, b))
+    );
+  }
+
+  /**
+   * Checks element-wise whether the values are greater than other values.
+   * Like the other comparisons, it gives false where either value is missing.
+   * Categorical values compare by the order of their categories.
+   * @param {*|Array|Series} other - The value(s) to compare with.
+   * @returns {Series} A new boolean Series.
+   * @throws {Error} Categories are not ordered.
+   * @throws {Error} Invalid category.
+   */
+  gt(other) {
+    return this.#compare(
+      other,
+      comparison((a, b) => a > b)
+    );
+  }
+
+  /**
+   * Checks element-wise whether the values are greater than or equal to other values.
+   * Categorical values compare by the order of their categories.
+   * @param {*|Array|Series} other - The value(s) to compare with.
+   * @returns {Series} A new boolean Series.
+   * @throws {Error} Categories are not ordered.
+   * @throws {Error} Invalid category.
+   */
+  ge(other) {
+    return this.#compare(
+      other,
+      comparison((a, b) => a >= b)
+    );
+  }
+
+  /**
+   * Checks element-wise whether the values are less than other values.
+   * Categorical values compare by the order of their categories.
+   * @param {*|Array|Series} other - The value(s) to compare with.
+   * @returns {Series} A new boolean Series.
+   * @throws {Error} Categories are not ordered.
+   * @throws {Error} Invalid category.
+   */
+  lt(other) {
+    return this.#compare(
+      other,
+      comparison((a, b) => a < b)
+    );
+  }
+
+  /**
+   * Checks element-wise whether the values are less than or equal to other values.
+   * Categorical values compare by the order of their categories.
+   * @param {*|Array|Series} other - The value(s) to compare with.
+   * @returns {Series} A new boolean Series.
+   * @throws {Error} Categories are not ordered.
+   * @throws {Error} Invalid category.
+   */
+  le(other) {
+    return this.#compare(
+      other,
+      comparison((a, b) => a <= b)
+    );
+  }
+
+  /**
+   * Checks element-wise whether the values are equal to other values.
+   * @param {*|Array|Series} other - The value(s) to compare with.
+   * @returns {Series} A new boolean Series.
+   */
+  eq(other) {
+    return this.#combine(
+      other,
+      comparison((a, b) => a === b)
+    );
+  }
+
+  /**
+   * Checks element-wise whether the values differ from other values.
+   * @param {*|Array|Series} other - The value(s) to compare with.
+   * @returns {Series} A new boolean Series.
+   */
+  ne(other) {
+    return this.#combine(
+      other,
+      comparison((a, b) => a !== b)
+    );
+  }
+
+  /**
+   * Combines boolean values element-wise with a logical AND.
+   * @param {boolean|boolean[]|Series} other - The value(s) to combine with.
+   * @returns {Series} A new boolean Series.
+   */
+  and(other) {
+    return this.#combine(other, (a, b) => Boolean(a && b));
+  }
+
+  /**
+   * Combines boolean values element-wise with a logical OR.
+   * @param {boolean|boolean[]|Series} other - The value(s) to combine with.
+   * @returns {Series} A new boolean Series.
+   */
+  or(other) {
+    return this.#combine(other, (a, b) => Boolean(a || b));
+  }
+
+  /**
+   * Negates boolean values element-wise.
+   * @returns {Series} A new boolean Series.
+   */
+  not() {
+    return this.#derive(this.values.map((value) => !value));
+  }
+
+  /**
+   * Maps the values through a function or a lookup object. Values missing
+   * from a lookup object become undefined.
+   * @param {Function|Object} mapper - Called with each value and its position,
+   * or an object mapping values to new values.
+   * @returns {Series} A new Series with the mapped values.
+   */
+  map(mapper) {
+    if (typeof mapper === "function") {
+      return this.#derive(this.values.map((value, i) => mapper(value, i)));
+    }
+
+    return this.#derive(this.values.map((value) => mapper[value]));
+  }
+
+  /**
+   * Calls a function on each value.
+   * @param {Function} fn - Called with each value.
+   * @returns {Series} A new Series with the results.
+   */
+  apply(fn) {
+    return this.#derive(this.values.map((value) => fn(value)));
+  }
+
+  /**
+   * Returns the distinct values in order of appearance, keyed as by
+   * `valueKey`: dates are compared by time, and missing values count as one.
+   * @returns {Array} The distinct values.
+   */
+  unique() {
+    const distinct = new Map();
+    for (const value of this.values) {
+      const key = valueKey(value);
+      if (!distinct.has(key)) {
+        distinct.set(key, value);
+      }
+    }
+
+    return Array.from(distinct.values());
+  }
+
+  /**
+   * Counts the distinct values.
+   * @returns {number} The number of distinct values.
+   */
+  nunique() {
+    return aggregations.nunique(this.values);
+  }
+
+  /**
+   * Counts the occurrences of each distinct value. Categorical values are
+   * counted by code, and every category is reported, in category order
+   * among equal counts, even when no value has it.
+   * @param {Object} [options] - The counting options.
+   * @param {boolean} [options.normalize=false] - Whether to return proportions instead of counts.
+   * @param {boolean} [options.ascending=false] - Whether to sort by increasing count.
+   * @returns {Series} A new Series of counts labelled by the distinct values.
+   */
+  valueCounts({ normalize = false, ascending = false } = {}) {
+    const counts = new Map();
+    if (this.#categorical) {
+      const { codes, categories } = this.#categorical;
+      const codeCounts = new Array(categories.length).fill(0);
+      let missing = 0;
+      for (const code of codes) {
+        if (code === -1) {
+          missing++;
+        } else {
+          codeCounts[code]++;
+        }
+      }
+      categories.forEach((category, code) => {
+        counts.set(category, codeCounts[code]);
+      });
+      if (missing > 0) {
+        counts.set(null, missing);
+      }
+    } else {
+      for (const value of this.values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    const entries = Array.from(counts.entries()).sort(([, a], [, b]) =>
+      ascending ? a - b : b - a
+    );
+
+    return new Series(
+      entries.map(([, count]) =>
+        normalize ? count / this.values.length : count
+      ),
+      {
+        name: normalize ? "proportion" : "count",
+        index: entries.map(([value]) => value),
+      }
+    );
+  }
+
+  /**
+   * Checks element-wise whether the values are contained in a list of values.
+   * @param {Array|Series} values - The values to look for.
+   * @returns {Series} A new boolean Series.
+   */
+  isin(values) {
+    const lookup = new Set(values instanceof Series ? values.values : values);
+
+    return this.#derive(this.values.map((value) => lookup.has(value)));
+  }
+
+  /**
+   * Detects missing values: null, undefined, NaN and the sentinels set with `setNaValues`.
+   * @returns {Series} A new boolean Series, true where a value is missing.
+   */
+  isna() {
+    return this.#derive(this.values.map((value) => isna(value)));
+  }
+
+  /**
+   * Detects non-missing values.
+   * @returns {Series} A new boolean Series, true where a value is present.
+   */
+  notna() {
+    return this.#derive(this.values.map((value) => !isna(value)));
+  }
+
+  /**
+   * Drops the missing values.
+   * @returns {Series} A new Series without the missing values.
+   */
+  dropna() {
+    const positions = [];
+    this.values.forEach((value, position) => {
+      if (!isna(value)) {
+        positions.push(position);
+      }
+    });
+
+    return new Series(
+      positions.map((position) => this.values[position]),
+      {
+        name: this.name,
+        index: takeLabels(this.index, positions),
+      }
+    );
+  }
+
+  /**
+   * Fills missing values. Categorical values stay categorical, with a new
+   * replacement value added as a category.
+   * @param {*|string} value - The replacement value, or 'ffill' / 'bfill' to
+   * propagate the previous or next non-missing value.
+   * @returns {Series} A new Series with the missing values filled.
+   */
+  fillna(value) {
+    if (this.#categorical) {
+      return this.#derive(this.#categorical.fillna(value));
+    }
+
+    return this.#derive(fillValues(this.values, value));
+  }
+
+  /**
+   * Fills missing values by linear interpolation. Trailing missing values take
+   * the last non-missing value and leading missing values are kept.
+   * @returns {Series} A new Series with the missing values interpolated.
+   */
+  interpolate() {
+    return this.#derive(interpolateLinear(this.values));
+  }
+
+  /**
+   * Calculates the sum of the values.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number} The sum of the values.
+   */
+  sum(options) {
+    return aggregations.sum(this.values, options);
+  }
+
+  /**
+   * Calculates the mean of the values.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number} The mean of the values.
+   */
+  mean(options) {
+    return aggregations.mean(this.values, options);
+  }
+
+  /**
+   * Calculates the median of the values.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number} The median of the values.
+   */
+  median(options) {
+    return aggregations.median(this.values, options);
+  }
+
+  /**
+   * Calculates the mode(s) of the values.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {Array} The mode(s) of the values.
+   */
+  mode(options) {
+    return aggregations.mode(this.values, options);
+  }
+
+  /**
+   * Calculates the variance of the values.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @param {number} [options.ddof=0] - The delta degrees of freedom. 0 gives
+   * the population variance and 1 the sample variance.
+   * @returns {number} The variance of the values.
+   */
+  var(options) {
+    return aggregations.var(this.values, options);
+  }
+
+  /**
+   * Calculates the standard deviation of the values.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @param {number} [options.ddof=0] - The delta degrees of freedom. 0 gives
+   * the population standard deviation and 1 the sample standard deviation.
+   * @returns {number} The standard deviation of the values.
+   */
+  std(options) {
+    return aggregations.std(this.values, options);
+  }
+
+  /**
+   * Finds the smallest value.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {*} The minimum value.
+   */
+  min(options) {
+    return aggregations.min(this.values, options);
+  }
+
+  /**
+   * Finds the largest value.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {*} The maximum value.
+   */
+  max(options) {
+    return aggregations.max(this.values, options);
+  }
+
+  /**
+   * Counts the non-missing values.
+   * @returns {number} The number of non-missing values.
+   */
+  count() {
+    return aggregations.count(this.values);
+  }
+
+  /**
+   * Calculates the skewness of the values, adjusted for bias.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number} The skewness of the values.
+   */
+  skew(options) {
+    return aggregations.skew(this.values, options);
+  }
+
+  /**
+   * Calculates the excess kurtosis of the values, adjusted for bias.
+   * @param {Object} [options] - The statistic options.
+   * @param {boolean} [options.skipna=true] - Whether to ignore missing values.
+   * @returns {number} The kurtosis of the values.
+   */
+  kurtosis(options) {
+    return aggregations.kurtosis(this.values, options);
+  }
+
+  /**
+   * Calculates quantiles of the values, ignoring missing values.
+   * @param {number|number[]} q - The quantile(s), between 0 and 1.
+   * @param {Object} [options] - The quantile options.
+   * @param {string} [options.interpolation='linear'] - 'linear', 'lower',
+   * 'higher', 'nearest' or 'midpoint'.
+   * @returns {number|number[]} The quantile, or one per entry of `q`.
+   * @throws {Error} Invalid quantile.
+   * @throws {Error} Invalid interpolation.
+   */
+  quantile(q, options) {
+    return quantile(this.values, q, options);
+  }
+
+  /**
+   * Calculates the cumulative sum. Missing values stay null and are skipped.
+   * @returns {Series} A new Series with the running totals.
+   */
+  cumsum() {
+    return this.#derive(cumsum(this.values));
+  }
+
+  /**
+   * Calculates the cumulative product. Missing values stay null and are skipped.
+   * @returns {Series} A new Series with the running products.
+   */
+  cumprod() {
+    return this.#derive(cumprod(this.values));
+  }
+
+  /**
+   * Ranks the values from 1. Missing values get a null rank.
+   * @param {Object} [options] - The rank options: `method`, `ascending` and
+   * `locale`, as for `DataFrame.rank`.
+   * @returns {Series} A new Series of ranks.
+   * @throws {Error} Invalid rank method.
+   */
+  rank(options) {
+    return this.#derive(rankValues(this.values, options));
+  }
+
+  /**
+   * Calculates the correlation with another Series, over the positions where
+   * both values are present.
+   * @param {Series} other - The other Series.
+   * @param {Object} [options] - The correlation options.
+   * @param {string} [options.method='pearson'] - 'pearson', 'spearman' or 'kendall'.
+   * @returns {number} The correlation coefficient.
+   * @throws {Error} Length mismatch.
+   * @throws {Error} Invalid correlation method.
+   */
+  corr(other, options) {
+    if (other.length !== this.length) {
+      throw new Error("Length mismatch");
+    }
+
+    return correlation(this.values, other.values, options);
+  }
+
+  /**
+   * Calculates the covariance with another Series, over the positions where
+   * both values are present.
+   * @param {Series} other - The other Series.
+   * @param {Object} [options] - The covariance options.
+   * @param {number} [options.ddof=0] - The delta degrees of freedom.
+   * @returns {number} The covariance.
+   * @throws {Error} Length mismatch.
+   */
+  cov(other, options) {
+    if (other.length !== this.length) {
+      throw new Error("Length mismatch");
+    }
+
+    return covariance(this.values, other.values, options);
+  }
+
+  /**
+   * Summarizes the values, like a column of `DataFrame.describe`.
+   * @param {Object} [options] - The summary options.
+   * @param {number[]} [options.percentiles=[0.25, 0.5, 0.75]] - The
+   * quantiles to include for numeric values.
+   * @returns {Series} A new Series of statistics labelled by their names.
+   */
+  describe({ percentiles = [0.25, 0.5, 0.75] } = {}) {
+    const summary = ["int", "float"].includes(this.dtype)
+      ? describeNumeric(this.values, percentiles)
+      : describeOther(this.values);
+
+    return new Series(Object.values(summary), {
+      name: this.name,
+      index: Object.keys(summary),
+    });
+  }
+
+  /**
+   * Creates a moving window over the values.
+   * @param {number|string} window - The number of values in each window, or a
+   * time span such as "7D" over the dates in the index.
+   * @param {Object} [options] - The window options.
+   * @param {number} [options.minPeriods] - The number of non-missing values
+   * a window needs to produce a result.
+   * @returns {Rolling} The window, with mean, sum, min, max and std methods.
+   */
+  rolling(window, options) {
+    return new Rolling(this, window, options);
+  }
+
+  /**
+   * Creates a window that grows from the first value to each value.
+   * @param {Object} [options] - The window options.
+   * @param {number} [options.minPeriods=1] - The number of non-missing values
+   * a window needs to produce a result.
+   * @returns {Expanding} The window, with mean, sum, min, max and std methods.
+   */
+  expanding(options) {
+    return new Expanding(this, options);
+  }
+
+  /**
+   * Creates an exponentially weighted window over the values.
+   * @param {number} alpha - The smoothing factor, between 0 (excluded) and 1.
+   * @returns {EWM} The window, with mean, sum and std methods.
+   */
+  ewm(alpha) {
+    return new EWM(this, alpha);
+  }
+}
+
+module.exports = {
+  Series,
+};
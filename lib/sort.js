@@ -0,0 +1,232 @@
+const { isna } = require("./missing");
+
+const NA_POSITIONS = ["first", "last"];
+
+// Values of different types are ordered by type: booleans, numbers, dates,
+// strings, then anything else.
+function typeRank(value) {
+  if (typeof value === "boolean") {
+    return 0;
+  }
+  if (typeof value === "number" || typeof value === "bigint") {
+    return 1;
+  }
+  if (value instanceof Date) {
+    return 2;
+  }
+  if (typeof value === "string") {
+    return 3;
+  }
+
+  return 4;
+}
+
+function isNumericString(value) {
+  return value.trim() !== "" && Number.isFinite(Number(value));
+}
+
+/**
+ * Checks whether strings of a column compare as numbers: whether it holds
+ * strings, and every one of them holds a number. The rule is decided for the
+ * whole column, since comparing strings as numbers only when both hold one
+ * would not be transitive ("2" < "10" < "1a" < "2").
+ * @param {Array} values - The values of the column.
+ * @returns {boolean} Whether its strings compare as numbers.
+ */
+function numericStrings(values) {
+  let found = false;
+  for (const value of values) {
+    if (typeof value === "string") {
+      if (!isNumericString(value)) {
+        return false;
+      }
+      found = true;
+    }
+  }
+
+  return found;
+}
+
+function order(a, b) {
+  if (a < b) {
+    return -1;
+  }
+
+  return a > b ? 1 : 0;
+}
+
+/**
+ * Creates a comparator for non-missing values. Numbers, dates and booleans
+ * compare by value, strings compare as numbers with the `numeric` option, and
+ * by code point, or with the collation of a locale, otherwise. Values of
+ * different types are ordered by type.
+ * @param {Object} [options] - The comparison options.
+ * @param {string} [options.locale] - The locale whose collation orders strings.
+ * @param {boolean} [options.numeric=false] - Whether strings compare as
+ * numbers, as decided by `numericStrings`. Every string compared must then
+ * hold a number.
+ * @returns {Function} A function returning a negative number, zero or a
+ * positive number when its first argument sorts before, with or after its
+ * second argument.
+ */
+function valueComparator({ locale, numeric = false } = {}) {
+  const collator = locale === undefined ? null : new Intl.Collator(locale);
+
+  return (a, b) => {
+    if (typeof a === "string" && typeof b === "string") {
+      if (numeric) {
+        return Number(a) - Number(b) || order(a, b);
+      }
+
+      return collator ? collator.compare(a, b) : order(a, b);
+    }
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) {
+      return rankA - rankB;
+    }
+    if (rankA === 4) {
+      return 0;
+    }
+
+    return order(
+      a instanceof Date ? a.getTime() : a,
+      b instanceof Date ? b.getTime() : b
+    );
+  };
+}
+
+/**
+ * Checks a `naPosition` option.
+ * @param {string} naPosition - The option value.
+ * @throws {Error} Invalid naPosition.
+ */
+function assertNaPosition(naPosition) {
+  if (!NA_POSITIONS.includes(naPosition)) {
+    throw new Error(`Invalid naPosition '${naPosition}'`);
+  }
+}
+
+/**
+ * Creates a comparator of row positions that sorts by several keys in turn.
+ * Missing key values are placed first or last whatever the direction, and
+ * the strings of a key compare as numbers when they all hold one.
+ * @param {Array[]} keys - The values of each key, indexed by position.
+ * @param {Object} [options] - The sort options.
+ * @param {boolean[]} [options.ascending] - The direction of each key.
+ * Defaults to ascending.
+ * @param {string} [options.naPosition="last"] - Where missing values go:
+ * "first" or "last".
+ * @param {string} [options.locale] - The locale whose collation orders strings.
+ * @returns {Function} The comparator of positions.
+ * @throws {Error} Invalid naPosition.
+ */
+function positionComparator(keys, options = {}) {
+  const { ascending = [], naPosition = "last", locale } = options;
+  assertNaPosition(naPosition);
+  const compares = keys.map((values) =>
+    valueComparator({ locale, numeric: numericStrings(values) })
+  );
+  const missingOrder = naPosition === "first" ? -1 : 1;
+
+  return (position1, position2) => {
+    for (let k = 0; k < keys.length; k++) {
+      const value1 = keys[k][position1];
+      const value2 = keys[k][position2];
+      const missing1 = isna(value1);
+      const missing2 = isna(value2);
+      if (missing1 || missing2) {
+        if (missing1 && missing2) {
+          continue;
+        }
+
+        return missing1 ? missingOrder : -missingOrder;
+      }
+      const result = compares[k](value1, value2);
+      if (result !== 0) {
+        return ascending[k] === false ? -result : result;
+      }
+    }
+
+    return 0;
+  };
+}
+
+/**
+ * Sorts row positions by several keys. The sort is stable, so rows with
+ * equal keys keep their order.
+ * @param {Array[]} keys - The values of each key, indexed by position.
+ * @param {number} length - The number of rows.
+ * @param {Object} [options] - The sort options, as for `positionComparator`.
+ * @returns {number[]} The sorted positions.
+ * @throws {Error} Invalid naPosition.
+ */
+function sortPositions(keys, length, options) {
+  const positions = Array.from({ length }, (_, position) => position);
+
+  return positions.sort(positionComparator(keys, options));
+}
+
+/**
+ * Selects the first n positions in the order of a comparator, without
+ * sorting them all: a heap holds the best n positions seen so far.
+ * @param {number[]} positions - The positions to select from.
+ * @param {number} n - The number of positions to select.
+ * @param {Function} compare - A comparator of positions that never returns 0
+ * for different positions.
+ * @returns {number[]} The selected positions, in order.
+ */
+function selectPositions(positions, n, compare) {
+  // A max-heap, with the worst of the selected positions at the root.
+  const heap = [];
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  };
+  const siftDown = (i) => {
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let worst = i;
+      if (left < heap.length && compare(heap[left], heap[worst]) > 0) {
+        worst = left;
+      }
+      if (right < heap.length && compare(heap[right], heap[worst]) > 0) {
+        worst = right;
+      }
+      if (worst === i) {
+        return;
+      }
+      swap(i, worst);
+      i = worst;
+    }
+  };
+
+  for (const position of positions) {
+    if (heap.length < n) {
+      heap.push(position);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (compare(heap[i], heap[parent]) <= 0) {
+          break;
+        }
+        swap(i, parent);
+        i = parent;
+      }
+    } else if (n > 0 && compare(position, heap[0]) < 0) {
+      heap[0] = position;
+      siftDown(0);
+    }
+  }
+
+  return heap.sort(compare);
+}
+
+module.exports = {
+  numericStrings,
+  valueComparator,
+  assertNaPosition,
+  positionComparator,
+  sortPositions,
+  selectPositions,
+};
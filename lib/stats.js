@@ -0,0 +1,359 @@
+const aggregations = require("./aggregations");
+const { isna } = require("./missing");
+const { numericStrings, valueComparator } = require("./sort");
+
+const INTERPOLATIONS = ["linear", "lower", "higher", "nearest", "midpoint"];
+
+function quantileOf(sorted, q, interpolation) {
+  if (sorted.length === 0) {
+    return NaN;
+  }
+
+  const position = q * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const fraction = position - lower;
+  switch (interpolation) {
+    case "lower":
+      return sorted[lower];
+    case "higher":
+      return sorted[upper];
+    case "nearest":
+      // Halfway positions go to the even neighbour.
+      if (fraction === 0.5) {
+        return sorted[lower % 2 === 0 ? lower : upper];
+      }
+
+      return sorted[Math.round(position)];
+    case "midpoint":
+      return (sorted[lower] + sorted[upper]) / 2;
+    default:
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * fraction;
+  }
+}
+
+/**
+ * Calculates one or more quantiles of the values, ignoring missing values.
+ * @param {Array} values - The numeric values.
+ * @param {number|number[]} q - The quantile(s), between 0 and 1.
+ * @param {Object} [options] - The quantile options.
+ * @param {string} [options.interpolation="linear"] - How to pick a value
+ * between two data points: 'linear', 'lower', 'higher', 'nearest' or
+ * 'midpoint'.
+ * @returns {number|number[]} The quantile, or one quantile per entry of `q`.
+ * NaN when there are no values.
+ * @throws {Error} Invalid quantile.
+ * @throws {Error} Invalid interpolation.
+ */
+function quantile(values, q, { interpolation = "linear" } = {}) {
+  const qs = Array.isArray(q) ? q : [q];
+  for (const value of qs) {
+    if (typeof value !== "number" || !(value >= 0 && value <= 1)) {
+      throw new Error(`Invalid quantile '${value}'`);
+    }
+  }
+  if (!INTERPOLATIONS.includes(interpolation)) {
+    throw new Error(`Invalid interpolation '${interpolation}'`);
+  }
+
+  const sorted = Float64Array.from(
+    Array.prototype.filter.call(values, (value) => !isna(value))
+  ).sort();
+  const results = qs.map((value) => quantileOf(sorted, value, interpolation));
+
+  return Array.isArray(q) ? results : results[0];
+}
+
+function accumulate(values, start, combine) {
+  let total = start;
+
+  return Array.from(values, (value) => {
+    if (isna(value)) {
+      return null;
+    }
+    total = combine(total, value);
+
+    return total;
+  });
+}
+
+/**
+ * Calculates the cumulative sum of the values. Missing values stay null and
+ * are skipped.
+ * @param {Array} values - The numeric values.
+ * @returns {Array} The running totals.
+ */
+function cumsum(values) {
+  return accumulate(values, 0, (total, value) => total + value);
+}
+
+/**
+ * Calculates the cumulative product of the values. Missing values stay null
+ * and are skipped.
+ * @param {Array} values - The numeric values.
+ * @returns {Array} The running products.
+ */
+function cumprod(values) {
+  return accumulate(values, 1, (total, value) => total * value);
+}
+
+const RANK_METHODS = ["average", "min", "max", "dense", "first"];
+
+/**
+ * Ranks the values from 1. Missing values get a null rank.
+ * @param {Array} values - The values to rank, compared as by `valueComparator`.
+ * Strings compare as numbers when they all hold one.
+ * @param {Object} [options] - The rank options.
+ * @param {string} [options.method="average"] - The rank of tied values:
+ * - `average`: the average of their ranks;
+ * - `min` and `max`: the lowest or highest of their ranks;
+ * - `dense`: like `min`, but ranks grow by 1 between groups of ties;
+ * - `first`: their ranks in order of appearance.
+ * @param {boolean} [options.ascending=true] - Whether the smallest value
+ * ranks first.
+ * @param {string} [options.locale] - The locale whose collation orders strings.
+ * @returns {Array} The rank of each value.
+ * @throws {Error} Invalid rank method.
+ */
+function rankValues(values, options = {}) {
+  const { method = "average", ascending = true, locale } = options;
+  if (!RANK_METHODS.includes(method)) {
+    throw new Error(`Invalid rank method '${method}'`);
+  }
+  const compare = valueComparator({ locale, numeric: numericStrings(values) });
+  const positions = [];
+  for (let position = 0; position < values.length; position++) {
+    if (!isna(values[position])) {
+      positions.push(position);
+    }
+  }
+  const direction = ascending ? 1 : -1;
+  positions.sort((a, b) => direction * compare(values[a], values[b]));
+
+  const ranks = new Array(values.length).fill(null);
+  let start = 0;
+  let group = 0;
+  while (start < positions.length) {
+    let end = start + 1;
+    while (
+      end < positions.length &&
+      compare(values[positions[end]], values[positions[start]]) === 0
+    ) {
+      end++;
+    }
+    group++;
+    const tied = {
+      average: (start + end + 1) / 2,
+      min: start + 1,
+      max: end,
+      dense: group,
+    }[method];
+    for (let i = start; i < end; i++) {
+      ranks[positions[i]] = method === "first" ? i + 1 : tied;
+    }
+    start = end;
+  }
+
+  return ranks;
+}
+
+/**
+ * Ranks the values from 1, giving tied values the average of their ranks.
+ * Missing values get a null rank.
+ * @param {Array} values - The values to rank.
+ * @returns {Array} The rank of each value.
+ */
+function averageRanks(values) {
+  return rankValues(values);
+}
+
+// Keeps the pairs of values where neither value is missing.
+function pairs(x, y) {
+  const xs = [];
+  const ys = [];
+  for (let i = 0; i < x.length; i++) {
+    if (!isna(x[i]) && !isna(y[i])) {
+      xs.push(x[i]);
+      ys.push(y[i]);
+    }
+  }
+
+  return [xs, ys];
+}
+
+function pearson(xs, ys) {
+  const meanX = aggregations.mean(xs);
+  const meanY = aggregations.mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  }
+
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// Kendall's tau-b, which accounts for ties in either variable.
+function kendall(xs, ys) {
+  let concordant = 0;
+  let discordant = 0;
+  let tiesX = 0;
+  let tiesY = 0;
+  for (let i = 0; i < xs.length; i++) {
+    for (let j = i + 1; j < xs.length; j++) {
+      const sign = Math.sign(xs[i] - xs[j]) * Math.sign(ys[i] - ys[j]);
+      if (sign > 0) {
+        concordant++;
+      } else if (sign < 0) {
+        discordant++;
+      } else if (xs[i] === xs[j] && ys[i] !== ys[j]) {
+        tiesX++;
+      } else if (xs[i] !== xs[j] && ys[i] === ys[j]) {
+        tiesY++;
+      }
+    }
+  }
+
+  return (
+    (concordant - discordant) /
+    Math.sqrt(
+      (concordant + discordant + tiesX) * (concordant + discordant + tiesY)
+    )
+  );
+}
+
+const CORRELATIONS = {
+  pearson,
+  spearman: (xs, ys) => pearson(averageRanks(xs), averageRanks(ys)),
+  kendall,
+};
+
+/**
+ * Calculates the correlation of two lists of values, over the pairs where
+ * neither value is missing.
+ * @param {Array} x - The first values.
+ * @param {Array} y - The second values.
+ * @param {Object} [options] - The correlation options.
+ * @param {string} [options.method="pearson"] - 'pearson', 'spearman' (on
+ * ranks) or 'kendall' (tau-b).
+ * @returns {number} The correlation coefficient, or NaN with fewer than two
+ * pairs or constant values.
+ * @throws {Error} Invalid correlation method.
+ */
+function correlation(x, y, { method = "pearson" } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(CORRELATIONS, method)) {
+    throw new Error(`Invalid correlation method '${method}'`);
+  }
+  const [xs, ys] = pairs(x, y);
+  if (xs.length < 2) {
+    return NaN;
+  }
+
+  return CORRELATIONS[method](xs, ys);
+}
+
+/**
+ * Calculates the covariance of two lists of values, over the pairs where
+ * neither value is missing.
+ * @param {Array} x - The first values.
+ * @param {Array} y - The second values.
+ * @param {Object} [options] - The covariance options.
+ * @param {number} [options.ddof=0] - The delta degrees of freedom, as for
+ * `variance`.
+ * @returns {number} The covariance, or NaN when there are no more pairs than ddof.
+ */
+function covariance(x, y, { ddof = 0 } = {}) {
+  const [xs, ys] = pairs(x, y);
+  if (xs.length <= ddof) {
+    return NaN;
+  }
+
+  const meanX = aggregations.mean(xs);
+  const meanY = aggregations.mean(ys);
+  let sum = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sum += (xs[i] - meanX) * (ys[i] - meanY);
+  }
+
+  return sum / (xs.length - ddof);
+}
+
+/**
+ * Labels a quantile as a percentage, such as "25%".
+ * @param {number} q - The quantile.
+ * @returns {string} The label.
+ */
+function percentLabel(q) {
+  return `${Number((q * 100).toFixed(6))}%`;
+}
+
+/**
+ * Summarizes numeric values.
+ * @param {Array} values - The numeric values.
+ * @param {number[]} percentiles - The quantiles to include.
+ * @returns {Object} The count, mean, sample standard deviation (ddof 1),
+ * min, percentiles and max, keyed by their labels.
+ */
+function describeNumeric(values, percentiles) {
+  const summary = {
+    count: aggregations.count(values),
+    mean: aggregations.mean(values),
+    std: aggregations.std(values, { ddof: 1 }),
+    min: aggregations.min(values),
+  };
+  const results = quantile(values, percentiles);
+  percentiles.forEach((q, i) => {
+    summary[percentLabel(q)] = results[i];
+  });
+  summary.max = aggregations.max(values);
+
+  return summary;
+}
+
+/**
+ * Summarizes values that are not numeric.
+ * @param {Array} values - The values.
+ * @returns {Object} The count, the number of distinct values, the most
+ * frequent value (`top`, the first to reach the highest count on ties) and
+ * its frequency (`freq`).
+ */
+function describeOther(values) {
+  const counts = new Map();
+  let top = null;
+  let freq = 0;
+  for (const value of values) {
+    if (isna(value)) {
+      continue;
+    }
+    const key = value instanceof Date ? value.getTime() : value;
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    if (count > freq) {
+      top = value;
+      freq = count;
+    }
+  }
+
+  return {
+    count: aggregations.count(values),
+    unique: counts.size,
+    top,
+    freq,
+  };
+}
+
+module.exports = {
+  quantile,
+  cumsum,
+  cumprod,
+  rankValues,
+  averageRanks,
+  correlation,
+  covariance,
+  percentLabel,
+  describeNumeric,
+  describeOther,
+};
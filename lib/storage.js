@@ -0,0 +1,124 @@
+const { Categorical } = require("./categorical");
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+/**
+ * Checks whether column values are held in a typed array.
+ * @param {Array|TypedArray} values - The column values.
+ * @returns {boolean} Whether the values are a typed array.
+ */
+function isTyped(values) {
+  return ArrayBuffer.isView(values);
+}
+
+/**
+ * Picks the storage for column values. Columns holding only numbers, with no
+ * missing values, are packed into an Int32Array when every value is an
+ * integer in range and into a Float64Array otherwise. Other columns, and
+ * typed arrays and categoricals, are kept as they are, except that
+ * floating-point typed arrays holding NaN are copied into plain arrays so
+ * typed storage never holds missing values.
+ * @param {Array|TypedArray|Categorical} values - The column values.
+ * @returns {Array|TypedArray|Categorical} The values to store.
+ */
+function packColumn(values) {
+  if (values instanceof Categorical) {
+    return values;
+  }
+  if (isTyped(values)) {
+    const floating =
+      values instanceof Float64Array || values instanceof Float32Array;
+
+    return floating && values.some(Number.isNaN) ? toArray(values) : values;
+  }
+  if (values.length === 0) {
+    return values;
+  }
+
+  let integers = true;
+  for (const value of values) {
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      return values;
+    }
+    if (
+      integers &&
+      !(Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX)
+    ) {
+      integers = false;
+    }
+  }
+
+  return integers ? Int32Array.from(values) : Float64Array.from(values);
+}
+
+/**
+ * Gathers the column values at the given positions, keeping typed and
+ * categorical storage.
+ * @param {Array|TypedArray|Categorical} values - The column values.
+ * @param {number[]} positions - The positions to gather.
+ * @returns {Array|TypedArray|Categorical} The gathered values.
+ */
+function takeColumn(values, positions) {
+  if (values instanceof Categorical) {
+    return values.take(positions);
+  }
+  if (!isTyped(values)) {
+    return positions.map((position) => values[position]);
+  }
+
+  const taken = new values.constructor(positions.length);
+  for (let i = 0; i < positions.length; i++) {
+    taken[i] = values[positions[i]];
+  }
+
+  return taken;
+}
+
+/**
+ * Copies column values into a plain array.
+ * @param {Array|TypedArray|Categorical} values - The column values.
+ * @returns {Array} A new array with the values.
+ */
+function toArray(values) {
+  if (values instanceof Categorical) {
+    return values.toArray();
+  }
+  const array = new Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    array[i] = values[i];
+  }
+
+  return array;
+}
+
+/**
+ * Gets column values in a form that can be read by position: categoricals
+ * are decoded, and other storage is returned as it is.
+ * @param {Array|TypedArray|Categorical} values - The column values.
+ * @returns {Array|TypedArray} The readable values.
+ */
+function readColumn(values) {
+  return values instanceof Categorical ? values.toArray() : values;
+}
+
+/**
+ * Gets the column value at a position.
+ * @param {Array|TypedArray|Categorical} values - The column values.
+ * @param {number} position - The position of the value.
+ * @returns {*} The value.
+ */
+function valueAt(values, position) {
+  return values instanceof Categorical
+    ? values.valueAt(position)
+    : values[position];
+}
+
+module.exports = {
+  isTyped,
+  packColumn,
+  takeColumn,
+  toArray,
+  readColumn,
+  valueAt,
+};
@@ -0,0 +1,363 @@
+const { isna } = require("./missing");
+
+const PAD_SIDES = ["left", "right", "both"];
+
+/**
+ * Checks that values are strings or missing values.
+ * @param {Array} values - The values to check.
+ * @throws {Error} Values must be strings.
+ */
+function assertStrings(values) {
+  for (const value of values) {
+    if (!isna(value) && typeof value !== "string") {
+      throw new Error("Values must be strings");
+    }
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Builds a regular expression from a pattern: a RegExp, a regular expression
+// source, or literal text when `regex` is false.
+function toRegExp(pattern, { regex = true, caseSensitive = true, global }) {
+  const source =
+    pattern instanceof RegExp
+      ? pattern.source
+      : regex
+      ? pattern
+      : escapeRegExp(pattern);
+  let flags = pattern instanceof RegExp ? pattern.flags : "";
+  flags = flags.replace(/[gyi]/g, "");
+  if (!caseSensitive || (pattern instanceof RegExp && pattern.ignoreCase)) {
+    flags += "i";
+  }
+
+  return new RegExp(source, global ? `${flags}g` : flags);
+}
+
+// Lists the capturing groups of a regular expression source in order, with
+// their names, or null for unnamed groups.
+function groupNames(source) {
+  const names = [];
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (inClass) {
+      inClass = char !== "]";
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      if (source[i + 1] !== "?") {
+        names.push(null);
+      } else {
+        const named = /^\?<([^=!>][^>]*)>/.exec(source.slice(i + 1));
+        if (named) {
+          names.push(named[1]);
+        }
+      }
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Gives access to vectorized string methods on a Series of strings. Missing
+ * values stay null. Returned by `Series.str`.
+ * @class
+ */
+class StringAccessor {
+  #series;
+
+  /**
+   * Creates an instance of StringAccessor.
+   * @constructor
+   * @param {Series} series - The Series of strings.
+   * @throws {Error} Values must be strings.
+   */
+  constructor(series) {
+    assertStrings(series.values);
+    this.#series = series;
+  }
+
+  #map(fn, missing = null) {
+    const Series = this.#series.constructor;
+
+    return new Series(
+      this.#series.values.map((value) => (isna(value) ? missing : fn(value))),
+      { name: this.#series.name, index: this.#series.index }
+    );
+  }
+
+  #frame(rows, columns) {
+    const { DataFrame } = require("./dataframe");
+    const data = {};
+    columns.forEach((column, i) => {
+      data[column] = rows.map((row) => (row === null ? null : row[i]));
+    });
+
+    return new DataFrame(data, columns, { index: this.#series.index });
+  }
+
+  /**
+   * Converts the strings to lower case.
+   * @returns {Series} A new Series with the converted strings.
+   */
+  lower() {
+    return this.#map((text) => text.toLowerCase());
+  }
+
+  /**
+   * Converts the strings to upper case.
+   * @returns {Series} A new Series with the converted strings.
+   */
+  upper() {
+    return this.#map((text) => text.toUpperCase());
+  }
+
+  /**
+   * Removes the whitespace at both ends of the strings.
+   * @returns {Series} A new Series with the stripped strings.
+   */
+  strip() {
+    return this.#map((text) => text.trim());
+  }
+
+  /**
+   * Counts the characters of the strings.
+   * @returns {Series} A new Series with the lengths.
+   */
+  len() {
+    return this.#map((text) => text.length);
+  }
+
+  /**
+   * Checks whether the strings contain a pattern. The result can be passed
+   * to `DataFrame.filter` as a boolean mask.
+   * @param {string|RegExp} pattern - A regular expression, or its source.
+   * @param {Object} [options] - The match options.
+   * @param {boolean} [options.regex=true] - Whether a string pattern is a
+   * regular expression rather than literal text.
+   * @param {boolean} [options.case=true] - Whether the match is case-sensitive.
+   * @param {*} [options.na=null] - The result for missing values.
+   * @returns {Series} A new boolean Series.
+   */
+  contains(pattern, options = {}) {
+    const { regex, case: caseSensitive, na = null } = options;
+    const expression = toRegExp(pattern, { regex, caseSensitive });
+
+    return this.#map((text) => expression.test(text), na);
+  }
+
+  /**
+   * Checks whether the strings start with a prefix.
+   * @param {string} prefix - The prefix.
+   * @param {Object} [options] - The match options.
+   * @param {*} [options.na=null] - The result for missing values.
+   * @returns {Series} A new boolean Series.
+   */
+  startsWith(prefix, { na = null } = {}) {
+    return this.#map((text) => text.startsWith(prefix), na);
+  }
+
+  /**
+   * Checks whether the strings end with a suffix.
+   * @param {string} suffix - The suffix.
+   * @param {Object} [options] - The match options.
+   * @param {*} [options.na=null] - The result for missing values.
+   * @returns {Series} A new boolean Series.
+   */
+  endsWith(suffix, { na = null } = {}) {
+    return this.#map((text) => text.endsWith(suffix), na);
+  }
+
+  /**
+   * Replaces every occurrence of a pattern.
+   * @param {string|RegExp} pattern - The text to replace, or a regular
+   * expression.
+   * @param {string|Function} replacement - The replacement, as for
+   * `String.prototype.replace`.
+   * @param {Object} [options] - The match options.
+   * @param {boolean} [options.regex=false] - Whether a string pattern is a
+   * regular expression rather than literal text.
+   * @param {boolean} [options.case=true] - Whether the match is case-sensitive.
+   * @returns {Series} A new Series with the replaced strings.
+   */
+  replace(pattern, replacement, options = {}) {
+    const { regex = false, case: caseSensitive } = options;
+    const expression = toRegExp(pattern, {
+      regex,
+      caseSensitive,
+      global: true,
+    });
+
+    return this.#map((text) => text.replace(expression, replacement));
+  }
+
+  /**
+   * Splits the strings around a separator.
+   * @param {string|RegExp} [separator] - The separator. Strings are split
+   * around runs of whitespace when omitted.
+   * @param {Object} [options] - The split options.
+   * @param {boolean} [options.expand=false] - Whether to return a DataFrame
+   * with one column per part, named "0", "1" and so on, instead of a Series
+   * of arrays. Strings with fewer parts are padded with null.
+   * @returns {Series|DataFrame} A new Series of arrays of parts, or a new
+   * DataFrame of parts.
+   */
+  split(separator, { expand = false } = {}) {
+    const parts = this.#map((text) =>
+      separator === undefined
+        ? text.trim().split(/\s+/).filter(Boolean)
+        : text.split(separator)
+    );
+    if (!expand) {
+      return parts;
+    }
+
+    const width = parts.values.reduce(
+      (max, row) => (row === null ? max : Math.max(max, row.length)),
+      0
+    );
+
+    return this.#frame(
+      parts.values.map((row) =>
+        row === null
+          ? null
+          : Array.from({ length: width }, (_, i) =>
+              i < row.length ? row[i] : null
+            )
+      ),
+      Array.from({ length: width }, (_, i) => String(i))
+    );
+  }
+
+  /**
+   * Extracts the groups of the first match of a regular expression into
+   * columns. Named groups give their names to the columns, and other groups
+   * are named by position: "0", "1" and so on. Strings that do not match
+   * give null in every column.
+   * @param {string|RegExp} pattern - The regular expression, or its source.
+   * @returns {DataFrame} A new DataFrame with one column per group.
+   * @throws {Error} Pattern has no groups.
+   */
+  extract(pattern) {
+    const expression = toRegExp(pattern, {});
+    const names = groupNames(expression.source);
+    if (names.length === 0) {
+      throw new Error("Pattern has no groups");
+    }
+    const columns = names.map((name, i) => (name === null ? String(i) : name));
+
+    return this.#frame(
+      this.#series.values.map((text) => {
+        const found = isna(text) ? null : expression.exec(text);
+
+        return found === null
+          ? null
+          : found.slice(1).map((value) => (value === undefined ? null : value));
+      }),
+      columns
+    );
+  }
+
+  /**
+   * Pads the strings to a minimum length.
+   * @param {number} width - The minimum length.
+   * @param {Object} [options] - The pad options.
+   * @param {string} [options.side="left"] - Where to pad: "left", "right" or
+   * "both".
+   * @param {string} [options.fillchar=" "] - The padding character.
+   * @returns {Series} A new Series with the padded strings.
+   * @throws {Error} Invalid side.
+   */
+  pad(width, { side = "left", fillchar = " " } = {}) {
+    if (!PAD_SIDES.includes(side)) {
+      throw new Error(`Invalid side '${side}'`);
+    }
+
+    return this.#map((text) => {
+      if (side === "left") {
+        return text.padStart(width, fillchar);
+      }
+      if (side === "right") {
+        return text.padEnd(width, fillchar);
+      }
+      const left = Math.floor(Math.max(width - text.length, 0) / 2);
+
+      return text
+        .padStart(text.length + left, fillchar)
+        .padEnd(width, fillchar);
+    });
+  }
+
+  /**
+   * Takes a part of each string, as `String.prototype.slice` does.
+   * @param {number} [start=0] - The position of the first character; negative
+   * positions count from the end.
+   * @param {number} [stop] - The position after the last character.
+   * @returns {Series} A new Series with the parts.
+   */
+  slice(start = 0, stop = undefined) {
+    return this.#map((text) => text.slice(start, stop));
+  }
+
+  /**
+   * Concatenates the strings. Without `others`, joins every string into one;
+   * with them, concatenates the strings row by row.
+   * @param {Series|Array|Array<Series|Array>} [others] - The strings to add
+   * to each row: a Series or an array with one value per row, or a list of
+   * them.
+   * @param {Object} [options] - The concatenation options.
+   * @param {string} [options.sep=""] - The separator between strings.
+   * @param {string} [options.naRep] - The text of missing values. Missing
+   * values are skipped when joining into one string, and give null row by
+   * row, when omitted.
+   * @returns {string|Series} The joined string, or a new Series.
+   * @throws {Error} Length mismatch.
+   */
+  cat(others, { sep = "", naRep } = {}) {
+    const values = this.#series.values;
+    const fill = (value) =>
+      isna(value) && naRep !== undefined ? naRep : value;
+    if (others === undefined) {
+      return values
+        .map(fill)
+        .filter((value) => !isna(value))
+        .join(sep);
+    }
+
+    const Series = this.#series.constructor;
+    const toValues = (other) =>
+      other instanceof Series ? other.values : other;
+    const columns =
+      Array.isArray(others) &&
+      others.length > 0 &&
+      (others[0] instanceof Series || Array.isArray(others[0]))
+        ? others.map(toValues)
+        : [toValues(others)];
+    for (const column of columns) {
+      if (column.length !== values.length) {
+        throw new Error("Length mismatch");
+      }
+    }
+
+    return new Series(
+      values.map((value, i) => {
+        const parts = [value, ...columns.map((column) => column[i])].map(fill);
+
+        return parts.some(isna) ? null : parts.map(String).join(sep);
+      }),
+      { name: this.#series.name, index: this.#series.index }
+    );
+  }
+}
+
+module.exports = {
+  assertStrings,
+  StringAccessor,
+};
@@ -0,0 +1,362 @@
+const aggregations = require("./aggregations");
+const { frequencyMs } = require("./datetime");
+const { isna } = require("./missing");
+
+function isFrame(source) {
+  return Array.isArray(source.columns);
+}
+
+// Calls fn with the values of a Series, or of each numeric column of a
+// DataFrame, and builds the same kind of object from the results. The `on`
+// column of a DataFrame is kept as it is.
+function applyToSource(source, fn, on) {
+  if (!isFrame(source)) {
+    const Series = source.constructor;
+
+    return new Series(fn(source.values), {
+      name: source.name,
+      index: source.index,
+    });
+  }
+
+  const data = {};
+  const columns = [];
+  for (const column of source.columns) {
+    const values = source.get(column).values;
+    if (column === on) {
+      data[column] = values;
+    } else if (["int", "float"].includes(source.dtypes[column])) {
+      data[column] = fn(values);
+    } else {
+      continue;
+    }
+    columns.push(column);
+  }
+  const DataFrame = source.constructor;
+
+  return new DataFrame(data, columns, {
+    index: source.index,
+    indexName: source.indexName,
+  });
+}
+
+function windowTimes(source, on) {
+  let times;
+  if (on !== undefined) {
+    if (!isFrame(source) || !source.columns.includes(on)) {
+      throw new Error("Column does not exist");
+    }
+    times = source.get(on).values;
+  } else if (source.index !== null) {
+    times = source.index;
+  } else {
+    throw new Error("Time windows require datetime values");
+  }
+
+  times.forEach((time, position) => {
+    if (!(time instanceof Date)) {
+      throw new Error("Time windows require datetime values");
+    }
+    if (position > 0 && time < times[position - 1]) {
+      throw new Error("Dates must be in ascending order");
+    }
+  });
+
+  return times.map((time) => time.getTime());
+}
+
+/**
+ * Computes statistics over a window that moves along the rows: a fixed
+ * number of rows, or a time span such as "7D" that ends at each row.
+ * Returned by `rolling`.
+ * @class
+ */
+class Rolling {
+  #source;
+  #start;
+  #minPeriods;
+  #on;
+
+  /**
+   * Creates an instance of Rolling.
+   * @constructor
+   * @param {Series|DataFrame} source - The values to compute over.
+   * @param {number|string} window - The number of rows in each window, or a
+   * time span such as "7D". Time spans cover the dates in the `on` column,
+   * or in the index, that are less than one span before each row.
+   * @param {Object} [options] - The window options.
+   * @param {number} [options.minPeriods] - The number of non-missing values
+   * a window needs to produce a result. Defaults to the window size for row
+   * windows and to 1 for time windows.
+   * @param {string} [options.on] - The datetime column of a DataFrame to use
+   * for time windows instead of the index.
+   * @throws {Error} Invalid window.
+   * @throws {Error} Invalid frequency.
+   * @throws {Error} Time windows require datetime values.
+   * @throws {Error} Dates must be in ascending order.
+   */
+  constructor(source, window, { minPeriods, on } = {}) {
+    this.#source = source;
+    this.#on = on;
+    if (typeof window === "string") {
+      const span = frequencyMs(window);
+      const times = windowTimes(source, on);
+      let start = 0;
+      const starts = times.map((time) => {
+        while (times[start] <= time - span) {
+          start++;
+        }
+
+        return start;
+      });
+      this.#start = (position) => starts[position];
+      this.#minPeriods = minPeriods === undefined ? 1 : minPeriods;
+    } else {
+      if (!Number.isInteger(window) || window < 1) {
+        throw new Error(`Invalid window '${window}'`);
+      }
+      this.#start = (position) => Math.max(0, position - window + 1);
+      this.#minPeriods = minPeriods === undefined ? window : minPeriods;
+    }
+  }
+
+  #apply(aggregation) {
+    return applyToSource(
+      this.#source,
+      (values) =>
+        values.map((_, position) => {
+          const window = values
+            .slice(this.#start(position), position + 1)
+            .filter((value) => !isna(value));
+
+          return window.length < this.#minPeriods || window.length === 0
+            ? null
+            : aggregation(window);
+        }),
+      this.#on
+    );
+  }
+
+  /**
+   * Calculates the mean of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  mean() {
+    return this.#apply(aggregations.mean);
+  }
+
+  /**
+   * Calculates the sum of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  sum() {
+    return this.#apply(aggregations.sum);
+  }
+
+  /**
+   * Finds the smallest value of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  min() {
+    return this.#apply(aggregations.min);
+  }
+
+  /**
+   * Finds the largest value of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  max() {
+    return this.#apply(aggregations.max);
+  }
+
+  /**
+   * Calculates the population standard deviation of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  std() {
+    return this.#apply(aggregations.std);
+  }
+}
+
+/**
+ * Computes statistics over a window that grows from the first row to each
+ * row. Returned by `expanding`.
+ * @class
+ */
+class Expanding {
+  #source;
+  #minPeriods;
+
+  /**
+   * Creates an instance of Expanding.
+   * @constructor
+   * @param {Series|DataFrame} source - The values to compute over.
+   * @param {Object} [options] - The window options.
+   * @param {number} [options.minPeriods=1] - The number of non-missing values
+   * a window needs to produce a result.
+   */
+  constructor(source, { minPeriods = 1 } = {}) {
+    this.#source = source;
+    this.#minPeriods = Math.max(minPeriods, 1);
+  }
+
+  // Keeps running statistics, using Welford's method for the variance.
+  #apply(select) {
+    return applyToSource(this.#source, (values) => {
+      const state = { count: 0, sum: 0, mean: 0, m2: 0, min: null, max: null };
+
+      return values.map((value) => {
+        if (!isna(value)) {
+          state.count++;
+          state.sum += value;
+          const delta = value - state.mean;
+          state.mean += delta / state.count;
+          state.m2 += delta * (value - state.mean);
+          state.min =
+            state.min === null || value < state.min ? value : state.min;
+          state.max =
+            state.max === null || value > state.max ? value : state.max;
+        }
+
+        return state.count < this.#minPeriods ? null : select(state);
+      });
+    });
+  }
+
+  /**
+   * Calculates the mean of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  mean() {
+    return this.#apply((state) => state.sum / state.count);
+  }
+
+  /**
+   * Calculates the sum of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  sum() {
+    return this.#apply((state) => state.sum);
+  }
+
+  /**
+   * Finds the smallest value of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  min() {
+    return this.#apply((state) => state.min);
+  }
+
+  /**
+   * Finds the largest value of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  max() {
+    return this.#apply((state) => state.max);
+  }
+
+  /**
+   * Calculates the population standard deviation of each window.
+   * @returns {Series|DataFrame} The results, null where a window has too few values.
+   */
+  std() {
+    return this.#apply((state) => Math.sqrt(state.m2 / state.count));
+  }
+}
+
+/**
+ * Computes exponentially weighted statistics, where the weight of a value
+ * decays by a factor of (1 - alpha) with each following row. Missing values
+ * get no weight but still age the values before them. Returned by `ewm`.
+ * @class
+ */
+class EWM {
+  #source;
+  #alpha;
+
+  /**
+   * Creates an instance of EWM.
+   * @constructor
+   * @param {Series|DataFrame} source - The values to compute over.
+   * @param {number} alpha - The smoothing factor, between 0 (excluded) and 1.
+   * @throws {Error} Invalid alpha.
+   */
+  constructor(source, alpha) {
+    if (typeof alpha !== "number" || !(alpha > 0 && alpha <= 1)) {
+      throw new Error(`Invalid alpha '${alpha}'`);
+    }
+    this.#source = source;
+    this.#alpha = alpha;
+  }
+
+  #apply(select) {
+    const decay = 1 - this.#alpha;
+
+    return applyToSource(this.#source, (values) => {
+      const state = {
+        count: 0,
+        weights: 0,
+        squaredWeights: 0,
+        sum: 0,
+        squaredSum: 0,
+      };
+
+      return values.map((value) => {
+        state.weights *= decay;
+        state.squaredWeights *= decay * decay;
+        state.sum *= decay;
+        state.squaredSum *= decay;
+        if (!isna(value)) {
+          state.count++;
+          state.weights += 1;
+          state.squaredWeights += 1;
+          state.sum += value;
+          state.squaredSum += value * value;
+        }
+
+        return state.weights === 0 ? null : select(state);
+      });
+    });
+  }
+
+  /**
+   * Calculates the exponentially weighted mean.
+   * @returns {Series|DataFrame} The results, null before the first value.
+   */
+  mean() {
+    return this.#apply((state) => state.sum / state.weights);
+  }
+
+  /**
+   * Calculates the exponentially weighted sum.
+   * @returns {Series|DataFrame} The results, null before the first value.
+   */
+  sum() {
+    return this.#apply((state) => state.sum);
+  }
+
+  /**
+   * Calculates the exponentially weighted standard deviation, corrected for
+   * bias like the sample standard deviation.
+   * @returns {Series|DataFrame} The results, null until there are two values.
+   */
+  std() {
+    return this.#apply((state) => {
+      const { count, weights, squaredWeights, sum, squaredSum } = state;
+      if (count < 2) {
+        return null;
+      }
+      const correction = weights * weights - squaredWeights;
+      const mean = sum / weights;
+      const variance = (squaredSum / weights - mean * mean) * weights * weights;
+
+      return Math.sqrt(Math.max(variance / correction, 0));
+    });
+  }
+}
+
+module.exports = {
+  Rolling,
+  Expanding,
+  EWM,
+};
@@ -0,0 +1,69 @@
+/**
+ * Times common DataFrame operations on the columnar storage against the same
+ * work done on plain row objects. Run with `npm run bench`; set BENCH_ROWS to
+ * change the number of rows.
+ */
+const { DataFrame } = require("../../lib");
+const { mean, median, std } = require("../../lib/aggregations");
+
+const ROWS = Number(process.env.BENCH_ROWS) || 200000;
+const RUNS = 5;
+
+function time(fn) {
+  fn();
+  let best = Infinity;
+  for (let run = 0; run < RUNS; run++) {
+    const start = process.hrtime.bigint();
+    fn();
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    best = Math.min(best, elapsed);
+  }
+
+  return best;
+}
+
+const rows = Array.from({ length: ROWS }, (_, i) => ({
+  ID: i,
+  Group: i % 100,
+  Score: ((i * 7919) % 1000) / 10,
+}));
+const df = new DataFrame(rows);
+
+const cases = [
+  {
+    name: "mean",
+    rows: () => mean(rows.map((row) => row.Score)),
+    columns: () => df.mean("Score"),
+  },
+  {
+    name: "std",
+    rows: () => std(rows.map((row) => row.Score)),
+    columns: () => df.std("Score"),
+  },
+  {
+    name: "median",
+    rows: () => median(rows.map((row) => row.Score)),
+    columns: () => df.median("Score"),
+  },
+  {
+    name: "sortBy",
+    rows: () => [...rows].sort((a, b) => a.Score - b.Score),
+    columns: () => df.sortBy(["Score"]),
+  },
+  {
+    name: "filter",
+    rows: () => rows.filter((row) => row.Score > 50),
+    columns: () => df.filter(df.get("Score").gt(50)),
+  },
+];
+
+console.log(`${ROWS} rows, best of ${RUNS} runs`);
+for (const { name, rows: baseline, columns } of cases) {
+  const rowTime = time(baseline);
+  const columnTime = time(columns);
+  console.log(
+    `${name.padEnd(8)} rows ${rowTime.toFixed(2).padStart(9)} ms` +
+      `  columns ${columnTime.toFixed(2).padStart(9)} ms` +
+      `  ${(rowTime / columnTime).toFixed(1)}x`
+  );
+}
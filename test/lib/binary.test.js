@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { encodeTable, decodeTable } = require("../../lib/binary");
+
+describe("binary", () => {
+  const data = {
+    int: Int32Array.from([1, -2, 3]),
+    float: Float64Array.from([0.5, 1.5, -2.25]),
+    date: [new Date("2024-01-01"), null, new Date("2024-03-01T12:00:00Z")],
+    flag: [true, null, false],
+    text: ["a", null, "ü"],
+  };
+  const table = {
+    length: 3,
+    columns: Object.keys(data),
+    values: (column) => data[column],
+    dtypes: { text: "string" },
+    index: ["x", "y", "z"],
+    indexName: "key",
+  };
+
+  it("should round trip typed and plain columns", () => {
+    const decoded = decodeTable(encodeTable(table));
+    expect(decoded.columns).to.eql(Object.keys(data));
+    expect(decoded.data.int).to.be.instanceOf(Int32Array);
+    expect(Array.from(decoded.data.int)).to.eql([1, -2, 3]);
+    expect(decoded.data.float).to.be.instanceOf(Float64Array);
+    expect(Array.from(decoded.data.float)).to.eql([0.5, 1.5, -2.25]);
+    expect(decoded.data.date).to.eql(data.date);
+    expect(decoded.data.flag).to.eql(data.flag);
+    expect(decoded.data.text).to.eql(data.text);
+    expect(decoded.dtypes).to.eql({ text: "string" });
+    expect(decoded.index).to.eql(["x", "y", "z"]);
+    expect(decoded.indexName).to.equal("key");
+  });
+
+  it("should start with a magic number and align the column data", () => {
+    const buffer = encodeTable(table);
+    expect(buffer.toString("latin1", 0, 4)).to.equal("PJDF");
+    expect(buffer.readUInt32LE(4)).to.equal(1);
+    const dataStart = 12 + buffer.readUInt32LE(8);
+    expect(buffer.length - Math.ceil(dataStart / 8) * 8).to.be.at.least(
+      3 * 4 + 3 * 8
+    );
+  });
+
+  it("should write numbers in little-endian order", () => {
+    const buffer = encodeTable(table);
+    const start = Math.ceil((12 + buffer.readUInt32LE(8)) / 8) * 8;
+    expect(buffer.readInt32LE(start + 4)).to.equal(-2);
+    expect(buffer.readDoubleLE(start + 16 + 16)).to.equal(-2.25);
+    expect(buffer.readDoubleLE(start + 40)).to.equal(Date.UTC(2024, 0, 1));
+  });
+
+  it("should reject other data", () => {
+    expect(() => decodeTable(Buffer.from("not a table"))).to.throw(
+      "Invalid binary data"
+    );
+    const buffer = encodeTable(table);
+    buffer.writeUInt32LE(9, 4);
+    expect(() => decodeTable(buffer)).to.throw(
+      "Unsupported binary version '9'"
+    );
+    expect(() => decodeTable(encodeTable(table).subarray(0, 60))).to.throw();
+  });
+});
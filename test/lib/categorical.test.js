@@ -0,0 +1,321 @@
+const { expect } = require("chai");
+const { DataFrame, Series, Categorical } = require("../../lib");
+
+describe("categorical", () => {
+  let df;
+
+  beforeEach(() => {
+    df = new DataFrame([
+      { country: "FR", size: "M", qty: 2 },
+      { country: "US", size: "S", qty: 5 },
+      { country: "FR", size: "L", qty: 1 },
+      { country: null, size: "M", qty: 3 },
+    ]).astype({ country: "category", size: "category" });
+  });
+
+  describe("Categorical", () => {
+    it("should encode values as codes into sorted categories", () => {
+      const categorical = Categorical.from(["b", "a", null, "b"]);
+
+      expect(categorical.categories).to.deep.equal(["a", "b"]);
+      expect(Array.from(categorical.codes)).to.deep.equal([1, 0, -1, 1]);
+      expect(categorical.toArray()).to.deep.equal(["b", "a", null, "b"]);
+    });
+
+    it("should use the given categories and miss other values", () => {
+      const categorical = Categorical.from(["x", "a"], {
+        categories: ["b", "a"],
+        ordered: true,
+      });
+
+      expect(Array.from(categorical.codes)).to.deep.equal([-1, 1]);
+      expect(categorical.ordered).to.equal(true);
+    });
+
+    it("should throw for duplicate categories or invalid codes", () => {
+      expect(() => Categorical.from([], { categories: ["a", "a"] })).to.throw(
+        "Categories must be unique and not missing"
+      );
+      expect(() => new Categorical(Int32Array.of(2), ["a", "b"])).to.throw(
+        "Invalid code"
+      );
+    });
+  });
+
+  describe("with DataFrame", () => {
+    it("should report the category dtype", () => {
+      expect(df.dtypes).to.deep.equal({
+        country: "category",
+        size: "category",
+        qty: "int",
+      });
+      expect(df.get("country").values).to.deep.equal(["FR", "US", "FR", null]);
+    });
+
+    it("should keep the categories through row selections", () => {
+      const head = df.head(1);
+
+      expect(head.dtypes.country).to.equal("category");
+      expect(head.get("country").cat.categories).to.deep.equal(["FR", "US"]);
+      expect(df.sortValues({ by: "qty" }).get("country").values).to.deep.equal([
+        "FR",
+        "FR",
+        null,
+        "US",
+      ]);
+    });
+
+    it("should store categoricals from the constructor and load options", async () => {
+      const frame = new DataFrame({ status: Categorical.from(["on", "off"]) }, [
+        "status",
+      ]);
+      const loaded = await DataFrame.fromCSV(Buffer.from("status\non\noff\n"), {
+        dtype: { status: "category" },
+      });
+
+      expect(frame.dtypes.status).to.equal("category");
+      expect(loaded.get("status").cat.codes.values).to.deep.equal([1, 0]);
+    });
+
+    it("should assign categorical Series", () => {
+      const country = df.get("country").cat.addCategories("DE");
+      const frame = df.assign({ country });
+
+      expect(frame.get("country").cat.categories).to.deep.equal([
+        "FR",
+        "US",
+        "DE",
+      ]);
+    });
+
+    it("should sort by the order of the categories", () => {
+      const size = df
+        .get("size")
+        .cat.reorderCategories(["S", "M", "L"], { ordered: true });
+
+      expect(
+        df.assign({ size }).sortValues({ by: "size" }).get("size").values
+      ).to.deep.equal(["S", "M", "M", "L"]);
+    });
+
+    it("should write decoded values and read them back as categoricals", async () => {
+      const frame = await DataFrame.fromBinary(await df.toBinary());
+
+      expect(await df.toCSV()).to.equal(
+        "country,size,qty\nFR,M,2\nUS,S,5\nFR,L,1\n,M,3\n"
+      );
+      expect(frame.dtypes.country).to.equal("category");
+      expect(frame.get("country").values).to.deep.equal([
+        "FR",
+        "US",
+        "FR",
+        null,
+      ]);
+    });
+
+    it("should keep the categories and their order in the binary format", async () => {
+      const sizes = df
+        .get("size")
+        .cat.addCategories("XL")
+        .cat.reorderCategories(["XL", "S", "M", "L"], { ordered: true });
+      const days = Categorical.from([new Date(0), null, new Date(0), null]);
+      const source = df.assign({ size: sizes, day: days });
+      const frame = await DataFrame.fromBinary(await source.toBinary());
+
+      expect(frame.dtypes).to.deep.equal(source.dtypes);
+      expect(frame.get("size").cat.categories).to.eql(["XL", "S", "M", "L"]);
+      expect(frame.get("size").cat.ordered).to.equal(true);
+      expect(frame.get("size").values).to.eql(["M", "S", "L", "M"]);
+      expect(frame.get("country").cat.ordered).to.equal(false);
+      expect(frame.get("day").cat.categories).to.eql([new Date(0)]);
+      expect(frame.get("day").values).to.eql([
+        new Date(0),
+        null,
+        new Date(0),
+        null,
+      ]);
+    });
+  });
+
+  describe("Series.cat", () => {
+    it("should throw for values that are not categorical", () => {
+      expect(() => new Series(["a"]).cat).to.throw(
+        "Values must be categorical"
+      );
+    });
+
+    it("should give the categories and codes", () => {
+      const { cat } = df.get("country");
+
+      expect(cat.categories).to.deep.equal(["FR", "US"]);
+      expect(cat.codes.values).to.deep.equal([0, 1, 0, -1]);
+      expect(cat.ordered).to.equal(false);
+    });
+
+    it("should rename the categories", () => {
+      const country = df.get("country");
+
+      expect(
+        country.cat.renameCategories({ FR: "France" }).values
+      ).to.deep.equal(["France", "US", "France", null]);
+      expect(
+        country.cat.renameCategories((name) => name.toLowerCase()).values
+      ).to.deep.equal(["fr", "us", "fr", null]);
+      expect(() => country.cat.renameCategories(["a"])).to.throw(
+        "Categories length mismatch"
+      );
+      expect(() => country.cat.renameCategories(["a", "a"])).to.throw(
+        "Categories must be unique and not missing"
+      );
+    });
+
+    it("should add categories", () => {
+      const country = df.get("country").cat.addCategories(["DE", "IT"]);
+
+      expect(country.cat.categories).to.deep.equal(["FR", "US", "DE", "IT"]);
+      expect(country.values).to.deep.equal(["FR", "US", "FR", null]);
+      expect(() => country.cat.addCategories("FR")).to.throw(
+        "Category 'FR' already exists"
+      );
+    });
+
+    it("should reorder the categories", () => {
+      const size = df.get("size").cat.reorderCategories(["S", "M", "L"]);
+
+      expect(size.cat.codes.values).to.deep.equal([1, 0, 2, 1]);
+      expect(size.values).to.deep.equal(["M", "S", "L", "M"]);
+      expect(() => size.cat.reorderCategories(["S", "M"])).to.throw(
+        "Categories do not match"
+      );
+    });
+
+    it("should compare ordered categories by their order", () => {
+      const size = new Series(["M", "S", "L", null]).astype("category", {
+        categories: ["S", "M", "L"],
+        ordered: true,
+      });
+
+      expect(size.gt("S").values).to.deep.equal([true, false, true, false]);
+      expect(size.le(["L", "S", "M", "S"]).values).to.deep.equal([
+        true,
+        true,
+        false,
+        false,
+      ]);
+      expect(() => size.lt("XL")).to.throw("Invalid category 'XL'");
+      expect(() => size.cat.asUnordered().lt("M")).to.throw(
+        "Categories are not ordered"
+      );
+    });
+
+    it("should count every category", () => {
+      const counts = df.get("country").cat.addCategories("DE").valueCounts();
+
+      expect(counts.index).to.deep.equal(["FR", "US", null, "DE"]);
+      expect(counts.values).to.deep.equal([2, 1, 1, 0]);
+    });
+
+    it("should fill missing values through the codes", () => {
+      const filled = df.fillna({ country: "DE" });
+      expect(filled.dtypes.country).to.equal("category");
+      expect(filled.get("country").cat.categories).to.eql(["FR", "US", "DE"]);
+      expect(filled.get("country").values).to.eql(["FR", "US", "FR", "DE"]);
+
+      const forward = df.fillna("ffill");
+      expect(forward.dtypes).to.include({
+        country: "category",
+        size: "category",
+      });
+      expect(forward.get("country").values).to.eql(["FR", "US", "FR", "FR"]);
+      expect(df.get("country").fillna("US").cat.categories).to.eql([
+        "FR",
+        "US",
+      ]);
+    });
+
+    it("should keep the categories through concat and merge", () => {
+      const other = new DataFrame([
+        { country: "DE", size: "S", qty: 4 },
+      ]).astype({ country: "category", size: "category" });
+      const sizes = df.get("size").cat.reorderCategories(["S", "M", "L"], {
+        ordered: true,
+      });
+      const ordered = df.assign({ size: sizes });
+
+      const combined = DataFrame.concat([df, other]);
+      expect(combined.dtypes).to.eql({
+        country: "category",
+        size: "category",
+        qty: "int",
+      });
+      expect(combined.get("country").cat.categories).to.eql(["FR", "US", "DE"]);
+      expect(
+        DataFrame.concat([ordered, ordered]).get("size").cat.ordered
+      ).to.equal(true);
+      expect(
+        DataFrame.concat([ordered, other]).get("size").cat.ordered
+      ).to.equal(false);
+
+      const labels = new DataFrame({
+        size: ["S", "L"],
+        label: ["small", "large"],
+      });
+      const merged = ordered.merge(labels.astype({ label: "category" }), {
+        on: "size",
+        how: "left",
+      });
+      expect(merged.dtypes).to.eql({
+        country: "category",
+        size: "string",
+        qty: "int",
+        label: "category",
+      });
+      const keyed = ordered.merge(ordered.select(["size"]).head(1), {
+        on: "size",
+      });
+      expect(keyed.dtypes.size).to.equal("category");
+      expect(keyed.get("size").cat.categories).to.eql(["S", "M", "L"]);
+      expect(keyed.get("size").cat.ordered).to.equal(true);
+    });
+
+    it("should keep the categories in a single-column DataFrame", () => {
+      expect(df.get("size").toFrame().dtypes).to.deep.equal({
+        size: "category",
+      });
+    });
+  });
+
+  describe("groupBy", () => {
+    it("should report empty categories in category order", () => {
+      const frame = df.assign({
+        country: df.get("country").cat.addCategories("DE"),
+      });
+      const result = frame.groupBy("country").agg({ qty: "sum" });
+
+      expect(result.getDataFrame()).to.deep.equal([
+        { country: "FR", qty: 3 },
+        { country: "US", qty: 5 },
+        { country: "DE", qty: 0 },
+        { country: null, qty: 3 },
+      ]);
+      expect(
+        frame.groupBy("country", { observed: true }).size().get("country")
+          .values
+      ).to.deep.equal(["FR", "US", null]);
+    });
+
+    it("should group by every combination of categorical keys", () => {
+      const counts = df.groupBy(["country", "size"]).agg({ qty: "count" });
+
+      expect(counts.getDataFrame()).to.deep.equal([
+        { country: "FR", size: "L", qty: 1 },
+        { country: "FR", size: "M", qty: 1 },
+        { country: "FR", size: "S", qty: 0 },
+        { country: "US", size: "L", qty: 0 },
+        { country: "US", size: "M", qty: 0 },
+        { country: "US", size: "S", qty: 1 },
+        { country: null, size: "M", qty: 1 },
+      ]);
+    });
+  });
+});
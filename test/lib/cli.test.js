@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable, Writable } = require("stream");
+const { run } = require("../../lib/cli");
+
+const file = path.join(__dirname, "../fixtures/people.csv");
+
+function output() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, _, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    },
+  });
+  stream.text = () => chunks.join("");
+
+  return stream;
+}
+
+async function cli(args, input = "") {
+  const stdout = output();
+  const stderr = output();
+  const code = await run(args, {
+    stdin: Readable.from([Buffer.from(input)]),
+    stdout,
+    stderr,
+  });
+
+  return { code, stdout: stdout.text(), stderr: stderr.text() };
+}
+
+describe("cli", () => {
+  it("should print the first rows as a table", async () => {
+    const { code, stdout } = await cli(["head", file, "-n", "1"]);
+
+    expect(code).to.equal(0);
+    expect(stdout).to.equal(
+      [
+        "    ID    Name  Age  Score   Active      Joined",
+        "   int  string  int  float  boolean      string",
+        "0    1    John   25    7.5     true  2021-03-01",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should read standard input and write CSV", async () => {
+    const { stdout } = await cli(
+      ["filter", "--query", "Age > 26", "--format", "csv"],
+      "Name,Age\nJohn,25\nJane,30\n"
+    );
+
+    expect(stdout).to.equal("Name,Age\nJane,30\n");
+  });
+
+  it("should select and sort columns as NDJSON", async () => {
+    const selected = await cli([
+      "select",
+      file,
+      "-c",
+      "Name,Age",
+      "-f",
+      "ndjson",
+    ]);
+    const sorted = await cli([
+      "sort",
+      file,
+      "--by",
+      "Age",
+      "--desc",
+      "-f",
+      "csv",
+    ]);
+
+    expect(selected.stdout).to.equal(
+      '{"Name":"John","Age":25}\n{"Name":"Jane","Age":30}\n{"Name":"Sam","Age":null}\n'
+    );
+    expect(
+      sorted.stdout
+        .split("\n")
+        .slice(1, 4)
+        .map((line) => line.split(",")[1])
+    ).to.deep.equal(["Jane", "John", "Sam"]);
+  });
+
+  it("should aggregate groups", async () => {
+    const { stdout } = await cli(
+      [
+        "groupby",
+        "--by",
+        "team",
+        "--agg",
+        "amount:sum,amount:max",
+        "-f",
+        "csv",
+      ],
+      "team,amount\na,1\nb,2\na,3\n"
+    );
+    const sizes = await cli(
+      ["groupby", "--by", "team", "-f", "json"],
+      "team\na\n"
+    );
+
+    expect(stdout).to.equal("team,amount_sum,amount_max\na,4,3\nb,2,2\n");
+    expect(JSON.parse(sizes.stdout)).to.deep.equal([{ team: "a", size: 1 }]);
+  });
+
+  it("should write the labels of described statistics", async () => {
+    const { stdout } = await cli(["describe", "-f", "csv"], "x\n1\n3\n");
+
+    expect(stdout.split("\n").slice(0, 3)).to.deep.equal([
+      "index,x",
+      "count,2",
+      "mean,2",
+    ]);
+  });
+
+  it("should join two files", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pandas-js-"));
+    const scores = path.join(dir, "scores.json");
+    fs.writeFileSync(scores, JSON.stringify([{ ID: 2, Points: 9 }]));
+    const { stdout } = await cli([
+      "join",
+      file,
+      scores,
+      "--on",
+      "ID",
+      "-f",
+      "csv",
+    ]);
+    fs.rmSync(dir, { recursive: true });
+
+    expect(stdout).to.equal(
+      "ID,Name,Age,Score,Active,Joined,Points\n2,Jane,30,,false,2020-11-15,9\n"
+    );
+  });
+
+  it("should convert files by their extensions", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pandas-js-"));
+    const target = path.join(dir, "people.ndjson");
+    const { code } = await cli(["convert", file, target]);
+    const lines = fs.readFileSync(target, "utf8").trim().split("\n");
+    fs.rmSync(dir, { recursive: true });
+
+    expect(code).to.equal(0);
+    expect(lines).to.have.lengthOf(3);
+    expect(JSON.parse(lines[0]).Name).to.equal("John");
+  });
+
+  it("should report errors with an exit code", async () => {
+    const unknown = await cli(["pivot", file]);
+    const missing = await cli(["filter", file]);
+    const format = await cli(["head", file, "-f", "xml"]);
+
+    expect(unknown.code).to.equal(1);
+    expect(unknown.stderr).to.equal("pandas-js: Unknown command 'pivot'\n");
+    expect(missing.stderr).to.equal("pandas-js: Missing option '--query'\n");
+    expect(format.stderr).to.equal("pandas-js: Invalid format 'xml'\n");
+  });
+
+  it("should print the usage", async () => {
+    const help = await cli(["--help"]);
+    const none = await cli([]);
+
+    expect(help.code).to.equal(0);
+    expect(help.stdout).to.match(/^Usage: pandas-js <command>/);
+    expect(none.code).to.equal(1);
+    expect(none.stderr).to.match(/^pandas-js: Missing command\n\nUsage/);
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { DataFrame } = require("../../lib");
+
+describe("concat", () => {
+  let monday;
+  let tuesday;
+
+  beforeEach(() => {
+    monday = new DataFrame(
+      [
+        [1, "John", 25],
+        [2, "Jane", 30],
+      ],
+      ["ID", "Name", "Age"]
+    );
+    tuesday = new DataFrame(
+      [
+        [3, "Sam", "London"],
+        [4, "Eve", "Paris"],
+        [5, "Bob", "Rome"],
+      ],
+      ["ID", "Name", "City"]
+    );
+  });
+
+  it("should stack frames vertically with the union of their columns", () => {
+    const result = DataFrame.concat([monday, tuesday]);
+    expect(result.columns).to.deep.equal(["ID", "Name", "Age", "City"]);
+    expect(result.shape).to.equal("(5, 4)");
+    expect(result.getRow(0)).to.deep.equal({
+      ID: 1,
+      Name: "John",
+      Age: 25,
+      City: null,
+    });
+    expect(result.getRow(2)).to.deep.equal({
+      ID: 3,
+      Name: "Sam",
+      Age: null,
+      City: "London",
+    });
+  });
+
+  it("should keep only the shared columns with an inner join", () => {
+    const result = DataFrame.concat([monday, tuesday], { join: "inner" });
+    expect(result.columns).to.deep.equal(["ID", "Name"]);
+    expect(result.get("ID").values).to.deep.equal([1, 2, 3, 4, 5]);
+  });
+
+  it("should place frames side by side along axis 1", () => {
+    const result = DataFrame.concat(
+      [monday.select("Age"), tuesday.select("City")],
+      { axis: 1 }
+    );
+    expect(result.columns).to.deep.equal(["Age", "City"]);
+    expect(result.getDataFrame()).to.deep.equal([
+      { Age: 25, City: "London" },
+      { Age: 30, City: "Paris" },
+      { Age: null, City: "Rome" },
+    ]);
+  });
+
+  it("should truncate to the shortest frame along axis 1 with an inner join", () => {
+    const result = DataFrame.concat(
+      [monday.select("Age"), tuesday.select("City")],
+      { axis: 1, join: "inner" }
+    );
+    expect(result.shape).to.equal("(2, 2)");
+  });
+
+  it("should relabel columns along axis 1 when ignoring the index", () => {
+    const result = DataFrame.concat([monday, tuesday], {
+      axis: 1,
+      ignoreIndex: true,
+    });
+    expect(result.columns).to.have.lengthOf(6);
+    expect(result.columns[3]).to.equal("column4");
+    expect(result.get("column5").values).to.deep.equal(["Sam", "Eve", "Bob"]);
+  });
+
+  it("should throw an error for duplicate column names along axis 1", () => {
+    expect(() => DataFrame.concat([monday, tuesday], { axis: 1 })).to.throw(
+      "Duplicate column names"
+    );
+  });
+
+  it("should concatenate the row labels along axis 0", () => {
+    const result = DataFrame.concat([monday.setIndex("Name"), tuesday]);
+    expect(result.index).to.deep.equal(["John", "Jane", 0, 1, 2]);
+
+    const ignored = DataFrame.concat([monday.setIndex("Name"), tuesday], {
+      ignoreIndex: true,
+    });
+    expect(ignored.index).to.equal(null);
+  });
+
+  it("should throw an error if there are no frames", () => {
+    expect(() => DataFrame.concat([])).to.throw("No frames to concatenate");
+  });
+
+  describe("append", () => {
+    it("should append the rows of other frames", () => {
+      const result = monday.append([tuesday, monday]);
+      expect(result.get("ID").values).to.deep.equal([1, 2, 3, 4, 5, 1, 2]);
+      expect(monday.shape).to.equal("(2, 3)");
+    });
+  });
+});
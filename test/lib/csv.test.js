@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const path = require("path");
+const { readCSV, formatCSV } = require("../../lib/csv");
+
+const file = path.join(__dirname, "../fixtures/people.csv");
+
+async function collect(iterator) {
+  const chunks = [];
+  for await (const chunk of iterator) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+describe("csv", () => {
+  describe("readCSV", () => {
+    it("should yield the rows in chunks", async () => {
+      const chunks = await collect(readCSV(file, { usecols: ["ID"] }, 2));
+      expect(chunks).to.deep.equal([
+        { columns: ["ID"], rows: [["1"], ["2"]] },
+        { columns: ["ID"], rows: [["3"]] },
+      ]);
+    });
+
+    it("should read the columns a function picks", async () => {
+      const chunks = await collect(
+        readCSV(file, { usecols: (column) => column.startsWith("A"), nrows: 1 })
+      );
+      expect(chunks).to.deep.equal([
+        { columns: ["Age", "Active"], rows: [["25", "true"]] },
+      ]);
+    });
+
+    it("should yield one empty chunk when there are no rows", async () => {
+      const chunks = await collect(readCSV(file, { nrows: 0 }));
+      expect(chunks).to.have.lengthOf(1);
+      expect(chunks[0].columns).to.have.lengthOf(6);
+      expect(chunks[0].rows).to.deep.equal([]);
+    });
+
+    it("should reject when the file does not exist", async () => {
+      try {
+        await collect(readCSV(path.join(__dirname, "missing.csv")));
+        expect.fail("readCSV should reject");
+      } catch (error) {
+        expect(error.code).to.equal("ENOENT");
+      }
+    });
+  });
+
+  describe("formatCSV", () => {
+    const table = {
+      length: 2,
+      columns: ["id", "name", "score", "joined"],
+      dtypes: { id: "int", name: "string", score: "float", joined: "datetime" },
+      value: (position, column) =>
+        ({
+          id: [1, 2],
+          name: ['Ann "A", Jr', null],
+          score: [1.5, 2],
+          joined: [new Date("2024-01-05"), new Date("2024-01-05T10:30:00Z")],
+        }[column][position]),
+    };
+    const format = (options) => Array.from(formatCSV(table, options)).join("");
+
+    it("should quote fields only when needed", () => {
+      expect(format()).to.equal(
+        "id,name,score,joined\n" +
+          '1,"Ann ""A"", Jr",1.5,2024-01-05\n' +
+          "2,,2,2024-01-05T10:30:00.000Z\n"
+      );
+    });
+
+    it("should apply the output options", () => {
+      expect(
+        format({
+          columns: ["score", "name", "joined"],
+          header: ["Score", "Name", "Joined"],
+          delimiter: ";",
+          quoting: "nonnumeric",
+          naRep: "NA",
+          floatFormat: (value) => value.toFixed(2),
+          dateFormat: "DD/MM/YYYY",
+        })
+      ).to.equal(
+        '"Score";"Name";"Joined"\n' +
+          '1.50;"Ann ""A"", Jr";"05/01/2024"\n' +
+          '2.00;"NA";"05/01/2024"\n'
+      );
+      expect(
+        format({ columns: ["id"], header: false, quoting: "all" })
+      ).to.equal('"1"\n"2"\n');
+    });
+
+    it("should yield the rows in chunks", () => {
+      const long = {
+        length: 2500,
+        columns: ["a"],
+        dtypes: { a: "int" },
+        value: (position) => position,
+      };
+      const chunks = Array.from(formatCSV(long, { header: false }));
+      expect(chunks).to.have.lengthOf(3);
+      expect(chunks.join("").split("\n")).to.have.lengthOf(2501);
+    });
+
+    it("should throw on invalid options", () => {
+      expect(() => format({ columns: ["missing"] })).to.throw(
+        "Column does not exist"
+      );
+      expect(() => format({ header: ["a"] })).to.throw(
+        "Header length does not match columns"
+      );
+      expect(() => format({ quoting: "some" })).to.throw(
+        "Invalid quoting 'some'"
+      );
+      expect(() => format({ quoting: "none" })).to.throw(
+        "Field needs quoting 'Ann \"A\", Jr'"
+      );
+    });
+  });
+});
@@ -1,6 +1,18 @@
 const { expect } = require("chai");
 const sinon = require("sinon");
-const { DataFrame } = require("../../lib");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { PassThrough, Readable } = require("stream");
+const util = require("util");
+const {
+  DataFrame,
+  GroupBy,
+  Series,
+  Schema,
+  setNaValues,
+} = require("../../lib");
 
 describe("DataFrame", () => {
   let df;
@@ -16,7 +28,46 @@ describe("DataFrame", () => {
     df = new DataFrame(data, columns);
   });
 
+  describe("constructor", () => {
+    it("should create a DataFrame from an object of columns", () => {
+      const columnar = new DataFrame({
+        ID: [1, 2],
+        Score: Float64Array.from([0.5, 1.5]),
+        Name: ["John", "Jane"],
+      });
+      expect(columnar.columns).to.deep.equal(["ID", "Score", "Name"]);
+      expect(columnar.getRow(1)).to.deep.equal({
+        ID: 2,
+        Score: 1.5,
+        Name: "Jane",
+      });
+      expect(columnar.dtypes).to.deep.equal({
+        ID: "int",
+        Score: "float",
+        Name: "string",
+      });
+    });
+
+    it("should throw an error if the columns differ in length", () => {
+      expect(() => new DataFrame({ A: [1, 2], B: [1] })).to.throw(
+        "Column length mismatch"
+      );
+    });
+
+    it("should throw an error for invalid input data", () => {
+      expect(() => new DataFrame("data")).to.throw("Invalid input data format");
+      expect(() => new DataFrame({ A: 1 })).to.throw(
+        "Invalid input data format"
+      );
+    });
+  });
+
   describe("getDataFrame", () => {
+    it("should not reflect changes made to the materialized rows", () => {
+      df.getDataFrame()[0].Age = 99;
+      expect(df.get("Age").values).to.deep.equal([25, 30, 28]);
+    });
+
     it("should return the dataframe", () => {
       const data = df.getDataFrame();
       expect(data).to.eql([
@@ -35,38 +86,234 @@ describe("DataFrame", () => {
 
     it("should throw an error if the index is out of range", () => {
       expect(() => df.getRow(4)).to.throw("Index out of range");
+      expect(() => df.getRow(3)).to.throw("Index out of range");
+      expect(() => df.getRow(-1)).to.throw("Index out of range");
+    });
+  });
+
+  describe("setIndex", () => {
+    it("should use a column as the row labels", () => {
+      const indexed = df.setIndex("Name");
+      expect(indexed.index).to.deep.equal(["John", "Jane", "Sam"]);
+      expect(indexed.indexName).to.equal("Name");
+      expect(indexed.columns).to.deep.equal(["ID", "Age"]);
+      expect(indexed.getRow(0)).to.deep.equal({ ID: 1, Age: 25 });
+      expect(df.index).to.equal(null);
+    });
+
+    it("should keep the column when drop is false", () => {
+      const indexed = df.setIndex("Name", { drop: false });
+      expect(indexed.columns).to.deep.equal(["ID", "Name", "Age"]);
+    });
+
+    it("should keep the labels through filter, sortBy and select", () => {
+      const indexed = df.setIndex("Name");
+      expect(indexed.filter((row) => row.Age > 25).index).to.deep.equal([
+        "Jane",
+        "Sam",
+      ]);
+      expect(indexed.sortBy(["Age"], false).index).to.deep.equal([
+        "Jane",
+        "Sam",
+        "John",
+      ]);
+      expect(indexed.select("Age").index).to.deep.equal([
+        "John",
+        "Jane",
+        "Sam",
+      ]);
+    });
+  });
+
+  describe("resetIndex", () => {
+    it("should move the labels back into the first column", () => {
+      const reset = df.setIndex("Name").resetIndex();
+      expect(reset.index).to.equal(null);
+      expect(reset.columns).to.deep.equal(["Name", "ID", "Age"]);
+      expect(reset.getRow(1)).to.deep.equal({ Name: "Jane", ID: 2, Age: 30 });
+    });
+
+    it("should insert positions as an index column for positional labels", () => {
+      const reset = df.filter((row) => row.Age > 25).resetIndex();
+      expect(reset.get("index").values).to.deep.equal([0, 1]);
+    });
+
+    it("should discard the labels when drop is true", () => {
+      const reset = df.setIndex("Name").resetIndex({ drop: true });
+      expect(reset.index).to.equal(null);
+      expect(reset.columns).to.deep.equal(["ID", "Age"]);
+    });
+  });
+
+  describe("loc", () => {
+    let indexed;
+
+    beforeEach(() => {
+      indexed = df.setIndex("Name");
+    });
+
+    it("should return the row with a single label", () => {
+      expect(indexed.loc("Jane")).to.deep.equal({ ID: 2, Age: 30 });
+    });
+
+    it("should return a scalar for a single label and column", () => {
+      expect(indexed.loc("Jane", "Age")).to.equal(30);
+    });
+
+    it("should return a DataFrame for a list of labels", () => {
+      const result = indexed.loc(["Sam", "John"], ["Age"]);
+      expect(result.index).to.deep.equal(["Sam", "John"]);
+      expect(result.getDataFrame()).to.deep.equal([{ Age: 28 }, { Age: 25 }]);
+    });
+
+    it("should include both ends of a label slice", () => {
+      const result = indexed.loc({ start: "Jane", stop: "Sam" });
+      expect(result.index).to.deep.equal(["Jane", "Sam"]);
+      expect(indexed.loc({ stop: "Jane" }, "ID").values).to.deep.equal([1, 2]);
+    });
+
+    it("should return a DataFrame for duplicate labels", () => {
+      const result = df.setIndex("Age").append(df.setIndex("Age"));
+      expect(result.loc(30).get("Name").values).to.deep.equal(["Jane", "Jane"]);
+    });
+
+    it("should use positions as labels when no index is set", () => {
+      expect(df.loc(2, "Name")).to.equal("Sam");
+    });
+
+    it("should throw an error if a label does not exist", () => {
+      expect(() => indexed.loc("Eve")).to.throw("Label 'Eve' not found");
+      expect(() => indexed.loc("Jane", "Salary")).to.throw(
+        "Column does not exist"
+      );
+    });
+  });
+
+  describe("iloc", () => {
+    it("should return the row at a position, counting negatives from the end", () => {
+      expect(df.iloc(0)).to.deep.equal({ ID: 1, Name: "John", Age: 25 });
+      expect(df.iloc(-1)).to.deep.equal({ ID: 3, Name: "Sam", Age: 28 });
+    });
+
+    it("should return a scalar for a row and column position", () => {
+      expect(df.iloc(1, 1)).to.equal("Jane");
+    });
+
+    it("should return a DataFrame for positions and slices", () => {
+      expect(df.iloc([2, 0]).get("ID").values).to.deep.equal([3, 1]);
+      expect(df.iloc({ start: 1 }).get("ID").values).to.deep.equal([2, 3]);
+      expect(df.iloc({ step: -2 }).get("ID").values).to.deep.equal([3, 1]);
+      expect(df.iloc({ stop: -1 }, { start: 1 }).columns).to.deep.equal([
+        "Name",
+        "Age",
+      ]);
+    });
+
+    it("should throw an error if the position is out of range", () => {
+      expect(() => df.iloc(3)).to.throw("Index out of range");
+      expect(() => df.iloc(0, 5)).to.throw("Index out of range");
     });
   });
 
   describe("head", () => {
-    it("should print the first few rows of the DataFrame", () => {
+    it("should return the first few rows as a DataFrame", () => {
       const consoleLogStub = sinon.stub(console, "log");
-      const headData = df.head();
-      expect(consoleLogStub.callCount).to.equal(1);
-      expect(headData).to.eql([
+      const head = df.head(2);
+      expect(consoleLogStub.callCount).to.equal(0);
+      consoleLogStub.restore();
+
+      expect(head).to.be.instanceOf(DataFrame);
+      expect(head.getDataFrame()).to.eql([
         { ID: 1, Name: "John", Age: 25 },
         { ID: 2, Name: "Jane", Age: 30 },
-        { ID: 3, Name: "Sam", Age: 28 },
       ]);
+    });
 
+    it("should print the rows as a table when asked", () => {
+      const consoleLogStub = sinon.stub(console, "log");
+      const head = df.head(5, { print: true });
+      expect(consoleLogStub.callCount).to.equal(1);
+      expect(consoleLogStub.firstCall.args[0]).to.equal(head.toString());
       consoleLogStub.restore();
+
+      expect(head.shape).to.equal("(3, 3)");
+    });
+
+    it("should keep the row labels", () => {
+      const head = df.setIndex("Name").head(1);
+      expect(head.index).to.eql(["John"]);
+      expect(head.indexName).to.equal("Name");
     });
   });
 
   describe("tail", () => {
-    it("should print the last few rows of the DataFrame", () => {
+    it("should return the last few rows as a DataFrame", () => {
       const consoleLogStub = sinon.stub(console, "log");
-      const tailData = df.tail(2);
-      expect(consoleLogStub.callCount).to.equal(1);
-      expect(tailData).to.eql([
+      const tail = df.tail(2);
+      expect(consoleLogStub.callCount).to.equal(0);
+      consoleLogStub.restore();
+
+      expect(tail.getDataFrame()).to.eql([
         { ID: 2, Name: "Jane", Age: 30 },
         { ID: 3, Name: "Sam", Age: 28 },
       ]);
+    });
+
+    it("should return no rows for n of 0 or less", () => {
+      expect(df.tail(0).shape).to.equal("(0, 3)");
+      expect(df.tail(-1).shape).to.equal("(0, 3)");
+      expect(df.tail(0).columns).to.eql(df.columns);
+    });
 
+    it("should print the rows as a table when asked", () => {
+      const consoleLogStub = sinon.stub(console, "log");
+      const tail = df.tail(1, { print: true });
+      expect(consoleLogStub.callCount).to.equal(1);
+      expect(consoleLogStub.firstCall.args[0]).to.equal(tail.toString());
       consoleLogStub.restore();
     });
   });
 
+  describe("toString", () => {
+    it("should render the DataFrame as an aligned table", () => {
+      expect(df.toString()).to.equal(
+        [
+          "    ID    Name  Age",
+          "   int  string  int",
+          "0    1    John   25",
+          "1    2    Jane   30",
+          "2    3     Sam   28",
+        ].join("\n")
+      );
+    });
+
+    it("should be used by util.inspect", () => {
+      expect(util.inspect(df)).to.equal(df.toString());
+    });
+  });
+
+  describe("toMarkdown", () => {
+    it("should render the DataFrame as a Markdown table", () => {
+      expect(df.head(1).toMarkdown({ index: false })).to.equal(
+        [
+          "| ID | Name | Age |",
+          "| ---: | --- | ---: |",
+          "| 1 | John | 25 |",
+        ].join("\n")
+      );
+    });
+  });
+
+  describe("toHTML", () => {
+    it("should render the DataFrame as an HTML table", () => {
+      const html = df.toHTML({ classes: ["table", "striped"] });
+      expect(html).to.match(/^<table class="dataframe table striped">/);
+      expect(html).to.include("<th>Name</th>");
+      expect(html).to.include("<td>Sam</td>");
+      expect(html.match(/<tr>/g)).to.have.length(4);
+    });
+  });
+
   describe("shape", () => {
     it("should return the shape of the DataFrame", () => {
       const shape = df.shape;
@@ -74,43 +321,729 @@ describe("DataFrame", () => {
     });
   });
 
+  describe("length", () => {
+    it("should return the number of rows", () => {
+      expect(df.length).to.equal(3);
+      expect(df.head(0).length).to.equal(0);
+    });
+  });
+
   describe("get", () => {
     it("should return the values of the specified column", () => {
       let ageColumn = df.get("Age");
-      expect(ageColumn).to.deep.equal([25, 30, 28]);
+      expect(ageColumn).to.be.instanceOf(Series);
+      expect(ageColumn.name).to.equal("Age");
+      expect(ageColumn.values).to.deep.equal([25, 30, 28]);
+    });
+
+    it("should label the values with the row labels", () => {
+      const ageColumn = df.setIndex("Name").col("Age");
+      expect(ageColumn.index).to.deep.equal(["John", "Jane", "Sam"]);
     });
 
     it("should throw an error if the column name does not exist", () => {
-      expect(() => df.get("Salary")).to.throw("Column does not exist");
+      expect(() => df.get("Salary").values).to.throw("Column does not exist");
+    });
+  });
+
+  describe("dtypes", () => {
+    it("should detect the dtype of each column", () => {
+      expect(df.dtypes).to.deep.equal({
+        ID: "int",
+        Name: "string",
+        Age: "int",
+      });
+    });
+  });
+
+  describe("astype", () => {
+    it("should convert columns and update dtypes", () => {
+      const converted = df.astype({ ID: "string", Age: "float" });
+      expect(converted.get("ID").values).to.deep.equal(["1", "2", "3"]);
+      expect(converted.dtypes).to.deep.equal({
+        ID: "string",
+        Name: "string",
+        Age: "float",
+      });
+      expect(converted.select("Age").dtypes).to.deep.equal({ Age: "float" });
+    });
+
+    it("should report the values that fail to convert", () => {
+      try {
+        df.astype({ Name: "int" });
+        expect.fail("astype should throw");
+      } catch (error) {
+        expect(error.message).to.equal(
+          "Failed to convert 3 value(s), first 'John' at row 0 of column 'Name' to int"
+        );
+        expect(error.failures[1]).to.deep.equal({
+          row: 1,
+          column: "Name",
+          value: "Jane",
+          dtype: "int",
+        });
+      }
+    });
+
+    it("should replace the failed values with null when coercing", () => {
+      const frame = new DataFrame([["1"], ["x"]], ["A"]);
+      const converted = frame.astype({ A: "int" }, { errors: "coerce" });
+      expect(converted.get("A").values).to.deep.equal([1, null]);
+    });
+
+    it("should throw an error for an unknown column or dtype", () => {
+      expect(() => df.astype({ Salary: "int" })).to.throw(
+        "Column does not exist"
+      );
+      expect(() => df.astype({ Age: "decimal" })).to.throw(
+        "Unknown dtype 'decimal'"
+      );
+    });
+  });
+
+  describe("statistics", () => {
+    let scores;
+
+    beforeEach(() => {
+      scores = new DataFrame({
+        Name: ["a", "b", "b", "c"],
+        Score: [1, 2, 3, 10],
+        Bonus: [4, null, 2, 0.5],
+      });
+    });
+
+    it("should reduce every numeric column when no column is given", () => {
+      const sums = scores.sum();
+      expect(sums.index).to.deep.equal(["Score", "Bonus"]);
+      expect(sums.values).to.deep.equal([16, 6.5]);
+      expect(scores.max().values).to.deep.equal([10, 4]);
+      expect(scores.min("Name")).to.equal("a");
+      expect(scores.mean({ skipna: false }).values[1]).to.be.NaN;
+    });
+
+    it("should calculate the variance with delta degrees of freedom", () => {
+      expect(scores.var("Score")).to.equal(12.5);
+      expect(scores.std("Score", { ddof: 1 })).to.be.closeTo(
+        Math.sqrt(50 / 3),
+        1e-12
+      );
+      expect(scores.skew().index).to.deep.equal(["Score", "Bonus"]);
+      expect(scores.kurtosis("Score")).to.be.closeTo(3.228, 1e-9);
+    });
+
+    it("should calculate quantiles of the numeric columns", () => {
+      const median = scores.quantile(0.5);
+      expect(median.name).to.equal(0.5);
+      expect(median.values).to.deep.equal([2.5, 2]);
+      const quartiles = scores.quantile([0.25, 0.75], {
+        interpolation: "lower",
+      });
+      expect(quartiles.index).to.deep.equal([0.25, 0.75]);
+      expect(quartiles.get("Score").values).to.deep.equal([1, 3]);
+    });
+
+    it("should describe numeric and other columns", () => {
+      const summary = scores.describe();
+      expect(summary.index).to.deep.equal([
+        "count",
+        "unique",
+        "top",
+        "freq",
+        "mean",
+        "std",
+        "min",
+        "25%",
+        "50%",
+        "75%",
+        "max",
+      ]);
+      expect(summary.get("Name").values.slice(0, 5)).to.deep.equal([
+        4,
+        3,
+        "b",
+        2,
+        null,
+      ]);
+      expect(summary.loc("count", "Bonus")).to.equal(3);
+      expect(summary.loc("50%", "Score")).to.equal(2.5);
+      expect(summary.loc("top", "Score")).to.equal(null);
+      expect(
+        scores.select(["Score"]).describe({ percentiles: [0.1] }).index
+      ).to.deep.equal(["count", "mean", "std", "min", "10%", "max"]);
+    });
+
+    it("should calculate cumulative sums and products", () => {
+      const sums = scores.cumsum();
+      expect(sums.columns).to.deep.equal(["Score", "Bonus"]);
+      expect(sums.get("Bonus").values).to.deep.equal([4, null, 6, 6.5]);
+      expect(scores.cumprod().get("Score").values).to.deep.equal([1, 2, 6, 60]);
+    });
+
+    it("should calculate correlation and covariance matrices", () => {
+      const matrix = scores.corr({ method: "spearman" });
+      expect(matrix.index).to.deep.equal(["Score", "Bonus"]);
+      expect(matrix.columns).to.deep.equal(["Score", "Bonus"]);
+      expect(matrix.loc("Score", "Score")).to.equal(1);
+      expect(matrix.loc("Score", "Bonus")).to.equal(-1);
+      const cov = scores.cov({ ddof: 1 });
+      expect(cov.loc("Score", "Score")).to.be.closeTo(50 / 3, 1e-12);
+      expect(cov.loc("Bonus", "Score")).to.equal(cov.loc("Score", "Bonus"));
+    });
+  });
+
+  describe("fromCSV", () => {
+    const file = path.join(__dirname, "../fixtures/people.csv");
+
+    it("should infer the dtypes and read empty fields as null", async () => {
+      const csvDf = await DataFrame.fromCSV(file);
+      expect(csvDf.dtypes).to.deep.equal({
+        ID: "int",
+        Name: "string",
+        Age: "int",
+        Score: "float",
+        Active: "boolean",
+        Joined: "string",
+      });
+      expect(csvDf.get("Age").values).to.deep.equal([25, 30, null]);
+      expect(csvDf.get("Active").values).to.deep.equal([true, false, true]);
+      expect(csvDf.mean("Age")).to.equal(27.5);
+    });
+
+    it("should parse dates and apply dtype overrides", async () => {
+      const csvDf = await DataFrame.fromCSV(file, {
+        dtype: { ID: "string" },
+        parseDates: ["Joined"],
+      });
+      expect(csvDf.dtypes.ID).to.equal("string");
+      expect(csvDf.dtypes.Joined).to.equal("datetime");
+      expect(csvDf.getRow(0).Joined.getTime()).to.equal(Date.UTC(2021, 2, 1));
+    });
+
+    it("should infer categories when asked to", async () => {
+      const text = "region,amount\nEU,1\nUS,2\nEU,3\nEU,4\n";
+      const csvDf = await DataFrame.fromCSV(Buffer.from(text), {
+        inferCategories: true,
+      });
+      expect(csvDf.dtypes).to.deep.equal({ region: "category", amount: "int" });
+      expect(csvDf.get("region").cat.categories).to.deep.equal(["EU", "US"]);
+    });
+
+    it("should keep integers that numbers cannot hold exactly", async () => {
+      const text = "id\n9007199254740993\n12345678901234567891\n";
+      const csvDf = await DataFrame.fromCSV(Buffer.from(text));
+      expect(csvDf.dtypes.id).to.equal("string");
+      expect(csvDf.get("id").values).to.deep.equal([
+        "9007199254740993",
+        "12345678901234567891",
+      ]);
+      try {
+        await DataFrame.fromCSV(Buffer.from(text), { dtype: { id: "int" } });
+        expect.fail("fromCSV should reject");
+      } catch (error) {
+        expect(error.failures).to.have.lengthOf(2);
+      }
+    });
+
+    it("should reject when a value cannot be converted", async () => {
+      try {
+        await DataFrame.fromCSV(file, { dtype: { Name: "float" } });
+        expect.fail("fromCSV should reject");
+      } catch (error) {
+        expect(error.failures).to.have.lengthOf(3);
+      }
+    });
+
+    it("should convert and validate the columns with a schema", async () => {
+      const csvDf = await DataFrame.fromCSV(file, {
+        schema: {
+          ID: { type: "int", unique: true },
+          Joined: { type: "datetime" },
+          Score: { type: "float", max: 10 },
+        },
+      });
+      expect(csvDf.dtypes.Joined).to.equal("datetime");
+      expect(csvDf.dtypes.Name).to.equal("string");
+    });
+
+    it("should reject data that does not match the schema", async () => {
+      try {
+        await DataFrame.fromCSV(file, {
+          schema: new Schema({
+            Name: { type: "int" },
+            Age: { nullable: false, min: 26 },
+            Email: { type: "string" },
+          }),
+        });
+        expect.fail("fromCSV should reject");
+      } catch (error) {
+        expect(error.message).to.equal(
+          "Schema validation failed with 6 violation(s), first 'required' of column 'Email'"
+        );
+        expect(error.violations).to.deep.equal([
+          { row: null, column: "Email", rule: "required", value: null },
+          { row: 0, column: "Name", rule: "type", value: "John" },
+          { row: 0, column: "Age", rule: "min", value: 25 },
+          { row: 1, column: "Name", rule: "type", value: "Jane" },
+          { row: 2, column: "Name", rule: "type", value: "Sam" },
+          { row: 2, column: "Age", rule: "nullable", value: null },
+        ]);
+      }
+    });
+
+    it("should read buffers and streams", async () => {
+      const text = "a,b\n1,x\n2,y\n";
+      const fromBuffer = await DataFrame.fromCSV(Buffer.from(text));
+      const fromStream = await DataFrame.fromCSV(
+        Readable.from([text.slice(0, 5), text.slice(5)])
+      );
+      expect(fromBuffer.getDataFrame()).to.eql([
+        { a: 1, b: "x" },
+        { a: 2, b: "y" },
+      ]);
+      expect(fromStream.getDataFrame()).to.eql(fromBuffer.getDataFrame());
+    });
+
+    it("should read the selected columns and rows", async () => {
+      const csvDf = await DataFrame.fromCSV(file, {
+        usecols: ["Name", "ID"],
+        nrows: 2,
+      });
+      expect(csvDf.columns).to.deep.equal(["ID", "Name"]);
+      expect(csvDf.getDataFrame()).to.deep.equal([
+        { ID: 1, Name: "John" },
+        { ID: 2, Name: "Jane" },
+      ]);
+    });
+
+    it("should read files without a header", async () => {
+      const csvDf = await DataFrame.fromCSV(
+        path.join(__dirname, "../fixtures/scores.txt"),
+        { delimiter: ";", skiprows: 1, header: false }
+      );
+      expect(csvDf.columns).to.deep.equal(["column1", "column2", "column3"]);
+      expect(csvDf.get("column2").values[0]).to.equal("Smith; John");
+      expect(csvDf.shape).to.equal("(4, 3)");
+    });
+
+    it("should name columns with the given names", async () => {
+      const csvDf = await DataFrame.fromCSV(
+        path.join(__dirname, "../fixtures/scores.txt"),
+        {
+          delimiter: ";",
+          skiprows: 1,
+          header: false,
+          names: ["ID", "Name", "Score"],
+        }
+      );
+      expect(csvDf.get("Score").values).to.deep.equal([7.5, null, 8, 9.5]);
+    });
+
+    it("should decode the file with the given encoding", async () => {
+      const csvDf = await DataFrame.fromCSV(
+        path.join(__dirname, "../fixtures/latin1.csv"),
+        { encoding: "latin1" }
+      );
+      expect(csvDf.get("Name").values).to.deep.equal(["José"]);
+    });
+
+    it("should reject when a selected column does not exist", async () => {
+      try {
+        await DataFrame.fromCSV(file, { usecols: ["Height"] });
+        expect.fail("fromCSV should reject");
+      } catch (error) {
+        expect(error.message).to.equal("Column does not exist");
+      }
+    });
+
+    it("should reject when the names do not match the columns", async () => {
+      try {
+        await DataFrame.fromCSV(file, { names: ["ID"] });
+        expect.fail("fromCSV should reject");
+      } catch (error) {
+        expect(error.message).to.equal("Names length does not match data");
+      }
+    });
+  });
+
+  describe("readCSVChunks", () => {
+    const file = path.join(__dirname, "../fixtures/scores.txt");
+    const options = {
+      delimiter: ";",
+      skiprows: 1,
+      header: false,
+      names: ["ID", "Name", "Score"],
+    };
+
+    it("should read the file in chunks of rows", async () => {
+      const shapes = [];
+      let total = 0;
+      for await (const chunk of DataFrame.readCSVChunks(file, {
+        ...options,
+        chunkSize: 3,
+      })) {
+        shapes.push(chunk.shape);
+        total += chunk.get("Score").sum();
+      }
+      expect(shapes).to.deep.equal(["(3, 3)", "(1, 3)"]);
+      expect(total).to.equal(25);
+    });
+
+    it("should convert every chunk to the dtypes of the first", async () => {
+      const dtypes = [];
+      for await (const chunk of DataFrame.readCSVChunks(
+        Buffer.from("a,b\n1,x\n2,y\n3,\n4,z\n"),
+        { chunkSize: 2, dtype: { b: "category" } }
+      )) {
+        dtypes.push(chunk.dtypes);
+      }
+      expect(dtypes).to.deep.equal([
+        { a: "int", b: "category" },
+        { a: "int", b: "category" },
+      ]);
+
+      try {
+        for await (const chunk of DataFrame.readCSVChunks(
+          Buffer.from("a\n1\n2\nx\n"),
+          { chunkSize: 2 }
+        )) {
+          expect(chunk.dtypes).to.deep.equal({ a: "int" });
+        }
+        expect.fail("readCSVChunks should throw");
+      } catch (error) {
+        expect(error.message).to.equal(
+          "Failed to convert 1 value(s), first 'x' at row 2 of column 'a' to int"
+        );
+      }
+    });
+
+    it("should throw an error for an invalid chunk size", async () => {
+      try {
+        await DataFrame.readCSVChunks(file, { chunkSize: 0 }).next();
+        expect.fail("readCSVChunks should throw");
+      } catch (error) {
+        expect(error.message).to.equal("Invalid chunk size '0'");
+      }
+    });
+  });
+
+  describe("fromJSON", () => {
+    it("should convert the columns with a schema", async () => {
+      const jsonDf = await DataFrame.fromJSON(
+        path.join(__dirname, "../fixtures/people.json"),
+        { schema: { ID: { type: "string" }, Joined: { type: "datetime" } } }
+      );
+      expect(jsonDf.dtypes).to.deep.equal({
+        ID: "string",
+        Name: "string",
+        Joined: "datetime",
+      });
+    });
+
+    it("should parse dates in the specified columns", async () => {
+      const jsonDf = await DataFrame.fromJSON(
+        path.join(__dirname, "../fixtures/people.json"),
+        { parseDates: ["Joined"] }
+      );
+      expect(jsonDf.dtypes).to.deep.equal({
+        ID: "int",
+        Name: "string",
+        Joined: "datetime",
+      });
+    });
+  });
+
+  describe("writers", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "pandas-js-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should resolve once the CSV file is flushed", async () => {
+      const file = path.join(dir, "out.csv");
+      await df.toCSV(file);
+      expect(fs.readFileSync(file, "utf8")).to.equal(
+        "ID,Name,Age\n1,John,25\n2,Jane,30\n3,Sam,28\n"
+      );
+      const result = await DataFrame.fromCSV(file);
+      expect(result.getDataFrame()).to.eql(df.getDataFrame());
+    });
+
+    it("should append to files", async () => {
+      const file = path.join(dir, "out.ndjson");
+      await df.head(1).toNDJSON(file);
+      await df.tail(1).toNDJSON(file, { append: true });
+      const result = await DataFrame.fromNDJSON(file);
+      expect(result.get("Name").values).to.eql(["John", "Sam"]);
+    });
+
+    it("should return the output without a file", async () => {
+      expect(
+        await df.toCSV(undefined, { columns: ["Name"], header: false })
+      ).to.equal("John\nJane\nSam\n");
+      const compressed = await df.toJSON(undefined, { gzip: true });
+      expect(JSON.parse(zlib.gunzipSync(compressed))).to.eql(df.getDataFrame());
+    });
+
+    it("should write the row labels only when there are any", async () => {
+      expect(await df.setIndex("Name").head(1).toCSV()).to.equal(
+        "Name,ID,Age\nJohn,1,25\n"
+      );
+      expect(await df.head(1).toCSV(undefined, { index: true })).to.equal(
+        "index,ID,Name,Age\n0,1,John,25\n"
+      );
+    });
+
+    it("should write to streams without ending them", async () => {
+      const stream = new PassThrough();
+      await df.toCSV(stream, { delimiter: "\t", header: false });
+      expect(stream.writableEnded).to.equal(false);
+      expect(stream.read().toString()).to.equal(
+        "1\tJohn\t25\n2\tJane\t30\n3\tSam\t28\n"
+      );
+    });
+
+    it("should reject on write errors", async () => {
+      try {
+        await df.toCSV(path.join(dir, "missing", "out.csv"));
+        expect.fail("toCSV should reject");
+      } catch (error) {
+        expect(error.code).to.equal("ENOENT");
+      }
+      try {
+        await df.toCSV(undefined, { columns: ["Missing"] });
+        expect.fail("toCSV should reject");
+      } catch (error) {
+        expect(error.message).to.equal("Column does not exist");
+      }
+    });
+
+    it("should leave an existing file untouched for invalid options", async () => {
+      const file = path.join(dir, "keep.csv");
+      fs.writeFileSync(file, "kept\n");
+      const errors = [];
+      for (const options of [
+        { quoting: "bogus" },
+        { columns: ["Missing"] },
+        { header: ["a"] },
+      ]) {
+        errors.push(
+          await df.toCSV(file, options).catch((error) => error.message)
+        );
+      }
+      expect(errors).to.eql([
+        "Invalid quoting 'bogus'",
+        "Column does not exist",
+        "Header length does not match columns",
+      ]);
+      expect(fs.readFileSync(file, "utf8")).to.equal("kept\n");
+    });
+
+    it("should report every error as a rejection", async () => {
+      const errors = await Promise.all([
+        df.toCSV(42).catch((error) => error.message),
+        df
+          .toJSON(undefined, { orient: "bogus" })
+          .catch((error) => error.message),
+        df.toNDJSON(42).catch((error) => error.message),
+      ]);
+      expect(errors).to.eql([
+        "Invalid target",
+        "Invalid orient 'bogus'",
+        "Invalid target",
+      ]);
+    });
+  });
+
+  describe("JSON orientations", () => {
+    it("should round trip each orientation through a stream", async () => {
+      const labelled = df.setIndex("Name");
+      for (const orient of ["columns", "split", "index"]) {
+        const stream = new PassThrough();
+        await labelled.toJSON(stream, { orient });
+        const result = await DataFrame.fromJSON(stream.read(), { orient });
+        expect(result.index, orient).to.eql(["John", "Jane", "Sam"]);
+        expect(result.getDataFrame(), orient).to.eql(labelled.getDataFrame());
+      }
+    });
+
+    it("should read values without column names", async () => {
+      const result = await DataFrame.fromJSON(Buffer.from("[[1, 2], [3, 4]]"), {
+        orient: "values",
+      });
+      expect(result.columns).to.eql(["column1", "column2"]);
+      expect(result.get("column2").values).to.eql([2, 4]);
+    });
+  });
+
+  describe("NDJSON", () => {
+    it("should read one record per line from a stream", async () => {
+      const result = await DataFrame.fromNDJSON(
+        Readable.from(['{"a": 1}\n\n{"b": "x",', ' "a": 2}\n']),
+        { dtype: { a: "float" } }
+      );
+      expect(result.columns).to.eql(["a", "b"]);
+      expect(result.dtypes).to.eql({ a: "float", b: "string" });
+      expect(result.getDataFrame()).to.eql([
+        { a: 1, b: null },
+        { a: 2, b: "x" },
+      ]);
+    });
+
+    it("should report the line of an invalid record", async () => {
+      try {
+        await DataFrame.fromNDJSON(Buffer.from('{"a": 1}\n[1]\n'));
+        expect.fail("fromNDJSON should reject");
+      } catch (error) {
+        expect(error.message).to.equal("Invalid JSON record at line 2");
+      }
+    });
+
+    it("should write one record per line", async () => {
+      const stream = new PassThrough();
+      await df.head(2).toNDJSON(stream);
+      expect(stream.read().toString()).to.equal(
+        '{"ID":1,"Name":"John","Age":25}\n{"ID":2,"Name":"Jane","Age":30}\n'
+      );
+    });
+  });
+
+  describe("fromFixedWidth", () => {
+    it("should read fixed-width text and infer the dtypes", async () => {
+      const text = "id  name    joined\n 1  Ann     2024-01-05\n 2  Bob\n";
+      const result = await DataFrame.fromFixedWidth(Buffer.from(text), {
+        parseDates: ["joined"],
+      });
+      expect(result.dtypes).to.eql({
+        id: "int",
+        name: "string",
+        joined: "datetime",
+      });
+      expect(result.get("joined").values[1]).to.equal(null);
+    });
+  });
+
+  describe("binary format", () => {
+    it("should round trip the columns, dtypes and index", async () => {
+      const source = new DataFrame(
+        {
+          id: [1, 2, 3],
+          score: [0.5, 1.25, 2],
+          when: [new Date("2024-01-01"), null, new Date("2024-02-01")],
+          label: ["a", "b", null],
+        },
+        ["id", "score", "when", "label"],
+        { index: ["x", "y", "z"], indexName: "key", dtypes: { id: "float" } }
+      );
+      const result = await DataFrame.fromBinary(await source.toBinary());
+      expect(result.columns).to.eql(source.columns);
+      expect(result.dtypes).to.eql(source.dtypes);
+      expect(result.index).to.eql(["x", "y", "z"]);
+      expect(result.indexName).to.equal("key");
+      expect(result.getDataFrame()).to.eql(source.getDataFrame());
+    });
+
+    it("should write to a stream", async () => {
+      const stream = new PassThrough();
+      await df.toBinary(stream);
+      stream.end();
+      const result = await DataFrame.fromBinary(stream);
+      expect(result.getDataFrame()).to.eql(df.getDataFrame());
+    });
+  });
+
+  describe("validate", () => {
+    it("should report the violations of a schema", () => {
+      const report = df.validate({
+        Age: { type: "int", max: 28 },
+        Name: { pattern: "^J" },
+      });
+      expect(report.valid).to.equal(false);
+      expect(report.violations).to.deep.equal([
+        { row: 1, column: "Age", rule: "max", value: 30 },
+        { row: 2, column: "Name", rule: "pattern", value: "Sam" },
+      ]);
+    });
+
+    it("should pass valid DataFrames", () => {
+      const schema = new Schema({ ID: { type: "int", unique: true } });
+      expect(df.validate(schema, { strict: true })).to.deep.equal({
+        valid: true,
+        violations: [],
+      });
+    });
+
+    it("should throw in strict mode", () => {
+      expect(() =>
+        df.validate({ Age: { enum: [25, 28] } }, { strict: true })
+      ).to.throw(
+        "Schema validation failed with 1 violation(s), first 'enum' at row 1 of column 'Age'"
+      );
     });
   });
 
   describe("renameColumns", () => {
     it("should rename the specified columns", () => {
-      df.renameColumns({ ID: "IDNumber", Name: "FullName" });
-      const data = df.getDataFrame();
+      const renamed = df.renameColumns({ ID: "IDNumber", Name: "FullName" });
+      const data = renamed.getDataFrame();
       expect(data).to.deep.equal([
         { IDNumber: 1, FullName: "John", Age: 25 },
         { IDNumber: 2, FullName: "Jane", Age: 30 },
         { IDNumber: 3, FullName: "Sam", Age: 28 },
       ]);
-      expect(df.columns).to.deep.equal(["IDNumber", "FullName", "Age"]);
+      expect(renamed.columns).to.deep.equal(["IDNumber", "FullName", "Age"]);
+      expect(df.columns).to.deep.equal(["ID", "Name", "Age"]);
+    });
+
+    it("should rename the columns in place", () => {
+      expect(df.renameColumns({ ID: "IDNumber" }, { inplace: true })).to.equal(
+        undefined
+      );
+      expect(df.columns).to.deep.equal(["IDNumber", "Name", "Age"]);
+      expect(df.get("IDNumber").values).to.eql([1, 2, 3]);
+    });
+  });
+
+  describe("rename", () => {
+    it("should map the column names and keep their dtypes", () => {
+      const typed = df.astype({ Age: "float" });
+      const renamed = typed.rename({
+        columns: { ID: "id" },
+        mapper: (column) => column.toLowerCase(),
+      });
+      expect(renamed.columns).to.deep.equal(["id", "name", "age"]);
+      expect(renamed.dtypes).to.deep.equal({
+        id: "int",
+        name: "string",
+        age: "float",
+      });
+    });
+
+    it("should throw when names collide", () => {
+      expect(() => df.rename({ columns: { ID: "Age" } })).to.throw(
+        "Duplicate column names"
+      );
     });
   });
 
   describe("dropColumns", () => {
     it("should drop specified columns from the DataFrame", () => {
-      df.dropColumns(["ID", "Age"]);
-      expect(df.columns).to.deep.equal(["Name"]);
-      expect(df.data).to.deep.equal([
+      const dropped = df.dropColumns(["ID", "Age"]);
+      expect(dropped.columns).to.deep.equal(["Name"]);
+      expect(dropped.data).to.deep.equal([
         { Name: "John" },
         { Name: "Jane" },
         { Name: "Sam" },
       ]);
+      expect(df.columns).to.deep.equal(["ID", "Name", "Age"]);
     });
 
-    it("should drop a single specified column from the DataFrame", () => {
-      df.dropColumns("ID");
+    it("should drop a single specified column in place", () => {
+      df.dropColumns("ID", { inplace: true });
       expect(df.columns).to.deep.equal(["Name", "Age"]);
       expect(df.data).to.deep.equal([
         { Name: "John", Age: 25 },
@@ -120,6 +1053,126 @@ describe("DataFrame", () => {
     });
   });
 
+  describe("drop", () => {
+    it("should drop columns and rows by label", () => {
+      const dropped = df
+        .setIndex("Name")
+        .drop({ columns: "ID", rows: ["John", "Sam"] });
+      expect(dropped.index).to.eql(["Jane"]);
+      expect(dropped.data).to.deep.equal([{ Age: 30 }]);
+    });
+
+    it("should drop rows by position without labels", () => {
+      expect(df.drop({ rows: [0] }).get("ID").values).to.eql([2, 3]);
+    });
+
+    it("should drop a single row label", () => {
+      expect(df.drop({ rows: 2 }).get("ID").values).to.eql([1, 2]);
+      expect(df.setIndex("Name").drop({ rows: "Jane" }).index).to.eql([
+        "John",
+        "Sam",
+      ]);
+      expect(() => df.drop({ rows: 5 })).to.throw("Label '5' not found");
+    });
+
+    it("should throw on unknown columns and labels", () => {
+      expect(() => df.drop({ columns: ["Missing"] })).to.throw(
+        "Column does not exist"
+      );
+      expect(() => df.drop({ rows: [5] })).to.throw("Label '5' not found");
+    });
+  });
+
+  describe("assign", () => {
+    it("should add columns from functions, arrays and values", () => {
+      const assigned = df.assign({
+        Senior: (row) => row.Age >= 28,
+        Rank: [3, 1, 2],
+        Older: (row) => row.Age + row.Rank,
+        Team: "A",
+      });
+      expect(assigned.columns).to.deep.equal([
+        "ID",
+        "Name",
+        "Age",
+        "Senior",
+        "Rank",
+        "Older",
+        "Team",
+      ]);
+      expect(assigned.get("Older").values).to.eql([28, 31, 30]);
+      expect(assigned.get("Team").values).to.eql(["A", "A", "A"]);
+      expect(assigned.dtypes.Senior).to.equal("boolean");
+      expect(df.columns).to.have.lengthOf(3);
+    });
+
+    it("should replace columns with a Series", () => {
+      const assigned = df.assign({ Age: df.get("Age").add(1) });
+      expect(assigned.get("Age").values).to.eql([26, 31, 29]);
+    });
+
+    it("should throw on length mismatch", () => {
+      expect(() => df.assign({ Rank: [1] })).to.throw("Length mismatch");
+    });
+  });
+
+  describe("pipe", () => {
+    it("should call a function with the DataFrame", () => {
+      const withTotal = (frame, column) =>
+        frame.assign({ Total: (row) => row[column] * 2 });
+      const result = df
+        .pipe(withTotal, "Age")
+        .filter((row) => row.Total > 50)
+        .dropColumns("ID");
+      expect(result.data).to.deep.equal([
+        { Name: "Jane", Age: 30, Total: 60 },
+        { Name: "Sam", Age: 28, Total: 56 },
+      ]);
+    });
+  });
+
+  describe("inplace", () => {
+    it("should update the DataFrame instead of returning a new one", () => {
+      expect(df.sortBy(["Age"], false, { inplace: true })).to.equal(undefined);
+      expect(df.get("Age").values).to.eql([30, 28, 25]);
+      df.setIndex("Name", { inplace: true });
+      expect(df.index).to.eql(["Jane", "Sam", "John"]);
+      df.query("Age > 25", { inplace: true });
+      df.eval("Double = Age * 2", { inplace: true });
+      expect(df.shape).to.equal("(2, 3)");
+      df.resetIndex({ inplace: true });
+      expect(df.data).to.deep.equal([
+        { Name: "Jane", ID: 2, Age: 30, Double: 60 },
+        { Name: "Sam", ID: 3, Age: 28, Double: 56 },
+      ]);
+    });
+
+    it("should fill and drop missing values in place", () => {
+      const frame = new DataFrame({ a: [1, null, 3], b: [null, null, "x"] });
+      frame.interpolate({ inplace: true });
+      expect(frame.get("a").values).to.eql([1, 2, 3]);
+      frame.dropna({ inplace: true });
+      expect(frame.shape).to.equal("(1, 2)");
+      frame.fillna(0, { inplace: true });
+      expect(frame.data).to.deep.equal([{ a: 3, b: "x" }]);
+    });
+
+    it("should select, filter, assign, convert and rank in place", () => {
+      expect(df.select(["ID", "Age"], { inplace: true })).to.equal(undefined);
+      df.filter((row) => row.Age > 25, { inplace: true });
+      df.assign({ Team: "A" }, { inplace: true });
+      df.astype({ ID: "float" }, { inplace: true });
+      expect(df.dtypes).to.eql({ ID: "float", Age: "int", Team: "string" });
+      expect(df.data).to.deep.equal([
+        { ID: 2, Age: 30, Team: "A" },
+        { ID: 3, Age: 28, Team: "A" },
+      ]);
+      df.select("Age", { inplace: true });
+      df.rank({ inplace: true });
+      expect(df.get("Age").values).to.eql([2, 1]);
+    });
+  });
+
   describe("select", () => {
     it("should select specified columns and return a new DataFrame", () => {
       const selected = df.select(["ID", "Age"]);
@@ -158,6 +1211,18 @@ describe("DataFrame", () => {
       ]);
     });
 
+    it("should filter the DataFrame with a boolean mask", () => {
+      const filtered = df.filter(df.get("Age").gt(25));
+      expect(filtered.get("Name").values).to.deep.equal(["Jane", "Sam"]);
+      expect(df.filter([true, false, false]).get("ID").values).to.deep.equal([
+        1,
+      ]);
+    });
+
+    it("should throw an error if the mask length does not match", () => {
+      expect(() => df.filter([true])).to.throw("Length mismatch");
+    });
+
     it("should return an empty DataFrame if no rows satisfy the condition", () => {
       const filtered = df.filter((row) => row.Age > 30);
       expect(filtered.columns).to.deep.equal(["ID", "Name", "Age"]);
@@ -165,6 +1230,149 @@ describe("DataFrame", () => {
     });
   });
 
+  describe("query", () => {
+    it("should filter rows with an expression", () => {
+      const result = df.query("Age > 26 and Name in ['Jane', 'Bob']");
+      expect(result.getDataFrame()).to.eql([{ ID: 2, Name: "Jane", Age: 30 }]);
+    });
+
+    it("should use variables and string methods", () => {
+      const result = df.query("Age >= @min or Name.startswith('J')", {
+        variables: { min: 30 },
+      });
+      expect(result.get("ID").values).to.eql([1, 2]);
+    });
+
+    it("should reject assignments", () => {
+      expect(() => df.query("Age = 1")).to.throw(
+        "Unexpected token '=' at position 4"
+      );
+    });
+  });
+
+  describe("eval", () => {
+    it("should evaluate an expression to a Series", () => {
+      const result = df.setIndex("Name").eval("Age + ID");
+      expect(result).to.be.instanceOf(Series);
+      expect(result.values).to.eql([26, 32, 31]);
+      expect(result.index).to.eql(["John", "Jane", "Sam"]);
+    });
+
+    it("should add and replace columns with assignments", () => {
+      const result = df.eval("Next = Age + 1\nAge = Next * 2");
+      expect(result.columns).to.eql(["ID", "Name", "Age", "Next"]);
+      expect(result.get("Age").values).to.eql([52, 62, 58]);
+      expect(df.get("Age").values).to.eql([25, 30, 28]);
+    });
+  });
+
+  describe("missing data", () => {
+    let sparse;
+
+    beforeEach(() => {
+      sparse = new DataFrame(
+        [
+          [1, "John", 25],
+          [2, null, NaN],
+          [3, "Sam", null],
+          [null, undefined, null],
+          [5, "Eve", 40],
+        ],
+        ["ID", "Name", "Age"]
+      );
+    });
+
+    afterEach(() => {
+      setNaValues([]);
+    });
+
+    it("should detect missing values with isna and notna", () => {
+      expect(sparse.isna().get("Age").values).to.deep.equal([
+        false,
+        true,
+        true,
+        true,
+        false,
+      ]);
+      expect(sparse.notna().getRow(1)).to.deep.equal({
+        ID: true,
+        Name: false,
+        Age: false,
+      });
+    });
+
+    it("should detect configured sentinels", () => {
+      setNaValues(["NA"]);
+      const frame = new DataFrame([["NA"], ["x"]], ["A"]);
+      expect(frame.isna().get("A").values).to.deep.equal([true, false]);
+    });
+
+    it("should drop rows with any missing value", () => {
+      expect(sparse.dropna().get("ID").values).to.deep.equal([1, 5]);
+    });
+
+    it("should drop rows using a subset, how and thresh", () => {
+      expect(
+        sparse.dropna({ subset: ["Name"] }).get("ID").values
+      ).to.deep.equal([1, 3, 5]);
+      expect(sparse.dropna({ how: "all" }).shape).to.equal("(4, 3)");
+      expect(sparse.dropna({ thresh: 2 }).get("ID").values).to.deep.equal([
+        1, 3, 5,
+      ]);
+    });
+
+    it("should keep the row labels of the remaining rows", () => {
+      expect(sparse.setIndex("ID").dropna().index).to.deep.equal([1, 5]);
+    });
+
+    it("should fill missing values with a value or a map per column", () => {
+      expect(sparse.fillna(0).get("Age").values).to.deep.equal([
+        25, 0, 0, 0, 40,
+      ]);
+      const filled = sparse.fillna({ Name: "Unknown" });
+      expect(filled.get("Name").values).to.deep.equal([
+        "John",
+        "Unknown",
+        "Sam",
+        "Unknown",
+        "Eve",
+      ]);
+      expect(filled.get("ID").values).to.deep.equal([1, 2, 3, null, 5]);
+    });
+
+    it("should propagate values with ffill and bfill", () => {
+      expect(sparse.fillna("ffill").get("Name").values).to.deep.equal([
+        "John",
+        "John",
+        "Sam",
+        "Sam",
+        "Eve",
+      ]);
+      expect(sparse.fillna("bfill").get("Age").values).to.deep.equal([
+        25, 40, 40, 40, 40,
+      ]);
+    });
+
+    it("should interpolate numeric columns linearly", () => {
+      const interpolated = sparse.interpolate();
+      expect(interpolated.get("ID").values).to.deep.equal([1, 2, 3, 4, 5]);
+      expect(interpolated.get("Age").values).to.deep.equal([
+        25, 28.75, 32.5, 36.25, 40,
+      ]);
+      expect(interpolated.get("Name").values).to.deep.equal(
+        sparse.get("Name").values
+      );
+    });
+
+    it("should skip missing values in statistics by default", () => {
+      expect(sparse.mean("Age")).to.equal(32.5);
+      expect(sparse.median("ID")).to.equal(2.5);
+      expect(sparse.std("Age")).to.equal(7.5);
+      expect(sparse.mode("Name")).to.deep.equal(["John", "Sam", "Eve"]);
+      expect(sparse.mean("Age", { skipna: false })).to.be.NaN;
+    });
+  });
+
   describe("sortBy", () => {
     it("should sort the DataFrame based on columns in ascending order", () => {
       const sorted = df.sortBy(["Age"]);
@@ -187,15 +1395,205 @@ describe("DataFrame", () => {
     });
   });
 
+  describe("duplicated and dropDuplicates", () => {
+    const frame = new DataFrame({
+      id: [1, 2, 1, 3, 1],
+      day: [
+        new Date("2024-01-01"),
+        new Date("2024-01-02"),
+        new Date("2024-01-01"),
+        null,
+        new Date("2024-01-03"),
+      ],
+    });
+
+    it("should mark repeated rows", () => {
+      expect(frame.duplicated().values).to.eql([
+        false,
+        false,
+        true,
+        false,
+        false,
+      ]);
+      expect(frame.duplicated({ subset: "id", keep: "last" }).values).to.eql([
+        true,
+        false,
+        true,
+        false,
+        false,
+      ]);
+      expect(frame.duplicated({ subset: ["id"], keep: false }).values).to.eql([
+        true,
+        false,
+        true,
+        false,
+        true,
+      ]);
+    });
+
+    it("should drop repeated rows", () => {
+      expect(frame.dropDuplicates().get("id").values).to.eql([1, 2, 3, 1]);
+      expect(
+        frame.dropDuplicates({ subset: "id", keep: false }).get("id").values
+      ).to.eql([2, 3]);
+      expect(() => frame.duplicated({ keep: "all" })).to.throw(
+        "Invalid keep 'all'"
+      );
+    });
+  });
+
+  describe("unique and nunique", () => {
+    it("should count the distinct values of the columns", () => {
+      const frame = new DataFrame({
+        a: [1, 1, null, 2],
+        b: ["x", "x", "x", null],
+      });
+      expect(frame.unique("a")).to.eql([1, null, 2]);
+      expect(frame.nunique("a")).to.equal(2);
+      expect(frame.nunique("a", { skipna: false })).to.equal(3);
+      const counts = frame.nunique();
+      expect(counts.index).to.eql(["a", "b"]);
+      expect(counts.values).to.eql([2, 1]);
+    });
+  });
+
+  describe("set operations", () => {
+    const left = new DataFrame({
+      id: [1, 2, 2, 3],
+      name: ["a", "b", "b", "c"],
+    });
+    const right = new DataFrame({ name: ["c", "d", "b"], id: [3, 4, 2] });
+
+    it("should find the rows in either frame", () => {
+      expect(left.union(right).data).to.deep.equal([
+        { id: 1, name: "a" },
+        { id: 2, name: "b" },
+        { id: 3, name: "c" },
+        { id: 4, name: "d" },
+      ]);
+    });
+
+    it("should find the rows in both frames", () => {
+      expect(left.intersect(right).data).to.deep.equal([
+        { id: 2, name: "b" },
+        { id: 3, name: "c" },
+      ]);
+    });
+
+    it("should find the rows missing from the other frame", () => {
+      expect(left.difference(right).data).to.deep.equal([{ id: 1, name: "a" }]);
+      expect(right.difference(left).data).to.deep.equal([{ name: "d", id: 4 }]);
+    });
+
+    it("should throw when the columns differ", () => {
+      expect(() => left.intersect(right.select("id"))).to.throw(
+        "Columns do not match"
+      );
+    });
+  });
+
+  describe("sortValues", () => {
+    const frame = new DataFrame({
+      team: ["b", "a", "b", "a", null],
+      score: ["9", "10", null, "7", "8"],
+    });
+
+    it("should sort by several columns in their own direction", () => {
+      const sorted = frame.sortValues({
+        by: ["team", "score"],
+        ascending: [true, false],
+      });
+      expect(sorted.get("team").values).to.eql(["a", "a", "b", "b", null]);
+      expect(sorted.get("score").values).to.eql(["10", "7", "9", null, "8"]);
+    });
+
+    it("should place missing values first", () => {
+      const sorted = frame.sortValues({ by: "score", naPosition: "first" });
+      expect(sorted.get("score").values).to.eql([null, "7", "8", "9", "10"]);
+    });
+
+    it("should keep the order of equal rows", () => {
+      const sorted = df
+        .assign({ Group: [1, 0, 1] })
+        .sortValues({ by: "Group", ascending: false });
+      expect(sorted.get("Name").values).to.eql(["John", "Sam", "Jane"]);
+    });
+
+    it("should sort by a key and a locale", () => {
+      const words = new DataFrame({ word: ["beta", "Alpha", "alpha", "Beta"] });
+      expect(
+        words.sortValues({ by: "word", locale: "en" }).get("word").values
+      ).to.eql(["alpha", "Alpha", "beta", "Beta"]);
+      expect(
+        words
+          .sortValues({ by: "word", key: (value) => value.length })
+          .get("word").values
+      ).to.eql(["beta", "Beta", "Alpha", "alpha"]);
+    });
+
+    it("should throw on invalid options", () => {
+      expect(() => frame.sortValues({ by: "missing" })).to.throw(
+        "Column does not exist"
+      );
+      expect(() =>
+        frame.sortValues({ by: ["team"], ascending: [true, false] })
+      ).to.throw("Ascending length does not match by");
+    });
+  });
+
+  describe("sortIndex", () => {
+    it("should sort the rows by label", () => {
+      const sorted = df.setIndex("Name").sortIndex({ ascending: false });
+      expect(sorted.index).to.eql(["Sam", "John", "Jane"]);
+      expect(sorted.get("Age").values).to.eql([28, 25, 30]);
+    });
+  });
+
+  describe("nlargest and nsmallest", () => {
+    const frame = new DataFrame({
+      id: [1, 2, 3, 4, 5, 6],
+      score: [5, null, 9, 7, 9, 1],
+    });
+
+    it("should select the rows with the largest values", () => {
+      expect(frame.nlargest(3, "score").get("id").values).to.eql([3, 5, 4]);
+      expect(
+        frame.nlargest(1, "score", { keep: "last" }).get("id").values
+      ).to.eql([5]);
+    });
+
+    it("should select the rows with the smallest values", () => {
+      expect(frame.nsmallest(2, ["score", "id"]).get("id").values).to.eql([
+        6, 1,
+      ]);
+      expect(frame.nsmallest(10, "score").shape).to.equal("(5, 2)");
+    });
+
+    it("should throw on invalid options", () => {
+      expect(() => frame.nlargest(-1, "score")).to.throw("Invalid n '-1'");
+      expect(() => frame.nlargest(1, "score", { keep: "all" })).to.throw(
+        "Invalid keep 'all'"
+      );
+    });
+  });
+
+  describe("rank", () => {
+    it("should rank the values of each column", () => {
+      const ranks = df.rank({ method: "min", ascending: false });
+      expect(ranks.data).to.deep.equal([
+        { ID: 3, Name: 2, Age: 3 },
+        { ID: 2, Name: 3, Age: 1 },
+        { ID: 1, Name: 1, Age: 2 },
+      ]);
+    });
+  });
+
   describe("groupBy", () => {
-    it("should group the DataFrame by columns", () => {
+    it("should return a GroupBy object keyed by the specified columns", () => {
       const grouped = df.groupBy(["Age"]);
-      expect(grouped.columns).to.deep.equal(["column1"]);
-      expect(grouped.data).to.deep.equal([
-        { column1: { ID: 1, Name: "John", Age: 25 } },
-        { column1: { ID: 2, Name: "Jane", Age: 30 } },
-        { column1: { ID: 3, Name: "Sam", Age: 28 } },
-      ]);
+      expect(grouped).to.be.instanceOf(GroupBy);
+      expect(grouped.keys).to.deep.equal(["Age"]);
+      expect(grouped.ngroups).to.equal(3);
     });
   });
 
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { Series } = require("../../lib");
+const {
+  parseFrequency,
+  floorDate,
+  ceilDate,
+  formatDate,
+} = require("../../lib/datetime");
+
+const date = (text) => new Date(`${text}Z`);
+
+describe("datetime", () => {
+  describe("parseFrequency", () => {
+    it("should parse the count and unit", () => {
+      expect(parseFrequency("7D")).to.deep.equal({ count: 7, unit: "D" });
+      expect(parseFrequency("M")).to.deep.equal({ count: 1, unit: "M" });
+      expect(parseFrequency("15min")).to.deep.equal({
+        count: 15,
+        unit: "min",
+      });
+    });
+
+    it("should throw an error for an invalid frequency", () => {
+      expect(() => parseFrequency("1Q")).to.throw("Invalid frequency '1Q'");
+      expect(() => parseFrequency("0D")).to.throw("Invalid frequency '0D'");
+    });
+  });
+
+  describe("floorDate and ceilDate", () => {
+    it("should round to fixed periods", () => {
+      const time = date("2021-03-10T13:45:10");
+      expect(floorDate(time, "1h")).to.deep.equal(date("2021-03-10T13:00:00"));
+      expect(floorDate(time, "1D")).to.deep.equal(date("2021-03-10T00:00:00"));
+      expect(ceilDate(time, "1D")).to.deep.equal(date("2021-03-11T00:00:00"));
+    });
+
+    it("should round weeks to Mondays", () => {
+      const wednesday = date("2021-03-10T13:45:10");
+      expect(floorDate(wednesday, "1W")).to.deep.equal(
+        date("2021-03-08T00:00:00")
+      );
+      expect(ceilDate(wednesday, "1W")).to.deep.equal(
+        date("2021-03-15T00:00:00")
+      );
+    });
+
+    it("should round to calendar months and years", () => {
+      const time = date("2021-03-10T13:45:10");
+      expect(floorDate(time, "1M")).to.deep.equal(date("2021-03-01T00:00:00"));
+      expect(floorDate(time, "3M")).to.deep.equal(date("2021-01-01T00:00:00"));
+      expect(ceilDate(time, "1Y")).to.deep.equal(date("2022-01-01T00:00:00"));
+      expect(ceilDate(date("2021-03-01T00:00:00"), "1M")).to.deep.equal(
+        date("2021-03-01T00:00:00")
+      );
+    });
+  });
+
+  describe("formatDate", () => {
+    it("should replace the format tokens", () => {
+      expect(
+        formatDate(date("2021-03-01T04:05:06.007"), "YYYY/MM/DD HH:mm:ss.SSS")
+      ).to.equal("2021/03/01 04:05:06.007");
+    });
+  });
+
+  describe("Series.dt", () => {
+    const dates = new Series(
+      [date("2021-03-01T04:05:06"), null, date("2022-12-31T23:59:00")],
+      { name: "Joined" }
+    );
+
+    it("should extract the date parts", () => {
+      expect(dates.dt.year.values).to.deep.equal([2021, null, 2022]);
+      expect(dates.dt.month.values).to.deep.equal([3, null, 12]);
+      expect(dates.dt.day.values).to.deep.equal([1, null, 31]);
+      expect(dates.dt.weekday.values).to.deep.equal([0, null, 5]);
+      expect(dates.dt.hour.values).to.deep.equal([4, null, 23]);
+      expect(dates.dt.minute.values).to.deep.equal([5, null, 59]);
+      expect(dates.dt.second.values).to.deep.equal([6, null, 0]);
+      expect(dates.dt.year.name).to.equal("Joined");
+    });
+
+    it("should round and format the dates", () => {
+      expect(dates.dt.floor("1M").values).to.deep.equal([
+        date("2021-03-01T00:00:00"),
+        null,
+        date("2022-12-01T00:00:00"),
+      ]);
+      expect(dates.dt.ceil("1D").values[2]).to.deep.equal(
+        date("2023-01-01T00:00:00")
+      );
+      expect(dates.dt.format("DD.MM.YYYY").values).to.deep.equal([
+        "01.03.2021",
+        null,
+        "31.12.2022",
+      ]);
+    });
+
+    it("should throw an error for values that are not dates", () => {
+      expect(() => new Series(["2021-03-01"]).dt).to.throw(
+        "Values must be datetime"
+      );
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const {
+  detectType,
+  inferType,
+  TypeInference,
+  convertValues,
+  conversionError,
+} = require("../../lib/dtypes");
+
+describe("dtypes", () => {
+  describe("detectType", () => {
+    it("should detect the dtype of the present values", () => {
+      expect(detectType([1, 2, null])).to.equal("int");
+      expect(detectType([1, 2.5, NaN])).to.equal("float");
+      expect(detectType([true, false])).to.equal("boolean");
+      expect(detectType([new Date()])).to.equal("datetime");
+      expect(detectType(["a", undefined])).to.equal("string");
+      expect(detectType([null, undefined])).to.equal("object");
+      expect(detectType([1, "a"])).to.equal("mixed");
+    });
+
+    it("should detect the dtype of typed arrays", () => {
+      expect(detectType(Int32Array.from([1, 2]))).to.equal("int");
+      expect(detectType(Float64Array.from([1, 2]))).to.equal("int");
+      expect(detectType(Float64Array.from([1, 2.5]))).to.equal("float");
+    });
+  });
+
+  describe("inferType", () => {
+    it("should infer the dtype of text values", () => {
+      expect(inferType(["1", "-2", null])).to.equal("int");
+      expect(inferType(["1", "2.5"])).to.equal("float");
+      expect(inferType(["true", "FALSE"])).to.equal("boolean");
+      expect(inferType(["2021-01-01", "2021-02-01"])).to.equal("string");
+      expect(inferType(["2021-01-01", "2021-02-01"], true)).to.equal(
+        "datetime"
+      );
+      expect(inferType(["1", "x"])).to.equal("string");
+    });
+
+    it("should keep integers beyond the safe range as text", () => {
+      expect(inferType(["9007199254740991", "1"])).to.equal("int");
+      expect(inferType(["9007199254740993", "1"])).to.equal("string");
+      expect(inferType(["12345678901234567891", "1.5"])).to.equal("string");
+    });
+
+    it("should infer categories from text with few distinct values", () => {
+      const values = ["EU", "US", "EU", null, "EU", "US"];
+      expect(inferType(values)).to.equal("string");
+      expect(inferType(values, false, true)).to.equal("category");
+      expect(inferType(["a", "b", "c", "a"], false, true)).to.equal("string");
+      expect(inferType(["1", "1", "1"], false, true)).to.equal("int");
+    });
+
+    it("should detect the dtype of values that are not text", () => {
+      expect(inferType([1, 2])).to.equal("int");
+    });
+  });
+
+  describe("TypeInference", () => {
+    it("should infer the dtype of every chunk together", () => {
+      const chunks = [["1", "2"], ["2.5", null], ["3"]];
+      const inference = new TypeInference();
+      chunks.forEach((chunk) => inference.add(chunk));
+      expect(inference.dtype).to.equal(inferType(chunks.flat()));
+      expect(inference.dtype).to.equal("float");
+      inference.add(["n/a"]);
+      expect(inference.dtype).to.equal("string");
+      expect(new TypeInference().dtype).to.equal("object");
+    });
+
+    it("should infer categories from the distinct values of every chunk", () => {
+      const inference = new TypeInference(false, true);
+      inference.add(["b", "a", "b"]);
+      inference.add(["a", null, "b"]);
+      expect(inference.dtype).to.equal("category");
+      expect(inference.categories).to.eql(["a", "b"]);
+      inference.add(["c", "d", "e"]);
+      expect(inference.dtype).to.equal("string");
+    });
+  });
+
+  describe("convertValues", () => {
+    it("should convert values and report failures", () => {
+      const { values, failures } = convertValues(
+        ["1", null, "x", 4],
+        "int",
+        "A"
+      );
+      expect(values).to.deep.equal([1, null, null, 4]);
+      expect(failures).to.deep.equal([
+        { row: 2, column: "A", value: "x", dtype: "int" },
+      ]);
+    });
+
+    it("should report integers beyond the safe range as failures", () => {
+      const { values, failures } = convertValues(
+        ["9007199254740993", "-9007199254740991"],
+        "int",
+        "id"
+      );
+      expect(values).to.deep.equal([null, -9007199254740991]);
+      expect(failures).to.deep.equal([
+        { row: 0, column: "id", value: "9007199254740993", dtype: "int" },
+      ]);
+    });
+
+    it("should throw an error for an unknown dtype", () => {
+      expect(() => convertValues([], "decimal")).to.throw(
+        "Unknown dtype 'decimal'"
+      );
+    });
+  });
+
+  describe("conversionError", () => {
+    it("should describe the first failure and attach the report", () => {
+      const failures = [{ row: 2, column: "A", value: "x", dtype: "int" }];
+      const error = conversionError(failures);
+      expect(error.message).to.equal(
+        "Failed to convert 1 value(s), first 'x' at row 2 of column 'A' to int"
+      );
+      expect(error.failures).to.equal(failures);
+    });
+  });
+});
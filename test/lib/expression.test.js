@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { Parser, evaluate, referencedColumns } = require("../../lib/expression");
+
+function run(source, columns = {}, variables = {}) {
+  const names = Object.keys(columns);
+  const scope = {
+    length: names.length > 0 ? columns[names[0]].length : 1,
+    column: (name) => {
+      if (!names.includes(name)) {
+        throw new Error("Column does not exist");
+      }
+
+      return columns[name];
+    },
+    variables,
+  };
+
+  return evaluate(new Parser(source).parseExpression(), scope);
+}
+
+describe("expression", () => {
+  describe("Parser", () => {
+    it("should follow the operator precedence", () => {
+      expect(run("1 + 2 * 3")).to.eql([7]);
+      expect(run("(1 + 2) * 3")).to.eql([9]);
+      expect(run("-2 ** 2")).to.eql([-4]);
+      expect(run("2 ** 3 ** 2")).to.eql([512]);
+      expect(run("7 % 4 - 1")).to.eql([2]);
+      expect(run("not 1 > 2 and 3 > 2")).to.eql([true]);
+      expect(run("true or false and false")).to.eql([true]);
+    });
+
+    it("should parse literals and escapes", () => {
+      expect(run("1.5e2")).to.eql([150]);
+      expect(run(".5")).to.eql([0.5]);
+      expect(run("'it\\'s'")).to.eql(["it's"]);
+      expect(run('"a" + "b"')).to.eql(["ab"]);
+      expect(run("null is null")).to.eql([true]);
+    });
+
+    it("should parse assignments separated by semicolons or newlines", () => {
+      const node = new Parser("a = 1; b = a + 1\n`c d` = 2").parseStatements();
+      expect(node.type).to.equal("statements");
+      expect(node.assignments.map(({ target }) => target)).to.eql([
+        "a",
+        "b",
+        "c d",
+      ]);
+    });
+
+    it("should parse a single expression as statements", () => {
+      expect(new Parser("a + 1").parseStatements().type).to.equal("binary");
+    });
+
+    it("should report the position of syntax errors", () => {
+      const cases = [
+        ["a >", "Unexpected end of expression at position 3", 3],
+        ["a > (1", "Expected ')' but found end of expression at position 6", 6],
+        ["a # 1", "Unexpected character '#' at position 2", 2],
+        ["'abc", "Unterminated string at position 0", 0],
+        ["a.foo()", "Unknown method 'foo' at position 2", 2],
+        ["a.lower(1)", "Method 'lower' takes 0 argument(s) at position 2", 2],
+        ["a b", "Unexpected token 'b' at position 2", 2],
+        ["a = 1; b", "Expected an assignment at position 7", 7],
+      ];
+      for (const [source, message, position] of cases) {
+        let error;
+        try {
+          new Parser(source).parseStatements();
+        } catch (caught) {
+          error = caught;
+        }
+        expect(error, source).to.be.an("error");
+        expect(error.message).to.equal(message);
+        expect(error.position).to.equal(position);
+      }
+    });
+  });
+
+  describe("evaluate", () => {
+    const columns = {
+      x: [1, null, 3],
+      name: ["Ann", "bob", null],
+      "unit price": [2, 4, 6],
+    };
+
+    it("should evaluate column references for each row", () => {
+      expect(run("x * 2", columns)).to.eql([2, null, 6]);
+      expect(run("`unit price` / 2", columns)).to.eql([1, 2, 3]);
+    });
+
+    it("should treat comparisons with missing values as false", () => {
+      expect(run("x > 0", columns)).to.eql([true, false, true]);
+      expect(run("x != 1", columns)).to.eql([false, false, true]);
+      expect(run("x is null", columns)).to.eql([false, true, false]);
+      expect(run("x is not null", columns)).to.eql([true, false, true]);
+    });
+
+    it("should check membership with in and not in", () => {
+      expect(run("x in [1, 2]", columns)).to.eql([true, false, false]);
+      expect(run("x not in [1, 2]", columns)).to.eql([false, true, true]);
+      expect(run("name in @names", columns, { names: ["bob"] })).to.eql([
+        false,
+        true,
+        false,
+      ]);
+    });
+
+    it("should call string methods", () => {
+      expect(run("name.lower()", columns)).to.eql(["ann", "bob", null]);
+      expect(run("name.str.upper().startswith('B')", columns)).to.eql([
+        false,
+        true,
+        null,
+      ]);
+      expect(run("name.contains('o') or name.len() > 2", columns)).to.eql([
+        true,
+        true,
+        false,
+      ]);
+    });
+
+    it("should compare dates with dates and date strings", () => {
+      const dates = {
+        date: [new Date("2024-01-01"), new Date("2024-02-01")],
+      };
+      expect(run("date >= '2024-01-15'", dates)).to.eql([false, true]);
+      expect(
+        run("date == @day", dates, { day: new Date("2024-01-01") })
+      ).to.eql([true, false]);
+    });
+
+    it("should report unknown columns and variables", () => {
+      expect(() => run("y > 1", columns)).to.throw(
+        "Column 'y' does not exist at position 0"
+      );
+      expect(() => run("x > @min", columns)).to.throw(
+        "Variable '@min' is not defined at position 4"
+      );
+    });
+  });
+
+  describe("referencedColumns", () => {
+    it("should list the columns of an expression once, in order", () => {
+      const node = new Parser(
+        "Age > @min and (Name.startswith('J') or Age in [Score, 1])"
+      ).parseExpression();
+      expect(referencedColumns(node)).to.eql(["Age", "Name", "Score"]);
+    });
+
+    it("should list the columns of assignments", () => {
+      const node = new Parser(
+        "Total = Price * Qty; Net = Total - Tax"
+      ).parseStatements();
+      expect(referencedColumns(node)).to.eql(["Price", "Qty", "Total", "Tax"]);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { expect } = require("chai");
+const { inferColspecs, parseFixedWidth } = require("../../lib/fixedwidth");
+
+describe("fixedwidth", () => {
+  const text = [
+    "id  name    score",
+    " 1  Ann       7.5",
+    " 2  Bob",
+    "10  Carol   10.25",
+    "",
+  ].join("\n");
+
+  describe("inferColspecs", () => {
+    it("should find the runs of non-blank positions", () => {
+      expect(inferColspecs(text.split("\n"))).to.eql([
+        [0, 2],
+        [4, 9],
+        [12, 17],
+      ]);
+    });
+  });
+
+  describe("parseFixedWidth", () => {
+    it("should read the header and trimmed values", () => {
+      expect(parseFixedWidth(text)).to.eql({
+        columns: ["id", "name", "score"],
+        rows: [
+          ["1", "Ann", "7.5"],
+          ["2", "Bob", null],
+          ["10", "Carol", "10.25"],
+        ],
+      });
+    });
+
+    it("should use the given widths and names", () => {
+      const { columns, rows } = parseFixedWidth(text, {
+        widths: [4, 8, 5],
+        header: false,
+        skiprows: 1,
+        nrows: 2,
+        names: ["ID", "Name", "Score"],
+      });
+      expect(columns).to.eql(["ID", "Name", "Score"]);
+      expect(rows).to.eql([
+        ["1", "Ann", "7.5"],
+        ["2", "Bob", null],
+      ]);
+    });
+
+    it("should use the given colspecs", () => {
+      const { columns, rows } = parseFixedWidth(text, {
+        colspecs: [[4, 12]],
+      });
+      expect(columns).to.eql(["name"]);
+      expect(rows.map(([name]) => name)).to.eql(["Ann", "Bob", "Carol"]);
+    });
+
+    it("should check the number of names", () => {
+      expect(() => parseFixedWidth(text, { names: ["a"] })).to.throw(
+        "Names length does not match data"
+      );
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const {
+  formatValue,
+  renderText,
+  renderMarkdown,
+  renderHTML,
+} = require("../../lib/format");
+
+function table(data, columns, dtypes, { index = null, indexName = null } = {}) {
+  return {
+    length: data.length,
+    columns,
+    dtypes,
+    indexName,
+    label: (position) => (index === null ? position : index[position]),
+    value: (position, column) => data[position][column],
+  };
+}
+
+describe("format", () => {
+  describe("formatValue", () => {
+    it("should format missing values, numbers and objects", () => {
+      expect(formatValue(null)).to.equal("null");
+      expect(formatValue(undefined)).to.equal("null");
+      expect(formatValue(NaN)).to.equal("NaN");
+      expect(formatValue(1.5)).to.equal("1.5");
+      expect(formatValue(1.5, { decimals: 2 })).to.equal("1.50");
+      expect(formatValue(2, { floatFormat: (x) => `~${x}` })).to.equal("~2");
+      expect(formatValue({ a: 1 })).to.equal('{"a":1}');
+      expect(formatValue(true)).to.equal("true");
+    });
+
+    it("should show dates at midnight without their time", () => {
+      expect(formatValue(new Date("2024-03-01T00:00:00Z"))).to.equal(
+        "2024-03-01"
+      );
+      expect(formatValue(new Date("2024-03-01T12:30:00Z"))).to.equal(
+        "2024-03-01T12:30:00.000Z"
+      );
+    });
+  });
+
+  describe("renderText", () => {
+    const data = [
+      { name: "a", score: 1.5 },
+      { name: "bb", score: 2 },
+      { name: "ccc", score: null },
+    ];
+    const dtypes = { name: "string", score: "float" };
+
+    it("should align the values under a header and a dtype line", () => {
+      expect(renderText(table(data, ["name", "score"], dtypes))).to.equal(
+        [
+          "     name  score",
+          "   string  float",
+          "0       a    1.5",
+          "1      bb    2.0",
+          "2     ccc   null",
+        ].join("\n")
+      );
+    });
+
+    it("should show the index name and labels", () => {
+      const text = renderText(
+        table(data, ["score"], dtypes, {
+          index: ["x", "y", "zz"],
+          indexName: "key",
+        }),
+        { showDtypes: false }
+      );
+      expect(text).to.equal(
+        ["key  score", "x      1.5", "y      2.0", "zz    null"].join("\n")
+      );
+    });
+
+    it("should apply the number format options", () => {
+      const text = renderText(table(data, ["score"], dtypes), {
+        floatFormat: (x) => x.toFixed(3),
+        showDtypes: false,
+      });
+      expect(text.split("\n")[1]).to.equal("0  1.500");
+      expect(
+        renderText(table([{ x: Math.PI }], ["x"], { x: "float" }), {
+          precision: 2,
+        }).split("\n")[2]
+      ).to.equal("0   3.14");
+    });
+
+    it("should truncate long values", () => {
+      const text = renderText(
+        table([{ text: "abcdefghij" }], ["text"], { text: "string" }),
+        { maxColWidth: 6, showDtypes: false }
+      );
+      expect(text.split("\n")[1]).to.equal("0  abc...");
+    });
+
+    it("should show the first and last rows of long tables", () => {
+      const rows = Array.from({ length: 10 }, (_, i) => ({ x: i }));
+      const lines = renderText(table(rows, ["x"], { x: "int" }), {
+        maxRows: 4,
+        showDtypes: false,
+      }).split("\n");
+      expect(lines).to.eql([
+        "       x",
+        "0      0",
+        "1      1",
+        "...  ...",
+        "8      8",
+        "9      9",
+        "",
+        "[10 rows x 1 columns]",
+      ]);
+    });
+
+    it("should leave out the middle columns of wide tables", () => {
+      const columns = Array.from({ length: 30 }, (_, i) => `column${i}`);
+      const row = {};
+      const dtypes = {};
+      for (const column of columns) {
+        row[column] = 0;
+        dtypes[column] = "int";
+      }
+      const lines = renderText(table([row], columns, dtypes), {
+        maxWidth: 40,
+      }).split("\n");
+      expect(lines[0]).to.include("column0");
+      expect(lines[0]).to.include("...");
+      expect(lines[0]).to.include("column29");
+      expect(lines[0]).not.to.include("column15");
+      for (const line of lines.slice(0, 3)) {
+        expect(line.length).to.be.at.most(40);
+      }
+      expect(lines[lines.length - 1]).to.equal("[1 rows x 30 columns]");
+    });
+
+    it("should render empty tables", () => {
+      expect(renderText(table([], ["x"], { x: "object" }))).to.equal(
+        ["       x", "  object"].join("\n")
+      );
+    });
+  });
+
+  describe("renderMarkdown", () => {
+    it("should render a pipe table with right-aligned numeric columns", () => {
+      const data = [{ name: "a|b", score: 1.5 }];
+      expect(
+        renderMarkdown(
+          table(data, ["name", "score"], { name: "string", score: "float" })
+        )
+      ).to.equal(
+        [
+          "|  | name | score |",
+          "| --- | --- | ---: |",
+          "| 0 | a\\|b | 1.5 |",
+        ].join("\n")
+      );
+    });
+  });
+
+  describe("renderHTML", () => {
+    it("should render an HTML table with escaped values", () => {
+      const html = renderHTML(
+        table([{ tag: "<b>" }], ["tag"], { tag: "string" }),
+        { classes: "wide", index: false }
+      );
+      expect(html).to.equal(
+        [
+          '<table class="dataframe wide">',
+          "  <thead>",
+          "    <tr>",
+          "      <th>tag</th>",
+          "    </tr>",
+          "  </thead>",
+          "  <tbody>",
+          "    <tr>",
+          "      <td>&lt;b&gt;</td>",
+          "    </tr>",
+          "  </tbody>",
+          "</table>",
+        ].join("\n")
+      );
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { DataFrame } = require("../../lib");
+
+describe("GroupBy", () => {
+  let df;
+
+  beforeEach(() => {
+    const data = [
+      ["North", 2022, 100],
+      ["South", 2022, 80],
+      ["North", 2023, 150],
+      ["South", 2023, 60],
+      ["North", 2022, 50],
+    ];
+    df = new DataFrame(data, ["Region", "Year", "Sales"]);
+  });
+
+  describe("constructor", () => {
+    it("should throw an error if a key column does not exist", () => {
+      expect(() => df.groupBy("Country")).to.throw("Column does not exist");
+    });
+  });
+
+  describe("iteration", () => {
+    it("should yield key and sub-DataFrame pairs in order of appearance", () => {
+      const groups = [...df.groupBy("Region")];
+      expect(groups.map(([key]) => key)).to.deep.equal(["North", "South"]);
+      expect(groups[0][1]).to.be.instanceOf(DataFrame);
+      expect(groups[0][1].get("Sales").values).to.deep.equal([100, 150, 50]);
+    });
+
+    it("should keep the column storage and dtypes of the rows", () => {
+      const typed = df.astype({ Sales: "float" });
+      const [[, north]] = typed.groupBy("Region");
+      expect(north.dtypes.Sales).to.equal("float");
+      expect(north.index).to.equal(null);
+      expect(typed.groupBy("Region").filter(() => true).dtypes.Sales).to.equal(
+        "float"
+      );
+      expect(
+        typed
+          .setIndex("Year")
+          .groupBy("Region")
+          .filter(() => true).index
+      ).to.equal(null);
+    });
+
+    it("should yield array keys when grouping by several columns", () => {
+      const keys = [...df.groupBy(["Region", "Year"])].map(([key]) => key);
+      expect(keys).to.deep.equal([
+        ["North", 2022],
+        ["South", 2022],
+        ["North", 2023],
+        ["South", 2023],
+      ]);
+    });
+  });
+
+  describe("agg", () => {
+    it("should aggregate columns by name with the keys as columns", () => {
+      const result = df.groupBy("Region").agg({ Sales: "sum", Year: "max" });
+      expect(result.columns).to.deep.equal(["Region", "Sales", "Year"]);
+      expect(result.getDataFrame()).to.deep.equal([
+        { Region: "North", Sales: 300, Year: 2023 },
+        { Region: "South", Sales: 140, Year: 2023 },
+      ]);
+    });
+
+    it("should accept functions and arrays of aggregations", () => {
+      const result = df.groupBy(["Region", "Year"]).agg({
+        Sales: [
+          "mean",
+          function range(values) {
+            return Math.max(...values) - Math.min(...values);
+          },
+        ],
+      });
+      expect(result.columns).to.deep.equal([
+        "Region",
+        "Year",
+        "Sales_mean",
+        "Sales_range",
+      ]);
+      expect(result.getRow(0)).to.deep.equal({
+        Region: "North",
+        Year: 2022,
+        Sales_mean: 75,
+        Sales_range: 50,
+      });
+    });
+
+    it("should name anonymous functions in an array by position", () => {
+      const result = df.groupBy("Region").agg({
+        Sales: ["sum", (values) => values.length, (values) => values[0]],
+      });
+      expect(result.columns).to.deep.equal([
+        "Region",
+        "Sales_sum",
+        "Sales_1",
+        "Sales_2",
+      ]);
+      expect(result.getRow(0)).to.deep.equal({
+        Region: "North",
+        Sales_sum: 300,
+        Sales_1: 3,
+        Sales_2: 100,
+      });
+    });
+
+    it("should throw an error for an unknown aggregation", () => {
+      expect(() => df.groupBy("Region").agg({ Sales: "total" })).to.throw(
+        "Unknown aggregation 'total'"
+      );
+    });
+  });
+
+  describe("apply", () => {
+    it("should combine object results into rows", () => {
+      const result = df
+        .groupBy("Region")
+        .apply((group) => ({ Top: Math.max(...group.get("Sales")) }));
+      expect(result.getDataFrame()).to.deep.equal([
+        { Region: "North", Top: 150 },
+        { Region: "South", Top: 80 },
+      ]);
+    });
+
+    it("should combine DataFrame results and store scalars in a value column", () => {
+      const frames = df
+        .groupBy("Region")
+        .apply((group) => group.filter((row) => row.Sales > 90));
+      expect(frames.get("Sales").values).to.deep.equal([100, 150]);
+
+      const scalars = df.groupBy("Year").apply((group) => group.shape);
+      expect(scalars.getDataFrame()).to.deep.equal([
+        { Year: 2022, value: "(3, 3)" },
+        { Year: 2023, value: "(2, 3)" },
+      ]);
+    });
+  });
+
+  describe("transform", () => {
+    it("should broadcast aggregated values in the original row order", () => {
+      const result = df.groupBy("Region").transform("sum");
+      expect(result.columns).to.deep.equal(["Year", "Sales"]);
+      expect(result.get("Sales").values).to.deep.equal([
+        300, 140, 300, 140, 300,
+      ]);
+    });
+
+    it("should accept functions returning one value per row", () => {
+      const result = df
+        .groupBy("Region")
+        .transform((values) => values.map((value, i) => value - values[0] + i));
+      expect(result.get("Sales").values).to.deep.equal([0, 0, 51, -19, -48]);
+    });
+
+    it("should throw an error if the result length does not match the group", () => {
+      expect(() => df.groupBy("Region").transform(() => [1])).to.throw(
+        "Transform must return one value per row"
+      );
+    });
+  });
+
+  describe("size", () => {
+    it("should count the rows in each group", () => {
+      const result = df.groupBy(["Year"]).size();
+      expect(result.getDataFrame()).to.deep.equal([
+        { Year: 2022, size: 3 },
+        { Year: 2023, size: 2 },
+      ]);
+    });
+  });
+
+  describe("filter", () => {
+    it("should keep the rows of the groups satisfying the condition", () => {
+      const result = df
+        .groupBy("Region")
+        .filter((group) => group.mean("Sales") > 90);
+      expect(result.get("Sales").values).to.deep.equal([100, 150, 50]);
+    });
+  });
+});
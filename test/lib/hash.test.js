@@ -0,0 +1,28 @@
+const { expect } = require("chai");
+const { valueKey, rowKey } = require("../../lib/hash");
+
+describe("hash", () => {
+  describe("valueKey", () => {
+    it("should key equal values alike whatever their storage", () => {
+      expect(valueKey(1)).to.equal(valueKey(Int32Array.of(1)[0]));
+      expect(valueKey(-0)).to.equal(valueKey(0));
+      expect(valueKey(new Date("2024-01-01"))).to.equal(
+        valueKey(new Date("2024-01-01"))
+      );
+      expect(valueKey(null)).to.equal(valueKey(NaN));
+      expect(valueKey(undefined)).to.equal(valueKey(null));
+    });
+
+    it("should key values of different types apart", () => {
+      const values = [1, "1", true, "true", new Date(0), "0", { a: 1 }];
+      expect(new Set(values.map(valueKey)).size).to.equal(values.length);
+    });
+  });
+
+  describe("rowKey", () => {
+    it("should not confuse values across columns", () => {
+      expect(rowKey(["a,b", "c"])).to.not.equal(rowKey(["a", "b,c"]));
+      expect(rowKey([1, "x"])).to.equal(rowKey([1.0, "x"]));
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { PassThrough, Readable, Writable } = require("stream");
+const { openSource, readSource, writeTarget } = require("../../lib/io");
+
+describe("io", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "pandas-js-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("readSource", () => {
+    it("should read files, buffers and streams", async () => {
+      const file = path.join(dir, "data.txt");
+      fs.writeFileSync(file, "héllo");
+      expect(await readSource(file)).to.equal("héllo");
+      expect(await readSource(Buffer.from("héllo"))).to.equal("héllo");
+      expect(
+        await readSource(Readable.from([Buffer.from("hé"), Buffer.from("llo")]))
+      ).to.equal("héllo");
+      expect(await readSource(Buffer.from([1, 2]), null)).to.eql(
+        Buffer.from([1, 2])
+      );
+    });
+
+    it("should reject other sources", async () => {
+      try {
+        await readSource(42);
+        expect.fail("readSource should reject");
+      } catch (error) {
+        expect(error.message).to.equal("Invalid source");
+      }
+    });
+  });
+
+  describe("openSource", () => {
+    it("should decode characters split across chunks", async () => {
+      const bytes = Buffer.from("é");
+      const stream = openSource(
+        Readable.from([bytes.subarray(0, 1), bytes.subarray(1)])
+      );
+      let text = "";
+      for await (const chunk of stream) {
+        text += chunk;
+      }
+      expect(text).to.equal("é");
+    });
+  });
+
+  describe("writeTarget", () => {
+    it("should write files and resolve once they are flushed", async () => {
+      const file = path.join(dir, "out.txt");
+      await writeTarget(file, "data");
+      expect(fs.readFileSync(file, "utf8")).to.equal("data");
+    });
+
+    it("should write to streams without ending them", async () => {
+      const stream = new PassThrough();
+      await writeTarget(stream, "data");
+      expect(stream.writableEnded).to.equal(false);
+      expect(stream.read().toString()).to.equal("data");
+    });
+
+    it("should write chunks, append and compress", async () => {
+      const file = path.join(dir, "out.txt.gz");
+      await writeTarget(file, ["a", "b"], { gzip: true });
+      await writeTarget(
+        file,
+        (function* () {
+          yield "c";
+        })(),
+        { append: true, gzip: true }
+      );
+      expect(zlib.gunzipSync(fs.readFileSync(file)).toString()).to.equal("abc");
+    });
+
+    it("should return the data without a target", async () => {
+      expect(await writeTarget(undefined, ["a", "b"])).to.equal("ab");
+      expect(await writeTarget(undefined, [])).to.equal("");
+      expect(await writeTarget(undefined, Buffer.from([1]))).to.eql(
+        Buffer.from([1])
+      );
+      const compressed = await writeTarget(undefined, "data", { gzip: true });
+      expect(zlib.gunzipSync(compressed).toString()).to.equal("data");
+    });
+
+    it("should reject when a stream fails", async () => {
+      const stream = new Writable({
+        write(chunk, encoding, callback) {
+          callback(new Error("Disk full"));
+        },
+      });
+      try {
+        await writeTarget(stream, "data");
+        expect.fail("writeTarget should reject");
+      } catch (error) {
+        expect(error.message).to.equal("Disk full");
+      }
+    });
+
+    it("should throw on other targets", () => {
+      expect(() => writeTarget(42, "data")).to.throw("Invalid target");
+    });
+
+    it("should reject on stream errors", async () => {
+      try {
+        await writeTarget(path.join(dir, "missing", "out.txt"), "data");
+        expect.fail("writeTarget should reject");
+      } catch (error) {
+        expect(error.code).to.equal("ENOENT");
+      }
+    });
+  });
+});
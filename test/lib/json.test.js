@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const {
+  recordsToColumns,
+  parseOrient,
+  formatOrient,
+} = require("../../lib/json");
+
+describe("json", () => {
+  const table = {
+    columns: ["name", "age"],
+    row: (position) =>
+      [
+        { name: "Ann", age: 30 },
+        { name: "Bob", age: null },
+      ][position],
+    length: 2,
+    labels: ["a", "b"],
+  };
+
+  describe("recordsToColumns", () => {
+    it("should collect the columns of every record", () => {
+      expect(recordsToColumns([{ a: 1 }, { b: 2, a: 3 }])).to.eql({
+        columns: ["a", "b"],
+        data: { a: [1, 3], b: [null, 2] },
+      });
+    });
+  });
+
+  describe("formatOrient", () => {
+    it("should lay out records, columns, split, index and values", () => {
+      expect(formatOrient(table)).to.eql([
+        { name: "Ann", age: 30 },
+        { name: "Bob", age: null },
+      ]);
+      expect(formatOrient(table, "columns")).to.eql({
+        name: { a: "Ann", b: "Bob" },
+        age: { a: 30, b: null },
+      });
+      expect(formatOrient(table, "split")).to.eql({
+        columns: ["name", "age"],
+        index: ["a", "b"],
+        data: [
+          ["Ann", 30],
+          ["Bob", null],
+        ],
+      });
+      expect(formatOrient(table, "index")).to.eql({
+        a: { name: "Ann", age: 30 },
+        b: { name: "Bob", age: null },
+      });
+      expect(formatOrient(table, "values")).to.eql([
+        ["Ann", 30],
+        ["Bob", null],
+      ]);
+    });
+
+    it("should reject unknown orientations", () => {
+      expect(() => formatOrient(table, "table")).to.throw(
+        "Invalid orient 'table'"
+      );
+    });
+  });
+
+  describe("parseOrient", () => {
+    it("should read every orientation written by formatOrient", () => {
+      for (const orient of ["columns", "split", "index"]) {
+        expect(parseOrient(formatOrient(table, orient), orient)).to.eql({
+          columns: ["name", "age"],
+          data: { name: ["Ann", "Bob"], age: [30, null] },
+          index: ["a", "b"],
+        });
+      }
+      expect(parseOrient(formatOrient(table, "values"), "values")).to.eql({
+        columns: ["column1", "column2"],
+        data: { column1: ["Ann", "Bob"], column2: [30, null] },
+        index: null,
+      });
+    });
+
+    it("should read labels counting from zero as positions", () => {
+      expect(parseOrient({ 0: { a: 1 }, 1: { a: 2 } }, "index").index).to.equal(
+        null
+      );
+      expect(
+        parseOrient(
+          { columns: ["a"], index: [0, 1], data: [[1], [2]] },
+          "split"
+        ).index
+      ).to.equal(null);
+    });
+
+    it("should reject JSON that does not match the orientation", () => {
+      expect(() => parseOrient({ a: 1 }, "records")).to.throw(
+        "Invalid JSON for orient 'records'"
+      );
+      expect(() => parseOrient([1], "values")).to.throw(
+        "Invalid JSON for orient 'values'"
+      );
+      expect(() => parseOrient({ data: [] }, "split")).to.throw(
+        "Invalid JSON for orient 'split'"
+      );
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const path = require("path");
+const sinon = require("sinon");
+const { DataFrame, LazyFrame } = require("../../lib");
+
+const file = path.join(__dirname, "../fixtures/people.csv");
+
+describe("lazy", () => {
+  let df;
+
+  beforeEach(() => {
+    df = new DataFrame([
+      { region: "EU", amount: 10, qty: 1 },
+      { region: "US", amount: 25, qty: 2 },
+      { region: "EU", amount: 40, qty: 3 },
+      { region: "US", amount: 5, qty: 4 },
+    ]);
+  });
+
+  it("should record operations without running them", () => {
+    const lazy = df.lazy().filter(() => {
+      throw new Error("Ran too early");
+    });
+
+    expect(lazy).to.be.an.instanceOf(LazyFrame);
+    expect(lazy.explain({ optimized: false })).to.equal(
+      "FILTER <function anonymous>\n  SCAN DataFrame"
+    );
+  });
+
+  it("should give the same result as the eager operations", async () => {
+    const lazy = await df
+      .lazy()
+      .eval("total = amount * qty")
+      .sortValues({ by: "total", ascending: false })
+      .filter("region == 'EU'")
+      .select(["region", "total"])
+      .collect();
+    const eager = df
+      .eval("total = amount * qty")
+      .sortValues({ by: "total", ascending: false })
+      .query("region == 'EU'")
+      .select(["region", "total"]);
+
+    expect(lazy.getDataFrame()).to.deep.equal(eager.getDataFrame());
+    expect(lazy.dtypes).to.deep.equal(eager.dtypes);
+  });
+
+  it("should push predicates into the scan and merge filters", () => {
+    const lazy = df
+      .lazy()
+      .sortBy(["amount"])
+      .query("amount > @min", { variables: { min: 8 } })
+      .filter("qty < 4");
+
+    expect(lazy.explain()).to.equal(
+      [
+        "SORT BY [amount]",
+        "  SCAN DataFrame FILTER (amount > @min) AND (qty < 4)",
+      ].join("\n")
+    );
+  });
+
+  it("should keep predicates above what they depend on", () => {
+    const lazy = df
+      .lazy()
+      .eval("total = amount * qty")
+      .head(3)
+      .filter("total > 20 and qty > 1");
+
+    expect(lazy.explain()).to.equal(
+      [
+        "FILTER (total > 20 and qty > 1)",
+        "  EVAL total = amount * qty",
+        "    SCAN DataFrame NROWS 3",
+      ].join("\n")
+    );
+  });
+
+  it("should not move predicates past functions", async () => {
+    const lazy = df
+      .lazy()
+      .filter((row, position) => position > 0)
+      .filter("region == 'US'")
+      .filter((row, position) => position === 0);
+
+    expect(lazy.explain()).to.equal(
+      [
+        "FILTER <function anonymous>",
+        "  FILTER <function anonymous> AND (region == 'US')",
+        "    SCAN DataFrame",
+      ].join("\n")
+    );
+    expect((await lazy.collect()).get("amount").values).to.deep.equal([25]);
+  });
+
+  it("should fuse a selection with the filter below it", async () => {
+    const lazy = df
+      .lazy()
+      .filter((row) => row.qty % 2 === 0)
+      .select(["amount"]);
+
+    expect(lazy.explain()).to.equal(
+      "FILTER <function anonymous> SELECT [amount]\n  SCAN DataFrame"
+    );
+    expect((await lazy.collect()).getDataFrame()).to.deep.equal([
+      { amount: 25 },
+      { amount: 5 },
+    ]);
+  });
+
+  it("should read only the used columns and rows of a CSV file", async () => {
+    const lazy = DataFrame.scanCSV(file, { dtype: { Score: "float" } })
+      .select(["Name", "Age"])
+      .head(2);
+
+    expect(lazy.explain()).to.equal(
+      [
+        "SELECT [Name, Age]",
+        `  SCAN CSV ${file} COLUMNS [Name, Age] NROWS 2`,
+      ].join("\n")
+    );
+    expect((await lazy.collect()).getDataFrame()).to.deep.equal([
+      { Name: "John", Age: 25 },
+      { Name: "Jane", Age: 30 },
+    ]);
+  });
+
+  it("should filter a CSV file as it is read", async () => {
+    const lazy = DataFrame.scanCSV(file)
+      .filter("Age > 26")
+      .groupBy("Active")
+      .agg({ Score: "count" });
+
+    expect(lazy.explain()).to.equal(
+      [
+        'AGGREGATE BY [Active] {"Score":"count"}',
+        `  SCAN CSV ${file} COLUMNS [Active, Score, Age] FILTER (Age > 26)`,
+      ].join("\n")
+    );
+    expect((await lazy.collect()).getDataFrame()).to.deep.equal([
+      { Active: false, Score: 0 },
+    ]);
+  });
+
+  it("should filter each chunk of a CSV file", async () => {
+    const text = "a,b\n1,x\n2,y\n3,z\n4,w\n5,v\n";
+    const read = sinon.spy(DataFrame, "readCSVChunks");
+    try {
+      const lazy = await DataFrame.scanCSV(Buffer.from(text), { chunkSize: 2 })
+        .filter("a % 2 == 1")
+        .collect();
+      const eager = (await DataFrame.fromCSV(Buffer.from(text))).query(
+        "a % 2 == 1"
+      );
+
+      expect(read.callCount).to.equal(1);
+      expect(lazy.getDataFrame()).to.deep.equal(eager.getDataFrame());
+      expect(lazy.dtypes).to.deep.equal(eager.dtypes);
+    } finally {
+      read.restore();
+    }
+  });
+
+  it("should infer the dtypes of a filtered CSV file from every chunk", async () => {
+    const texts = [
+      "id,x\n1,1\n2,2\n3,2.5\n4,n/a\n",
+      "id,x\n1,1\n2,2\n3,2.5\n4,\n",
+      "id,kind\n1,b\n2,b\n3,a\n4,b\n5,c\n6,c\n",
+      "id,x\n",
+    ];
+    for (const text of texts) {
+      const options = { chunkSize: 2, inferCategories: true };
+      const lazy = await DataFrame.scanCSV(Buffer.from(text), options)
+        .filter("id > 1")
+        .collect();
+      const eager = (await DataFrame.fromCSV(Buffer.from(text), options)).query(
+        "id > 1"
+      );
+
+      expect(lazy.getDataFrame()).to.deep.equal(eager.getDataFrame());
+      expect(lazy.dtypes).to.deep.equal(eager.dtypes);
+    }
+    const kinds = await DataFrame.scanCSV(Buffer.from(texts[2]), {
+      chunkSize: 2,
+      inferCategories: true,
+    })
+      .filter("id > 4")
+      .collect();
+    expect(kinds.get("kind").cat.categories).to.eql(["a", "b", "c"]);
+  });
+
+  it("should read an empty CSV file as an empty frame", async () => {
+    const lazy = await DataFrame.scanCSV(Buffer.from(""), { chunkSize: 2 })
+      .filter("id > 1")
+      .collect();
+
+    expect(lazy.columns).to.eql([]);
+    expect(lazy.getDataFrame()).to.eql([]);
+  });
+
+  it("should read every column for a schema", () => {
+    const lazy = DataFrame.scanCSV(file, { schema: { ID: { type: "int" } } })
+      .groupBy("Active")
+      .size();
+
+    expect(lazy.explain()).to.equal(`SIZE BY [Active]\n  SCAN CSV ${file}`);
+  });
+
+  it("should report errors when the plan is recorded or collected", async () => {
+    expect(() => df.lazy().filter("amount >")).to.throw(
+      "Unexpected end of expression at position 8"
+    );
+    expect(() => df.lazy().filter([true])).to.throw(
+      "Condition must be an expression or a function"
+    );
+    expect(() => df.lazy().eval("amount * 2")).to.throw(
+      "Expected an assignment"
+    );
+
+    let error;
+    try {
+      await df.lazy().filter("price > 1").collect();
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.equal(
+      "Column 'price' does not exist at position 0"
+    );
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { DataFrame } = require("../../lib");
+
+describe("merge", () => {
+  let employees;
+  let salaries;
+
+  beforeEach(() => {
+    employees = new DataFrame(
+      [
+        [1, "John", "Sales"],
+        [2, "Jane", "IT"],
+        [3, "Sam", "IT"],
+      ],
+      ["ID", "Name", "Dept"]
+    );
+    salaries = new DataFrame(
+      [
+        [2, 5000, "IT"],
+        [3, 4000, "Ops"],
+        [3, 4500, "Ops"],
+        [4, 3000, "HR"],
+      ],
+      ["ID", "Salary", "Dept"]
+    );
+  });
+
+  it("should perform an inner join on the specified column", () => {
+    const result = employees.merge(salaries, { on: "ID" });
+    expect(result.columns).to.deep.equal([
+      "ID",
+      "Name",
+      "Dept_x",
+      "Salary",
+      "Dept_y",
+    ]);
+    expect(result.getDataFrame()).to.deep.equal([
+      { ID: 2, Name: "Jane", Dept_x: "IT", Salary: 5000, Dept_y: "IT" },
+      { ID: 3, Name: "Sam", Dept_x: "IT", Salary: 4000, Dept_y: "Ops" },
+      { ID: 3, Name: "Sam", Dept_x: "IT", Salary: 4500, Dept_y: "Ops" },
+    ]);
+  });
+
+  it("should join on the common columns by default", () => {
+    const result = employees.merge(salaries);
+    expect(result.columns).to.deep.equal(["ID", "Name", "Dept", "Salary"]);
+    expect(result.getDataFrame()).to.deep.equal([
+      { ID: 2, Name: "Jane", Dept: "IT", Salary: 5000 },
+    ]);
+  });
+
+  it("should keep unmatched left rows in a left join", () => {
+    const result = employees.merge(salaries.select(["ID", "Salary"]), {
+      on: "ID",
+      how: "left",
+    });
+    expect(result.get("ID").values).to.deep.equal([1, 2, 3, 3]);
+    expect(result.get("Salary").values).to.deep.equal([null, 5000, 4000, 4500]);
+  });
+
+  it("should keep unmatched right rows in a right join", () => {
+    const result = employees.merge(salaries.select(["ID", "Salary"]), {
+      on: "ID",
+      how: "right",
+    });
+    expect(result.get("ID").values).to.deep.equal([2, 3, 3, 4]);
+    expect(result.get("Name").values).to.deep.equal([
+      "Jane",
+      "Sam",
+      "Sam",
+      null,
+    ]);
+  });
+
+  it("should keep unmatched rows from both sides in an outer join", () => {
+    const result = employees.merge(salaries.select(["ID", "Salary"]), {
+      on: "ID",
+      how: "outer",
+    });
+    expect(result.get("ID").values).to.deep.equal([1, 2, 3, 3, 4]);
+    expect(result.get("Salary").values).to.deep.equal([
+      null,
+      5000,
+      4000,
+      4500,
+      3000,
+    ]);
+  });
+
+  it("should join on differently named key columns", () => {
+    const departments = new DataFrame(
+      [
+        ["IT", "Tech"],
+        ["Sales", "Business"],
+      ],
+      ["Code", "Division"]
+    );
+    const result = employees.merge(departments, {
+      leftOn: "Dept",
+      rightOn: "Code",
+    });
+    expect(result.columns).to.deep.equal([
+      "ID",
+      "Name",
+      "Dept",
+      "Code",
+      "Division",
+    ]);
+    expect(result.get("Division").values).to.deep.equal([
+      "Business",
+      "Tech",
+      "Tech",
+    ]);
+  });
+
+  it("should join on several key columns with custom suffixes", () => {
+    const result = employees.merge(salaries, {
+      on: ["ID", "Dept"],
+      how: "outer",
+      suffixes: ["_left", "_right"],
+    });
+    expect(result.columns).to.deep.equal(["ID", "Name", "Dept", "Salary"]);
+    expect(result.get("Dept").values).to.deep.equal([
+      "Sales",
+      "IT",
+      "IT",
+      "Ops",
+      "Ops",
+      "HR",
+    ]);
+  });
+
+  it("should produce the cartesian product in a cross join", () => {
+    const result = employees
+      .select("Name")
+      .merge(salaries.select("Salary"), { how: "cross" });
+    expect(result.shape).to.equal("(12, 2)");
+    expect(result.getRow(4)).to.deep.equal({ Name: "Jane", Salary: 5000 });
+  });
+
+  it("should match keys by value and type", () => {
+    const day = new Date("2024-01-01T00:00:00Z");
+    const events = new DataFrame({
+      Day: [day, day.toISOString(), new Date(day.getTime())],
+      Count: [1, 2, 3],
+    });
+    const holidays = new DataFrame({
+      Day: [new Date(day.getTime())],
+      Name: ["NY"],
+    });
+
+    const result = events.merge(holidays, { on: "Day", how: "left" });
+    expect(result.get("Name").values).to.deep.equal(["NY", null, "NY"]);
+    const numbers = new DataFrame({ Key: [1, "1"], Value: ["a", "b"] });
+    expect(
+      numbers.merge(new DataFrame({ Key: ["1"], Other: [true] })).getDataFrame()
+    ).to.deep.equal([{ Key: "1", Value: "b", Other: true }]);
+  });
+
+  it("should throw an error for an invalid merge type", () => {
+    expect(() => employees.merge(salaries, { how: "full" })).to.throw(
+      "Invalid merge type 'full'"
+    );
+  });
+
+  it("should throw an error if a key column does not exist", () => {
+    expect(() => employees.merge(salaries, { on: "Age" })).to.throw(
+      "Column does not exist"
+    );
+  });
+});
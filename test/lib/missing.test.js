@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { isna, setNaValues, getNaValues } = require("../../lib");
+const {
+  fillForward,
+  fillBackward,
+  interpolateLinear,
+} = require("../../lib/missing");
+
+describe("missing", () => {
+  afterEach(() => {
+    setNaValues([]);
+  });
+
+  describe("isna", () => {
+    it("should treat null, undefined and NaN as missing", () => {
+      expect([null, undefined, NaN, 0, "", false].map(isna)).to.deep.equal([
+        true,
+        true,
+        true,
+        false,
+        false,
+        false,
+      ]);
+    });
+
+    it("should treat the configured sentinels as missing", () => {
+      setNaValues(["", "NA"]);
+      expect(getNaValues()).to.deep.equal(["", "NA"]);
+      expect(["", "NA", "N/A"].map(isna)).to.deep.equal([true, true, false]);
+    });
+  });
+
+  describe("fillForward and fillBackward", () => {
+    it("should propagate the surrounding non-missing values", () => {
+      const values = [null, 1, null, null, 4, null];
+      expect(fillForward(values)).to.deep.equal([null, 1, 1, 1, 4, 4]);
+      expect(fillBackward(values)).to.deep.equal([1, 1, 4, 4, 4, null]);
+    });
+  });
+
+  describe("interpolateLinear", () => {
+    it("should interpolate interior gaps and carry the last value forward", () => {
+      expect(interpolateLinear([null, 1, null, null, 4, NaN])).to.deep.equal([
+        null,
+        1,
+        2,
+        3,
+        4,
+        4,
+      ]);
+    });
+  });
+});
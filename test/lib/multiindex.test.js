@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { DataFrame, MultiIndex } = require("../../lib");
+
+describe("multiindex", () => {
+  let df;
+
+  beforeEach(() => {
+    df = new DataFrame([
+      { region: "EU", year: 2020, sales: 10, units: 1 },
+      { region: "EU", year: 2021, sales: 12, units: 2 },
+      { region: "US", year: 2020, sales: 7, units: 3 },
+      { region: "US", year: 2021, sales: 9, units: 4 },
+    ]).setIndex(["region", "year"]);
+  });
+
+  describe("MultiIndex", () => {
+    it("should build labels from arrays and products", () => {
+      const index = MultiIndex.fromArrays(
+        [
+          ["a", "a", "b"],
+          [1, 2, 1],
+        ],
+        { names: ["letter", "number"] }
+      );
+
+      expect(index.tuples).to.deep.equal([
+        ["a", 1],
+        ["a", 2],
+        ["b", 1],
+      ]);
+      expect(index.nlevels).to.equal(2);
+      expect(
+        MultiIndex.fromProduct([
+          ["a", "b"],
+          [1, 2],
+        ]).tuples
+      ).to.deep.equal([
+        ["a", 1],
+        ["a", 2],
+        ["b", 1],
+        ["b", 2],
+      ]);
+      expect(() => MultiIndex.fromArrays([["a"], [1, 2]])).to.throw(
+        "Level length mismatch"
+      );
+    });
+
+    it("should throw for invalid tuples and names", () => {
+      expect(() => new MultiIndex([["a", 1], ["b"]])).to.throw("Invalid tuple");
+      expect(() => new MultiIndex([["a", 1]], { names: ["x"] })).to.throw(
+        "Names length does not match levels"
+      );
+    });
+
+    it("should find levels by name or position", () => {
+      const index = new MultiIndex([["a", 1]], { names: ["letter", null] });
+
+      expect(index.level("letter")).to.equal(0);
+      expect(index.level(-1)).to.equal(1);
+      expect(index.getLevelValues(1)).to.deep.equal([1]);
+      expect(() => index.level("number")).to.throw("Level 'number' not found");
+    });
+
+    it("should find the positions of full and partial keys", () => {
+      const index = new MultiIndex([
+        ["a", 1],
+        ["b", 1],
+        ["a", 2],
+      ]);
+
+      expect(index.positionsOf(["a", 2])).to.deep.equal([2]);
+      expect(index.positionsOf("a")).to.deep.equal([0, 2]);
+      expect(index.positionsOf(["c", 1])).to.deep.equal([]);
+    });
+
+    it("should drop, swap and flatten levels", () => {
+      const index = new MultiIndex(
+        [
+          ["a", 1, true],
+          ["b", 2, false],
+        ],
+        { names: ["x", "y", "z"] }
+      );
+
+      expect(index.droplevel("y").names).to.deep.equal(["x", "z"]);
+      expect(index.droplevel(0).droplevel(0)).to.deep.equal([true, false]);
+      expect(index.swaplevel(0, "z").tuples[0]).to.deep.equal([true, 1, "a"]);
+      expect(index.flatten("/")).to.deep.equal(["a/1/true", "b/2/false"]);
+    });
+  });
+
+  describe("with DataFrame", () => {
+    it("should set and reset several index columns", () => {
+      expect(df.index).to.be.an.instanceOf(MultiIndex);
+      expect(df.index.names).to.deep.equal(["region", "year"]);
+      expect(df.columns).to.deep.equal(["sales", "units"]);
+      expect(df.resetIndex().getDataFrame()[1]).to.deep.equal({
+        region: "EU",
+        year: 2021,
+        sales: 12,
+        units: 2,
+      });
+    });
+
+    it("should keep the index through row selections", () => {
+      expect(df.filter((row) => row.sales > 9).index.tuples).to.deep.equal([
+        ["EU", 2020],
+        ["EU", 2021],
+      ]);
+      expect(df.tail(1).index.names).to.deep.equal(["region", "year"]);
+    });
+
+    it("should locate rows by tuple or first level", () => {
+      expect(df.loc(["US", 2021])).to.deep.equal({ sales: 9, units: 4 });
+      expect(df.loc("EU").get("sales").values).to.deep.equal([10, 12]);
+      expect(() => df.loc(["EU", 2022])).to.throw("Label 'EU,2022' not found");
+    });
+
+    it("should group by several columns into a MultiIndex", () => {
+      const result = df
+        .resetIndex()
+        .groupBy(["region", "year"], { asIndex: true })
+        .size();
+
+      expect(result.index.tuples).to.deep.equal(df.index.tuples);
+      expect(result.columns).to.deep.equal(["size"]);
+    });
+
+    it("should select cross-sections of rows", () => {
+      const us = df.xs("US");
+      const years = df.xs(2021, { level: "year", dropLevel: false });
+
+      expect(us.index).to.deep.equal([2020, 2021]);
+      expect(us.indexName).to.equal("year");
+      expect(us.get("sales").values).to.deep.equal([7, 9]);
+      expect(years.index.tuples).to.deep.equal([
+        ["EU", 2021],
+        ["US", 2021],
+      ]);
+      expect(() => df.xs("FR")).to.throw("Label 'FR' not found");
+      expect(() => df.xs(["EU"], { level: [0, 1] })).to.throw(
+        "Key length does not match levels"
+      );
+    });
+
+    it("should select cross-sections of columns", () => {
+      const wide = df.unstack("year");
+
+      expect(wide.xs("units", { axis: 1 }).getDataFrame()).to.deep.equal([
+        { 2020: 1, 2021: 2 },
+        { 2020: 3, 2021: 4 },
+      ]);
+      expect(wide.xs(2020, { level: "year", axis: 1 }).columns).to.deep.equal([
+        "sales",
+        "units",
+      ]);
+    });
+
+    it("should swap levels and sort by a level", () => {
+      const swapped = df.swaplevel();
+
+      expect(swapped.index.names).to.deep.equal(["year", "region"]);
+      expect(swapped.sortIndex().index.tuples).to.deep.equal([
+        [2020, "EU"],
+        [2020, "US"],
+        [2021, "EU"],
+        [2021, "US"],
+      ]);
+      expect(df.sortIndex({ level: "year" }).index.tuples).to.deep.equal([
+        ["EU", 2020],
+        ["US", 2020],
+        ["EU", 2021],
+        ["US", 2021],
+      ]);
+      expect(() => df.resetIndex().swaplevel()).to.throw(
+        "Index must be a MultiIndex"
+      );
+    });
+
+    it("should flatten the column and row labels", async () => {
+      const wide = df.unstack("year").flattenColumns("|");
+
+      expect(wide.columnIndex).to.equal(null);
+      expect(await wide.resetIndex().toCSV()).to.equal(
+        "region,sales|2020,sales|2021,units|2020,units|2021\n" +
+          "EU,10,12,1,2\nUS,7,9,3,4\n"
+      );
+      expect(df.flattenIndex().index).to.deep.equal([
+        "EU_2020",
+        "EU_2021",
+        "US_2020",
+        "US_2021",
+      ]);
+      expect(df.flattenIndex().indexName).to.equal("region_year");
+    });
+
+    it("should write the levels of the row labels as CSV columns", async () => {
+      const totals = df
+        .resetIndex()
+        .groupBy(["region", "year"], { asIndex: true })
+        .agg({ sales: "sum" });
+
+      expect(await totals.head(2).toCSV()).to.equal(
+        "region,year,sales\nEU,2020,10\nEU,2021,12\n"
+      );
+      expect(await totals.head(1).toCSV(undefined, { index: false })).to.equal(
+        "sales\n10\n"
+      );
+      expect(
+        await df.head(1).toCSV(undefined, { columns: ["units"], header: ["u"] })
+      ).to.equal("region,year,u\nEU,2020,1\n");
+    });
+
+    it("should render one label column per level", () => {
+      expect(df.head(2).toString()).to.equal(
+        [
+          "region  year  sales  units",
+          "                int    int",
+          "EU      2020     10      1",
+          "EU      2021     12      2",
+        ].join("\n")
+      );
+    });
+
+    it("should write and read a MultiIndex in binary", async () => {
+      const frame = await DataFrame.fromBinary(await df.toBinary());
+
+      expect(frame.index).to.deep.equal(df.index);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { DataFrame } = require("../../lib");
+
+const at = (text) => new Date(`${text}Z`);
+
+describe("resample", () => {
+  let events;
+
+  beforeEach(() => {
+    events = new DataFrame({
+      Time: [
+        at("2021-01-01T08:00:00"),
+        at("2021-01-01T17:00:00"),
+        at("2021-01-03T09:00:00"),
+        at("2021-02-10T09:00:00"),
+      ],
+      Amount: [10, 20, 30, 40],
+      User: ["a", "b", "a", "c"],
+    });
+  });
+
+  it("should aggregate the rows of each bin, keeping empty bins", () => {
+    const result = events.resample("1D", { on: "Time" }).sum();
+    expect(result.shape).to.equal("(41, 2)");
+    expect(result.getRow(0)).to.deep.equal({
+      Time: at("2021-01-01T00:00:00"),
+      Amount: 30,
+    });
+    expect(result.getRow(1).Amount).to.equal(0);
+    expect(result.getRow(2).Amount).to.equal(30);
+  });
+
+  it("should bin by calendar months", () => {
+    const result = events
+      .resample("1M", { on: "Time" })
+      .agg({ Amount: ["sum", "max"], User: "nunique" });
+    expect(result.getDataFrame()).to.deep.equal([
+      {
+        Time: at("2021-01-01T00:00:00"),
+        Amount_sum: 60,
+        Amount_max: 30,
+        User: 2,
+      },
+      {
+        Time: at("2021-02-01T00:00:00"),
+        Amount_sum: 40,
+        Amount_max: 40,
+        User: 1,
+      },
+    ]);
+  });
+
+  it("should name anonymous functions in an array by position", () => {
+    const result = events.resample("1M", { on: "Time" }).agg({
+      Amount: [(values) => values.length, (values) => values[0]],
+    });
+    expect(result.columns).to.deep.equal(["Time", "Amount_0", "Amount_1"]);
+    expect(result.get("Amount_0").values).to.deep.equal([3, 1]);
+    expect(result.get("Amount_1").values).to.deep.equal([10, 40]);
+  });
+
+  it("should bin by the index when no column is given", () => {
+    const result = events.setIndex("Time").resample("1W").count();
+    expect(result.index).to.deep.equal(
+      [0, 1, 2, 3, 4, 5, 6].map(
+        (week) => new Date(Date.UTC(2020, 11, 28 + 7 * week))
+      )
+    );
+    expect(result.indexName).to.equal("Time");
+    expect(result.get("Amount").values).to.deep.equal([3, 0, 0, 0, 0, 0, 1]);
+  });
+
+  it("should leave out rows with a missing date", () => {
+    const result = new DataFrame({
+      Time: [at("2021-01-01T08:00:00"), null, at("2021-01-02T09:00:00")],
+      Amount: [10, 20, 30],
+    })
+      .resample("1D", { on: "Time" })
+      .sum();
+    expect(result.getDataFrame()).to.deep.equal([
+      { Time: at("2021-01-01T00:00:00"), Amount: 10 },
+      { Time: at("2021-01-02T00:00:00"), Amount: 30 },
+    ]);
+    expect(() =>
+      new DataFrame({ Time: [at("2021-01-01T08:00:00"), null, "x"] }).resample(
+        "1D",
+        { on: "Time" }
+      )
+    ).to.throw("Resampling requires datetime values");
+  });
+
+  it("should throw an error for values that are not dates", () => {
+    expect(() => events.resample("1D", { on: "User" })).to.throw(
+      "Resampling requires datetime values"
+    );
+    expect(() => events.resample("1D")).to.throw(
+      "Resampling requires datetime values"
+    );
+    expect(() => events.resample("1D", { on: "Day" })).to.throw(
+      "Column does not exist"
+    );
+    expect(() => events.resample("1Q", { on: "Time" })).to.throw(
+      "Invalid frequency '1Q'"
+    );
+  });
+});
@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const { DataFrame, Series } = require("../../lib");
+
+describe("reshape", () => {
+  let sales;
+  let north;
+
+  beforeEach(() => {
+    sales = new DataFrame(
+      [
+        ["North", 2021, "A", 10],
+        ["North", 2022, "A", 20],
+        ["South", 2021, "B", 30],
+        ["North", 2021, "B", 40],
+        ["South", 2022, null, 50],
+        [null, 2022, "A", 60],
+      ],
+      ["Region", "Year", "Product", "Amount"]
+    );
+    north = sales.filter((row) => row.Region === "North");
+  });
+
+  describe("pivotTable", () => {
+    it("should aggregate the values by index and column keys", () => {
+      const result = sales.pivotTable({
+        index: "Region",
+        columns: "Year",
+        values: "Amount",
+        aggfunc: "sum",
+      });
+      expect(result.index).to.deep.equal(["North", "South"]);
+      expect(result.indexName).to.equal("Region");
+      expect(result.columns).to.deep.equal(["2021", "2022"]);
+      expect(result.getDataFrame()).to.deep.equal([
+        { 2021: 50, 2022: 20 },
+        { 2021: 30, 2022: 50 },
+      ]);
+    });
+
+    it("should sort the column keys into a column index", () => {
+      const result = sales.pivotTable({
+        index: "Region",
+        columns: ["Year", "Product"],
+        values: "Amount",
+        aggfunc: "sum",
+      });
+      expect(result.columns).to.deep.equal(["2021_A", "2021_B", "2022_A"]);
+      expect(result.columnIndex.names).to.deep.equal(["Year", "Product"]);
+      expect(
+        result.xs(2021, { level: "Year", axis: 1 }).getDataFrame()
+      ).to.deep.equal([
+        { A: 10, B: 40 },
+        { A: null, B: 30 },
+      ]);
+    });
+
+    it("should fill cells without rows and add margins", () => {
+      const result = sales.pivotTable({
+        index: "Product",
+        columns: "Region",
+        values: "Amount",
+        aggfunc: "sum",
+        fillValue: 0,
+        margins: true,
+      });
+      expect(result.index).to.deep.equal(["A", "B", "All"]);
+      expect(result.columns).to.deep.equal(["North", "South", "All"]);
+      expect(result.getDataFrame()).to.deep.equal([
+        { North: 30, South: 0, All: 30 },
+        { North: 40, South: 30, All: 70 },
+        { North: 70, South: 30, All: 100 },
+      ]);
+    });
+
+    it("should prefix the labels when aggregating several columns", () => {
+      const result = sales.pivotTable({
+        index: ["Region", "Product"],
+        columns: "Year",
+        values: ["Amount", "Year"],
+        aggfunc: { Amount: "mean", Year: "count" },
+      });
+      expect(result.index.tuples).to.deep.equal([
+        ["North", "A"],
+        ["North", "B"],
+        ["South", "B"],
+      ]);
+      expect(result.columns).to.deep.equal([
+        "Amount_2021",
+        "Amount_2022",
+        "Year_2021",
+        "Year_2022",
+      ]);
+      expect(result.columnIndex.names).to.deep.equal([null, "Year"]);
+      expect(result.getRow(0)).to.deep.equal({
+        Amount_2021: 10,
+        Amount_2022: 20,
+        Year_2021: 1,
+        Year_2022: 1,
+      });
+    });
+
+    it("should name the result columns after the values without columns", () => {
+      const result = sales.pivotTable({ index: "Region", values: "Amount" });
+      expect(result.index).to.deep.equal(["North", "South"]);
+      expect(result.getDataFrame()).to.deep.equal([
+        { Amount: 70 / 3 },
+        { Amount: 40 },
+      ]);
+    });
+
+    it("should throw an error for invalid options", () => {
+      expect(() => sales.pivotTable({ columns: "Year" })).to.throw(
+        "No index columns to pivot on"
+      );
+      expect(() => sales.pivotTable({ index: "Month" })).to.throw(
+        "Column does not exist"
+      );
+      expect(() =>
+        sales.pivotTable({ index: "Region", aggfunc: "total" })
+      ).to.throw("Unknown aggregation 'total'");
+    });
+  });
+
+  describe("pivot", () => {
+    it("should reshape the values without aggregating", () => {
+      const result = north.pivot("Product", "Year", "Amount");
+      expect(result.index).to.deep.equal(["A", "B"]);
+      expect(result.getDataFrame()).to.deep.equal([
+        { 2021: 10, 2022: 20 },
+        { 2021: 40, 2022: null },
+      ]);
+    });
+
+    it("should throw an error for duplicate entries", () => {
+      expect(() => sales.pivot("Region", "Year", "Amount")).to.throw(
+        "Index contains duplicate entries"
+      );
+    });
+  });
+
+  describe("melt", () => {
+    it("should unpivot the value columns", () => {
+      const wide = new DataFrame(
+        [
+          ["North", 1, 2],
+          ["South", 3, 4],
+        ],
+        ["Region", "Q1", "Q2"]
+      );
+      const result = wide.melt({ idVars: "Region", varName: "Quarter" });
+      expect(result.columns).to.deep.equal(["Region", "Quarter", "value"]);
+      expect(result.getDataFrame()).to.deep.equal([
+        { Region: "North", Quarter: "Q1", value: 1 },
+        { Region: "South", Quarter: "Q1", value: 3 },
+        { Region: "North", Quarter: "Q2", value: 2 },
+        { Region: "South", Quarter: "Q2", value: 4 },
+      ]);
+    });
+
+    it("should be the inverse of pivot", () => {
+      const result = north
+        .pivot("Product", "Year", "Amount")
+        .resetIndex()
+        .melt({ idVars: "Product", varName: "Year", valueName: "Amount" })
+        .dropna();
+      expect(result.shape).to.equal("(3, 3)");
+      expect(result.get("Amount").sum()).to.equal(70);
+    });
+
+    it("should throw an error if a column does not exist", () => {
+      expect(() => sales.melt({ valueVars: ["Q1"] })).to.throw(
+        "Column does not exist"
+      );
+    });
+  });
+
+  describe("crosstab", () => {
+    it("should count the pairs of values", () => {
+      const result = DataFrame.crosstab(
+        sales.get("Region"),
+        sales.get("Product"),
+        { margins: true }
+      );
+      expect(result.resetIndex().getDataFrame()).to.deep.equal([
+        { Region: "North", A: 2, B: 1, All: 3 },
+        { Region: "South", A: 0, B: 1, All: 1 },
+        { Region: "All", A: 2, B: 2, All: 4 },
+      ]);
+    });
+
+    it("should name unnamed Series and check their lengths", () => {
+      const result = DataFrame.crosstab(new Series([1, 1]), new Series([2, 3]));
+      expect(result.indexName).to.equal("row_0");
+      expect(result.columns).to.deep.equal(["2", "3"]);
+      expect(() =>
+        DataFrame.crosstab(new Series([1]), new Series([1, 2]))
+      ).to.throw("Length mismatch");
+    });
+  });
+
+  describe("stack and unstack", () => {
+    let indexed;
+
+    beforeEach(() => {
+      indexed = sales
+        .filter((row) => row.Amount <= 30)
+        .drop({ columns: "Product" })
+        .setIndex(["Region", "Year"]);
+    });
+
+    it("should move the last index level into the columns", () => {
+      const wide = indexed.unstack();
+
+      expect(wide.index).to.deep.equal(["North", "South"]);
+      expect(wide.columns).to.deep.equal(["Amount_2021", "Amount_2022"]);
+      expect(wide.columnIndex.names).to.deep.equal([null, "Year"]);
+      expect(wide.getDataFrame()).to.deep.equal([
+        { Amount_2021: 10, Amount_2022: 20 },
+        { Amount_2021: 30, Amount_2022: null },
+      ]);
+    });
+
+    it("should fill missing cells when unstacking by level", () => {
+      const wide = indexed.unstack("Region", { fillValue: 0 });
+
+      expect(wide.index).to.deep.equal([2021, 2022]);
+      expect(wide.get("Amount_South").values).to.deep.equal([30, 0]);
+    });
+
+    it("should stack the columns back into the index", () => {
+      const long = indexed.unstack().stack();
+
+      expect(long.index.tuples).to.deep.equal([
+        ["North", 2021],
+        ["North", 2022],
+        ["South", 2021],
+      ]);
+      expect(long.get("Amount").values).to.deep.equal([10, 20, 30]);
+      expect(indexed.unstack().stack({ dropna: false }).index.length).to.equal(
+        4
+      );
+    });
+
+    it("should throw without a unique MultiIndex", () => {
+      expect(() => sales.unstack()).to.throw("Index must be a MultiIndex");
+      expect(() => north.setIndex(["Region", "Year"]).unstack()).to.throw(
+        "Index contains duplicate entries"
+      );
+    });
+  });
+});
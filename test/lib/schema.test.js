@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { DataFrame } = require("../../lib/dataframe");
+const { Schema, schemaError } = require("../../lib/schema");
+
+describe("Schema", () => {
+  const df = new DataFrame([
+    { id: 1, code: "A-1", status: "open", opened: new Date("2024-01-05") },
+    { id: 2, code: "B-2", status: "closed", opened: new Date("2023-12-31") },
+    { id: 2, code: "c3", status: "lost", opened: null },
+    { id: 4.5, code: null, status: "open", opened: new Date("2024-02-01") },
+  ]);
+
+  describe("constructor", () => {
+    it("should reject unknown rules and dtypes", () => {
+      expect(() => new Schema({ id: { typ: "int" } })).to.throw(
+        "Unknown schema rule 'typ'"
+      );
+      expect(() => new Schema({ id: { type: "integer" } })).to.throw(
+        "Unknown dtype 'integer'"
+      );
+    });
+
+    it("should expose the columns and declared dtypes", () => {
+      const schema = new Schema({ id: { type: "int" }, code: {} });
+      expect(schema.columns).to.eql(["id", "code"]);
+      expect(schema.dtypes).to.eql({ id: "int" });
+    });
+  });
+
+  describe("validate", () => {
+    it("should check each rule", () => {
+      const { valid, violations } = new Schema({
+        id: { type: "int", unique: true, min: 1, max: 3 },
+        code: { nullable: false, pattern: /^[A-Z]-\d$/ },
+        status: { enum: ["open", "closed"] },
+        opened: { min: new Date("2024-01-01") },
+      }).validate(df);
+      expect(valid).to.equal(false);
+      expect(
+        violations.map(({ row, column, rule }) => [row, column, rule])
+      ).to.eql([
+        [1, "opened", "min"],
+        [2, "id", "unique"],
+        [2, "code", "pattern"],
+        [2, "status", "enum"],
+        [3, "id", "type"],
+        [3, "code", "nullable"],
+      ]);
+      expect(violations[4].value).to.equal(4.5);
+    });
+
+    it("should report missing and extra columns", () => {
+      const schema = new Schema(
+        { id: {}, code: {}, status: {}, owner: {}, notes: { required: false } },
+        { allowExtraColumns: false }
+      );
+      expect(schema.validate(df).violations).to.eql([
+        { row: null, column: "owner", rule: "required", value: null },
+        { row: null, column: "opened", rule: "extra", value: null },
+      ]);
+    });
+
+    it("should accept a DataFrame that matches", () => {
+      const schema = new Schema({
+        status: { type: "string", nullable: false },
+        opened: { type: "datetime" },
+      });
+      expect(schema.validate(df)).to.eql({ valid: true, violations: [] });
+    });
+  });
+
+  describe("schemaError", () => {
+    it("should hold the violations", () => {
+      const violations = [{ row: 3, column: "id", rule: "type", value: 4.5 }];
+      const error = schemaError(violations);
+      expect(error.message).to.equal(
+        "Schema validation failed with 1 violation(s), first 'type' at row 3 of column 'id'"
+      );
+      expect(error.violations).to.equal(violations);
+    });
+  });
+});
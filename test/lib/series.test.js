@@ -0,0 +1,269 @@
+const { expect } = require("chai");
+const { DataFrame, Series } = require("../../lib");
+
+describe("Series", () => {
+  let ages;
+
+  beforeEach(() => {
+    ages = new Series([25, 30, 28, 30], { name: "Age" });
+  });
+
+  describe("constructor", () => {
+    it("should store the values, name, index and dtype", () => {
+      const series = new Series(["a", "b"], { name: "Letter", index: [5, 6] });
+      expect(series.values).to.deep.equal(["a", "b"]);
+      expect(series.name).to.equal("Letter");
+      expect(series.index).to.deep.equal([5, 6]);
+      expect(series.dtype).to.equal("string");
+      expect(series.length).to.equal(2);
+    });
+
+    it("should throw an error for invalid values or index", () => {
+      expect(() => new Series("abc")).to.throw("Invalid input data format");
+      expect(() => new Series([1], { index: [1, 2] })).to.throw(
+        "Index length does not match data"
+      );
+    });
+  });
+
+  describe("arithmetic", () => {
+    it("should combine with scalars, arrays and other Series", () => {
+      expect(ages.add(1).values).to.deep.equal([26, 31, 29, 31]);
+      expect(ages.sub([5, 10, 8, 10]).values).to.deep.equal([20, 20, 20, 20]);
+      expect(ages.mul(ages).values).to.deep.equal([625, 900, 784, 900]);
+      expect(ages.div(2).values).to.deep.equal([12.5, 15, 14, 15]);
+      expect(ages.mod(4).values).to.deep.equal([1, 2, 0, 2]);
+      expect(new Series([2, 3]).pow(2).values).to.deep.equal([4, 9]);
+    });
+
+    it("should give null for missing values on either side", () => {
+      expect(new Series([null, 2, undefined]).add(1).values).to.deep.equal([
+        null,
+        3,
+        null,
+      ]);
+      expect(new Series([null, 2]).mul([3, null]).values).to.deep.equal([
+        null,
+        null,
+      ]);
+      expect(new Series([4, NaN]).div(new Series([null, 2])).values).to.eql([
+        null,
+        null,
+      ]);
+      const frame = new DataFrame({ a: [null, 2, undefined] });
+      expect(frame.get("a").add(1).values).to.deep.equal(
+        frame.eval("a + 1").values
+      );
+    });
+
+    it("should keep the name and index", () => {
+      const series = new Series([1, 2], { name: "A", index: ["x", "y"] });
+      const result = series.add(1);
+      expect(result.name).to.equal("A");
+      expect(result.index).to.deep.equal(["x", "y"]);
+    });
+
+    it("should throw an error if the lengths do not match", () => {
+      expect(() => ages.add([1, 2])).to.throw("Length mismatch");
+    });
+  });
+
+  describe("comparison", () => {
+    it("should compare element-wise", () => {
+      expect(ages.gt(28).values).to.deep.equal([false, true, false, true]);
+      expect(ages.ge(28).values).to.deep.equal([false, true, true, true]);
+      expect(ages.lt(28).values).to.deep.equal([true, false, false, false]);
+      expect(ages.le(28).values).to.deep.equal([true, false, true, false]);
+      expect(ages.eq(30).values).to.deep.equal([false, true, false, true]);
+      expect(ages.ne(30).values).to.deep.equal([true, false, true, false]);
+    });
+
+    it("should give false for missing values on either side", () => {
+      const series = new Series([null, 2, 3]);
+      const other = [1, null, 3];
+      expect(series.gt(1).values).to.deep.equal([false, true, true]);
+      expect(series.le(other).values).to.deep.equal([false, false, true]);
+      expect(series.eq(other).values).to.deep.equal([false, false, true]);
+      expect(series.ne(other).values).to.deep.equal([false, false, false]);
+    });
+
+    it("should combine boolean masks", () => {
+      expect(ages.gt(25).and(ages.lt(30)).values).to.deep.equal([
+        false,
+        false,
+        true,
+        false,
+      ]);
+      expect(ages.eq(25).or(ages.eq(28)).not().values).to.deep.equal([
+        false,
+        true,
+        false,
+        true,
+      ]);
+    });
+  });
+
+  describe("map and apply", () => {
+    it("should map values through a function or a lookup object", () => {
+      expect(ages.map((value) => value > 28).values).to.deep.equal([
+        false,
+        true,
+        false,
+        true,
+      ]);
+      expect(ages.map({ 25: "young" }).values).to.deep.equal([
+        "young",
+        undefined,
+        undefined,
+        undefined,
+      ]);
+    });
+
+    it("should apply a function to each value", () => {
+      expect(ages.apply(String).values).to.deep.equal(["25", "30", "28", "30"]);
+    });
+  });
+
+  describe("unique and valueCounts", () => {
+    it("should return the distinct values", () => {
+      expect(ages.unique()).to.deep.equal([25, 30, 28]);
+      expect(ages.nunique()).to.equal(3);
+    });
+
+    it("should count occurrences labelled by value", () => {
+      const counts = ages.valueCounts();
+      expect(counts.index).to.deep.equal([30, 25, 28]);
+      expect(counts.values).to.deep.equal([2, 1, 1]);
+      expect(ages.valueCounts({ normalize: true }).values).to.deep.equal([
+        0.5, 0.25, 0.25,
+      ]);
+    });
+  });
+
+  describe("rank", () => {
+    it("should rank the values", () => {
+      const ranks = new Series([3, 1, null, 3], { name: "x" }).rank({
+        method: "dense",
+      });
+      expect(ranks.values).to.eql([2, 1, null, 2]);
+      expect(ranks.name).to.equal("x");
+    });
+  });
+
+  describe("isin", () => {
+    it("should check membership element-wise", () => {
+      expect(ages.isin([25, 28]).values).to.deep.equal([
+        true,
+        false,
+        true,
+        false,
+      ]);
+    });
+  });
+
+  describe("statistics", () => {
+    it("should calculate the statistics of the values", () => {
+      expect(ages.sum()).to.equal(113);
+      expect(ages.mean()).to.equal(28.25);
+      expect(ages.median()).to.equal(29);
+      expect(ages.mode()).to.deep.equal([30]);
+      expect(ages.min()).to.equal(25);
+      expect(ages.max()).to.equal(30);
+      expect(ages.count()).to.equal(4);
+      expect(ages.std()).to.be.closeTo(2.0463, 1e-4);
+    });
+
+    it("should calculate quantiles, cumulative sums and correlations", () => {
+      expect(ages.var({ ddof: 1 })).to.be.closeTo(5.5833, 1e-4);
+      expect(ages.quantile([0.25, 0.75])).to.deep.equal([27.25, 30]);
+      expect(ages.cumsum().values).to.deep.equal([25, 55, 83, 113]);
+      expect(ages.cumprod().name).to.equal("Age");
+      expect(ages.corr(ages.mul(2))).to.be.closeTo(1, 1e-12);
+      expect(ages.cov(ages)).to.be.closeTo(ages.var(), 1e-12);
+      expect(() => ages.corr(new Series([1]))).to.throw("Length mismatch");
+    });
+
+    it("should describe the values", () => {
+      const summary = ages.describe();
+      expect(summary.name).to.equal("Age");
+      expect(summary.index).to.deep.equal([
+        "count",
+        "mean",
+        "std",
+        "min",
+        "25%",
+        "50%",
+        "75%",
+        "max",
+      ]);
+      expect(new Series([1, 2, 3]).describe().values[2]).to.equal(1);
+      expect(new Series(["a", "a"]).describe().values).to.deep.equal([
+        2,
+        1,
+        "a",
+        2,
+      ]);
+    });
+  });
+
+  describe("missing data", () => {
+    let sparse;
+
+    beforeEach(() => {
+      sparse = new Series([1, null, NaN, 4, undefined], {
+        index: ["a", "b", "c", "d", "e"],
+      });
+    });
+
+    it("should detect missing values", () => {
+      expect(sparse.isna().values).to.deep.equal([
+        false,
+        true,
+        true,
+        false,
+        true,
+      ]);
+      expect(sparse.notna().values).to.deep.equal([
+        true,
+        false,
+        false,
+        true,
+        false,
+      ]);
+    });
+
+    it("should drop missing values with their labels", () => {
+      const dropped = sparse.dropna();
+      expect(dropped.values).to.deep.equal([1, 4]);
+      expect(dropped.index).to.deep.equal(["a", "d"]);
+    });
+
+    it("should fill and interpolate missing values", () => {
+      expect(sparse.fillna(0).values).to.deep.equal([1, 0, 0, 4, 0]);
+      expect(sparse.fillna("ffill").values).to.deep.equal([1, 1, 1, 4, 4]);
+      expect(sparse.interpolate().values).to.deep.equal([1, 2, 3, 4, 4]);
+    });
+
+    it("should skip missing values in statistics unless skipna is false", () => {
+      expect(sparse.sum()).to.equal(5);
+      expect(sparse.mean()).to.equal(2.5);
+      expect(sparse.count()).to.equal(2);
+      expect(sparse.max()).to.equal(4);
+      expect(sparse.sum({ skipna: false })).to.be.NaN;
+    });
+  });
+
+  describe("conversion", () => {
+    it("should iterate over and copy the values", () => {
+      expect([...ages]).to.deep.equal([25, 30, 28, 30]);
+      expect(ages.toArray()).to.not.equal(ages.values);
+    });
+
+    it("should convert to a single-column DataFrame", () => {
+      const frame = ages.toFrame();
+      expect(frame).to.be.instanceOf(DataFrame);
+      expect(frame.columns).to.deep.equal(["Age"]);
+      expect(frame.getRow(0)).to.deep.equal({ Age: 25 });
+    });
+  });
+});
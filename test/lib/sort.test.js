@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const {
+  numericStrings,
+  valueComparator,
+  sortPositions,
+  selectPositions,
+} = require("../../lib/sort");
+
+describe("sort", () => {
+  describe("valueComparator", () => {
+    const compare = valueComparator();
+
+    it("should compare numbers, dates and numeric strings by value", () => {
+      expect(compare(9, 10)).to.be.below(0);
+      const numeric = valueComparator({ numeric: true });
+      expect(numeric("9", "10")).to.be.below(0);
+      expect(numeric("1.5", "1.50")).to.be.below(0);
+      expect(compare("9", "10")).to.be.above(0);
+      expect(
+        compare(new Date("2024-02-01"), new Date("2024-01-01"))
+      ).to.be.above(0);
+    });
+
+    it("should order values of different types by type", () => {
+      const values = ["a", 2, new Date(0), true];
+      expect(values.sort(compare)).to.eql([true, 2, new Date(0), "a"]);
+    });
+
+    it("should compare strings with the collation of a locale", () => {
+      expect(["b", "a", "B"].sort(compare)).to.eql(["B", "a", "b"]);
+      expect(["b", "a", "B"].sort(valueComparator({ locale: "en" }))).to.eql([
+        "a",
+        "b",
+        "B",
+      ]);
+    });
+  });
+
+  describe("numericStrings", () => {
+    it("should check that every string holds a number", () => {
+      expect(numericStrings(["10", " 2 ", null, 3])).to.equal(true);
+      expect(numericStrings(["10", "1a"])).to.equal(false);
+      expect(numericStrings([1, null])).to.equal(false);
+    });
+  });
+
+  describe("sortPositions", () => {
+    it("should decide for each key whether strings compare as numbers", () => {
+      const orders = [
+        ["2", "10", "1a"],
+        ["1a", "2", "10"],
+        ["10", "1a", "2"],
+      ].map((values) =>
+        sortPositions([values], values.length).map(
+          (position) => values[position]
+        )
+      );
+      expect(orders).to.eql([
+        ["10", "1a", "2"],
+        ["10", "1a", "2"],
+        ["10", "1a", "2"],
+      ]);
+      const keys = [["10", "9", null]];
+      expect(sortPositions(keys, 3)).to.eql([1, 0, 2]);
+    });
+
+    it("should sort by several keys in their own direction", () => {
+      const keys = [
+        ["x", "y", "x", "y"],
+        [1, 2, 3, 4],
+      ];
+      expect(sortPositions(keys, 4, { ascending: [true, false] })).to.eql([
+        2, 0, 3, 1,
+      ]);
+    });
+
+    it("should place missing values first or last in any direction", () => {
+      const keys = [[2, null, 1, NaN]];
+      expect(sortPositions(keys, 4)).to.eql([2, 0, 1, 3]);
+      expect(
+        sortPositions(keys, 4, { ascending: [false], naPosition: "first" })
+      ).to.eql([1, 3, 0, 2]);
+      expect(() => sortPositions(keys, 4, { naPosition: "end" })).to.throw(
+        "Invalid naPosition 'end'"
+      );
+    });
+  });
+
+  describe("selectPositions", () => {
+    it("should select the first n positions in order", () => {
+      const values = [5, 1, 4, 2, 3, 0];
+      const compare = (a, b) => values[a] - values[b];
+      expect(selectPositions([0, 1, 2, 3, 4, 5], 3, compare)).to.eql([5, 1, 3]);
+      expect(selectPositions([0, 1], 5, compare)).to.eql([1, 0]);
+      expect(selectPositions([0, 1], 0, compare)).to.eql([]);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const aggregations = require("../../lib/aggregations");
+const {
+  quantile,
+  cumsum,
+  cumprod,
+  rankValues,
+  averageRanks,
+  correlation,
+  covariance,
+  describeOther,
+} = require("../../lib/stats");
+
+describe("stats", () => {
+  const values = [1, 2, 3, null, 4, 10];
+
+  describe("variance and moments", () => {
+    it("should calculate the variance with delta degrees of freedom", () => {
+      expect(aggregations.var(values)).to.equal(10);
+      expect(aggregations.var(values, { ddof: 1 })).to.equal(12.5);
+      expect(aggregations.std(values, { ddof: 1 })).to.equal(Math.sqrt(12.5));
+      expect(aggregations.var([1], { ddof: 1 })).to.be.NaN;
+    });
+
+    it("should calculate the skewness and kurtosis", () => {
+      expect(aggregations.skew(values)).to.be.closeTo(1.697056, 1e-6);
+      expect(aggregations.kurtosis(values)).to.be.closeTo(3.152, 1e-9);
+      expect(aggregations.skew([1, 1, 1])).to.equal(0);
+      expect(aggregations.kurtosis([1, 2, 3])).to.be.NaN;
+    });
+  });
+
+  describe("quantile", () => {
+    it("should interpolate between data points", () => {
+      expect(quantile(values, 0.3)).to.be.closeTo(2.2, 1e-12);
+      expect(quantile(values, 0.3, { interpolation: "lower" })).to.equal(2);
+      expect(quantile(values, 0.3, { interpolation: "higher" })).to.equal(3);
+      expect(quantile(values, 0.3, { interpolation: "nearest" })).to.equal(2);
+      expect(quantile(values, 0.375, { interpolation: "nearest" })).to.equal(3);
+      expect(quantile(values, 0.3, { interpolation: "midpoint" })).to.equal(
+        2.5
+      );
+      expect(quantile(values, [0, 0.5, 1])).to.deep.equal([1, 3, 10]);
+      expect(quantile([null], 0.5)).to.be.NaN;
+    });
+
+    it("should throw an error for invalid arguments", () => {
+      expect(() => quantile(values, 1.5)).to.throw("Invalid quantile '1.5'");
+      expect(() => quantile(values, 0.5, { interpolation: "cubic" })).to.throw(
+        "Invalid interpolation 'cubic'"
+      );
+    });
+  });
+
+  describe("cumsum and cumprod", () => {
+    it("should skip missing values", () => {
+      expect(cumsum([1, null, 2, 3])).to.deep.equal([1, null, 3, 6]);
+      expect(cumprod([1, null, 2, 3])).to.deep.equal([1, null, 2, 6]);
+    });
+  });
+
+  describe("averageRanks", () => {
+    it("should give ties the average of their ranks", () => {
+      expect(averageRanks([10, 30, 20, 30, null])).to.deep.equal([
+        1,
+        3.5,
+        2,
+        3.5,
+        null,
+      ]);
+    });
+  });
+
+  describe("rankValues", () => {
+    const values = [10, 30, 20, 30, null, 10];
+
+    it("should rank ties by method", () => {
+      const ranks = (method) => rankValues(values, { method });
+      expect(ranks("min")).to.eql([1, 4, 3, 4, null, 1]);
+      expect(ranks("max")).to.eql([2, 5, 3, 5, null, 2]);
+      expect(ranks("dense")).to.eql([1, 3, 2, 3, null, 1]);
+      expect(ranks("first")).to.eql([1, 4, 3, 5, null, 2]);
+    });
+
+    it("should rank in descending order", () => {
+      expect(rankValues(values, { method: "first", ascending: false })).to.eql([
+        4,
+        1,
+        3,
+        2,
+        null,
+        5,
+      ]);
+    });
+
+    it("should compare strings as numbers when they all hold one", () => {
+      expect(rankValues(["10", "9", null])).to.eql([2, 1, null]);
+      expect(rankValues(["10", "9", "b", "a"])).to.eql([1, 2, 4, 3]);
+    });
+
+    it("should throw on unknown methods", () => {
+      expect(() => rankValues(values, { method: "mean" })).to.throw(
+        "Invalid rank method 'mean'"
+      );
+    });
+  });
+
+  describe("correlation and covariance", () => {
+    const x = [1, 2, 3, 4, 5, null];
+    const y = [2, 4, 5, 4, 5, 7];
+
+    it("should calculate the correlation with each method", () => {
+      expect(correlation(x, y)).to.be.closeTo(6 / Math.sqrt(60), 1e-12);
+      expect(correlation(x, y, { method: "spearman" })).to.be.closeTo(
+        7 / Math.sqrt(90),
+        1e-12
+      );
+      expect(correlation(x, y, { method: "kendall" })).to.be.closeTo(
+        6 / Math.sqrt(80),
+        1e-12
+      );
+      expect(() => correlation(x, y, { method: "cosine" })).to.throw(
+        "Invalid correlation method 'cosine'"
+      );
+    });
+
+    it("should calculate the covariance", () => {
+      expect(covariance(x, y)).to.equal(1.2);
+      expect(covariance(x, y, { ddof: 1 })).to.equal(1.5);
+    });
+  });
+
+  describe("describeOther", () => {
+    it("should count the distinct and most frequent values", () => {
+      expect(describeOther(["a", "b", "b", null])).to.deep.equal({
+        count: 3,
+        unique: 2,
+        top: "b",
+        freq: 2,
+      });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { expect } = require("chai");
+const {
+  isTyped,
+  packColumn,
+  takeColumn,
+  toArray,
+} = require("../../lib/storage");
+
+describe("storage", () => {
+  describe("packColumn", () => {
+    it("should pack int32 columns into an Int32Array", () => {
+      const packed = packColumn([1, -2, 3]);
+      expect(packed).to.be.instanceOf(Int32Array);
+      expect(toArray(packed)).to.deep.equal([1, -2, 3]);
+    });
+
+    it("should pack other numeric columns into a Float64Array", () => {
+      expect(packColumn([1, 2.5])).to.be.instanceOf(Float64Array);
+      expect(packColumn([1, 2 ** 40])).to.be.instanceOf(Float64Array);
+    });
+
+    it("should keep columns with missing or non-numeric values as arrays", () => {
+      const values = [1, null, 3];
+      expect(packColumn(values)).to.equal(values);
+      expect(packColumn([1, NaN])).to.be.an("array");
+      expect(packColumn(["a", "b"])).to.be.an("array");
+      expect(packColumn([])).to.be.an("array");
+    });
+
+    it("should unpack floating-point typed arrays holding NaN", () => {
+      const typed = Float64Array.from([1, 2]);
+      expect(packColumn(typed)).to.equal(typed);
+      expect(packColumn(Float64Array.from([1, NaN]))).to.be.an("array");
+    });
+  });
+
+  describe("takeColumn", () => {
+    it("should gather values and keep typed storage", () => {
+      const taken = takeColumn(Int32Array.from([10, 20, 30]), [2, 0]);
+      expect(isTyped(taken)).to.equal(true);
+      expect(toArray(taken)).to.deep.equal([30, 10]);
+      expect(takeColumn(["a", "b", "c"], [1])).to.deep.equal(["b"]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { DataFrame, Series } = require("../../lib");
+
+describe("strings", () => {
+  let names;
+
+  beforeEach(() => {
+    names = new Series([" Ann Lee ", null, "bob"], {
+      name: "name",
+      index: ["a", "b", "c"],
+    });
+  });
+
+  describe("Series.str", () => {
+    it("should throw for values that are not strings", () => {
+      expect(() => new Series(["a", 1]).str).to.throw("Values must be strings");
+    });
+
+    it("should convert the strings and keep missing values", () => {
+      expect(names.str.upper().values).to.eql([" ANN LEE ", null, "BOB"]);
+      expect(names.str.lower().values).to.eql([" ann lee ", null, "bob"]);
+      expect(names.str.strip().values).to.eql(["Ann Lee", null, "bob"]);
+      expect(names.str.len().values).to.eql([9, null, 3]);
+      expect(names.str.slice(1, 4).values).to.eql(["Ann", null, "ob"]);
+      expect(names.str.strip().name).to.equal("name");
+      expect(names.str.strip().index).to.eql(["a", "b", "c"]);
+    });
+
+    it("should match patterns", () => {
+      expect(names.str.contains("^b").values).to.eql([false, null, true]);
+      expect(names.str.contains(/LEE/, { case: false }).values).to.eql([
+        true,
+        null,
+        false,
+      ]);
+      expect(
+        names.str.contains(".", { regex: false, na: false }).values
+      ).to.eql([false, false, false]);
+      expect(names.str.startsWith("b").values).to.eql([false, null, true]);
+      expect(names.str.endsWith(" ").values).to.eql([true, null, false]);
+    });
+
+    it("should replace every occurrence", () => {
+      const codes = new Series(["a.b.c", "A-b"]);
+      expect(codes.str.replace(".", "/").values).to.eql(["a/b/c", "A-b"]);
+      expect(codes.str.replace("[.-]", "", { regex: true }).values).to.eql([
+        "abc",
+        "Ab",
+      ]);
+      expect(codes.str.replace("a", "x", { case: false }).values).to.eql([
+        "x.b.c",
+        "x-b",
+      ]);
+    });
+
+    it("should split into arrays or columns", () => {
+      expect(names.str.split().values).to.eql([["Ann", "Lee"], null, ["bob"]]);
+      const parts = names.str.strip().str.split(" ", { expand: true });
+      expect(parts.columns).to.eql(["0", "1"]);
+      expect(parts.index).to.eql(["a", "b", "c"]);
+      expect(parts.get("1").values).to.eql(["Lee", null, null]);
+      expect(parts.dtypes).to.eql({ 0: "string", 1: "string" });
+    });
+
+    it("should extract groups into columns", () => {
+      const codes = new Series(["AB-12", "x", null, "CD-7"]);
+      const parts = codes.str.extract(/(?<letters>[A-Z]+)-(\d+)/);
+      expect(parts.columns).to.eql(["letters", "1"]);
+      expect(parts.data).to.deep.equal([
+        { letters: "AB", 1: "12" },
+        { letters: null, 1: null },
+        { letters: null, 1: null },
+        { letters: "CD", 1: "7" },
+      ]);
+      expect(codes.str.extract("[(](x)").columns).to.eql(["0"]);
+      expect(() => codes.str.extract("[A-Z]+")).to.throw(
+        "Pattern has no groups"
+      );
+    });
+
+    it("should pad the strings", () => {
+      const codes = new Series(["7", "42"]);
+      expect(codes.str.pad(3, { fillchar: "0" }).values).to.eql(["007", "042"]);
+      expect(codes.str.pad(4, { side: "both", fillchar: "*" }).values).to.eql([
+        "*7**",
+        "*42*",
+      ]);
+      expect(() => codes.str.pad(3, { side: "top" })).to.throw(
+        "Invalid side 'top'"
+      );
+    });
+
+    it("should concatenate the strings", () => {
+      expect(names.str.strip().str.cat()).to.equal("Ann Leebob");
+      expect(names.str.cat(undefined, { sep: ",", naRep: "-" })).to.equal(
+        " Ann Lee ,-,bob"
+      );
+      const initials = ["A", "B", "C"];
+      expect(names.str.strip().str.cat(initials, { sep: "/" }).values).to.eql([
+        "Ann Lee/A",
+        null,
+        "bob/C",
+      ]);
+      expect(
+        names.str.strip().str.cat([initials, ["1", "2", "3"]], { naRep: "?" })
+          .values
+      ).to.eql(["Ann LeeA1", "?B2", "bobC3"]);
+      expect(() => names.str.cat(["A"])).to.throw("Length mismatch");
+    });
+  });
+
+  describe("with DataFrame", () => {
+    it("should filter with string masks", () => {
+      const df = new DataFrame({
+        name: ["Ann", "Bob", null, "Abe"],
+        age: [30, 20, 40, 50],
+      });
+      const filtered = df.filter(df.get("name").str.startsWith("A"));
+      expect(filtered.get("age").values).to.eql([30, 50]);
+      const withInitial = df.assign({
+        initial: df.get("name").str.slice(0, 1),
+      });
+      expect(withInitial.dtypes.initial).to.equal("string");
+    });
+  });
+});
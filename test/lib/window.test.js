@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const { DataFrame, Series } = require("../../lib");
+
+const day = (n) => new Date(Date.UTC(2021, 0, n));
+
+describe("window", () => {
+  const series = new Series([1, 2, null, 4, 5], { name: "x" });
+
+  describe("rolling", () => {
+    it("should compute statistics over a moving number of rows", () => {
+      expect(series.rolling(2).sum().values).to.deep.equal([
+        null,
+        3,
+        null,
+        null,
+        9,
+      ]);
+      expect(series.rolling(3, { minPeriods: 1 }).mean().values).to.deep.equal([
+        1, 1.5, 1.5, 3, 4.5,
+      ]);
+      expect(series.rolling(2, { minPeriods: 1 }).max().values).to.deep.equal([
+        1, 2, 2, 4, 5,
+      ]);
+      expect(series.rolling(2).std().values[4]).to.equal(0.5);
+      expect(series.rolling(2).min().name).to.equal("x");
+    });
+
+    it("should compute statistics over a time span", () => {
+      const events = new DataFrame({
+        Time: [day(1), day(2), day(4), day(8), day(9)],
+        Value: [1, 2, 3, 4, 5],
+        Label: ["a", "b", "c", "d", "e"],
+      });
+      const result = events.rolling("3D", { on: "Time" }).sum();
+      expect(result.columns).to.deep.equal(["Time", "Value"]);
+      expect(result.get("Value").values).to.deep.equal([1, 3, 5, 4, 9]);
+    });
+
+    it("should use the index for time spans by default", () => {
+      const indexed = new Series([1, 2, 3], {
+        index: [day(1), day(2), day(10)],
+      });
+      expect(indexed.rolling("7D").sum().values).to.deep.equal([1, 3, 3]);
+    });
+
+    it("should throw an error for invalid windows", () => {
+      expect(() => series.rolling(0)).to.throw("Invalid window '0'");
+      expect(() => series.rolling("7D")).to.throw(
+        "Time windows require datetime values"
+      );
+      const unsorted = new Series([1, 2], { index: [day(2), day(1)] });
+      expect(() => unsorted.rolling("1D")).to.throw(
+        "Dates must be in ascending order"
+      );
+    });
+  });
+
+  describe("expanding", () => {
+    it("should compute running statistics", () => {
+      const expanding = series.expanding();
+      expect(expanding.sum().values).to.deep.equal([1, 3, 3, 7, 12]);
+      expect(expanding.mean().values).to.deep.equal([1, 1.5, 1.5, 7 / 3, 3]);
+      expect(expanding.min().values).to.deep.equal([1, 1, 1, 1, 1]);
+      expect(expanding.max().values).to.deep.equal([1, 2, 2, 4, 5]);
+      expect(expanding.std().values[1]).to.equal(0.5);
+      expect(series.expanding({ minPeriods: 3 }).sum().values).to.deep.equal([
+        null,
+        null,
+        null,
+        7,
+        12,
+      ]);
+    });
+
+    it("should skip the columns that are not numeric", () => {
+      const frame = new DataFrame({ Name: ["a", "b"], Score: [1, 3] });
+      const result = frame.expanding().mean();
+      expect(result.columns).to.deep.equal(["Score"]);
+      expect(result.get("Score").values).to.deep.equal([1, 2]);
+    });
+  });
+
+  describe("ewm", () => {
+    it("should compute exponentially weighted statistics", () => {
+      const ewm = new Series([1, 2, 3]).ewm(0.5);
+      const means = ewm.mean().values;
+      expect(means[0]).to.equal(1);
+      expect(means[1]).to.be.closeTo(5 / 3, 1e-12);
+      expect(means[2]).to.be.closeTo(17 / 7, 1e-12);
+      expect(ewm.sum().values).to.deep.equal([1, 2.5, 4.25]);
+      const stds = ewm.std().values;
+      expect(stds[0]).to.equal(null);
+      expect(stds[1]).to.be.closeTo(0.707107, 1e-6);
+    });
+
+    it("should give missing values no weight", () => {
+      const means = new Series([null, 1, null, 3]).ewm(0.5).mean().values;
+      expect(means[0]).to.equal(null);
+      expect(means[1]).to.equal(1);
+      expect(means[3]).to.be.closeTo(2.6, 1e-12);
+    });
+
+    it("should throw an error for an invalid alpha", () => {
+      expect(() => series.ewm(0)).to.throw("Invalid alpha '0'");
+    });
+  });
+});